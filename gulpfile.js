@@ -32,6 +32,9 @@ let workers = {
 	"LASDecoderWorker": [
 		"src/workers/LASDecoderWorker.js"
 	],
+	"DEMWorker": [
+		"src/workers/DEMWorker.js"
+	],
 	"EptLaszipDecoderWorker": [
 		"libs/copc/index.js",
 		"src/workers/EptLaszipDecoderWorker.js",
@@ -32,5 +32,37 @@ export default [
 			name: 'Potree',
 			sourcemap: false
 		}
+	},{
+		input: 'src/modules/loader/inmemory/OctreeBuilderWorker.js',
+		output: {
+			file: 'build/potree/workers/OctreeBuilderWorker.js',
+			format: 'es',
+			name: 'Potree',
+			sourcemap: false
+		}
+	},{
+		input: 'src/workers/PointFileReaderWorker.js',
+		output: {
+			file: 'build/potree/workers/PointFileReaderWorker.js',
+			format: 'es',
+			name: 'Potree',
+			sourcemap: false
+		}
+	},{
+		input: 'src/workers/StatisticsWorker.js',
+		output: {
+			file: 'build/potree/workers/StatisticsWorker.js',
+			format: 'es',
+			name: 'Potree',
+			sourcemap: false
+		}
+	},{
+		input: 'src/workers/ChangeDetectionWorker.js',
+		output: {
+			file: 'build/potree/workers/ChangeDetectionWorker.js',
+			format: 'es',
+			name: 'Potree',
+			sourcemap: false
+		}
 	}
 ]
\ No newline at end of file
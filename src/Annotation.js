@@ -413,6 +413,16 @@ export class Annotation extends EventDispatcher {
 			annotation.dispose();
 			this.children = this.children.filter(e => e !== annotation);
 			annotation.parent = null;
+
+			let c = this;
+			while (c !== null) {
+				c.dispatchEvent({
+					'type': 'annotation_removed',
+					'annotation': annotation,
+					'parent': this
+				});
+				c = c.parent;
+			}
 		}
 	}
 
@@ -0,0 +1,328 @@
+
+import * as THREE from "../libs/three.js/build/three.module.js";
+
+// order of the per-cell statistics, see DEMWorker.js
+const MIN = 0;
+const MAX = 1;
+const SUM = 2;
+const COUNT = 3;
+const GROUND_SUM = 4;
+const GROUND_COUNT = 5;
+
+/**
+ * A square raster that covers the x/y footprint of all octree nodes
+ * of one level with the same x/y position, i.e. a quadtree node.
+ * Coordinates are in the local space of the point cloud.
+ */
+export class DEMTile{
+
+	constructor(level, ix, iy, min, size, resolution){
+		this.level = level;
+		this.ix = ix;
+		this.iy = iy;
+		this.min = min;
+		this.size = size;
+		this.resolution = resolution;
+
+		let numCells = resolution * resolution;
+		this.stats = new Float32Array(6 * numCells);
+		this.stats.fill(Infinity, MIN * numCells, (MIN + 1) * numCells);
+		this.stats.fill(-Infinity, MAX * numCells, (MAX + 1) * numCells);
+	}
+
+	// value of a single cell, or null if no point fell into it
+	getCellValue(index, mode){
+		let numCells = this.resolution * this.resolution;
+		let stats = this.stats;
+
+		if(mode === "ground"){
+			let groundCount = stats[GROUND_COUNT * numCells + index];
+
+			return groundCount > 0 ? stats[GROUND_SUM * numCells + index] / groundCount : null;
+		}
+
+		let count = stats[COUNT * numCells + index];
+
+		if(count === 0){
+			return null;
+		}else if(mode === "min"){
+			return stats[MIN * numCells + index];
+		}else if(mode === "max"){
+			return stats[MAX * numCells + index];
+		}else{
+			return stats[SUM * numCells + index] / count;
+		}
+	}
+
+	// bilinear interpolation between the centers of the surrounding cells that contain points
+	getHeightAt(x, y, mode){
+		let res = this.resolution;
+		let u = res * (x - this.min[0]) / this.size - 0.5;
+		let v = res * (y - this.min[1]) / this.size - 0.5;
+
+		let u0 = Math.floor(u);
+		let v0 = Math.floor(v);
+
+		let sum = 0;
+		let sumWeights = 0;
+
+		for(let [du, dv] of [[0, 0], [1, 0], [0, 1], [1, 1]]){
+			let iu = THREE.MathUtils.clamp(u0 + du, 0, res - 1);
+			let iv = THREE.MathUtils.clamp(v0 + dv, 0, res - 1);
+
+			let value = this.getCellValue(iu + res * iv, mode);
+
+			if(value === null){
+				continue;
+			}
+
+			let weight = (1 - Math.abs(u - (u0 + du))) * (1 - Math.abs(v - (v0 + dv)));
+
+			sum += weight * value;
+			sumWeights += weight;
+		}
+
+		if(sumWeights === 0){
+			return null;
+		}
+
+		return sum / sumWeights;
+	}
+
+	/**
+	 * Adds the statistics of a finer raster whose cell (0, 0) is located at cell (offsetX, offsetY)
+	 * of this tile and whose cells are 2^levelDifference times smaller than cells of this tile.
+	 */
+	merge(stats, resolution, offsetX, offsetY, levelDifference){
+		let res = this.resolution;
+		let target = this.stats;
+		let numSourceCells = resolution * resolution;
+		let numTargetCells = res * res;
+
+		for(let j = 0; j < resolution; j++){
+			for(let i = 0; i < resolution; i++){
+				let sourceIndex = i + resolution * j;
+
+				if(stats[COUNT * numSourceCells + sourceIndex] === 0){
+					continue;
+				}
+
+				let tx = offsetX + (i >> levelDifference);
+				let ty = offsetY + (j >> levelDifference);
+				let targetIndex = tx + res * ty;
+
+				let s = (k) => stats[k * numSourceCells + sourceIndex];
+				let t = (k) => k * numTargetCells + targetIndex;
+
+				target[t(MIN)] = Math.min(target[t(MIN)], s(MIN));
+				target[t(MAX)] = Math.max(target[t(MAX)], s(MAX));
+				target[t(SUM)] += s(SUM);
+				target[t(COUNT)] += s(COUNT);
+				target[t(GROUND_SUM)] += s(GROUND_SUM);
+				target[t(GROUND_COUNT)] += s(GROUND_COUNT);
+			}
+		}
+	}
+
+};
+
+/**
+ * Multi-resolution height field of a point cloud, built from the loaded octree nodes.
+ *
+ * Nodes up to maxLevel are rasterized by the DEMWorker as they become visible.
+ * Each node contributes to the tile of its own level and to all coarser tiles above it,
+ * so that coarse tiles cover everything that has been loaded so far,
+ * while finer tiles provide more detail where the hierarchy has been refined.
+ *
+ * Modes:
+ *   "min": lowest point per cell
+ *   "max": highest point per cell, i.e. a surface model (DSM)
+ *   "mean": average height per cell
+ *   "ground": average height of points classified as ground (2), i.e. a terrain model (DTM)
+ */
+export class DEM{
+
+	constructor(pointcloud, options = {}){
+		this.pointcloud = pointcloud;
+		this.resolution = options.resolution || 64;
+		this.maxLevel = options.maxLevel !== undefined ? options.maxLevel : 4;
+
+		// a node covers resolution / 2^levelDifference cells of the tiles above it, see add().
+		// Nodes deeper than log2(resolution) would cover less than a cell of the root tile.
+		this.maxLevel = Math.min(this.maxLevel, Math.floor(Math.log2(this.resolution)));
+
+		// nodes are rasterized a few at a time, to avoid stalling the loading of new nodes
+		this.maxPendingJobs = 2;
+		this.numPendingJobs = 0;
+
+		this.tiles = new Map();
+		this.processedNodes = new Set();
+		this.version = 0;
+
+		let rootBox = pointcloud.pcoGeometry.root.boundingBox;
+		this.boundingBox = rootBox.clone();
+		this.rootSize = Math.max(rootBox.max.x - rootBox.min.x, rootBox.max.y - rootBox.min.y);
+	}
+
+	// schedules rasterization of visible nodes that haven't been processed yet
+	update(visibleNodes){
+		let candidates = visibleNodes
+			.map(node => node.geometryNode)
+			.filter(node => node && node.level <= this.maxLevel && !this.processedNodes.has(node))
+			.sort((a, b) => a.level - b.level);
+
+		for(let node of candidates){
+			if(this.numPendingJobs >= this.maxPendingJobs){
+				break;
+			}
+
+			if(!node.geometry || !node.geometry.attributes.position || !node.numPoints){
+				continue;
+			}
+
+			this.processedNodes.add(node);
+			this.process(node);
+		}
+	}
+
+	process(node){
+		let attributes = node.geometry.attributes;
+		let numPoints = node.numPoints;
+		let min = node.boundingBox.min;
+		let size = node.boundingBox.getSize(new THREE.Vector3());
+
+		// copies, the geometry buffers stay in use by the renderer
+		let position = new Float32Array(attributes.position.array.subarray(0, 3 * numPoints));
+		let classification = attributes.classification
+			? Uint8Array.from(attributes.classification.array.subarray(0, numPoints))
+			: null;
+
+		let workerPath = Potree.scriptPath + '/workers/DEMWorker.js';
+		let worker = Potree.workerPool.getWorker(workerPath);
+
+		this.numPendingJobs++;
+
+		worker.onmessage = (e) => {
+			Potree.workerPool.returnWorker(workerPath, worker);
+			this.numPendingJobs--;
+
+			this.add(node.level, min, size, new Float32Array(e.data.stats));
+		};
+
+		worker.onerror = (e) => {
+			Potree.workerPool.returnWorker(workerPath, worker);
+			this.numPendingJobs--;
+
+			console.error(`failed to create DEM of node ${node.name}`, e);
+		};
+
+		let message = {
+			numPoints: numPoints,
+			resolution: this.resolution,
+			size: [size.x, size.y],
+			position: position.buffer,
+			classification: classification ? classification.buffer : null,
+		};
+
+		let transferables = [message.position];
+		if(message.classification){
+			transferables.push(message.classification);
+		}
+
+		worker.postMessage(message, transferables);
+	}
+
+	add(level, min, size, stats){
+		// node positions are relative to the node, the worker's heights are moved to the local space of the point cloud
+		let numCells = this.resolution * this.resolution;
+		for(let i = 0; i < numCells; i++){
+			stats[MIN * numCells + i] += min.z;
+			stats[MAX * numCells + i] += min.z;
+			stats[SUM * numCells + i] += stats[COUNT * numCells + i] * min.z;
+			stats[GROUND_SUM * numCells + i] += stats[GROUND_COUNT * numCells + i] * min.z;
+		}
+
+		let tileSize = this.rootSize / 2 ** level;
+		let ix = Math.round((min.x - this.boundingBox.min.x) / tileSize);
+		let iy = Math.round((min.y - this.boundingBox.min.y) / tileSize);
+
+		for(let l = level; l >= 0; l--){
+			let levelDifference = level - l;
+			let tix = ix >> levelDifference;
+			let tiy = iy >> levelDifference;
+			let tile = this.getTile(l, tix, tiy, true);
+
+			let cellsPerNode = this.resolution >> levelDifference;
+			let offsetX = (ix - (tix << levelDifference)) * cellsPerNode;
+			let offsetY = (iy - (tiy << levelDifference)) * cellsPerNode;
+
+			tile.merge(stats, this.resolution, offsetX, offsetY, levelDifference);
+		}
+
+		this.version++;
+	}
+
+	getTile(level, ix, iy, create = false){
+		let key = `${level}_${ix}_${iy}`;
+		let tile = this.tiles.get(key);
+
+		if(!tile && create){
+			let tileSize = this.rootSize / 2 ** level;
+			let min = [
+				this.boundingBox.min.x + ix * tileSize,
+				this.boundingBox.min.y + iy * tileSize,
+			];
+
+			tile = new DEMTile(level, ix, iy, min, tileSize, this.resolution);
+			this.tiles.set(key, tile);
+		}
+
+		return tile;
+	}
+
+	// height in the local coordinate system of the point cloud, or null if there is no data
+	getHeightAtLocal(x, y, mode = "mean"){
+		for(let level = this.maxLevel; level >= 0; level--){
+			let tileSize = this.rootSize / 2 ** level;
+			let ix = Math.floor((x - this.boundingBox.min.x) / tileSize);
+			let iy = Math.floor((y - this.boundingBox.min.y) / tileSize);
+
+			let tile = this.getTile(level, ix, iy);
+
+			if(!tile){
+				continue;
+			}
+
+			let height = tile.getHeightAt(x, y, mode);
+
+			if(height !== null){
+				return height;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Height at the given world coordinates, or null if there is no data.
+	 * mode: "min", "max", "mean" or "ground"
+	 */
+	getHeightAt(x, y, mode = "mean"){
+		let matrixWorld = this.pointcloud.matrixWorld;
+		let local = new THREE.Vector3(x, y, 0).applyMatrix4(matrixWorld.clone().invert());
+
+		let height = this.getHeightAtLocal(local.x, local.y, mode);
+
+		if(height === null){
+			return null;
+		}
+
+		return local.setZ(height).applyMatrix4(matrixWorld).z;
+	}
+
+	dispose(){
+		this.tiles.clear();
+		this.processedNodes.clear();
+	}
+
+};
@@ -15,6 +15,8 @@ export const KeyCodes = {
 	Q: 'Q'.charCodeAt(0),
 	E: 'E'.charCodeAt(0),
 	R: 'R'.charCodeAt(0),
-	F: 'F'.charCodeAt(0)
+	F: 'F'.charCodeAt(0),
+	Y: 'Y'.charCodeAt(0),
+	Z: 'Z'.charCodeAt(0)
 	
 };
\ No newline at end of file
@@ -298,6 +298,7 @@ export class PointCloudCopcGeometryNode extends PointCloudTreeNode {
 		this.loaded = true;
 		this.loading = false;
 		--Potree.numNodesLoading;
+		Potree.nodeLoadEvents.dispatchEvent({type: "node_loaded", node: this});
 	}
 
 	dispose() {
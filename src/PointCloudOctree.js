@@ -5,6 +5,8 @@ import {PointCloudOctreeGeometryNode} from "./PointCloudOctreeGeometry.js";
 import {Utils} from "./utils.js";
 import {PointCloudMaterial} from "./materials/PointCloudMaterial.js";
 import { PointPickerRequest } from "./utils/PointPickerRequest.js";
+import {PointExtractor} from "./utils/PointExtractor.js";
+import {AttributeEditLayer} from "./utils/AttributeEditLayer.js";
 
 
 export class PointCloudOctreeNode extends PointCloudTreeNode {
@@ -157,6 +159,10 @@ export class PointCloudOctree extends PointCloudTree {
 		this.pointPickerRequests = [];
 		this.name = '';
 		this._visible = true;
+		this.editLayer = null;
+
+		// attributes that are computed in the viewer instead of loaded, e.g. by ChangeDetection
+		this.derivedAttributes = [];
 
 		{
 			let box = [this.pcoGeometry.tightBoundingBox, this.getBoundingBoxWorld()]
@@ -191,7 +197,8 @@ export class PointCloudOctree extends PointCloudTree {
 
 	getAttribute(name){
 
-		const attribute = this.pcoGeometry.pointAttributes.attributes.find(a => a.name === name);
+		const attribute = this.pcoGeometry.pointAttributes.attributes.find(a => a.name === name)
+			|| this.derivedAttributes.find(a => a.name === name);
 
 		if(attribute){
 			return attribute;
@@ -200,6 +207,23 @@ export class PointCloudOctree extends PointCloudTree {
 		}
 	}
 
+	/**
+	 * Registers an attribute whose values the caller adds to the geometry of loaded nodes,
+	 * so that it can be rendered like loaded attributes. Replaces a derived attribute of the same name.
+	 */
+	addDerivedAttribute(attribute){
+		this.derivedAttributes = this.derivedAttributes.filter(a => a.name !== attribute.name);
+		this.derivedAttributes.push(attribute);
+
+		this.dispatchEvent({type: "derived_attributes_changed", pointcloud: this});
+	}
+
+	removeDerivedAttribute(name){
+		this.derivedAttributes = this.derivedAttributes.filter(a => a.name !== name);
+
+		this.dispatchEvent({type: "derived_attributes_changed", pointcloud: this});
+	}
+
 	getAttributes(){
 		return this.pcoGeometry.pointAttributes;
 	}
@@ -207,6 +231,10 @@ export class PointCloudOctree extends PointCloudTree {
 	toTreeNode (geometryNode, parent) {
 		let node = new PointCloudOctreeNode();
 
+		if(this.editLayer){
+			this.editLayer.apply(geometryNode);
+		}
+
 		// if(geometryNode.name === "r40206"){
 		//	console.log("creating node for r40206");
 		// }
@@ -312,8 +340,9 @@ export class PointCloudOctree extends PointCloudTree {
 
 	updateMaterial (material, visibleNodes, camera, renderer) {
 		material.fov = camera.fov * (Math.PI / 180);
-		material.screenWidth = renderer.domElement.clientWidth;
-		material.screenHeight = renderer.domElement.clientHeight;
+		let screenSize = Utils.getScreenSize(renderer, camera);
+		material.screenWidth = screenSize.x;
+		material.screenHeight = screenSize.y;
 		material.spacing = this.pcoGeometry.spacing; // * Math.max(this.scale.x, this.scale.y, this.scale.z);
 		material.near = camera.near;
 		material.far = camera.far;
@@ -534,6 +563,25 @@ export class PointCloudOctree extends PointCloudTree {
 		return request;
 	}
 
+	/**
+	 * Camera independent alternative to getPointsInVolume and getPointsInProfile,
+	 * for BoxVolume, SphereVolume, PolygonClipVolume and Profile. See PointExtractor.
+	 *
+	 * for await (let points of pointcloud.extractPoints(volume, {maxLevel})){ ... }
+	 */
+	extractPoints(shape, options = {}){
+		return new PointExtractor(this, shape, options);
+	}
+
+	// attribute edits on top of the loaded nodes, created on first use, see AttributeEditLayer
+	getEditLayer(){
+		if(!this.editLayer){
+			this.editLayer = new AttributeEditLayer(this);
+		}
+
+		return this.editLayer;
+	}
+
 	/**
 	 * returns points inside the profile points
 	 *
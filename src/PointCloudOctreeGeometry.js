@@ -229,10 +229,12 @@ export class PointCloudOctreeGeometryNode extends PointCloudTreeNode{
 				if (xhr.readyState === 4) {
 					if (xhr.status === 200 || xhr.status === 0) {
 						let hbuffer = xhr.response;
+						Potree.numBytesLoaded += hbuffer.byteLength;
 						callback(node, hbuffer);
 					} else {
 						console.log('Failed to load file! HTTP status: ' + xhr.status + ', file: ' + hurl);
 						Potree.numNodesLoading--;
+						Potree.nodeLoadEvents.dispatchEvent({type: "node_load_failed", node: node});
 					}
 				}
 			};
@@ -3,6 +3,7 @@ export * from "./Actions.js";
 export * from "./AnimationPath.js";
 export * from "./Annotation.js";
 export * from "./defines.js";
+export * from "./DEM.js";
 export * from "./Enum.js";
 export * from "./EventDispatcher.js";
 export * from "./Features.js";
@@ -23,6 +24,7 @@ export * from "./WorkerPool.js";
 export * from "./XHRFactory.js";
 export * from "./viewer/SaveProject.js";
 export * from "./viewer/LoadProject.js";
+export * from "./viewer/ProjectSchema.js";
 
 export * from "./materials/ClassificationScheme.js";
 export * from "./materials/EyeDomeLightingMaterial.js";
@@ -38,22 +40,52 @@ export * from "./loader/ept/BinaryLoader.js";
 export * from "./loader/ept/LaszipLoader.js";
 export * from "./loader/ept/ZstandardLoader.js";
 export * from "./loader/PointAttributes.js";
+export * from "./loader/LoaderRegistry.js";
+export * from "./loader/PointCloudLoaders.js";
+export * from "./loader/LasLazFileLoader.js";
+export * from "./loader/PointFileLoader.js";
+export * from "./modules/loader/inmemory/InMemoryOctreeGeometry.js";
+export * from "./modules/loader/inmemory/InMemoryOctreeBuilder.js";
 export * from "./loader/ShapefileLoader.js";
 export * from "./loader/GeoPackageLoader.js";
-
+export * from "./loader/VectorLayer.js";
+export * from "./loader/GeoJSONLoader.js";
+export * from "./loader/KMLLoader.js";
+export * from "./loader/DXFLoader.js";
+
+export * from "./exporter/ExportSink.js";
+export * from "./exporter/CSVExporter.js";
+export * from "./exporter/LASExporter.js";
+export * from "./exporter/DXFProfileExporter.js";
+export * from "./exporter/ProfileDrawingExporter.js";
+export * from "./exporter/CorridorExporter.js";
+export * from "./exporter/GeoTIFFExporter.js";
+
+export * from "./utils/AttributeEditLayer.js";
+export * from "./utils/AttributeEditTool.js";
 export * from "./utils/Box3Helper.js";
+export * from "./utils/ChangeDetection.js";
 export * from "./utils/ClippingTool.js";
 export * from "./utils/ClipVolume.js";
+export * from "./utils/CutFillAnalysis.js";
+export * from "./utils/Epoch.js";
 export * from "./utils/GeoTIFF.js";
 export * from "./utils/Measure.js";
 export * from "./utils/MeasuringTool.js";
 export * from "./utils/Message.js";
 export * from "./utils/PointCloudSM.js";
 export * from "./utils/PolygonClipVolume.js";
+export * from "./utils/PointExtractor.js";
+export * from "./utils/PointRegion.js";
+export * from "./utils/PointStatistics.js";
 export * from "./utils/Profile.js";
 export * from "./utils/ProfileTool.js";
 export * from "./utils/ScreenBoxSelectTool.js";
+export * from "./utils/SelectionSet.js";
+export * from "./utils/SelectionTool.js";
 export * from "./utils/SpotLightHelper.js";
+export * from "./utils/StatisticsAccumulator.js";
+export * from "./utils/Timeline.js";
 export * from "./utils/TransformationTool.js";
 export * from "./utils/Volume.js";
 export * from "./utils/VolumeTool.js";
@@ -61,11 +93,23 @@ export * from "./utils/Compass.js";
 
 export * from "./viewer/viewer.js";
 export * from "./viewer/Scene.js";
+export * from "./viewer/OffscreenViewer.js";
+export * from "./viewer/LoadProgress.js";
+export * from "./viewer/History.js";
+export * from "./viewer/HistoryRecorder.js";
+export * from "./viewer/ViewState.js";
 export * from "./viewer/HierarchicalSlider.js";
 
 export * from "./modules/OrientedImages/OrientedImages.js";
 export * from "./modules/Images360/Images360.js";
 export * from "./modules/CameraAnimation/CameraAnimation.js";
+export * from "./modules/RasterOverlay/RasterLayer.js";
+export * from "./modules/Trajectory/Trajectory.js";
+export * from "./modules/Trajectory/TrajectoryTool.js";
+export * from "./modules/Corridor/Corridor.js";
+export * from "./modules/Corridor/CorridorTool.js";
+export * from "./modules/Collaboration/Transports.js";
+export * from "./modules/Collaboration/CollaborationSession.js";
 
 export * from "./modules/loader/2.0/OctreeLoader.js";
 
@@ -80,14 +124,18 @@ import "./extensions/PerspectiveCamera.js";
 import "./extensions/Ray.js";
 
 import {LRU} from "./LRU.js";
-import {OctreeLoader} from "./modules/loader/2.0/OctreeLoader.js";
-import {POCLoader} from "./loader/POCLoader.js";
-import {CopcLoader, EptLoader} from "./loader/EptLoader.js";
-import {PointCloudOctree} from "./PointCloudOctree.js";
+import {LoaderRegistry} from "./loader/LoaderRegistry.js";
+import {defaultPointCloudLoaders} from "./loader/PointCloudLoaders.js";
 import {WorkerPool} from "./WorkerPool.js";
+import {EventDispatcher} from "./EventDispatcher.js";
 
 export const workerPool = new WorkerPool();
 
+export const loaderRegistry = new LoaderRegistry();
+for(let loader of defaultPointCloudLoaders){
+	loaderRegistry.register(loader);
+}
+
 export const version = {
 	major: 1,
 	minor: 8,
@@ -102,6 +150,10 @@ export let pointBudget = 1 * 1000 * 1000;
 export let framenumber = 0;
 export let numNodesLoading = 0;
 export let maxNodesLoading = 4;
+// bytes of point data and hierarchy downloaded by the node loaders
+export let numBytesLoaded = 0;
+// the node loaders dispatch "node_loaded" and "node_load_failed" with {node}, e.g. for PointExtractor
+export const nodeLoadEvents = new EventDispatcher();
 
 export const debug = {};
 
@@ -128,100 +180,23 @@ let resourcePath = scriptPath + '/resources';
 export {scriptPath, resourcePath};
 
 
-export function loadPointCloud(path, name, callback){
-	let loaded = function(e){
-		e.pointcloud.name = name;
-		callback(e);
-	};
-
-	let promise = new Promise( resolve => {
-
-		// load pointcloud
-		if (!path){
-			// TODO: callback? comment? Hello? Bueller? Anyone?
-		} else if (path.includes('ept.json')) {
-			EptLoader.load(path, function(geometry) {
-				if (!geometry) {
-					console.error(new Error(`failed to load point cloud from URL: ${path}`));
-				}
-				else {
-					let pointcloud = new PointCloudOctree(geometry);
-					resolve({type: 'pointcloud_loaded', pointcloud: pointcloud});
-				}
-			});
-		} else if (path.includes('.copc.laz')) {
-			CopcLoader.load(path, function(geometry) {
-				if (!geometry) {
-					console.error(new Error(`failed to load point cloud from URL: ${path}`));
-				}
-				else {
-					let pointcloud = new PointCloudOctree(geometry);
-					resolve({type: 'pointcloud_loaded', pointcloud: pointcloud});
-				}
-			});
-		} else if (path.indexOf('cloud.js') > 0) {
-			POCLoader.load(path, function (geometry) {
-				if (!geometry) {
-					//callback({type: 'loading_failed'});
-					console.error(new Error(`failed to load point cloud from URL: ${path}`));
-				} else {
-					let pointcloud = new PointCloudOctree(geometry);
-					// loaded(pointcloud);
-					resolve({type: 'pointcloud_loaded', pointcloud: pointcloud});
-				}
-			});
-		} else if (path.indexOf('metadata.json') > 0) {
-			Potree.OctreeLoader.load(path).then(e => {
-				let geometry = e.geometry;
-
-				if(!geometry){
-					console.error(new Error(`failed to load point cloud from URL: ${path}`));
-				}else{
-					let pointcloud = new PointCloudOctree(geometry);
-
-					let aPosition = pointcloud.getAttribute("position");
-
-					let material = pointcloud.material;
-					material.elevationRange = [
-						aPosition.range[0][2],
-						aPosition.range[1][2],
-					];
-
-					// loaded(pointcloud);
-					resolve({type: 'pointcloud_loaded', pointcloud: pointcloud});
-				}
-			});
+/**
+ * Loads a point cloud from a url, or from a File/Blob, with the first registered loader that accepts it.
+ * Resolves to {type: 'pointcloud_loaded', pointcloud} and rejects with a PointCloudLoadError.
+ *
+ * If a callback is given, it is invoked with the same event on success, and failures are logged.
+ */
+export function loadPointCloud(path, name, callback, options = {}){
 
-			OctreeLoader.load(path, function (geometry) {
-				if (!geometry) {
-					//callback({type: 'loading_failed'});
-					console.error(new Error(`failed to load point cloud from URL: ${path}`));
-				} else {
-					let pointcloud = new PointCloudOctree(geometry);
-					// loaded(pointcloud);
-					resolve({type: 'pointcloud_loaded', pointcloud: pointcloud});
-				}
-			});
-		} else if (path.indexOf('.vpc') > 0) {
-			PointCloudArena4DGeometry.load(path, function (geometry) {
-				if (!geometry) {
-					//callback({type: 'loading_failed'});
-					console.error(new Error(`failed to load point cloud from URL: ${path}`));
-				} else {
-					let pointcloud = new PointCloudArena4D(geometry);
-					// loaded(pointcloud);
-					resolve({type: 'pointcloud_loaded', pointcloud: pointcloud});
-				}
-			});
-		} else {
-			//callback({'type': 'loading_failed'});
-			console.error(new Error(`failed to load point cloud from URL: ${path}`));
-		}
+	let promise = loaderRegistry.load(path, options).then(pointcloud => {
+		pointcloud.name = name;
+
+		return {type: 'pointcloud_loaded', pointcloud: pointcloud};
 	});
 
 	if(callback){
-		promise.then(pointcloud => {
-			loaded(pointcloud);
+		promise.then(callback, e => {
+			console.error(e);
 		});
 	}else{
 		return promise;
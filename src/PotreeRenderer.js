@@ -568,6 +568,15 @@ export class Renderer {
 		}
 	}
 
+	deleteTexture(texture) {
+		let webglTexture = this.textures.get(texture);
+
+		if (webglTexture != null) {
+			this.gl.deleteTexture(webglTexture.id);
+			this.textures.delete(texture);
+		}
+	}
+
 	createBuffer(geometry){
 		let gl = this.gl;
 		let webglBuffer = new WebGLBuffer();
@@ -808,6 +817,15 @@ export class Renderer {
 			}
 
 
+			if(material.rasterLayers && material.rasterLayers.length > 0){
+				let worldToUVMatrices = material.rasterLayers
+					.map(layer => new THREE.Matrix4().multiplyMatrices(layer.worldToUV, world));
+
+				let flattenedMatrices = [].concat(...worldToUVMatrices.map(m => m.elements));
+				const lRasterLayerWorldToUV = shader.uniformLocations["uRasterLayerWorldToUV[0]"];
+				gl.uniformMatrix4fv(lRasterLayerWorldToUV, false, flattenedMatrices);
+			}
+
 			//shader.setUniformMatrix4("modelMatrix", world);
 			//shader.setUniformMatrix4("modelViewMatrix", worldView);
 			shader.setUniform1f("uLevel", level);
@@ -935,7 +953,10 @@ export class Renderer {
 				for(let attributeName in geometry.attributes){
 					let attribute = geometry.attributes[attributeName];
 
-					if(attribute.version > webglBuffer.vbos.get(attributeName).version){
+					let vbo = webglBuffer.vbos.get(attributeName);
+
+					// e.g. derived attributes that were added after the node was loaded
+					if(!vbo || attribute.version > vbo.version){
 						this.updateBuffer(geometry);
 					}
 				}
@@ -976,8 +997,7 @@ export class Renderer {
 
 
 				{
-					const attExtra = octree.pcoGeometry.pointAttributes.attributes
-						.find(a => a.name === attName);
+					const attExtra = octree.getAttribute(attName);
 
 					let range = material.getRange(attName);
 					if(!range){
@@ -1001,7 +1021,15 @@ export class Renderer {
 					offset = Number.isNaN(offset) ? 0 : offset;
 
 					shader.setUniform1f("uExtraScale", scale);
-					shader.setUniform1f("uExtraOffset", offset);					
+					shader.setUniform1f("uExtraOffset", offset);
+
+					let filterRange = material.getFilterRange(attName);
+					if(filterRange){
+						shader.setUniform2f("uFilterExtraRange", [
+							(filterRange[0] - initialRange[0]) / initialRangeSize,
+							(filterRange[1] - initialRange[0]) / initialRangeSize,
+						]);
+					}
 				}
 
 			}else{
@@ -1095,6 +1123,7 @@ export class Renderer {
 				let numClipBoxes = (material.clipBoxes && material.clipBoxes.length) ? material.clipBoxes.length : 0;
 				let numClipSpheres = (params.clipSpheres && params.clipSpheres.length) ? params.clipSpheres.length : 0;
 				let numClipPolygons = (material.clipPolygons && material.clipPolygons.length) ? material.clipPolygons.length : 0;
+				let numRasterLayers = material.rasterLayers ? material.rasterLayers.length : 0;
 
 				let defines = [
 					`#define num_shadowmaps ${shadowMaps.length}`,
@@ -1102,6 +1131,7 @@ export class Renderer {
 					`#define num_clipboxes ${numClipBoxes}`,
 					`#define num_clipspheres ${numClipSpheres}`,
 					`#define num_clippolygons ${numClipPolygons}`,
+					`#define num_raster_layers ${numRasterLayers}`,
 				];
 
 
@@ -1367,6 +1397,39 @@ export class Renderer {
 			gl.bindTexture(matcapTexture.target, matcapTexture.id);
 			currentTextureBindingPoint++;
 
+			if (material.rasterLayers && material.rasterLayers.length > 0) {
+				let rasterLayers = material.rasterLayers;
+				let bindingPoints = [];
+
+				for (let layer of rasterLayers) {
+					if (!this.textures.has(layer.texture)) {
+						let texture = layer.texture;
+						this.textures.set(texture, new WebGLTexture(gl, texture));
+
+						// raster layers are disposed when they are removed from the scene
+						let disposeHandler = () => {
+							this.deleteTexture(texture);
+							texture.removeEventListener("dispose", disposeHandler);
+						};
+						texture.addEventListener("dispose", disposeHandler);
+					}
+
+					let webGLTexture = this.textures.get(layer.texture);
+					webGLTexture.update();
+
+					gl.activeTexture(gl.TEXTURE0 + currentTextureBindingPoint);
+					gl.bindTexture(webGLTexture.target, webGLTexture.id);
+					bindingPoints.push(currentTextureBindingPoint);
+					currentTextureBindingPoint++;
+				}
+
+				const lRasterLayer = shader.uniformLocations["uRasterLayer[0]"];
+				gl.uniform1iv(lRasterLayer, bindingPoints);
+
+				const lRasterLayerOpacity = shader.uniformLocations["uRasterLayerOpacity[0]"];
+				gl.uniform1fv(lRasterLayerOpacity, rasterLayers.map(layer => layer.opacity));
+			}
+
 
 			if (material.snapEnabled === true) {
 
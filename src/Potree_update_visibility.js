@@ -2,6 +2,7 @@
 import * as THREE from "../libs/three.js/build/three.module.js";
 import {ClipTask, ClipMethod} from "./defines.js";
 import {Box3Helper} from "./utils/Box3Helper.js";
+import {Utils} from "./utils.js";
 
 export function updatePointClouds(pointclouds, camera, renderer){
 
@@ -122,6 +123,9 @@ export function updateVisibility(pointclouds, camera, renderer){
 
 	let lowestSpacing = Infinity;
 
+	// whether nodes were left out because the global or a point cloud's point budget was reached
+	let budgetSaturated = false;
+
 	// calculate object space frustum and cam pos and setup priority queue
 	let s = updateVisibilityStructures(pointclouds, camera, renderer);
 	let frustums = s.frustums;
@@ -130,8 +134,9 @@ export function updateVisibility(pointclouds, camera, renderer){
 
 	let loadedToGPUThisFrame = 0;
 	
-	let domWidth = renderer.domElement.clientWidth;
-	let domHeight = renderer.domElement.clientHeight;
+	let screenSize = Utils.getScreenSize(renderer, camera);
+	let domWidth = screenSize.x;
+	let domHeight = screenSize.y;
 
 	// check if pointcloud has been transformed
 	// some code will only be executed if changes have been detected
@@ -187,6 +192,9 @@ export function updateVisibility(pointclouds, camera, renderer){
 		let visible = insideFrustum;
 		visible = visible && !(numVisiblePoints + node.getNumPoints() > Potree.pointBudget);
 		visible = visible && !(numVisiblePointsInPointclouds.get(pointcloud) + node.getNumPoints() > pointcloud.pointBudget);
+		if(insideFrustum && numVisiblePointsInPointclouds.get(pointcloud) + node.getNumPoints() > pointcloud.pointBudget){
+			budgetSaturated = true;
+		}
 		visible = visible && level < maxLevel;
 		visible = visible || node.getLevel() <= 2;
 
@@ -289,6 +297,7 @@ export function updateVisibility(pointclouds, camera, renderer){
 		}
 
 		if (numVisiblePoints + node.getNumPoints() > Potree.pointBudget) {
+			budgetSaturated = true;
 			break;
 		}
 
@@ -403,12 +412,14 @@ export function updateVisibility(pointclouds, camera, renderer){
 	}// end priority queue loop
 
 	{ // update DEM
-		let maxDEMLevel = 4;
 		let candidates = pointclouds
-			.filter(p => (p.generateDEM && p.dem instanceof Potree.DEM));
+			.filter(p => p.generateDEM && p.pcoGeometry.root);
 		for (let pointcloud of candidates) {
-			let updatingNodes = pointcloud.visibleNodes.filter(n => n.getLevel() <= maxDEMLevel);
-			pointcloud.dem.update(updatingNodes);
+			if (!(pointcloud.dem instanceof Potree.DEM)) {
+				pointcloud.dem = new Potree.DEM(pointcloud);
+			}
+
+			pointcloud.dem.update(pointcloud.visibleNodes);
 		}
 	}
 
@@ -419,7 +430,13 @@ export function updateVisibility(pointclouds, camera, renderer){
 	return {
 		visibleNodes: visibleNodes,
 		numVisiblePoints: numVisiblePoints,
-		lowestSpacing: lowestSpacing
+		lowestSpacing: lowestSpacing,
+		// visible nodes that are still loading or haven't been uploaded to the GPU yet
+		numPendingNodes: unloadedGeometry.length,
+		// visible nodes that are displayed, and all visible nodes the traversal has found so far
+		numLoadedNodes: visibleNodes.length,
+		numNeededNodes: visibleNodes.length + unloadedGeometry.length,
+		budgetSaturated: budgetSaturated,
 	};
 };
 
@@ -1,9 +1,10 @@
 
+import {writeInChunks} from "./ExportSink.js";
+
 export class CSVExporter {
-	static toString (points) {
-		let string = '';
 
-		let attributes = Object.keys(points.data)
+	static getAttributes (points) {
+		return Object.keys(points.data)
 			.filter(a => a !== 'normal')
 			.sort((a, b) => {
 				if (a === 'position') return -1;
@@ -11,7 +12,9 @@ export class CSVExporter {
 				if (a === 'rgba') return -1;
 				if (b === 'rgba') return 1;
 			});
+	}
 
+	static getHeader (points, attributes) {
 		let headerValues = [];
 		for (let attribute of attributes) {
 			let itemSize = points.data[attribute].length / points.numPoints;
@@ -28,9 +31,14 @@ export class CSVExporter {
 				headerValues.push(attribute);
 			}
 		}
-		string = headerValues.join(', ') + '\n';
 
-		for (let i = 0; i < points.numPoints; i++) {
+		return headerValues.join(', ') + '\n';
+	}
+
+	static getLines (points, attributes, start, end) {
+		let lines = [];
+
+		for (let i = start; i < end; i++) {
 			let values = [];
 
 			for (let attribute of attributes) {
@@ -41,9 +49,43 @@ export class CSVExporter {
 				values.push(value);
 			}
 
-			string += values.join(', ') + '\n';
+			lines.push(values.join(', ') + '\n');
 		}
 
+		return lines.join('');
+	}
+
+	static toString (points) {
+		let attributes = CSVExporter.getAttributes(points);
+
+		let string = CSVExporter.getHeader(points, attributes);
+		string += CSVExporter.getLines(points, attributes, 0, points.numPoints);
+
 		return string;
 	}
+
+	/**
+	 * Formats rows of values, e.g. a report, as CSV lines. Values that contain
+	 * a comma, a quote or a line break are quoted.
+	 */
+	static formatRows (rows) {
+		let escape = (value) => /[",\n]/.test(`${value}`) ? `"${`${value}`.replace(/"/g, '""')}"` : `${value}`;
+
+		return rows.map(row => row.map(escape).join(",")).join("\n") + "\n";
+	}
+
+	/**
+	 * Writes the points chunk by chunk to a sink, see ExportSink.js.
+	 * options: {chunkSize, signal, onProgress}, see writeInChunks
+	 */
+	static async write (points, sink, options = {}) {
+		let attributes = CSVExporter.getAttributes(points);
+
+		await sink.write(CSVExporter.getHeader(points, attributes));
+
+		await writeInChunks(points.numPoints, options, async (start, end) => {
+			await sink.write(CSVExporter.getLines(points, attributes, start, end));
+		});
+	}
+
 };
@@ -0,0 +1,87 @@
+
+import {writeInChunks} from "./ExportSink.js";
+import {ProfileDrawingExporter} from "./ProfileDrawingExporter.js";
+
+/**
+ * Writes the sections of a corridor, as extracted by CorridorTool.extractSections(), together with their stations.
+ * sections: [{section, points}]
+ */
+export class CorridorExporter{
+
+	/**
+	 * One line per point with station, offset from the alignment (positive to the right), x, y, z,
+	 * and intensity and classification if the point clouds have them.
+	 * options: {chunkSize, signal, onProgress}, see writeInChunks
+	 */
+	static async writeCSV(corridor, sections, sink, options = {}){
+		let {onProgress} = options;
+		let numPoints = sections.reduce((sum, {points}) => sum + points.numPoints, 0);
+		let numPointsWritten = 0;
+
+		let attributes = ["intensity", "classification"]
+			.filter(name => sections.some(({points}) => points.data[name]));
+
+		await sink.write(["station", "offset", "x", "y", "z", ...attributes].join(", ") + "\n");
+
+		for(let {section, points} of sections){
+			let {position, mileage} = points.data;
+
+			let chunkOptions = {
+				...options,
+				onProgress: (e) => {
+					if(onProgress){
+						let written = numPointsWritten + e.numPointsWritten;
+						onProgress({numPointsWritten: written, numPoints: numPoints, progress: written / numPoints});
+					}
+				},
+			};
+
+			await writeInChunks(points.numPoints, chunkOptions, async (start, end) => {
+				let lines = [];
+
+				for(let i = start; i < end; i++){
+					let values = [
+						section.station,
+						(mileage[i] - corridor.width / 2).toFixed(3),
+						position[3 * i + 0].toFixed(3),
+						position[3 * i + 1].toFixed(3),
+						position[3 * i + 2].toFixed(3),
+					];
+
+					for(let name of attributes){
+						values.push(points.data[name] ? points.data[name][i] : "");
+					}
+
+					lines.push(values.join(", ") + "\n");
+				}
+
+				await sink.write(lines.join(""));
+			});
+
+			numPointsWritten += points.numPoints;
+		}
+	}
+
+	/**
+	 * One drawing per section with points, see ProfileDrawingExporter.layout(), all at the same scale.
+	 * Returns the drawings, e.g. for ProfileDrawingExporter.toPDF().
+	 */
+	static layout(corridor, sections, options = {}){
+		sections = sections.filter(({points}) => points.numPoints > 0);
+
+		let scale = options.scale;
+		if(!scale){
+			scale = Math.max(...sections.map(({points}) => ProfileDrawingExporter.getFittingScale(points, options)));
+		}
+
+		return sections.map(({section, points}) => ProfileDrawingExporter.layout(points, {
+			...options,
+			title: `${corridor.name} ${section.label}`,
+			scale: scale,
+			xAxis: "offset",
+			startChainage: -corridor.width / 2,
+			station: section.station,
+		}));
+	}
+
+};
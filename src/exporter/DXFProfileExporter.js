@@ -4,6 +4,8 @@
  *
  */
 
+import {writeInChunks} from "./ExportSink.js";
+
 export class DXFProfileExporter {
 
 	static toXYZ(points, flatten = false) {
@@ -113,9 +115,7 @@ ${z}
 		return dxfSection;
 	}
 
-	static toString(points, flatten = false) {
-
-		const pCloud = DXFProfileExporter.toXYZ(points, flatten);
+	static getHeader(pCloud) {
 
 		const dxfHeader = `999
 DXF created from potree
@@ -155,6 +155,15 @@ ${pCloud.maxZ}
 ENDSEC
 `;
 
+		return dxfHeader;
+	}
+
+	static toString(points, flatten = false) {
+
+		const pCloud = DXFProfileExporter.toXYZ(points, flatten);
+
+		const dxfHeader = DXFProfileExporter.getHeader(pCloud);
+
 		let dxfBody = `0
 SECTION
 2
@@ -174,4 +183,34 @@ ENDSEC
 		return dxf;
 	}
 
+	/**
+	 * Writes the points chunk by chunk to a sink, see ExportSink.js.
+	 * options: {flatten, chunkSize, signal, onProgress}, see writeInChunks
+	 */
+	static async write(points, sink, options = {}) {
+
+		const pCloud = DXFProfileExporter.toXYZ(points, options.flatten === true);
+
+		await sink.write(DXFProfileExporter.getHeader(pCloud) + `0
+SECTION
+2
+ENTITIES
+`);
+
+		await writeInChunks(pCloud.numPoints, options, async (start, end) => {
+			const sections = [];
+
+			for (let i = start; i < end; i++) {
+				sections.push(DXFProfileExporter.plotPCloudPoint(pCloud.x[i], pCloud.y[i], pCloud.z[i]));
+			}
+
+			await sink.write(sections.join(''));
+		});
+
+		await sink.write(`0
+ENDSEC
+0
+EOF`);
+	}
+
 }
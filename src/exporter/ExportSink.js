@@ -0,0 +1,107 @@
+
+// Exporters that handle large numbers of points write their output chunk by chunk to a sink.
+// A sink is any object with a write(chunk) method, chunks are strings or ArrayBuffers.
+// write() may return a promise, exporters wait for it before producing the next chunk.
+//
+// e.g. {write: (chunk) => socket.send(chunk)}
+
+/**
+ * Collects the chunks and assembles them into a Blob.
+ * Browsers may keep large blobs on disk, unlike strings or ArrayBuffers of the same size.
+ */
+export class BlobSink{
+
+	constructor(type = "application/octet-stream"){
+		this.type = type;
+		this.chunks = [];
+	}
+
+	write(chunk){
+		this.chunks.push(chunk);
+	}
+
+	toBlob(){
+		return new Blob(this.chunks, {type: this.type});
+	}
+
+};
+
+/**
+ * Forwards the chunks to a WritableStream, e.g. a FileSystemWritableFileStream
+ * obtained through window.showSaveFilePicker(). Strings are encoded as UTF-8.
+ */
+export class WritableStreamSink{
+
+	constructor(stream){
+		this.writer = stream.getWriter();
+		this.encoder = new TextEncoder();
+	}
+
+	async write(chunk){
+		await this.writer.ready;
+
+		if(typeof chunk === "string"){
+			chunk = this.encoder.encode(chunk);
+		}
+
+		await this.writer.write(chunk);
+	}
+
+	close(){
+		return this.writer.close();
+	}
+
+	abort(reason){
+		return this.writer.abort(reason);
+	}
+
+};
+
+/**
+ * Calls writeChunk(start, end) for consecutive ranges of points, and gives the browser
+ * a chance to render and handle input in between.
+ *
+ * options:
+ *   chunkSize: number of points per chunk
+ *   signal: an AbortSignal, aborting rejects with signal.reason
+ *   onProgress: called after each chunk with {numPointsWritten, numPoints, progress}
+ */
+export async function writeInChunks(numPoints, options, writeChunk){
+	let {chunkSize = 50 * 1000, signal, onProgress} = options;
+
+	for(let start = 0; start < numPoints; start += chunkSize){
+		if(signal){
+			signal.throwIfAborted();
+		}
+
+		let end = Math.min(start + chunkSize, numPoints);
+
+		await writeChunk(start, end);
+
+		if(onProgress){
+			onProgress({numPointsWritten: end, numPoints: numPoints, progress: end / numPoints});
+		}
+
+		await new Promise(resolve => setTimeout(resolve, 0));
+	}
+
+	if(signal){
+		signal.throwIfAborted();
+	}
+}
+
+/**
+ * Lets the user save a blob under the given file name.
+ */
+export function downloadBlob(blob, filename){
+	let url = URL.createObjectURL(blob);
+
+	let link = document.createElement("a");
+	link.href = url;
+	link.download = filename;
+	document.body.appendChild(link);
+	link.click();
+	document.body.removeChild(link);
+
+	setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+}
@@ -0,0 +1,380 @@
+
+import * as THREE from "../../libs/three.js/build/three.module.js";
+import {GeoTIFF} from "../utils/GeoTIFF.js";
+import {PointExtractor} from "../utils/PointExtractor.js";
+
+const {IFDEntry, Tag, Type} = GeoTIFF;
+
+// see GeoTIFF specification, section 6.2
+const GeoKey = {
+	GT_MODEL_TYPE: 1024,
+	GT_RASTER_TYPE: 1025,
+	GT_CITATION: 1026,
+	GEOGRAPHIC_TYPE: 2048,
+	PROJECTED_CS_TYPE: 3072,
+};
+
+const USER_DEFINED = 32767;
+
+/**
+ * Rasterizes point clouds into georeferenced GeoTIFFs, e.g. surface models or orthophotos.
+ *
+ * The area is a PolygonClipVolume, or any other shape supported by the PointExtractor.
+ * GeoTIFFExporter.getViewFrustum(camera) returns the currently visible extent.
+ *
+ * Rasters are oriented north up, with square pixels of the given ground sampling distance.
+ * Cells without points are set to the nodata value of the raster.
+ *
+ * attributes:
+ *   "elevation": float, highest point per cell. options.elevation "min" or "mean" for other statistics
+ *   "intensity": float, mean intensity per cell
+ *   "rgb": 8 bit RGBA, mean color per cell. Cells without points are transparent
+ *   "classification": 8 bit, class of the highest point per cell
+ */
+export class GeoTIFFExporter{
+
+	static getViewFrustum(camera){
+		camera.updateMatrixWorld();
+
+		let viewProj = new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+
+		return new THREE.Frustum().setFromProjectionMatrix(viewProj);
+	}
+
+	// deepest level whose point spacing is still larger than the ground sampling distance
+	static getLevelForGSD(pointcloud, gsd){
+		let spacing = pointcloud.pcoGeometry.spacing * pointcloud.scale.x;
+
+		if(!(spacing > 0)){
+			return Infinity;
+		}
+
+		return Math.max(0, Math.ceil(Math.log2(spacing / gsd)));
+	}
+
+	/**
+	 * options:
+	 *   attribute: "elevation", "intensity", "rgb" or "classification"
+	 *   gsd: ground sampling distance, i.e. size of a pixel in scene units
+	 *   elevation: "max", "min" or "mean", only used for the elevation attribute
+	 *   maxLevel: deepest octree level, derived from the gsd by default
+	 *   signal, onProgress: see PointExtractor
+	 */
+	static async rasterize(pointclouds, shape, options = {}){
+		let {attribute = "elevation", gsd = 1, elevation = "max", signal, onProgress} = options;
+
+		if(!(gsd > 0)){
+			throw new Error(`invalid ground sampling distance: ${gsd}`);
+		}
+
+		let getValue = {
+			"elevation": (points, i) => points.data.position[3 * i + 2],
+			"intensity": (points, i) => points.data.intensity ? points.data.intensity[i] : undefined,
+			"rgb": (points, i) => points.data.rgba ? points.data.rgba[4 * i + 0] : undefined,
+			"classification": (points, i) => points.data.classification ? points.data.classification[i] : undefined,
+		}[attribute];
+
+		if(!getValue){
+			throw new Error(`can't rasterize attribute ${attribute}`);
+		}
+
+		// the extent is only known once all points are in, so the points are accumulated in tiles
+		// of pixels that are allocated as they're reached. Pixels are aligned to multiples of the gsd,
+		// rows run from north to south.
+		let tileSize = GeoTIFFExporter.tileSize;
+		let channels = attribute === "rgb" ? 3 : 1;
+		let tiles = new Map();
+		let bounds = {minCol: Infinity, maxCol: -Infinity, minRow: Infinity, maxRow: -Infinity};
+		let numPoints = 0;
+
+		let getTile = (tx, ty) => {
+			// unique as long as rows are within +-2^33, i.e. for any realistic coordinates and gsd
+			let key = tx * 2 ** 26 + ty;
+			let tile = tiles.get(key);
+
+			if(!tile){
+				tile = {
+					tx: tx,
+					ty: ty,
+					count: new Uint32Array(tileSize * tileSize),
+					top: new Float64Array(tileSize * tileSize).fill(-Infinity),
+					accumulated: new Float64Array(channels * tileSize * tileSize),
+				};
+
+				if(attribute === "elevation" && elevation === "min"){
+					tile.accumulated.fill(Infinity);
+				}
+
+				tiles.set(key, tile);
+			}
+
+			return tile;
+		};
+
+		let add = (points) => {
+			let position = points.data.position;
+			let tile = null;
+
+			for(let i = 0; i < points.numPoints; i++){
+				let x = position[3 * i + 0];
+				let y = position[3 * i + 1];
+				let z = position[3 * i + 2];
+
+				let col = Math.floor(x / gsd);
+				let row = Math.floor(-y / gsd);
+				let tx = Math.floor(col / tileSize);
+				let ty = Math.floor(row / tileSize);
+
+				// points of a node are close to each other, most of them are in the same tile
+				if(!tile || tile.tx !== tx || tile.ty !== ty){
+					tile = getTile(tx, ty);
+				}
+
+				bounds.minCol = Math.min(bounds.minCol, col);
+				bounds.maxCol = Math.max(bounds.maxCol, col);
+				bounds.minRow = Math.min(bounds.minRow, row);
+				bounds.maxRow = Math.max(bounds.maxRow, row);
+
+				let pixel = (col - tx * tileSize) + (row - ty * tileSize) * tileSize;
+				let {count, top, accumulated} = tile;
+
+				count[pixel]++;
+
+				if(attribute === "rgb"){
+					let rgba = points.data.rgba;
+					accumulated[3 * pixel + 0] += rgba[4 * i + 0];
+					accumulated[3 * pixel + 1] += rgba[4 * i + 1];
+					accumulated[3 * pixel + 2] += rgba[4 * i + 2];
+				}else if(attribute === "classification" || (attribute === "elevation" && elevation === "max")){
+					if(z > top[pixel]){
+						top[pixel] = z;
+						accumulated[pixel] = getValue(points, i);
+					}
+				}else if(attribute === "elevation" && elevation === "min"){
+					accumulated[pixel] = Math.min(accumulated[pixel], z);
+				}else{
+					accumulated[pixel] += getValue(points, i);
+				}
+			}
+		};
+
+		let getSize = () => [bounds.maxCol - bounds.minCol + 1, bounds.maxRow - bounds.minRow + 1];
+
+		for(let pointcloud of pointclouds){
+			let maxLevel = options.maxLevel !== undefined
+				? options.maxLevel
+				: GeoTIFFExporter.getLevelForGSD(pointcloud, gsd);
+
+			let numPointsBefore = numPoints;
+
+			let extractor = new PointExtractor(pointcloud, shape, {
+				maxLevel: maxLevel,
+				signal: signal,
+				onProgress: (progress) => {
+					if(onProgress){
+						onProgress({...progress, numPoints: numPointsBefore + progress.numPoints});
+					}
+				},
+			});
+
+			for await (let points of extractor){
+				if(points.numPoints === 0 || getValue(points, 0) === undefined){
+					continue;
+				}
+
+				add(points);
+				numPoints += points.numPoints;
+
+				let [width, height] = getSize();
+				if(width * height > GeoTIFFExporter.maxPixels){
+					throw new Error(`raster of ${width} x ${height} pixels is too large, increase the ground sampling distance`);
+				}
+			}
+		}
+
+		if(tiles.size === 0){
+			throw new Error(`no points with attribute ${attribute} in the selected area`);
+		}
+
+		let [width, height] = getSize();
+		let numPixels = width * height;
+
+		let raster = {
+			attribute: attribute,
+			width: width,
+			height: height,
+			origin: [bounds.minCol * gsd, -bounds.minRow * gsd],
+			gsd: gsd,
+		};
+
+		let averaged = attribute === "intensity" || (attribute === "elevation" && elevation === "mean");
+		let data = null;
+
+		if(attribute === "rgb"){
+			// cells without points are transparent
+			data = new Uint8Array(4 * numPixels);
+			raster.nodata = null;
+		}else if(attribute === "classification"){
+			data = new Uint8Array(numPixels).fill(255);
+			raster.nodata = 255;
+		}else{
+			data = new Float32Array(numPixels).fill(GeoTIFFExporter.nodata);
+			raster.nodata = GeoTIFFExporter.nodata;
+		}
+
+		for(let {tx, ty, count, accumulated} of tiles.values()){
+			for(let j = 0; j < tileSize; j++){
+				for(let i = 0; i < tileSize; i++){
+					let local = i + j * tileSize;
+					let n = count[local];
+
+					if(n === 0){
+						continue;
+					}
+
+					let pixel = (tx * tileSize + i - bounds.minCol) + (ty * tileSize + j - bounds.minRow) * width;
+
+					if(attribute === "rgb"){
+						data[4 * pixel + 0] = Math.round(accumulated[3 * local + 0] / n);
+						data[4 * pixel + 1] = Math.round(accumulated[3 * local + 1] / n);
+						data[4 * pixel + 2] = Math.round(accumulated[3 * local + 2] / n);
+						data[4 * pixel + 3] = 255;
+					}else{
+						data[pixel] = averaged ? accumulated[local] / n : accumulated[local];
+					}
+				}
+			}
+		}
+
+		raster.data = data;
+
+		return raster;
+	}
+
+	// EPSG code of a "EPSG:xxxx" string, a proj4 string or WKT, or null if it can't be determined
+	static getEPSGCode(projection){
+		if(!projection){
+			return null;
+		}
+
+		let match = projection.match(/^\s*EPSG:(\d+)\s*$/i)
+			|| projection.match(/\+init=epsg:(\d+)/i);
+
+		if(match){
+			return parseInt(match[1]);
+		}
+
+		let utm = projection.match(/\+proj=utm.*\+zone=(\d+)/);
+		if(utm && /WGS84/i.test(projection)){
+			let zone = parseInt(utm[1]);
+
+			return (/\+south/.test(projection) ? 32700 : 32600) + zone;
+		}
+
+		// WKT 1 and 2 list the identifier of the whole CRS last
+		let ids = [...projection.matchAll(/(?:AUTHORITY|ID)\[\s*"EPSG"\s*,\s*"?(\d+)"?\s*\]/gi)];
+		if(ids.length > 0){
+			return parseInt(ids[ids.length - 1][1]);
+		}
+
+		return null;
+	}
+
+	static isGeographic(projection, epsg){
+		return epsg === 4326
+			|| /^\s*(GEOGCS|GEOGCRS|GEOGRAPHICCRS)\[/i.test(projection)
+			|| /\+proj=(longlat|latlong)/.test(projection);
+	}
+
+	// GeoKeyDirectory and GeoAsciiParams entries for the given projection
+	static getGeoKeyEntries(projection){
+		let epsg = GeoTIFFExporter.getEPSGCode(projection);
+		let geographic = projection ? GeoTIFFExporter.isGeographic(projection, epsg) : false;
+
+		let keys = [
+			[GeoKey.GT_MODEL_TYPE, 0, 1, geographic ? 2 : 1],
+			[GeoKey.GT_RASTER_TYPE, 0, 1, 1], // PixelIsArea
+		];
+
+		let asciiParams = "";
+
+		if(projection){
+			// keep the original definition for reference, GeoTIFF ascii params are terminated by "|"
+			let citation = projection.replace(/[|\n\r]/g, " ").replace(/[^\x20-\x7e]/g, "") + "|";
+			keys.push([GeoKey.GT_CITATION, Tag.GEO_ASCII_PARAMS.value, citation.length, asciiParams.length]);
+			asciiParams += citation;
+
+			let code = (epsg !== null && epsg <= 0xffff) ? epsg : USER_DEFINED;
+			keys.push([geographic ? GeoKey.GEOGRAPHIC_TYPE : GeoKey.PROJECTED_CS_TYPE, 0, 1, code]);
+		}
+
+		keys.sort((a, b) => a[0] - b[0]);
+
+		let directory = new Uint16Array([1, 1, 0, keys.length, ...keys.flat()]);
+
+		let entries = [
+			new IFDEntry(Tag.GEO_KEY_DIRECTORY, Type.SHORT, directory.length, null, directory),
+		];
+
+		if(asciiParams.length > 0){
+			asciiParams += "\0";
+			entries.push(new IFDEntry(Tag.GEO_ASCII_PARAMS, Type.ASCII, asciiParams.length, null, asciiParams));
+		}
+
+		return entries;
+	}
+
+	static toTiffBuffer(raster, projection){
+		let {width, height, gsd, origin} = raster;
+
+		let ifdEntries = [
+			new IFDEntry(Tag.MODEL_PIXEL_SCALE, Type.DOUBLE, 3, null, new Float64Array([gsd, gsd, 0])),
+			new IFDEntry(Tag.MODEL_TIEPOINT, Type.DOUBLE, 6, null, new Float64Array([0, 0, 0, origin[0], origin[1], 0])),
+			...GeoTIFFExporter.getGeoKeyEntries(projection),
+		];
+
+		if(raster.nodata !== null){
+			let nodata = `${raster.nodata}\0`;
+			ifdEntries.push(new IFDEntry(Tag.GDAL_NODATA, Type.ASCII, nodata.length, null, nodata));
+		}
+
+		let params = {ifdEntries};
+
+		if(raster.data instanceof Float32Array){
+			params.bitsPerSample = [32];
+			params.sampleFormat = 3;
+			params.photometric = 1;
+		}else if(raster.attribute === "rgb"){
+			params.bitsPerSample = [8, 8, 8, 8];
+		}else{
+			params.bitsPerSample = [8];
+			params.photometric = 1;
+		}
+
+		let image = new GeoTIFF.Image();
+		image.width = width;
+		image.height = height;
+		image.buffer = new Uint8Array(raster.data.buffer);
+
+		let {buffer} = GeoTIFF.Exporter.toTiffBuffer(image, params);
+
+		return buffer;
+	}
+
+	/**
+	 * Rasterizes the points of the given point clouds within shape and returns the GeoTIFF file.
+	 * options: see rasterize(). options.projection: WKT, proj4 or "EPSG:xxxx" definition of the scene
+	 */
+	static async toGeoTIFF(pointclouds, shape, options = {}){
+		let raster = await GeoTIFFExporter.rasterize(pointclouds, shape, options);
+
+		return GeoTIFFExporter.toTiffBuffer(raster, options.projection);
+	}
+
+};
+
+GeoTIFFExporter.nodata = -9999;
+GeoTIFFExporter.maxPixels = 8192 * 8192;
+
+// width and height of the blocks of pixels that points are accumulated in, see rasterize()
+GeoTIFFExporter.tileSize = 256;
@@ -1,5 +1,7 @@
 
 import * as THREE from "../../libs/three.js/build/three.module.js";
+import {Points} from "../Points.js";
+import {writeInChunks} from "./ExportSink.js";
 
 export class LASExporter {
 	static toLAS (points) {
@@ -147,4 +149,587 @@ export class LASExporter {
 		return buffer;
 	}
 	
+	/**
+	 * Writes LAS 1.4 with point format 6 to 10. In addition to the attributes
+	 * of toLAS, GPS time, scan angle, user data, point source id and NIR are preserved.
+	 * All other attributes are stored as extra bytes.
+	 *
+	 * options:
+	 *   pointFormat: 6 to 10. Defaults to 6, 7 or 8 depending on whether colors and NIR are available.
+	 *     Formats 9 and 10 are written without waveform packets.
+	 *   projection: the coordinate reference system as WKT, stored in a WKT VLR. proj4 strings and EPSG codes
+	 *     of WGS84 and its UTM zones are converted to WKT, others can't be stored and are dropped with a warning.
+	 *   gpsTimeType: "week" or "adjusted", defaults to "adjusted"
+	 */
+	static toLAS14 (points, options = {}) {
+		let {header, recordLength, writePoint} = LASExporter.prepareLAS14(points, options);
+
+		let buffer = new ArrayBuffer(header.byteLength + recordLength * points.numPoints);
+		let view = new DataView(buffer);
+		new Uint8Array(buffer).set(new Uint8Array(header));
+
+		for (let i = 0; i < points.numPoints; i++) {
+			writePoint(view, header.byteLength + i * recordLength, i);
+		}
+
+		return buffer;
+	}
+
+	/**
+	 * Same as toLAS14, but writes the points chunk by chunk to a sink, see ExportSink.js.
+	 * options additionally accepts {chunkSize, signal, onProgress}, see writeInChunks
+	 *
+	 * Resolves to {projectionDropped}, true if options.projection couldn't be stored.
+	 */
+	static async write (points, sink, options = {}) {
+		let {header, recordLength, writePoint, projectionDropped} = LASExporter.prepareLAS14(points, options);
+
+		await sink.write(header);
+
+		await writeInChunks(points.numPoints, options, async (start, end) => {
+			let chunk = new ArrayBuffer(recordLength * (end - start));
+			let view = new DataView(chunk);
+
+			for (let i = start; i < end; i++) {
+				writePoint(view, (i - start) * recordLength, i);
+			}
+
+			await sink.write(chunk);
+		});
+
+		return {projectionDropped};
+	}
+
+	/**
+	 * Writes batches of points, e.g. of a PointExtractor, as one LAS 1.4 file without holding all of them in memory.
+	 * The records of each batch are encoded right away and kept as Blobs, which browsers may keep on disk.
+	 * The header depends on all points and is written once the last batch is in.
+	 *
+	 * The point format and extra bytes follow the first batch. Later batches that lack
+	 * an attribute get 0, attributes the first batch doesn't have are dropped.
+	 *
+	 * options: see toLAS14, and additionally
+	 *   boundingBox: contains all points, determines offset and scale. Defaults to the box of the first batch.
+	 *   signal: an AbortSignal, aborting rejects with signal.reason
+	 *   onProgress: called after each batch with {numPoints}
+	 *
+	 * Resolves to {projectionDropped}, see write.
+	 */
+	static async writeBatches (batches, sink, options = {}) {
+		let {signal, onProgress} = options;
+		let layout = null;
+		let offsetAndScale = null;
+		let summary = null;
+		let parts = [];
+
+		for await (let points of batches) {
+			if (signal) {
+				signal.throwIfAborted();
+			}
+
+			if (!layout) {
+				layout = LASExporter.getLayout(points, options);
+				offsetAndScale = LASExporter.getOffsetAndScale(options.boundingBox || points.boundingBox);
+			}
+
+			let {recordLength, writePoint} = LASExporter.prepareLAS14(points, Object.assign({}, options, offsetAndScale, {layout}));
+
+			let records = new ArrayBuffer(recordLength * points.numPoints);
+			let view = new DataView(records);
+			for (let i = 0; i < points.numPoints; i++) {
+				writePoint(view, i * recordLength, i);
+			}
+			parts.push(new Blob([records]));
+
+			summary = LASExporter.mergeSummaries(summary, LASExporter.summarize(points, layout));
+
+			if (onProgress) {
+				onProgress({numPoints: summary.numPoints});
+			}
+		}
+
+		if (signal) {
+			signal.throwIfAborted();
+		}
+
+		if (!layout) {
+			layout = LASExporter.getLayout(new Points(), options);
+			offsetAndScale = LASExporter.getOffsetAndScale(options.boundingBox || new THREE.Box3(new THREE.Vector3(), new THREE.Vector3()));
+			summary = LASExporter.summarize(new Points(), layout);
+		}
+
+		let {header, projectionDropped} = LASExporter.prepareLAS14(new Points(), Object.assign({}, options, offsetAndScale, {layout, summary}));
+		await sink.write(header);
+
+		for (let part of parts) {
+			if (signal) {
+				signal.throwIfAborted();
+			}
+
+			await sink.write(await part.arrayBuffer());
+		}
+
+		return {projectionDropped};
+	}
+
+	// Returns the header including VLRs, and a function that writes the i-th point record at the given offset.
+	// options.layout, options.summary and options.offset/scale override what is otherwise derived from the points,
+	// so that batches of points can be written as one file, see writeBatches.
+	static prepareLAS14 (points, options) {
+
+		let data = points.data;
+		let layout = options.layout || LASExporter.getLayout(points, options);
+		let summary = options.summary || LASExporter.summarize(points, layout);
+		let {pointFormat, extraBytes} = layout;
+		let standard = LASExporter.findStandardAttributes(data);
+
+		let hasColor = [7, 8, 10].includes(pointFormat);
+		let hasNIR = [8, 10].includes(pointFormat);
+
+		let vlrs = [];
+
+		if (extraBytes.length > 0) {
+			let descriptors = new ArrayBuffer(192 * extraBytes.length);
+			let view = new DataView(descriptors);
+
+			for (let i = 0; i < extraBytes.length; i++) {
+				let {name, type} = extraBytes[i];
+				let {min, max} = summary.ranges[i];
+				let o = 192 * i;
+
+				view.setUint8(o + 2, type.id);
+
+				// min and max are only valid if there are points
+				if (summary.numPoints > 0) {
+					view.setUint8(o + 3, 0b0110);
+					LASExporter.writeAnyType(view, o + 64, type, min);
+					LASExporter.writeAnyType(view, o + 88, type, max);
+				}
+
+				LASExporter.setString(name, o + 4, 32, descriptors);
+			}
+
+			vlrs.push({userID: "LASF_Spec", recordID: 4, description: "Extra Bytes", data: descriptors});
+		}
+
+		let wkt = options.projection ? LASExporter.toWKT(options.projection) : null;
+		let projectionDropped = Boolean(options.projection) && !wkt;
+		if (projectionDropped) {
+			console.warn(`LASExporter: can't convert the projection ${options.projection} to WKT, the LAS file has no CRS`);
+		}
+
+		if (wkt) {
+			let bytes = new TextEncoder().encode(wkt);
+			let buffer = new ArrayBuffer(bytes.length + 1);
+			new Uint8Array(buffer).set(bytes);
+
+			vlrs.push({userID: "LASF_Projection", recordID: 2112, description: "OGC WKT", data: buffer});
+		}
+
+		let headerSize = 375;
+		let vlrSize = vlrs.reduce((sum, vlr) => sum + 54 + vlr.data.byteLength, 0);
+		let offsetToPointData = headerSize + vlrSize;
+		let extraBytesSize = extraBytes.reduce((sum, e) => sum + e.type.size, 0);
+		let recordLength = LASExporter.pointFormatSizes[pointFormat] + extraBytesSize;
+
+		let {offset, scale} = options.offset ? options : LASExporter.getOffsetAndScale(summary.boundingBox);
+		let boundingBox = summary.boundingBox;
+
+		let buffer = new ArrayBuffer(offsetToPointData);
+		let view = new DataView(buffer);
+		let u8View = new Uint8Array(buffer);
+
+		LASExporter.setString('LASF', 0, 4, buffer);
+
+		// global encoding: adjusted standard GPS time, CRS is WKT (mandatory for formats 6 to 10)
+		let gpsTimeType = options.gpsTimeType === "week" ? 0 : 1;
+		view.setUint16(6, gpsTimeType | 0b10000, true);
+
+		u8View[24] = 1;
+		u8View[25] = 4;
+
+		LASExporter.setString('Potree', 26, 32, buffer);
+		LASExporter.setString(`Potree ${Potree.version.major}.${Potree.version.minor}`, 58, 32, buffer);
+
+		let now = new Date();
+		let dayOfYear = Math.floor((now - new Date(now.getFullYear(), 0, 0)) / (24 * 60 * 60 * 1000));
+		view.setUint16(90, dayOfYear, true);
+		view.setUint16(92, now.getFullYear(), true);
+
+		view.setUint16(94, headerSize, true);
+		view.setUint32(96, offsetToPointData, true);
+		view.setUint32(100, vlrs.length, true);
+		u8View[104] = pointFormat;
+		view.setUint16(105, recordLength, true);
+
+		// legacy point counts remain 0 for formats 6 to 10
+
+		view.setFloat64(131, scale.x, true);
+		view.setFloat64(139, scale.y, true);
+		view.setFloat64(147, scale.z, true);
+		view.setFloat64(155, offset.x, true);
+		view.setFloat64(163, offset.y, true);
+		view.setFloat64(171, offset.z, true);
+		view.setFloat64(179, boundingBox.max.x, true);
+		view.setFloat64(187, boundingBox.min.x, true);
+		view.setFloat64(195, boundingBox.max.y, true);
+		view.setFloat64(203, boundingBox.min.y, true);
+		view.setFloat64(211, boundingBox.max.z, true);
+		view.setFloat64(219, boundingBox.min.z, true);
+
+		view.setBigUint64(247, BigInt(summary.numPoints), true);
+
+		let vlrOffset = headerSize;
+		for (let vlr of vlrs) {
+			LASExporter.setString(vlr.userID, vlrOffset + 2, 16, buffer);
+			view.setUint16(vlrOffset + 18, vlr.recordID, true);
+			view.setUint16(vlrOffset + 20, vlr.data.byteLength, true);
+			LASExporter.setString(vlr.description, vlrOffset + 22, 32, buffer);
+			u8View.set(new Uint8Array(vlr.data), vlrOffset + 54);
+
+			vlrOffset += 54 + vlr.data.byteLength;
+		}
+
+		for (let i = 0; i < 15; i++) {
+			view.setBigUint64(255 + 8 * i, BigInt(summary.numPointsByReturn[i]), true);
+		}
+
+		let position = data.position;
+		let pointFormatSize = LASExporter.pointFormatSizes[pointFormat];
+		let extraArrays = extraBytes.map(e => data[e.attribute]);
+
+		let writePoint = (view, o, i) => {
+			view.setInt32(o + 0, Math.round((position[3 * i + 0] - offset.x) / scale.x), true);
+			view.setInt32(o + 4, Math.round((position[3 * i + 1] - offset.y) / scale.y), true);
+			view.setInt32(o + 8, Math.round((position[3 * i + 2] - offset.z) / scale.z), true);
+
+			if (standard.intensity) {
+				view.setUint16(o + 12, standard.intensity[i], true);
+			}
+
+			let returnNumber = standard.returnNumber ? standard.returnNumber[i] : 1;
+			let numberOfReturns = standard.numberOfReturns ? standard.numberOfReturns[i] : 1;
+			view.setUint8(o + 14, (returnNumber & 0b1111) | ((numberOfReturns & 0b1111) << 4));
+
+			let flags = 0;
+			if (standard.classificationFlags) {
+				flags |= standard.classificationFlags[i] & 0b1111;
+			}
+			if (standard.scannerChannel) {
+				flags |= (standard.scannerChannel[i] & 0b11) << 4;
+			}
+			if (standard.scanDirectionFlag) {
+				flags |= (standard.scanDirectionFlag[i] & 0b1) << 6;
+			}
+			if (standard.edgeOfFlightLine) {
+				flags |= (standard.edgeOfFlightLine[i] & 0b1) << 7;
+			}
+			view.setUint8(o + 15, flags);
+
+			if (standard.classification) {
+				view.setUint8(o + 16, standard.classification[i]);
+			}
+
+			if (standard.userData) {
+				view.setUint8(o + 17, standard.userData[i]);
+			}
+
+			// scan angle in increments of 0.006 degrees
+			if (standard.scanAngle) {
+				view.setInt16(o + 18, standard.scanAngle[i], true);
+			} else if (standard.scanAngleRank) {
+				view.setInt16(o + 18, Math.round(standard.scanAngleRank[i] / 0.006), true);
+			}
+
+			if (standard.pointSourceID) {
+				view.setUint16(o + 20, standard.pointSourceID[i], true);
+			}
+
+			if (standard.gpsTime) {
+				view.setFloat64(o + 22, standard.gpsTime[i], true);
+			}
+
+			if (hasColor && standard.rgba) {
+				view.setUint16(o + 30, standard.rgba[4 * i + 0] * 257, true);
+				view.setUint16(o + 32, standard.rgba[4 * i + 1] * 257, true);
+				view.setUint16(o + 34, standard.rgba[4 * i + 2] * 257, true);
+			}
+
+			if (hasNIR && standard.nir) {
+				view.setUint16(o + 36, standard.nir[i], true);
+			}
+
+			// waveform packets of formats 9 and 10 remain empty
+
+			let eo = o + pointFormatSize;
+			for (let j = 0; j < extraBytes.length; j++) {
+				let {stride, element, type} = extraBytes[j];
+
+				if (extraArrays[j]) {
+					type.write(view, eo, extraArrays[j][stride * i + element]);
+				}
+				eo += type.size;
+			}
+		};
+
+		return {header: buffer, recordLength, writePoint, projectionDropped};
+	}
+
+	static findStandardAttributes (data) {
+		let standard = {};
+
+		for (let [key, names] of Object.entries(LASExporter.standardAttributes)) {
+			let name = names.find(name => data[name] !== undefined);
+
+			standard[key] = name !== undefined ? data[name] : null;
+		}
+
+		return standard;
+	}
+
+	// the point format, and the attributes that don't fit into it and are stored as extra bytes
+	static getLayout (points, options) {
+		let data = points.data;
+		let standard = LASExporter.findStandardAttributes(data);
+		let reserved = new Set([].concat(...Object.values(LASExporter.standardAttributes), "position", "indices", "mileage"));
+
+		let pointFormat = options.pointFormat;
+		if (pointFormat === undefined) {
+			if (standard.nir) {
+				pointFormat = 8;
+			} else if (standard.rgba) {
+				pointFormat = 7;
+			} else {
+				pointFormat = 6;
+			}
+		}
+
+		if (!LASExporter.pointFormatSizes[pointFormat]) {
+			throw new Error(`unsupported point format ${pointFormat}, expected 6 to 10`);
+		}
+
+		let extraBytes = [];
+		for (let name of Object.keys(data)) {
+			if (reserved.has(name)) {
+				continue;
+			}
+
+			let array = data[name];
+			let type = LASExporter.extraBytesTypes.find(t => array instanceof t.TypedArray);
+			let numElements = array.length / points.numPoints;
+
+			if (!type || numElements !== Math.floor(numElements)) {
+				console.warn(`LASExporter: skipping attribute ${name} of unsupported type`);
+				continue;
+			}
+
+			for (let j = 0; j < numElements; j++) {
+				let elementName = numElements === 1 ? name : `${name} ${"xyzw"[j] || j}`;
+
+				extraBytes.push({
+					name: elementName.substring(0, 32),
+					attribute: name,
+					stride: numElements,
+					element: j,
+					type: type,
+				});
+			}
+		}
+
+		return {pointFormat, extraBytes};
+	}
+
+	// the header fields that depend on all points: count, bounding box, points by return and extra bytes ranges
+	static summarize (points, layout) {
+		let data = points.data;
+		let returnNumbers = LASExporter.findStandardAttributes(data).returnNumber;
+
+		let numPointsByReturn = new Array(15).fill(0);
+		for (let i = 0; i < points.numPoints; i++) {
+			let returnNumber = returnNumbers ? returnNumbers[i] : 1;
+
+			if (returnNumber >= 1 && returnNumber <= 15) {
+				numPointsByReturn[returnNumber - 1]++;
+			}
+		}
+
+		let ranges = layout.extraBytes.map(({attribute, stride, element}) => {
+			let array = data[attribute];
+			let min = Infinity;
+			let max = -Infinity;
+
+			if (array) {
+				for (let i = 0; i < points.numPoints; i++) {
+					let value = array[stride * i + element];
+					min = Math.min(min, value);
+					max = Math.max(max, value);
+				}
+			} else if (points.numPoints > 0) {
+				// missing attributes are written as 0
+				min = 0;
+				max = 0;
+			}
+
+			return {min, max};
+		});
+
+		return {
+			numPoints: points.numPoints,
+			boundingBox: points.boundingBox.clone(),
+			numPointsByReturn: numPointsByReturn,
+			ranges: ranges,
+		};
+	}
+
+	static mergeSummaries (a, b) {
+		if (!a) {
+			return b;
+		}
+
+		return {
+			numPoints: a.numPoints + b.numPoints,
+			boundingBox: a.boundingBox.clone().union(b.boundingBox),
+			numPointsByReturn: a.numPointsByReturn.map((n, i) => n + b.numPointsByReturn[i]),
+			ranges: a.ranges.map((range, i) => ({
+				min: Math.min(range.min, b.ranges[i].min),
+				max: Math.max(range.max, b.ranges[i].max),
+			})),
+		};
+	}
+
+	static getOffsetAndScale (boundingBox) {
+		let offset = boundingBox.min.clone();
+		let diagonal = boundingBox.min.distanceTo(boundingBox.max);
+		let scale = new THREE.Vector3(0.001, 0.001, 0.001);
+		if (diagonal > 1000 * 1000) {
+			scale = new THREE.Vector3(0.01, 0.01, 0.01);
+		}
+
+		return {offset, scale};
+	}
+
+	static setString (string, offset, maxLength, buffer) {
+		let view = new Uint8Array(buffer);
+		let n = Math.min(string.length, maxLength);
+
+		for (let i = 0; i < n; i++) {
+			view[offset + i] = string.charCodeAt(i);
+		}
+	}
+
+	// 8 byte value of an extra bytes descriptor, e.g. min or max
+	static writeAnyType (view, offset, type, value) {
+		if (type.TypedArray === Float32Array || type.TypedArray === Float64Array) {
+			view.setFloat64(offset, value, true);
+		} else if (type.TypedArray.name.startsWith("Uint")) {
+			view.setBigUint64(offset, BigInt(value), true);
+		} else {
+			view.setBigInt64(offset, BigInt(value), true);
+		}
+	}
+
+	static isWKT (projection) {
+		return /^\s*(PROJCS|GEOGCS|GEOCCS|COMPD_CS|VERT_CS|LOCAL_CS|PROJCRS|GEOGCRS|GEODCRS|COMPOUNDCRS|VERTCRS|BOUNDCRS)\s*\[/i.test(projection);
+	}
+
+	// WKT of the projection, or null if it can't be converted.
+	// Converts WGS84 and its UTM zones, given as proj4 strings or EPSG codes.
+	static toWKT (projection) {
+		if (LASExporter.isWKT(projection)) {
+			return projection;
+		}
+
+		let epsg = /^\s*EPSG:(\d+)\s*$/i.exec(projection);
+		if (epsg) {
+			let code = parseInt(epsg[1]);
+
+			if (code === 4326) {
+				return LASExporter.wgs84WKT;
+			} else if ((code > 32600 && code <= 32660) || (code > 32700 && code <= 32760)) {
+				return LASExporter.utmWKT(code % 100, code > 32700);
+			} else {
+				return null;
+			}
+		}
+
+		let params = {};
+		for (let token of projection.trim().split(/\s+/)) {
+			let [key, value] = token.replace(/^\+/, "").split("=");
+			params[key] = value !== undefined ? value : true;
+		}
+
+		let known = ["proj", "zone", "south", "datum", "ellps", "units", "towgs84", "no_defs", "type"];
+		let isWGS84 = (params.datum === "WGS84" || (params.datum === undefined && params.ellps === "WGS84"))
+			&& (params.ellps === undefined || params.ellps === "WGS84")
+			&& (params.towgs84 === undefined || String(params.towgs84).split(",").every(v => parseFloat(v) === 0));
+
+		if (!isWGS84 || Object.keys(params).some(key => !known.includes(key))) {
+			return null;
+		}
+
+		let zone = parseInt(params.zone);
+		if (params.proj === "longlat" && params.zone === undefined && params.units === undefined) {
+			return LASExporter.wgs84WKT;
+		} else if (params.proj === "utm" && zone >= 1 && zone <= 60 && (params.units === undefined || params.units === "m")) {
+			return LASExporter.utmWKT(zone, params.south !== undefined);
+		} else {
+			return null;
+		}
+	}
+
+	static utmWKT (zone, south) {
+		let name = `WGS 84 / UTM zone ${zone}${south ? "S" : "N"}`;
+		let code = (south ? 32700 : 32600) + zone;
+
+		return `PROJCS["${name}",${LASExporter.wgs84WKT},`
+			+ `PROJECTION["Transverse_Mercator"],`
+			+ `PARAMETER["latitude_of_origin",0],`
+			+ `PARAMETER["central_meridian",${6 * zone - 183}],`
+			+ `PARAMETER["scale_factor",0.9996],`
+			+ `PARAMETER["false_easting",500000],`
+			+ `PARAMETER["false_northing",${south ? 10000000 : 0}],`
+			+ `UNIT["metre",1,AUTHORITY["EPSG","9001"]],`
+			+ `AXIS["Easting",EAST],AXIS["Northing",NORTH],`
+			+ `AUTHORITY["EPSG","${code}"]]`;
+	}
+
 }
+
+// attributes with a dedicated field in point formats 6 to 10, and the names they go by
+LASExporter.standardAttributes = {
+	rgba:                ["rgba", "color", "rgb"],
+	intensity:           ["intensity"],
+	returnNumber:        ["return number", "returnNumber"],
+	numberOfReturns:     ["number of returns", "numberOfReturns"],
+	classification:      ["classification"],
+	classificationFlags: ["classification flags"],
+	scannerChannel:      ["scanner channel"],
+	scanDirectionFlag:   ["scan direction flag"],
+	edgeOfFlightLine:    ["edge of flight line"],
+	userData:            ["user data"],
+	scanAngle:           ["scan angle"],
+	scanAngleRank:       ["scan angle rank"],
+	pointSourceID:       ["point source id", "source id", "pointSourceID"],
+	gpsTime:             ["gps-time", "gpsTime"],
+	nir:                 ["nir", "NIR", "near infrared"],
+};
+
+LASExporter.wgs84WKT = 'GEOGCS["WGS 84",'
+	+ 'DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563,AUTHORITY["EPSG","7030"]],AUTHORITY["EPSG","6326"]],'
+	+ 'PRIMEM["Greenwich",0,AUTHORITY["EPSG","8901"]],'
+	+ 'UNIT["degree",0.0174532925199433,AUTHORITY["EPSG","9122"]],'
+	+ 'AUTHORITY["EPSG","4326"]]';
+
+LASExporter.pointFormatSizes = {6: 30, 7: 36, 8: 38, 9: 59, 10: 67};
+
+// data types of the extra bytes VLR
+LASExporter.extraBytesTypes = [
+	{id: 1,  size: 1, TypedArray: Uint8Array,   write: (view, o, v) => view.setUint8(o, v)},
+	{id: 2,  size: 1, TypedArray: Int8Array,    write: (view, o, v) => view.setInt8(o, v)},
+	{id: 3,  size: 2, TypedArray: Uint16Array,  write: (view, o, v) => view.setUint16(o, v, true)},
+	{id: 4,  size: 2, TypedArray: Int16Array,   write: (view, o, v) => view.setInt16(o, v, true)},
+	{id: 5,  size: 4, TypedArray: Uint32Array,  write: (view, o, v) => view.setUint32(o, v, true)},
+	{id: 6,  size: 4, TypedArray: Int32Array,   write: (view, o, v) => view.setInt32(o, v, true)},
+	{id: 9,  size: 4, TypedArray: Float32Array, write: (view, o, v) => view.setFloat32(o, v, true)},
+	{id: 10, size: 8, TypedArray: Float64Array, write: (view, o, v) => view.setFloat64(o, v, true)},
+];
@@ -0,0 +1,595 @@
+
+// Paper sizes in mm, landscape
+const paperSizes = {
+	A4: [297, 210],
+	A3: [420, 297],
+	A2: [594, 420],
+	A1: [841, 594],
+	A0: [1189, 841],
+};
+
+// Helvetica advance widths of the characters 32 - 126, in 1/1000 of the font size
+const helveticaWidths = [
+	278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+	556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+	1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+	667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+	333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+	556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+function textWidth(text, size, bold){
+	let width = 0;
+	for(let i = 0; i < text.length; i++){
+		let code = text.charCodeAt(i);
+		width += (code >= 32 && code <= 126) ? helveticaWidths[code - 32] : 556;
+	}
+
+	return width * size * (bold ? 1.07 : 1) / 1000;
+}
+
+// smallest of 1, 2, 5, 10, 20, 50, ... that is >= value
+function niceStep(value, factors = [1, 2, 5, 10]){
+	let exponent = Math.pow(10, Math.floor(Math.log10(value)));
+
+	for(let factor of factors){
+		if(factor * exponent >= value * (1 - 1e-9)){
+			return factor * exponent;
+		}
+	}
+
+	return 10 * exponent;
+}
+
+function decimals(step){
+	return Math.max(0, -Math.floor(Math.log10(step) + 1e-9));
+}
+
+function num(value){
+	return Number(value.toFixed(3)).toString();
+}
+
+function getPaperSize(paper){
+	let size = Array.isArray(paper) ? paper : paperSizes[paper];
+
+	if(!size){
+		throw new Error(`unknown paper size ${paper}`);
+	}
+
+	return size;
+}
+
+// the area of the sheet that shows the points, in mm
+function getPlotArea(width, height){
+	let margin = 10;
+	let plot = {
+		left: margin + 24,
+		right: width - margin - 6,
+		top: margin + 8,
+		bottom: height - margin - 32 - 16,
+	};
+	plot.width = plot.right - plot.left;
+	plot.height = plot.bottom - plot.top;
+
+	return plot;
+}
+
+// [min, max] of mileage and elevation
+function getExtent(points){
+	let mileage = points.data.mileage;
+	let position = points.data.position;
+
+	let min = [Infinity, Infinity];
+	let max = [-Infinity, -Infinity];
+	for(let i = 0; i < points.numPoints; i++){
+		let m = mileage[i];
+		let z = position[3 * i + 2];
+
+		min = [Math.min(min[0], m), Math.min(min[1], z)];
+		max = [Math.max(max[0], m), Math.max(max[1], z)];
+	}
+
+	return [min, max];
+}
+
+/**
+ * Creates scaled 2D cross-section drawings of profiles, e.g. for plans and reports.
+ *
+ * layout() arranges the drawing on a sheet of paper: points, ground line, chainage axis,
+ * elevation grid, user labels and dimensions, scale bar and title block. The result is a list
+ * of elements in mm, with y pointing down, that toSVG() and toPDF() write to the respective format.
+ * Horizontal distances are drawn at 1:scale, elevations at 1:(scale / verticalExaggeration).
+ */
+export class ProfileDrawingExporter{
+
+	/**
+	 * points: profile points with mileage and position attributes, elevations in position[3 * i + 2]
+	 *
+	 * options:
+	 *   title, paper ("A4" - "A0", landscape, or [width, height] in mm),
+	 *   scale (e.g. 500 for 1:500, chosen to fit the profile if not set), verticalExaggeration,
+	 *   startChainage: the chainage at mileage 0,
+	 *   xAxis: "chainage", or "offset" for cross-sections, whose mileage minus startChainage is the offset from the alignment
+	 *   station: the station of a cross-section, shown in the title block
+	 *   labels: [{mileage, elevation, text}],
+	 *   dimensions: [{start: {mileage, elevation}, end: {mileage, elevation}, text}],
+	 *   includePoints, maxPoints, groundClasses: classifications used for the ground line
+	 */
+	static layout(points, options = {}){
+		let {
+			title = "Profile",
+			paper = "A3",
+			scale = null,
+			verticalExaggeration = 1,
+			startChainage = 0,
+			xAxis = "chainage",
+			station = null,
+			unit = "m",
+			labels = [],
+			dimensions = [],
+			includePoints = true,
+			maxPoints = 20 * 1000,
+			groundClasses = [2],
+			date = new Date(),
+		} = options;
+
+		if(points.numPoints === 0){
+			throw new Error("the profile contains no points");
+		}
+
+		let [width, height] = getPaperSize(paper);
+		let mileage = points.data.mileage;
+		let position = points.data.position;
+		let [min, max] = getExtent(points);
+		let margin = 10;
+		let plot = getPlotArea(width, height);
+
+		let ve = verticalExaggeration;
+		if(!scale){
+			scale = ProfileDrawingExporter.getFittingScale(points, options);
+		}
+
+		// mm on paper per unit
+		let kx = 1000 / scale;
+		let kz = kx * ve;
+
+		let m0 = (min[0] + max[0]) / 2 - plot.width / 2 / kx;
+		let z0 = (min[1] + max[1]) / 2 - plot.height / 2 / kz;
+		let m1 = m0 + plot.width / kx;
+		let z1 = z0 + plot.height / kz;
+		let toPaper = (m, z) => [plot.left + (m - m0) * kx, plot.bottom - (z - z0) * kz];
+
+		let elements = [];
+		let line = (points, stroke = "#000000", lineWidth = 0.25, dash = null) => {
+			elements.push({type: "line", points, stroke, lineWidth, dash});
+		};
+		let text = (x, y, text, params = {}) => {
+			elements.push({type: "text", x, y, text, size: 2.5, anchor: "start", angle: 0, bold: false, ...params});
+		};
+
+		{ // grid and axes
+			let stepX = niceStep(25 / kx);
+			let stepZ = niceStep(12 / kz);
+
+			// grid lines at round chainages
+			for(let i = Math.ceil((m0 + startChainage) / stepX); i * stepX <= m1 + startChainage; i++){
+				let chainage = i * stepX;
+				let [x] = toPaper(chainage - startChainage, 0);
+
+				line([[x, plot.top], [x, plot.bottom]], "#c8c8c8", 0.1);
+				line([[x, plot.bottom], [x, plot.bottom + 1.5]]);
+				let label = xAxis === "offset"
+					? chainage.toFixed(decimals(stepX))
+					: ProfileDrawingExporter.formatChainage(chainage, decimals(stepX));
+				text(x, plot.bottom + 5, label, {anchor: "middle"});
+			}
+
+			// center line of cross-sections
+			if(xAxis === "offset" && m0 + startChainage < 0 && m1 + startChainage > 0){
+				let [x] = toPaper(-startChainage, 0);
+
+				line([[x, plot.top], [x, plot.bottom]], "#000000", 0.18, [6, 1.5, 1, 1.5]);
+			}
+
+			for(let i = Math.ceil(z0 / stepZ); i * stepZ <= z1; i++){
+				let z = i * stepZ;
+				let [, y] = toPaper(0, z);
+
+				line([[plot.left, y], [plot.right, y]], "#c8c8c8", 0.1);
+				line([[plot.left - 1.5, y], [plot.left, y]]);
+				text(plot.left - 2.5, y + 0.9, z.toFixed(decimals(stepZ)), {anchor: "end"});
+			}
+
+			elements.push({type: "rect", x: plot.left, y: plot.top, width: plot.width, height: plot.height, stroke: "#000000", lineWidth: 0.25});
+
+			let xTitle = xAxis === "offset" ? "Offset" : "Chainage";
+			text((plot.left + plot.right) / 2, plot.bottom + 11, `${xTitle} [${unit}]`, {anchor: "middle"});
+			text(plot.left - 19, (plot.top + plot.bottom) / 2, `Elevation [${unit}]`, {anchor: "middle", angle: 90});
+		}
+
+		{ // points and ground line, clipped to the plot
+			let clipped = [];
+
+			if(includePoints){
+				let stride = Math.max(1, Math.ceil(points.numPoints / maxPoints));
+				let positions = [];
+				for(let i = 0; i < points.numPoints; i += stride){
+					positions.push(...toPaper(mileage[i], position[3 * i + 2]));
+				}
+
+				clipped.push({type: "dots", positions, radius: 0.15, fill: "#a0a0a0"});
+			}
+
+			let spacing = 1 / kx;
+			let ground = ProfileDrawingExporter.computeGroundLine(points, spacing, groundClasses);
+			for(let segment of ground){
+				clipped.push({
+					type: "line",
+					points: segment.map(([m, z]) => toPaper(m, z)),
+					stroke: "#000000",
+					lineWidth: 0.35
+				});
+			}
+
+			elements.push({type: "group", clip: {x: plot.left, y: plot.top, width: plot.width, height: plot.height}, elements: clipped});
+		}
+
+		for(let label of labels){
+			let [x, y] = toPaper(label.mileage, label.elevation);
+
+			line([[x - 0.8, y], [x + 0.8, y]], "#000000", 0.2);
+			line([[x, y - 0.8], [x, y + 0.8]], "#000000", 0.2);
+			line([[x, y], [x + 3, y - 3]], "#000000", 0.15);
+			text(x + 3.5, y - 3.5, label.text);
+		}
+
+		for(let dimension of dimensions){
+			let {start, end} = dimension;
+			let a = toPaper(start.mileage, start.elevation);
+			let b = toPaper(end.mileage, end.elevation);
+
+			let length = Math.hypot(end.mileage - start.mileage, end.elevation - start.elevation);
+			let label = dimension.text || `${length.toFixed(2)} ${unit}`;
+
+			// direction on paper, flipped so that the text reads from left to right
+			let dx = b[0] - a[0];
+			let dy = b[1] - a[1];
+			if(dx < 0 || (dx === 0 && dy > 0)){
+				[dx, dy] = [-dx, -dy];
+			}
+			let l = Math.hypot(dx, dy) || 1;
+			let [ux, uy] = [dx / l, dy / l];
+			let [nx, ny] = [uy, -ux];
+
+			line([a, b], "#000000", 0.18);
+			for(let [x, y] of [a, b]){
+				line([[x - 1, y + 1], [x + 1, y - 1]], "#000000", 0.35);
+			}
+
+			let angle = -Math.atan2(uy, ux) * 180 / Math.PI;
+			let cx = (a[0] + b[0]) / 2 + 1.2 * nx;
+			let cy = (a[1] + b[1]) / 2 + 1.2 * ny;
+			text(cx, cy, label, {anchor: "middle", angle});
+		}
+
+		{ // scale bar
+			let x = margin + 6;
+			let y = height - margin - 14;
+			let length = niceStep(40 / kx);
+			let segments = 4;
+			let segmentWidth = length * kx / segments;
+
+			for(let i = 0; i < segments; i++){
+				elements.push({
+					type: "rect",
+					x: x + i * segmentWidth, y: y, width: segmentWidth, height: 1.5,
+					stroke: "#000000", fill: i % 2 === 0 ? "#000000" : "#ffffff", lineWidth: 0.15
+				});
+			}
+
+			let digits = decimals(length / 2);
+			text(x, y + 5, "0", {anchor: "middle"});
+			text(x + 2 * segmentWidth, y + 5, (length / 2).toFixed(digits), {anchor: "middle"});
+			text(x + 4 * segmentWidth, y + 5, `${length.toFixed(digits)} ${unit}`, {anchor: "middle"});
+			text(x, y - 3, `H 1:${num(scale)}   V 1:${num(scale / ve)}`);
+		}
+
+		{ // title block
+			let blockWidth = 110;
+			let x = width - margin - blockWidth;
+			let y = height - margin - 32;
+
+			elements.push({type: "rect", x: x, y: y, width: blockWidth, height: 32, stroke: "#000000", lineWidth: 0.35});
+
+			let chainages = [min[0], max[0]].map(m => ProfileDrawingExporter.formatChainage(m + startChainage, 2));
+			let rows = [
+				["Horizontal scale", `1:${num(scale)}`],
+				["Vertical scale", `1:${num(scale / ve)}` + (ve !== 1 ? ` (exaggeration ${num(ve)}x)` : "")],
+				station !== null
+					? ["Station", ProfileDrawingExporter.formatChainage(station, 2)]
+					: ["Chainage", `${chainages[0]} - ${chainages[1]}`],
+				["Date", date.toISOString().slice(0, 10)],
+			];
+
+			text(x + 3, y + 8, title, {size: 5, bold: true});
+
+			for(let i = 0; i < rows.length; i++){
+				let rowY = y + 12 + 5 * i;
+
+				line([[x, rowY], [x + blockWidth, rowY]], "#000000", 0.15);
+				text(x + 3, rowY + 3.6, rows[i][0]);
+				text(x + 35, rowY + 3.6, rows[i][1]);
+			}
+			line([[x + 32, y + 12], [x + 32, y + 32]], "#000000", 0.15);
+		}
+
+		elements.push({type: "rect", x: margin, y: margin, width: width - 2 * margin, height: height - 2 * margin, stroke: "#000000", lineWidth: 0.5});
+
+		return {
+			width: width,
+			height: height,
+			scale: scale,
+			verticalScale: scale / ve,
+			elements: elements,
+		};
+	}
+
+	/**
+	 * The smallest round scale, e.g. 200 for 1:200, at which the points fit on the paper.
+	 * Takes the paper and verticalExaggeration options of layout().
+	 */
+	static getFittingScale(points, options = {}){
+		let {paper = "A3", verticalExaggeration = 1} = options;
+
+		let [width, height] = getPaperSize(paper);
+		let plot = getPlotArea(width, height);
+		let [min, max] = getExtent(points);
+
+		let required = Math.max(
+			(max[0] - min[0]) * 1000 / plot.width,
+			(max[1] - min[1]) * verticalExaggeration * 1000 / plot.height,
+			0.001);
+
+		return niceStep(1.05 * required, [1, 2, 2.5, 5, 10]);
+	}
+
+	/**
+	 * The lowest points along the profile, in bins of the given spacing.
+	 * Only points of the given classes are used if the profile contains any.
+	 * Returns the continuous runs of bins as lists of [mileage, elevation].
+	 */
+	static computeGroundLine(points, spacing, groundClasses = [2]){
+		let {mileage, position, classification} = points.data;
+
+		let useClass = false;
+		if(classification){
+			for(let i = 0; i < points.numPoints && !useClass; i++){
+				useClass = groundClasses.includes(classification[i]);
+			}
+		}
+
+		let bins = new Map();
+		for(let i = 0; i < points.numPoints; i++){
+			if(useClass && !groundClasses.includes(classification[i])){
+				continue;
+			}
+
+			let bin = Math.floor(mileage[i] / spacing);
+			let z = position[3 * i + 2];
+			let current = bins.get(bin);
+
+			if(!current || z < current[1]){
+				bins.set(bin, [mileage[i], z]);
+			}
+		}
+
+		let keys = [...bins.keys()].sort((a, b) => a - b);
+		let segments = [];
+		let segment = null;
+		for(let i = 0; i < keys.length; i++){
+			if(!segment || keys[i] - keys[i - 1] > 2){
+				segment = [];
+				segments.push(segment);
+			}
+
+			segment.push(bins.get(keys[i]));
+		}
+
+		return segments.filter(s => s.length > 1);
+	}
+
+	// e.g. 1234.5 -> "1+234.50"
+	static formatChainage(value, digits = 2){
+		let factor = Math.pow(10, digits);
+		let rounded = Math.round(Math.abs(value) * factor) / factor;
+		let km = Math.floor(rounded / 1000);
+		let rest = (rounded - km * 1000).toFixed(digits).padStart(digits > 0 ? 4 + digits : 3, "0");
+		let sign = value < 0 && rounded > 0 ? "-" : "";
+
+		return `${sign}${km}+${rest}`;
+	}
+
+	static toSVG(drawing){
+		let escape = (text) => String(text)
+			.replace(/&/g, "&amp;")
+			.replace(/</g, "&lt;")
+			.replace(/>/g, "&gt;")
+			.replace(/"/g, "&quot;");
+
+		let clipID = 0;
+		let write = (elements, indent) => {
+			let lines = [];
+
+			for(let element of elements){
+				if(element.type === "group"){
+					let {x, y, width, height} = element.clip;
+					let id = `clip${clipID++}`;
+
+					lines.push(`${indent}<clipPath id="${id}"><rect x="${num(x)}" y="${num(y)}" width="${num(width)}" height="${num(height)}"/></clipPath>`);
+					lines.push(`${indent}<g clip-path="url(#${id})">`);
+					lines.push(...write(element.elements, indent + "\t"));
+					lines.push(`${indent}</g>`);
+				}else if(element.type === "line"){
+					let d = element.points.map(([x, y], i) => `${i === 0 ? "M" : "L"}${num(x)} ${num(y)}`).join("");
+
+					let dash = element.dash ? ` stroke-dasharray="${element.dash.join(" ")}"` : "";
+
+					lines.push(`${indent}<path d="${d}" fill="none" stroke="${element.stroke}" stroke-width="${element.lineWidth}" stroke-linejoin="round"${dash}/>`);
+				}else if(element.type === "rect"){
+					lines.push(`${indent}<rect x="${num(element.x)}" y="${num(element.y)}" width="${num(element.width)}" height="${num(element.height)}" `
+						+ `fill="${element.fill || "none"}" stroke="${element.stroke || "none"}" stroke-width="${element.lineWidth || 0}"/>`);
+				}else if(element.type === "dots"){
+					let d = "";
+					for(let i = 0; i < element.positions.length; i += 2){
+						d += `M${num(element.positions[i])} ${num(element.positions[i + 1])}h0`;
+					}
+
+					lines.push(`${indent}<path d="${d}" stroke="${element.fill}" stroke-width="${2 * element.radius}" stroke-linecap="round"/>`);
+				}else if(element.type === "text"){
+					let anchor = element.anchor !== "start" ? ` text-anchor="${element.anchor}"` : "";
+					let weight = element.bold ? ` font-weight="bold"` : "";
+					let transform = element.angle ? ` transform="rotate(${num(-element.angle)} ${num(element.x)} ${num(element.y)})"` : "";
+
+					lines.push(`${indent}<text x="${num(element.x)}" y="${num(element.y)}" font-size="${element.size}"${anchor}${weight}${transform}>${escape(element.text)}</text>`);
+				}
+			}
+
+			return lines;
+		};
+
+		let {width, height} = drawing;
+
+		return [
+			`<?xml version="1.0" encoding="UTF-8"?>`,
+			`<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">`,
+			`\t<rect x="0" y="0" width="${width}" height="${height}" fill="#ffffff"/>`,
+			...write(drawing.elements, "\t"),
+			`</svg>`,
+		].join("\n");
+	}
+
+	/**
+	 * A PDF with one page per drawing and the standard Helvetica fonts. The returned string only contains ASCII characters.
+	 */
+	static toPDF(drawings){
+		drawings = Array.isArray(drawings) ? drawings : [drawings];
+		let mm = 72 / 25.4;
+
+		let color = (hex) => {
+			let value = parseInt(hex.slice(1), 16);
+			return [value >> 16, (value >> 8) & 0xff, value & 0xff].map(c => num(c / 255)).join(" ");
+		};
+
+		let escape = (text) => {
+			let result = "";
+			for(let char of String(text)){
+				let code = char.charCodeAt(0);
+
+				if(char === "(" || char === ")" || char === "\\"){
+					result += "\\" + char;
+				}else if(code >= 32 && code <= 126){
+					result += char;
+				}else if(code >= 160 && code <= 255){
+					result += "\\" + code.toString(8);
+				}else{
+					result += "?";
+				}
+			}
+			return result;
+		};
+
+		// page coordinates in mm with y pointing up
+		let write = (elements, height) => {
+			let ops = [];
+
+			for(let element of elements){
+				if(element.type === "group"){
+					let {x, y, width: w, height: h} = element.clip;
+
+					ops.push("q");
+					ops.push(`${num(x)} ${num(height - y - h)} ${num(w)} ${num(h)} re W n`);
+					ops.push(...write(element.elements, height));
+					ops.push("Q");
+				}else if(element.type === "line"){
+					let path = element.points.map(([x, y], i) => `${num(x)} ${num(height - y)} ${i === 0 ? "m" : "l"}`);
+
+					let dash = element.dash ? element.dash.map(num).join(" ") : "";
+
+					ops.push(`${color(element.stroke)} RG ${num(element.lineWidth)} w 1 j 0 J [${dash}] 0 d`);
+					ops.push(...path, "S");
+				}else if(element.type === "rect"){
+					let rect = `${num(element.x)} ${num(height - element.y - element.height)} ${num(element.width)} ${num(element.height)} re`;
+
+					ops.push(`${num(element.lineWidth || 0)} w 0 j 0 J [] 0 d`);
+					if(element.fill && element.stroke){
+						ops.push(`${color(element.fill)} rg ${color(element.stroke)} RG ${rect} B`);
+					}else if(element.fill){
+						ops.push(`${color(element.fill)} rg ${rect} f`);
+					}else{
+						ops.push(`${color(element.stroke)} RG ${rect} S`);
+					}
+				}else if(element.type === "dots"){
+					ops.push(`${color(element.fill)} RG ${num(2 * element.radius)} w 1 J [] 0 d`);
+
+					for(let i = 0; i < element.positions.length; i += 2){
+						let x = num(element.positions[i]);
+						let y = num(height - element.positions[i + 1]);
+
+						ops.push(`${x} ${y} m ${x} ${y} l S`);
+					}
+				}else if(element.type === "text"){
+					let offset = 0;
+					if(element.anchor === "middle"){
+						offset = textWidth(element.text, element.size, element.bold) / 2;
+					}else if(element.anchor === "end"){
+						offset = textWidth(element.text, element.size, element.bold);
+					}
+
+					let angle = (element.angle || 0) * Math.PI / 180;
+					let [c, s] = [Math.cos(angle), Math.sin(angle)];
+					let x = element.x - offset * c;
+					let y = height - element.y - offset * s;
+					let font = element.bold ? "F2" : "F1";
+
+					ops.push(`0 0 0 rg BT /${font} ${num(element.size)} Tf ${num(c)} ${num(s)} ${num(-s)} ${num(c)} ${num(x)} ${num(y)} Tm (${escape(element.text)}) Tj ET`);
+				}
+			}
+
+			return ops;
+		};
+
+		// objects 1 - 4 are the catalog, the page tree and the fonts, followed by page and content of each drawing
+		let pageIDs = drawings.map((drawing, i) => 5 + 2 * i);
+		let objects = [
+			`<< /Type /Catalog /Pages 2 0 R >>`,
+			`<< /Type /Pages /Kids [${pageIDs.map(id => `${id} 0 R`).join(" ")}] /Count ${drawings.length} >>`,
+			`<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>`,
+			`<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>`,
+		];
+
+		drawings.forEach((drawing, i) => {
+			let {width, height} = drawing;
+			let content = [`${num(mm)} 0 0 ${num(mm)} 0 0 cm`, ...write(drawing.elements, height)].join("\n");
+
+			objects.push(
+				`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width * mm)} ${num(height * mm)}] `
+					+ `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIDs[i] + 1} 0 R >>`,
+				`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+		});
+
+		let pdf = "%PDF-1.4\n";
+		let offsets = [];
+		objects.forEach((object, i) => {
+			offsets.push(pdf.length);
+			pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+		});
+
+		let xref = pdf.length;
+		pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+		pdf += offsets.map(offset => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+		pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+		return pdf;
+	}
+
+};
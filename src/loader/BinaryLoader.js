@@ -37,6 +37,7 @@ export class BinaryLoader{
 			if (xhr.readyState === 4) {
 				if((xhr.status === 200 || xhr.status === 0) &&  xhr.response !== null){
 					let buffer = xhr.response;
+					Potree.numBytesLoaded += buffer.byteLength;
 					this.parse(node, buffer);
 				} else {
 					//console.error(`Failed to load file! HTTP status: ${xhr.status}, file: ${url}`);
@@ -133,6 +134,7 @@ export class BinaryLoader{
 			node.loading = false;
 			node.estimatedSpacing = data.estimatedSpacing;
 			Potree.numNodesLoading--;
+			Potree.nodeLoadEvents.dispatchEvent({type: "node_loaded", node: node});
 		};
 
 		let message = {
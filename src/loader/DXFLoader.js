@@ -0,0 +1,394 @@
+
+import {VectorLayer} from "./VectorLayer.js";
+
+// the standard AutoCAD colors 1-9, 250-255 are shades of gray
+const aciColors = {
+	1: [255, 0, 0],
+	2: [255, 255, 0],
+	3: [0, 255, 0],
+	4: [0, 255, 255],
+	5: [0, 0, 255],
+	6: [255, 0, 255],
+	7: [255, 255, 255],
+	8: [128, 128, 128],
+	9: [192, 192, 192],
+};
+
+function toHex(rgb){
+	return "#" + rgb.map(v => Math.round(v).toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Approximation of the AutoCAD Color Index.
+ * Colors 10-249 cycle through 24 hues in steps of 15 degrees,
+ * with 5 decreasing brightness levels at full and half saturation each.
+ */
+function aciToHex(index){
+	if(aciColors[index]){
+		return toHex(aciColors[index]);
+	}else if(index >= 250 && index <= 255){
+		let gray = 51 + (index - 250) * 40.8;
+
+		return toHex([gray, gray, gray]);
+	}else if(index >= 10 && index <= 249){
+		let hue = Math.floor((index - 10) / 10) * 15;
+		let variant = (index - 10) % 10;
+		let brightness = [1.0, 0.8, 0.6, 0.5, 0.3][variant >> 1];
+		let saturation = variant % 2 === 0 ? 1.0 : 0.5;
+
+		let f = (n) => {
+			let k = (n + hue / 60) % 6;
+
+			return brightness * (1 - saturation * Math.max(0, Math.min(k, 4 - k, 1)));
+		};
+
+		return toHex([f(5), f(3), f(1)].map(v => 255 * v));
+	}else{
+		return toHex(aciColors[7]);
+	}
+}
+
+// polyline vertices with bulges, i.e. arc segments, resolved into straight segments
+function resolveBulges(vertices, closed){
+	let result = [];
+	let numSegments = closed ? vertices.length : vertices.length - 1;
+
+	for(let i = 0; i < vertices.length; i++){
+		let a = vertices[i];
+		result.push(a.position);
+
+		if(i >= numSegments || !a.bulge){
+			continue;
+		}
+
+		let b = vertices[(i + 1) % vertices.length];
+		let [x0, y0, z0] = a.position;
+		let [x1, y1] = b.position;
+
+		// the bulge is the tangent of a quarter of the included angle
+		let angle = 4 * Math.atan(a.bulge);
+		let chord = Math.hypot(x1 - x0, y1 - y0);
+		let radius = chord / (2 * Math.sin(angle / 2));
+		let centerDistance = radius * Math.cos(angle / 2);
+
+		let mx = (x0 + x1) / 2;
+		let my = (y0 + y1) / 2;
+		let nx = -(y1 - y0) / chord;
+		let ny = (x1 - x0) / chord;
+		let cx = mx + nx * centerDistance;
+		let cy = my + ny * centerDistance;
+
+		let startAngle = Math.atan2(y0 - cy, x0 - cx);
+		let n = Math.max(2, Math.ceil(Math.abs(angle) / (Math.PI / 32)));
+
+		for(let j = 1; j < n; j++){
+			let t = startAngle + angle * j / n;
+
+			result.push([cx + Math.abs(radius) * Math.cos(t), cy + Math.abs(radius) * Math.sin(t), z0]);
+		}
+	}
+
+	if(closed){
+		result.push(result[0]);
+	}
+
+	return result;
+}
+
+function arc(cx, cy, cz, radius, startAngle, endAngle){
+	if(endAngle <= startAngle){
+		endAngle += 2 * Math.PI;
+	}
+
+	let n = Math.max(2, Math.ceil((endAngle - startAngle) / (Math.PI / 32)));
+	let coordinates = [];
+
+	for(let i = 0; i <= n; i++){
+		let t = startAngle + (endAngle - startAngle) * i / n;
+
+		coordinates.push([cx + radius * Math.cos(t), cy + radius * Math.sin(t), cz]);
+	}
+
+	return coordinates;
+}
+
+/**
+ * Loads ASCII DXF files as a VectorLayer.
+ *
+ * Supported entities are POINT, LINE, LWPOLYLINE, POLYLINE, CIRCLE, ARC, TEXT, MTEXT and 3DFACE.
+ * Closed polylines become polygons. Blocks are not expanded.
+ * Features have the properties layer, entity, handle and text, and are colored by the entity or layer color.
+ *
+ * DXF has no projection, coordinates are assumed to be in the projection of the point cloud.
+ * Features whose vertices are all at z = 0 are treated as 2D, so that they can be draped.
+ */
+export class DXFLoader{
+
+	// source: url or File/Blob of a .dxf file
+	static async load(source, params = {}){
+		let text;
+		let name;
+
+		if(source instanceof Blob){
+			text = await source.text();
+			name = source.name;
+		}else{
+			let response = await fetch(source);
+
+			if(!response.ok){
+				throw new Error(`HTTP ${response.status} while loading ${source}`);
+			}
+
+			text = await response.text();
+			name = source.split("/").pop();
+		}
+
+		return DXFLoader.parse(text, {name, ...params});
+	}
+
+	static parse(text, params = {}){
+		let features = DXFLoader.getFeatures(text);
+
+		return new VectorLayer(features, params);
+	}
+
+	// splits the file into entities, each a list of [groupCode, value] pairs, grouped by section
+	static getEntities(text){
+		let lines = text.split(/\r?\n/);
+		let sections = {};
+		let section = null;
+		let entity = null;
+
+		for(let i = 0; i + 1 < lines.length; i += 2){
+			let code = parseInt(lines[i].trim());
+			let value = lines[i + 1].trim();
+
+			if(code === 0){
+				if(value === "SECTION"){
+					// the section name follows as group 2
+					section = lines[i + 3].trim();
+					sections[section] = sections[section] || [];
+					entity = null;
+					i += 2;
+					continue;
+				}else if(value === "ENDSEC"){
+					section = null;
+					entity = null;
+					continue;
+				}else if(value === "EOF"){
+					break;
+				}
+
+				entity = {type: value, groups: []};
+
+				if(section){
+					sections[section].push(entity);
+				}
+			}else if(entity){
+				entity.groups.push([code, value]);
+			}
+		}
+
+		return sections;
+	}
+
+	static getFeatures(text){
+		let sections = DXFLoader.getEntities(text);
+
+		let layerColors = new Map();
+		for(let entry of (sections["TABLES"] || []).filter(entry => entry.type === "LAYER")){
+			let name = DXFLoader.getValue(entry, 2);
+			let color = DXFLoader.getColor(entry, layerColors);
+
+			if(name !== null){
+				layerColors.set(name, color);
+			}
+		}
+
+		let entities = sections["ENTITIES"] || [];
+		let features = [];
+		let unsupported = new Set();
+
+		for(let i = 0; i < entities.length; i++){
+			let entity = entities[i];
+			let vertices = null;
+
+			if(entity.type === "POLYLINE"){
+				// followed by VERTEX entities up to SEQEND
+				vertices = [];
+
+				while(i + 1 < entities.length && entities[i + 1].type === "VERTEX"){
+					i++;
+					vertices.push(entities[i]);
+				}
+
+				if(i + 1 < entities.length && entities[i + 1].type === "SEQEND"){
+					i++;
+				}
+			}
+
+			let geometry = DXFLoader.getGeometry(entity, vertices);
+
+			if(!geometry){
+				unsupported.add(entity.type);
+				continue;
+			}
+
+			let layer = DXFLoader.getValue(entity, 8) || "0";
+			let color = DXFLoader.getColor(entity, layerColors, layer);
+
+			let properties = {
+				layer: layer,
+				entity: entity.type,
+				handle: DXFLoader.getValue(entity, 5),
+				color: color,
+				stroke: color,
+			};
+
+			let text = DXFLoader.getValue(entity, 1);
+			if(text !== null){
+				properties.text = text;
+			}
+
+			features.push({type: "Feature", geometry, properties});
+		}
+
+		if(unsupported.size > 0){
+			console.warn(`ignored unsupported DXF entities: ${[...unsupported].join(", ")}`);
+		}
+
+		return features;
+	}
+
+	static getValue(entity, code){
+		let group = entity.groups.find(group => group[0] === code);
+
+		return group ? group[1] : null;
+	}
+
+	static getNumber(entity, code, defaultValue = 0){
+		let value = DXFLoader.getValue(entity, code);
+
+		return value !== null ? parseFloat(value) : defaultValue;
+	}
+
+	// true color (420), color index (62) or the color of the layer
+	static getColor(entity, layerColors, layer){
+		let trueColor = DXFLoader.getValue(entity, 420);
+		if(trueColor !== null){
+			let value = parseInt(trueColor);
+
+			return toHex([(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff]);
+		}
+
+		let index = DXFLoader.getValue(entity, 62);
+		let isByLayer = index === null || parseInt(index) === 256;
+
+		if(isByLayer && layerColors.has(layer)){
+			return layerColors.get(layer);
+		}
+
+		// negative indices mark layers that are turned off
+		return aciToHex(Math.abs(parseInt(index || 7)));
+	}
+
+	static getGeometry(entity, polylineVertices){
+		let g = (code, defaultValue) => DXFLoader.getNumber(entity, code, defaultValue);
+
+		// coordinates of all groups with the given code, e.g. all x coordinates of an LWPOLYLINE
+		let all = (code) => entity.groups.filter(group => group[0] === code).map(group => parseFloat(group[1]));
+
+		let geometry = null;
+
+		if(entity.type === "POINT" || entity.type === "TEXT" || entity.type === "MTEXT"){
+			geometry = {type: "Point", coordinates: [g(10), g(20), g(30)]};
+		}else if(entity.type === "LINE"){
+			geometry = {type: "LineString", coordinates: [[g(10), g(20), g(30)], [g(11), g(21), g(31)]]};
+		}else if(entity.type === "LWPOLYLINE"){
+			let elevation = g(38);
+			let closed = (g(70) & 1) !== 0;
+			let xs = all(10);
+			let ys = all(20);
+
+			// bulges only appear for vertices with arc segments, so they are assigned by position in the group list
+			let vertices = [];
+			for(let [code, value] of entity.groups){
+				if(code === 10){
+					vertices.push({position: [parseFloat(value), 0, elevation], bulge: 0});
+				}else if(code === 20 && vertices.length > 0){
+					vertices[vertices.length - 1].position[1] = parseFloat(value);
+				}else if(code === 42 && vertices.length > 0){
+					vertices[vertices.length - 1].bulge = parseFloat(value);
+				}
+			}
+
+			if(vertices.length === xs.length && xs.length === ys.length && vertices.length >= 2){
+				let coordinates = resolveBulges(vertices, closed);
+				geometry = closed
+					? {type: "Polygon", coordinates: [coordinates]}
+					: {type: "LineString", coordinates: coordinates};
+			}
+		}else if(entity.type === "POLYLINE" && polylineVertices){
+			let flags = g(70);
+			let closed = (flags & 1) !== 0;
+			let isMesh = (flags & (16 | 64)) !== 0;
+
+			let vertices = polylineVertices.map(vertex => ({
+				position: [
+					DXFLoader.getNumber(vertex, 10),
+					DXFLoader.getNumber(vertex, 20),
+					DXFLoader.getNumber(vertex, 30),
+				],
+				bulge: DXFLoader.getNumber(vertex, 42),
+			}));
+
+			if(!isMesh && vertices.length >= 2){
+				let coordinates = resolveBulges(vertices, closed);
+				geometry = closed
+					? {type: "Polygon", coordinates: [coordinates]}
+					: {type: "LineString", coordinates: coordinates};
+			}
+		}else if(entity.type === "CIRCLE"){
+			let coordinates = arc(g(10), g(20), g(30), g(40), 0, 2 * Math.PI);
+			geometry = {type: "Polygon", coordinates: [coordinates]};
+		}else if(entity.type === "ARC"){
+			let toRadians = Math.PI / 180;
+			let coordinates = arc(g(10), g(20), g(30), g(40), g(50) * toRadians, g(51) * toRadians);
+			geometry = {type: "LineString", coordinates: coordinates};
+		}else if(entity.type === "3DFACE"){
+			let coordinates = [0, 1, 2, 3].map(i => [g(10 + i), g(20 + i), g(30 + i)]);
+
+			// triangles repeat the third vertex
+			let [, , c, d] = coordinates;
+			if(c[0] === d[0] && c[1] === d[1] && c[2] === d[2]){
+				coordinates.pop();
+			}
+
+			geometry = {type: "Polygon", coordinates: [[...coordinates, coordinates[0]]]};
+		}
+
+		if(!geometry){
+			return null;
+		}
+
+		// features that lie entirely at z = 0 are 2D
+		let positions = geometry.type === "Point" ? [geometry.coordinates]
+			: geometry.type === "LineString" ? geometry.coordinates
+			: geometry.coordinates.flat();
+
+		if(positions.every(position => position[2] === 0)){
+			let to2D = (position) => position.slice(0, 2);
+
+			if(geometry.type === "Point"){
+				geometry.coordinates = to2D(geometry.coordinates);
+			}else if(geometry.type === "LineString"){
+				geometry.coordinates = geometry.coordinates.map(to2D);
+			}else{
+				geometry.coordinates = geometry.coordinates.map(ring => ring.map(to2D));
+			}
+		}
+
+		return geometry;
+	}
+
+};
@@ -0,0 +1,396 @@
+
+// Reads the 3D scans of ASTM E57 files and merges them into a single list of points.
+// Supports the bitPackCodec, which is the only codec the standard defines.
+// Images and other elements are skipped.
+//
+// The XML section is parsed with a minimal parser since DOMParser isn't available in workers.
+
+const SIGNATURE = "ASTM-E57";
+const CRC_SIZE = 4;
+
+// E57 files consist of pages that end with a checksum.
+// Returns the contents without checksums, i.e. the logical address space.
+function removeChecksums(bytes, pageSize){
+	let payloadSize = pageSize - CRC_SIZE;
+	let numPages = Math.ceil(bytes.length / pageSize);
+	let target = new Uint8Array(numPages * payloadSize);
+
+	for(let i = 0; i < numPages; i++){
+		let start = i * pageSize;
+		let end = Math.min(start + payloadSize, bytes.length);
+
+		target.set(bytes.subarray(start, end), i * payloadSize);
+	}
+
+	return target;
+}
+
+function toLogical(physicalOffset, pageSize){
+	let page = Math.floor(physicalOffset / pageSize);
+
+	return page * (pageSize - CRC_SIZE) + (physicalOffset % pageSize);
+}
+
+function readUint64(view, offset){
+	let low = view.getUint32(offset, true);
+	let high = view.getUint32(offset + 4, true);
+
+	return high * 2 ** 32 + low;
+}
+
+function parseXml(text){
+	let root = {name: null, attributes: {}, children: [], text: ""};
+	let stack = [root];
+	let tokens = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<(\/?)([^\s>\/]+)([^>]*?)(\/?)>|([^<]+)/g;
+
+	let unescape = (s) => s
+		.replace(/&lt;/g, "<")
+		.replace(/&gt;/g, ">")
+		.replace(/&quot;/g, '"')
+		.replace(/&apos;/g, "'")
+		.replace(/&amp;/g, "&");
+
+	let match;
+	while((match = tokens.exec(text)) !== null){
+		let [token, cdata, closing, name, attributeText, selfClosing, content] = match;
+		let current = stack[stack.length - 1];
+
+		if(cdata !== undefined){
+			current.text += cdata;
+		}else if(content !== undefined){
+			current.text += unescape(content);
+		}else if(name === undefined){
+			// comment or processing instruction
+			continue;
+		}else if(closing){
+			stack.pop();
+		}else{
+			let element = {name, attributes: {}, children: [], text: ""};
+
+			for(let [, key, value] of attributeText.matchAll(/([^\s=]+)\s*=\s*"([^"]*)"/g)){
+				element.attributes[key] = unescape(value);
+			}
+
+			current.children.push(element);
+
+			if(!selfClosing){
+				stack.push(element);
+			}
+		}
+	}
+
+	return root.children[0];
+}
+
+function child(element, name){
+	return element ? element.children.find(c => c.name === name) : undefined;
+}
+
+function numberOf(element, defaultValue){
+	return element ? parseFloat(element.text) : defaultValue;
+}
+
+// describes how to decode the values of a prototype field
+function parseField(element){
+	let {type, minimum, maximum, precision, scale, offset} = element.attributes;
+
+	let field = {
+		name: element.name,
+		type: type,
+	};
+
+	if(type === "Float"){
+		field.bytes = precision === "single" ? 4 : 8;
+	}else if(type === "Integer" || type === "ScaledInteger"){
+		field.minimum = parseFloat(minimum);
+		field.maximum = parseFloat(maximum);
+		field.scale = scale !== undefined ? parseFloat(scale) : 1;
+		field.offset = offset !== undefined ? parseFloat(offset) : 0;
+		field.bits = Math.ceil(Math.log2(field.maximum - field.minimum + 1));
+	}else{
+		throw new Error(`unsupported E57 field type: ${type}`);
+	}
+
+	return field;
+}
+
+// reads the buffers of each bytestream from the data packets of a compressed vector section
+function readBytestreams(logical, view, sectionOffset, numStreams){
+	let sectionLength = readUint64(view, sectionOffset + 8);
+	let end = sectionOffset + sectionLength;
+
+	let chunks = new Array(numStreams).fill(0).map(() => []);
+
+	let pos = sectionOffset + 32;
+	while(pos < end){
+		let packetType = view.getUint8(pos);
+		let packetLength = view.getUint16(pos + 2, true) + 1;
+
+		if(packetType === 1){
+			let bytestreamCount = view.getUint16(pos + 4, true);
+			let bufferStart = pos + 6 + 2 * bytestreamCount;
+
+			for(let i = 0; i < bytestreamCount; i++){
+				let bufferLength = view.getUint16(pos + 6 + 2 * i, true);
+
+				if(i < numStreams){
+					chunks[i].push(logical.subarray(bufferStart, bufferStart + bufferLength));
+				}
+
+				bufferStart += bufferLength;
+			}
+		}else if(packetType !== 0 && packetType !== 2){
+			throw new Error(`invalid E57 packet type ${packetType}`);
+		}
+
+		pos += packetLength;
+	}
+
+	return chunks.map(list => {
+		let size = list.reduce((sum, c) => sum + c.length, 0);
+		let stream = new Uint8Array(size);
+
+		let offset = 0;
+		for(let c of list){
+			stream.set(c, offset);
+			offset += c.length;
+		}
+
+		return stream;
+	});
+}
+
+// integers are bit-packed, least significant bit first
+function readBits(bytes, bitOffset, bits){
+	let value = 0;
+	let factor = 1;
+
+	while(bits > 0){
+		let byteIndex = Math.floor(bitOffset / 8);
+		let bit = bitOffset % 8;
+		let take = Math.min(8 - bit, bits);
+		let chunk = (bytes[byteIndex] >> bit) & ((1 << take) - 1);
+
+		value += chunk * factor;
+		factor *= 2 ** take;
+		bits -= take;
+		bitOffset += take;
+	}
+
+	return value;
+}
+
+function decodeField(field, stream, count){
+	let values = new Float64Array(count);
+
+	if(field.type === "Float"){
+		let view = new DataView(stream.buffer, stream.byteOffset, stream.byteLength);
+
+		for(let i = 0; i < count; i++){
+			values[i] = field.bytes === 4
+				? view.getFloat32(4 * i, true)
+				: view.getFloat64(8 * i, true);
+		}
+	}else{
+		for(let i = 0; i < count; i++){
+			let raw = field.bits > 0 ? readBits(stream, i * field.bits, field.bits) : 0;
+			let value = raw + field.minimum;
+
+			values[i] = field.type === "ScaledInteger"
+				? value * field.scale + field.offset
+				: value;
+		}
+	}
+
+	return values;
+}
+
+function readScan(scan, logical, view, pageSize){
+	let points = child(scan, "points");
+	let prototype = child(points, "prototype");
+
+	let count = parseInt(points.attributes.recordCount);
+	let sectionOffset = toLogical(parseInt(points.attributes.fileOffset), pageSize);
+
+	let fields = prototype.children.map(parseField);
+	let streams = readBytestreams(logical, view, sectionOffset, fields.length);
+
+	let values = {};
+	for(let i = 0; i < fields.length; i++){
+		values[fields[i].name] = decodeField(fields[i], streams[i], count);
+	}
+
+	let fieldOf = (name) => fields.find(f => f.name === name);
+
+	let {cartesianX, cartesianY, cartesianZ} = values;
+	if(!cartesianX){
+		let {sphericalRange, sphericalAzimuth, sphericalElevation} = values;
+
+		if(!sphericalRange){
+			throw new Error("E57 scan has neither cartesian nor spherical coordinates");
+		}
+
+		cartesianX = new Float64Array(count);
+		cartesianY = new Float64Array(count);
+		cartesianZ = new Float64Array(count);
+
+		for(let i = 0; i < count; i++){
+			let r = sphericalRange[i];
+			let azimuth = sphericalAzimuth[i];
+			let elevation = sphericalElevation[i];
+
+			cartesianX[i] = r * Math.cos(elevation) * Math.cos(azimuth);
+			cartesianY[i] = r * Math.cos(elevation) * Math.sin(azimuth);
+			cartesianZ[i] = r * Math.sin(elevation);
+		}
+	}
+
+	let invalid = values.cartesianInvalidState || values.sphericalInvalidState;
+
+	let pose = child(scan, "pose");
+	let rotation = child(pose, "rotation");
+	let translation = child(pose, "translation");
+
+	let qw = numberOf(child(rotation, "w"), 1);
+	let qx = numberOf(child(rotation, "x"), 0);
+	let qy = numberOf(child(rotation, "y"), 0);
+	let qz = numberOf(child(rotation, "z"), 0);
+	let tx = numberOf(child(translation, "x"), 0);
+	let ty = numberOf(child(translation, "y"), 0);
+	let tz = numberOf(child(translation, "z"), 0);
+
+	// rotation matrix of the unit quaternion
+	let m = [
+		1 - 2 * (qy * qy + qz * qz), 2 * (qx * qy - qz * qw), 2 * (qx * qz + qy * qw),
+		2 * (qx * qy + qz * qw), 1 - 2 * (qx * qx + qz * qz), 2 * (qy * qz - qx * qw),
+		2 * (qx * qz - qy * qw), 2 * (qy * qz + qx * qw), 1 - 2 * (qx * qx + qy * qy),
+	];
+
+	let hasColor = values.colorRed && values.colorGreen && values.colorBlue;
+	let colorRange = (name) => {
+		let limits = child(scan, "colorLimits");
+		let field = fieldOf(name);
+
+		let min = numberOf(child(limits, `${name}Minimum`), field.minimum || 0);
+		let max = numberOf(child(limits, `${name}Maximum`), field.maximum || 255);
+
+		return [min, max];
+	};
+
+	let colorRanges = hasColor
+		? ["colorRed", "colorGreen", "colorBlue"].map(colorRange)
+		: null;
+
+	let result = {
+		numPoints: 0,
+		position: new Float64Array(3 * count),
+		rgba: hasColor ? new Uint8Array(4 * count) : null,
+		intensity: values.intensity ? new Float32Array(count) : null,
+	};
+
+	let n = 0;
+	for(let i = 0; i < count; i++){
+
+		// 1: only the direction is valid, 2: invalid
+		if(invalid && invalid[i] !== 0){
+			continue;
+		}
+
+		let x = cartesianX[i];
+		let y = cartesianY[i];
+		let z = cartesianZ[i];
+
+		result.position[3 * n + 0] = m[0] * x + m[1] * y + m[2] * z + tx;
+		result.position[3 * n + 1] = m[3] * x + m[4] * y + m[5] * z + ty;
+		result.position[3 * n + 2] = m[6] * x + m[7] * y + m[8] * z + tz;
+
+		if(hasColor){
+			let channels = [values.colorRed, values.colorGreen, values.colorBlue];
+
+			for(let c = 0; c < 3; c++){
+				let [min, max] = colorRanges[c];
+
+				result.rgba[4 * n + c] = 255 * (channels[c][i] - min) / Math.max(max - min, 1);
+			}
+			result.rgba[4 * n + 3] = 255;
+		}
+
+		if(result.intensity){
+			result.intensity[n] = values.intensity[i];
+		}
+
+		n++;
+	}
+
+	result.numPoints = n;
+
+	return result;
+}
+
+function merge(scans){
+	let numPoints = scans.reduce((sum, s) => sum + s.numPoints, 0);
+	let hasColor = scans.every(s => s.rgba);
+	let hasIntensity = scans.every(s => s.intensity);
+
+	let result = {
+		numPoints: numPoints,
+		position: new Float64Array(3 * numPoints),
+	};
+
+	if(hasColor){
+		result.rgba = new Uint8Array(4 * numPoints);
+	}
+
+	if(hasIntensity){
+		result.intensity = new Float32Array(numPoints);
+	}
+
+	let offset = 0;
+	for(let scan of scans){
+		let n = scan.numPoints;
+
+		result.position.set(scan.position.subarray(0, 3 * n), 3 * offset);
+
+		if(hasColor){
+			result.rgba.set(scan.rgba.subarray(0, 4 * n), 4 * offset);
+		}
+
+		if(hasIntensity){
+			result.intensity.set(scan.intensity.subarray(0, n), offset);
+		}
+
+		offset += n;
+	}
+
+	return result;
+}
+
+export function readE57(buffer){
+	let bytes = new Uint8Array(buffer);
+	let headerView = new DataView(buffer);
+
+	let signature = new TextDecoder().decode(bytes.subarray(0, 8));
+	if(signature !== SIGNATURE){
+		throw new Error("invalid E57 file: signature not found");
+	}
+
+	let xmlPhysicalOffset = readUint64(headerView, 24);
+	let xmlLogicalLength = readUint64(headerView, 32);
+	let pageSize = readUint64(headerView, 40);
+
+	let logical = removeChecksums(bytes, pageSize);
+	let view = new DataView(logical.buffer);
+
+	let xmlStart = toLogical(xmlPhysicalOffset, pageSize);
+	let xml = new TextDecoder().decode(logical.subarray(xmlStart, xmlStart + xmlLogicalLength));
+	let root = parseXml(xml);
+
+	let data3D = child(root, "data3D");
+	let scans = data3D ? data3D.children : [];
+
+	if(scans.length === 0){
+		throw new Error("E57 file does not contain 3D data");
+	}
+
+	return merge(scans.map(scan => readScan(scan, logical, view, pageSize)));
+}
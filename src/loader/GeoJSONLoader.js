@@ -0,0 +1,74 @@
+
+import {VectorLayer} from "./VectorLayer.js";
+
+/**
+ * Loads GeoJSON files as a VectorLayer.
+ *
+ * Coordinates are WGS84 unless the file has a (pre RFC 7946) "crs" member.
+ * They are transformed into params.projection, the projection of the point cloud, if it is specified.
+ * See VectorLayer for the other params.
+ */
+export class GeoJSONLoader{
+
+	// source: url, File/Blob or an already parsed GeoJSON object
+	static async load(source, params = {}){
+		let json;
+		let name;
+
+		if(source instanceof Blob){
+			json = JSON.parse(await source.text());
+			name = source.name;
+		}else if(typeof source === "string"){
+			let response = await fetch(source);
+
+			if(!response.ok){
+				throw new Error(`HTTP ${response.status} while loading ${source}`);
+			}
+
+			json = await response.json();
+			name = source.split("/").pop();
+		}else{
+			json = source;
+		}
+
+		return GeoJSONLoader.parse(json, {name, ...params});
+	}
+
+	static parse(json, params = {}){
+		let features = GeoJSONLoader.getFeatures(json);
+
+		let transform = params.transform;
+		if(!transform){
+			transform = VectorLayer.createTransform(GeoJSONLoader.getProjection(json), params.projection);
+		}
+
+		return new VectorLayer(features, {...params, transform});
+	}
+
+	static getFeatures(json){
+		if(json.type === "FeatureCollection"){
+			return json.features.filter(feature => feature.geometry);
+		}else if(json.type === "Feature"){
+			return json.geometry ? [json] : [];
+		}else if(json.type){
+			// a bare geometry
+			return [{type: "Feature", geometry: json, properties: {}}];
+		}else{
+			throw new Error("not a GeoJSON object");
+		}
+	}
+
+	// e.g. "urn:ogc:def:crs:EPSG::2056" => "EPSG:2056"
+	static getProjection(json){
+		let name = json.crs && json.crs.properties ? json.crs.properties.name : null;
+
+		if(!name || /CRS84$/.test(name)){
+			return "WGS84";
+		}
+
+		let match = name.match(/EPSG:+(\d+)$/);
+
+		return match ? `EPSG:${match[1]}` : name;
+	}
+
+};
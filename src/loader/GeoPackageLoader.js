@@ -1,9 +1,7 @@
 
 import * as THREE from "../../libs/three.js/build/three.module.js";
-import {Line2} from "../../libs/three.js/lines/Line2.js";
-import {LineGeometry} from "../../libs/three.js/lines/LineGeometry.js";
-import {LineMaterial} from "../../libs/three.js/lines/LineMaterial.js";
 import {Utils} from "../utils.js";
+import {VectorLayer} from "./VectorLayer.js";
 
 const defaultColors = {
 	"landuse":   [0.5, 0.5, 0.5],
@@ -29,6 +27,7 @@ export class Geopackage{
 	constructor(){
 		this.path = null;
 		this.node = null;
+		this.layers = [];
 	}
 };
 
@@ -98,22 +97,15 @@ export class GeoPackageLoader{
 				boundingBox = boundingBox.projectBoundingBox(dao.projection, 'EPSG:4326');
 				const geoJson = data.queryForGeoJSONFeaturesInTable(table, boundingBox);
 
-				const matLine = new LineMaterial( {
-					color: new THREE.Color().setRGB(...getColor(table)),
-					linewidth: 2, 
-					resolution:  new THREE.Vector2(1000, 1000),
-					dashed: false
-				} );
-
-				const node = new THREE.Object3D();
-				node.name = table;
-				geo.node.add(node);
-
-				for(const [index, feature] of Object.entries(geoJson)){
-					//const featureNode = GeoPackageLoader.featureToSceneNode(feature, matLine, transform);
-					const featureNode = GeoPackageLoader.featureToSceneNode(feature, matLine, dao.projection, transform);
-					node.add(featureNode);
-				}
+				const layer = new VectorLayer(geoJson, {
+					name: table,
+					transform: {forward: (arg) => transform.forward(dao.projection.forward(arg))},
+					style: params.style || {color: getColor(table)},
+					elevation: 20,
+				});
+
+				geo.layers.push(layer);
+				geo.node.add(layer.node);
 			}
 
 			resolve(geo);
@@ -122,96 +114,12 @@ export class GeoPackageLoader{
 		return new Promise(resolver);
 	}
 
+	// a scene node for a single feature, see VectorLayer.createFeatureNode
 	static featureToSceneNode(feature, matLine, geopackageProjection, transform){
-		let geometry = feature.geometry;
-		
-		let color = new THREE.Color(1, 1, 1);
-		
-		if(feature.geometry.type === "Point"){
-			let sg = new THREE.SphereGeometry(1, 18, 18);
-			let sm = new THREE.MeshNormalMaterial();
-			let s = new THREE.Mesh(sg, sm);
-			
-			let [long, lat] = geometry.coordinates;
-			let pos = transform.forward(geopackageProjection.forward([long, lat]));
-			
-			s.position.set(...pos, 20);
-			
-			s.scale.set(10, 10, 10);
-			
-			return s;
-		}else if(geometry.type === "LineString"){
-			let coordinates = [];
-			
-			let min = new THREE.Vector3(Infinity, Infinity, Infinity);
-			for(let i = 0; i < geometry.coordinates.length; i++){
-				let [long, lat] = geometry.coordinates[i];
-				let pos = transform.forward(geopackageProjection.forward([long, lat]));
-				
-				min.x = Math.min(min.x, pos[0]);
-				min.y = Math.min(min.y, pos[1]);
-				min.z = Math.min(min.z, 20);
-				
-				coordinates.push(...pos, 20);
-				if(i > 0 && i < geometry.coordinates.length - 1){
-					coordinates.push(...pos, 20);
-				}
-			}
-			
-			for(let i = 0; i < coordinates.length; i += 3){
-				coordinates[i+0] -= min.x;
-				coordinates[i+1] -= min.y;
-				coordinates[i+2] -= min.z;
-			}
-			
-			const lineGeometry = new LineGeometry();
-			lineGeometry.setPositions( coordinates );
-
-			const line = new Line2( lineGeometry, matLine );
-			line.computeLineDistances();
-			line.scale.set( 1, 1, 1 );
-			line.position.copy(min);
-			
-			return line;
-		}else if(geometry.type === "Polygon"){
-			for(let pc of geometry.coordinates){
-				let coordinates = [];
-				
-				let min = new THREE.Vector3(Infinity, Infinity, Infinity);
-				for(let i = 0; i < pc.length; i++){
-					let [long, lat] = pc[i];
-					
-					let pos = transform.forward(geopackageProjection.forward([long, lat]));
-					
-					min.x = Math.min(min.x, pos[0]);
-					min.y = Math.min(min.y, pos[1]);
-					min.z = Math.min(min.z, 20);
-					
-					coordinates.push(...pos, 20);
-					if(i > 0 && i < pc.length - 1){
-						coordinates.push(...pos, 20);
-					}
-				}
-				
-				for(let i = 0; i < coordinates.length; i += 3){
-					coordinates[i+0] -= min.x;
-					coordinates[i+1] -= min.y;
-					coordinates[i+2] -= min.z;
-				}
-
-				const lineGeometry = new LineGeometry();
-				lineGeometry.setPositions( coordinates );
-
-				const line = new Line2( lineGeometry, matLine );
-				line.computeLineDistances();
-				line.scale.set( 1, 1, 1 );
-				line.position.copy(min);
-				
-				return line;
-			}
-		}else{
-			console.log("unhandled feature: ", feature);
-		}
+		return VectorLayer.createFeatureNode(feature, matLine, {
+			transform: {forward: (arg) => transform.forward(geopackageProjection.forward(arg))},
+			elevation: 20,
+		});
 	}
 
 };
\ No newline at end of file
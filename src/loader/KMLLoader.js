@@ -0,0 +1,318 @@
+
+import {VectorLayer} from "./VectorLayer.js";
+
+// KML colors are aabbggrr
+function parseColor(text){
+	text = text.trim().replace(/^#/, "").padStart(8, "f");
+
+	return {
+		color: `#${text.substr(6, 2)}${text.substr(4, 2)}${text.substr(2, 2)}`,
+		opacity: parseInt(text.substr(0, 2), 16) / 255,
+	};
+}
+
+function childrenByTagName(element, name){
+	return Array.from(element.children).filter(child => child.localName === name);
+}
+
+function childText(element, name){
+	let child = childrenByTagName(element, name)[0];
+
+	return child ? child.textContent.trim() : null;
+}
+
+/**
+ * Loads KML and KMZ files as a VectorLayer.
+ *
+ * Placemarks become features with their name, description and extended data as properties.
+ * Line, polygon and icon styles are translated to simplestyle properties, see VectorStyle.
+ *
+ * KML coordinates are WGS84 and are transformed into params.projection if it is specified.
+ * Only geometries with altitudeMode "absolute" keep their altitude,
+ * all others are treated as 2D and are clamped to the ground if params.drape is set.
+ */
+export class KMLLoader{
+
+	// source: url or File/Blob of a .kml or .kmz file
+	static async load(source, params = {}){
+		let buffer;
+		let name;
+
+		if(source instanceof Blob){
+			buffer = await source.arrayBuffer();
+			name = source.name;
+		}else{
+			let response = await fetch(source);
+
+			if(!response.ok){
+				throw new Error(`HTTP ${response.status} while loading ${source}`);
+			}
+
+			buffer = await response.arrayBuffer();
+			name = source.split("/").pop();
+		}
+
+		let bytes = new Uint8Array(buffer);
+		let isZip = bytes[0] === 0x50 && bytes[1] === 0x4b;
+
+		if(isZip){
+			bytes = await KMLLoader.extractKML(buffer);
+		}
+
+		let text = new TextDecoder().decode(bytes);
+
+		return KMLLoader.parse(text, {name, ...params});
+	}
+
+	static parse(text, params = {}){
+		let doc = new DOMParser().parseFromString(text, "application/xml");
+
+		if(doc.getElementsByTagName("parsererror").length > 0){
+			throw new Error("failed to parse KML");
+		}
+
+		let features = KMLLoader.getFeatures(doc);
+
+		let transform = params.transform;
+		if(!transform){
+			transform = VectorLayer.createTransform("WGS84", params.projection);
+		}
+
+		return new VectorLayer(features, {...params, transform});
+	}
+
+	// returns the main KML document of a KMZ archive, i.e. doc.kml or the first .kml file
+	static async extractKML(buffer){
+		let view = new DataView(buffer);
+
+		// end of central directory record, followed by a comment of at most 64kb
+		let eocd = -1;
+		for(let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--){
+			if(view.getUint32(i, true) === 0x06054b50){
+				eocd = i;
+				break;
+			}
+		}
+
+		if(eocd < 0){
+			throw new Error("invalid KMZ, no zip directory found");
+		}
+
+		let numEntries = view.getUint16(eocd + 10, true);
+		let offset = view.getUint32(eocd + 16, true);
+		let entries = [];
+
+		for(let i = 0; i < numEntries; i++){
+			let method = view.getUint16(offset + 10, true);
+			let compressedSize = view.getUint32(offset + 20, true);
+			let nameLength = view.getUint16(offset + 28, true);
+			let extraLength = view.getUint16(offset + 30, true);
+			let commentLength = view.getUint16(offset + 32, true);
+			let localHeaderOffset = view.getUint32(offset + 42, true);
+			let name = new TextDecoder().decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+			entries.push({name, method, compressedSize, localHeaderOffset});
+
+			offset += 46 + nameLength + extraLength + commentLength;
+		}
+
+		let kmlEntries = entries.filter(entry => entry.name.toLowerCase().endsWith(".kml"));
+		let entry = kmlEntries.find(entry => entry.name.toLowerCase() === "doc.kml") || kmlEntries[0];
+
+		if(!entry){
+			throw new Error("invalid KMZ, no .kml file found");
+		}
+
+		let local = entry.localHeaderOffset;
+		let dataOffset = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+		let data = new Uint8Array(buffer, dataOffset, entry.compressedSize);
+
+		if(entry.method === 0){
+			return data;
+		}else if(entry.method === 8){
+			let stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+
+			return new Uint8Array(await new Response(stream).arrayBuffer());
+		}else{
+			throw new Error(`unsupported zip compression method ${entry.method}`);
+		}
+	}
+
+	// shared styles by id, with style maps resolved to their "normal" style
+	static getStyles(doc){
+		let styles = new Map();
+
+		for(let element of Array.from(doc.getElementsByTagName("Style"))){
+			let id = element.getAttribute("id");
+
+			if(id){
+				styles.set(id, KMLLoader.parseStyle(element));
+			}
+		}
+
+		for(let element of Array.from(doc.getElementsByTagName("StyleMap"))){
+			let id = element.getAttribute("id");
+
+			for(let pair of childrenByTagName(element, "Pair")){
+				if(childText(pair, "key") === "normal"){
+					let url = childText(pair, "styleUrl") || "";
+
+					styles.set(id, styles.get(url.replace(/^#/, "")) || {});
+				}
+			}
+		}
+
+		return styles;
+	}
+
+	// translates a <Style> into simplestyle properties
+	static parseStyle(element){
+		let style = {};
+
+		let lineStyle = childrenByTagName(element, "LineStyle")[0];
+		if(lineStyle){
+			let color = childText(lineStyle, "color");
+			let width = childText(lineStyle, "width");
+
+			if(color){
+				style["stroke"] = parseColor(color).color;
+			}
+			if(width){
+				style["stroke-width"] = parseFloat(width);
+			}
+		}
+
+		let polyStyle = childrenByTagName(element, "PolyStyle")[0];
+		if(polyStyle){
+			let color = parseColor(childText(polyStyle, "color") || "ffffffff");
+
+			if(childText(polyStyle, "fill") === "0"){
+				style["fill"] = null;
+			}else{
+				style["fill"] = color.color;
+				style["fill-opacity"] = color.opacity;
+			}
+		}
+
+		let iconStyle = childrenByTagName(element, "IconStyle")[0];
+		if(iconStyle){
+			let color = childText(iconStyle, "color");
+			let scale = childText(iconStyle, "scale");
+
+			if(color){
+				style["marker-color"] = parseColor(color).color;
+			}
+			if(scale){
+				style["marker-size"] = 10 * parseFloat(scale);
+			}
+		}
+
+		return style;
+	}
+
+	static getFeatures(doc){
+		let styles = KMLLoader.getStyles(doc);
+		let features = [];
+
+		for(let placemark of Array.from(doc.getElementsByTagName("Placemark"))){
+			let geometries = [];
+
+			for(let child of Array.from(placemark.children)){
+				let geometry = KMLLoader.parseGeometry(child);
+
+				if(geometry){
+					geometries.push(geometry);
+				}
+			}
+
+			if(geometries.length === 0){
+				continue;
+			}
+
+			let properties = {};
+
+			let name = childText(placemark, "name");
+			let description = childText(placemark, "description");
+			if(name !== null){
+				properties.name = name;
+			}
+			if(description !== null){
+				properties.description = description;
+			}
+
+			let extendedData = childrenByTagName(placemark, "ExtendedData")[0];
+			if(extendedData){
+				for(let data of Array.from(extendedData.getElementsByTagName("Data"))){
+					properties[data.getAttribute("name")] = childText(data, "value");
+				}
+
+				for(let data of Array.from(extendedData.getElementsByTagName("SimpleData"))){
+					properties[data.getAttribute("name")] = data.textContent.trim();
+				}
+			}
+
+			// shared style first, inline style overrides it
+			let styleUrl = childText(placemark, "styleUrl");
+			if(styleUrl){
+				Object.assign(properties, styles.get(styleUrl.replace(/^.*#/, "")) || {});
+			}
+
+			let inlineStyle = childrenByTagName(placemark, "Style")[0];
+			if(inlineStyle){
+				Object.assign(properties, KMLLoader.parseStyle(inlineStyle));
+			}
+
+			let geometry = geometries.length === 1
+				? geometries[0]
+				: {type: "GeometryCollection", geometries: geometries};
+
+			features.push({type: "Feature", geometry, properties});
+		}
+
+		return features;
+	}
+
+	static parseCoordinates(element, is3D){
+		let text = childText(element, "coordinates") || "";
+
+		return text.split(/\s+/)
+			.filter(tuple => tuple.length > 0)
+			.map(tuple => tuple.split(",").map(Number))
+			.map(c => is3D ? c : c.slice(0, 2));
+	}
+
+	static parseGeometry(element){
+		let type = element.localName;
+		let is3D = childText(element, "altitudeMode") === "absolute";
+
+		if(type === "Point"){
+			let coordinates = KMLLoader.parseCoordinates(element, is3D);
+
+			return coordinates.length > 0 ? {type: "Point", coordinates: coordinates[0]} : null;
+		}else if(type === "LineString" || type === "LinearRing"){
+			return {type: "LineString", coordinates: KMLLoader.parseCoordinates(element, is3D)};
+		}else if(type === "Polygon"){
+			let rings = [];
+
+			for(let boundary of ["outerBoundaryIs", "innerBoundaryIs"]){
+				for(let boundaryElement of childrenByTagName(element, boundary)){
+					for(let ring of childrenByTagName(boundaryElement, "LinearRing")){
+						// rings use the altitude mode of the polygon
+						rings.push(KMLLoader.parseCoordinates(ring, is3D));
+					}
+				}
+			}
+
+			return rings.length > 0 ? {type: "Polygon", coordinates: rings} : null;
+		}else if(type === "MultiGeometry"){
+			let geometries = Array.from(element.children)
+				.map(child => KMLLoader.parseGeometry(child))
+				.filter(geometry => geometry !== null);
+
+			return {type: "GeometryCollection", geometries: geometries};
+		}else{
+			return null;
+		}
+	}
+
+};
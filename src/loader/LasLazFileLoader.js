@@ -0,0 +1,187 @@
+
+import * as THREE from "../../libs/three.js/build/three.module.js";
+import {PointAttributeTypes} from "./PointAttributes.js";
+import {InMemoryOctreeBuilder} from "../modules/loader/inmemory/InMemoryOctreeBuilder.js";
+
+/**
+ * Loads a plain LAS or LAZ file, i.e. one that wasn't converted to an octree format.
+ * The file is read in batches, decoded by the LASDecoderWorker and
+ * turned into an octree on the fly by an InMemoryOctreeBuilder.
+ *
+ * Resolves to the point cloud as soon as the first batch is in,
+ * the remaining batches refine the point cloud in the background.
+ *
+ * Only LAS 1.0 to 1.2 with point formats 0 to 3 are supported, other files are rejected.
+ * LAS 1.3 and 1.4 files can be converted with PotreeConverter instead.
+ */
+export class LasLazFileLoader{
+
+	static async load(source){
+
+		let buffer = null;
+		if(source instanceof Blob){
+			buffer = await source.arrayBuffer();
+		}else{
+			let response = await fetch(source);
+
+			if(!response.ok){
+				throw new Error(`HTTP ${response.status} while loading ${source}`);
+			}
+
+			buffer = await response.arrayBuffer();
+		}
+
+		LasLazFileLoader.checkVersion(buffer, source instanceof Blob ? source.name : source);
+
+		let lf = new LASFile(buffer);
+		await lf.open();
+		lf.isOpen = true;
+
+		let header = await lf.getHeader();
+		let pointFormatID = lf.formatId;
+
+		let hasGPSTime = pointFormatID === 1 || pointFormatID === 3;
+		let hasColor = pointFormatID === 2 || pointFormatID === 3;
+
+		let attributes = [
+			{name: "intensity", type: PointAttributeTypes.DATA_TYPE_FLOAT, numElements: 1},
+			{name: "classification", type: PointAttributeTypes.DATA_TYPE_UINT8, numElements: 1},
+			{name: "return number", type: PointAttributeTypes.DATA_TYPE_UINT8, numElements: 1},
+			{name: "number of returns", type: PointAttributeTypes.DATA_TYPE_UINT8, numElements: 1},
+			{name: "source id", type: PointAttributeTypes.DATA_TYPE_UINT16, numElements: 1},
+		];
+
+		if(hasColor){
+			attributes.unshift({name: "rgba", type: PointAttributeTypes.DATA_TYPE_UINT8, numElements: 4});
+		}
+
+		if(hasGPSTime){
+			attributes.push({name: "gps-time", type: PointAttributeTypes.DATA_TYPE_DOUBLE, numElements: 1});
+		}
+
+		let boundingBox = new THREE.Box3(
+			new THREE.Vector3(...header.mins),
+			new THREE.Vector3(...header.maxs));
+
+		let builder = new InMemoryOctreeBuilder({
+			boundingBox: boundingBox,
+			attributes: attributes,
+			numPoints: header.pointsCount,
+		});
+		builder.octree.url = source instanceof Blob ? source.name : source;
+
+		let readBatch = async () => {
+			let data = await lf.readData(LasLazFileLoader.batchSize, 0, 1);
+
+			let decoded = await LasLazFileLoader.decode(data, header, pointFormatID);
+
+			let buffers = {
+				"position": decoded.position,
+				"intensity": decoded.intensity,
+				"classification": decoded.classification,
+				"return number": decoded.returnNumber,
+				"number of returns": decoded.numberOfReturns,
+				"source id": decoded.pointSourceID,
+			};
+
+			if(hasColor){
+				buffers["rgba"] = decoded.color;
+			}
+
+			if(hasGPSTime){
+				buffers["gps-time"] = decoded.gpsTime;
+			}
+
+			await builder.add(data.count, buffers);
+
+			return data.hasMoreData;
+		};
+
+		let close = async () => {
+			await lf.close();
+			lf.isOpen = false;
+		};
+
+		// the first batch is needed to pick a sensible initial attribute and range
+		let hasMoreData = await readBatch().catch(async (e) => {
+			await close();
+			builder.dispose();
+
+			throw e;
+		});
+
+		let pointcloud = builder.createPointCloud();
+
+		(async () => {
+			while(hasMoreData){
+				hasMoreData = await readBatch();
+			}
+
+			await close();
+			builder.finish();
+		})().catch(e => {
+			console.error(`failed to read all points of ${builder.octree.url}`);
+			console.error(e);
+		});
+
+		return pointcloud;
+	}
+
+	// the LAS reader and the decoder worker handle the point formats 0 to 3 of LAS 1.0 to 1.2
+	static checkVersion(buffer, name){
+		let view = new DataView(buffer);
+
+		if(buffer.byteLength < 227){
+			throw new Error(`${name} is too small to be a LAS file`);
+		}
+
+		let major = view.getUint8(24);
+		let minor = view.getUint8(25);
+		let pointFormatID = view.getUint8(104) & 0x3f;
+
+		if(major !== 1 || minor > 2){
+			throw new Error(`${name} is a LAS ${major}.${minor} file, only LAS 1.0 to 1.2 can be loaded directly. `
+				+ `Convert it with PotreeConverter instead.`);
+		}else if(pointFormatID > 3){
+			throw new Error(`${name} uses point format ${pointFormatID}, only point formats 0 to 3 can be loaded directly. `
+				+ `Convert it with PotreeConverter instead.`);
+		}
+	}
+
+	static decode(data, header, pointFormatID){
+		return new Promise((resolve, reject) => {
+			const workerPath = Potree.scriptPath + '/workers/LASDecoderWorker.js';
+			const worker = Potree.workerPool.getWorker(workerPath);
+
+			// other users of the pooled worker may not set an error handler
+			worker.onmessage = (e) => {
+				worker.onerror = null;
+				Potree.workerPool.returnWorker(workerPath, worker);
+
+				resolve(e.data);
+			};
+
+			worker.onerror = (e) => {
+				worker.onerror = null;
+				Potree.workerPool.returnWorker(workerPath, worker);
+
+				reject(new Error(`failed to decode LAS points: ${e.message}`));
+			};
+
+			let message = {
+				buffer: data.buffer,
+				numPoints: data.count,
+				pointSize: header.pointsStructSize,
+				pointFormatID: pointFormatID,
+				scale: header.scale,
+				offset: header.offset,
+				mins: header.mins,
+				maxs: header.maxs
+			};
+			worker.postMessage(message, [message.buffer]);
+		});
+	}
+
+};
+
+LasLazFileLoader.batchSize = 500 * 1000;
@@ -48,6 +48,7 @@ export class LasLazLoader {
 			if (xhr.readyState === 4) {
 				if (xhr.status === 200 || xhr.status === 0) {
 					let buffer = xhr.response;
+					Potree.numBytesLoaded += buffer.byteLength;
 					this.parse(node, buffer);
 				} else {
 					console.log('Failed to load file! HTTP status: ' + xhr.status + ', file: ' + url);
@@ -174,6 +175,7 @@ export class LasLazBatcher{
 			this.node.loaded = true;
 			this.node.loading = false;
 			Potree.numNodesLoading--;
+			Potree.nodeLoadEvents.dispatchEvent({type: "node_loaded", node: this.node});
 			this.node.mean = new THREE.Vector3(...e.data.mean);
 
 			Potree.workerPool.returnWorker(workerPath, worker);
@@ -0,0 +1,282 @@
+
+/**
+ * Error type for everything that goes wrong while picking or running a point cloud loader.
+ *
+ * code is one of
+ * - "INVALID_SOURCE": no url or file was given
+ * - "NO_LOADER": none of the registered loaders accepts the source
+ * - "LOAD_FAILED": a loader was found, but failed to load the source
+ */
+export class PointCloudLoadError extends Error{
+
+	constructor(message, {code = "LOAD_FAILED", source = null, loader = null, cause = null} = {}){
+		super(message);
+
+		this.name = "PointCloudLoadError";
+		this.code = code;
+		this.source = source;
+		this.loader = loader;
+		this.cause = cause;
+	}
+
+};
+
+// number of leading bytes handed to loaders that sniff the content
+const SNIFF_SIZE = 4096;
+
+function isBlob(source){
+	return typeof Blob !== "undefined" && source instanceof Blob;
+}
+
+function sourceName(source){
+	if(isBlob(source)){
+		return source.name ? source.name : "";
+	}
+
+	// ignore query string and fragment, e.g. "cloud.js?v=2#foo"
+	let path = `${source}`.split(/[?#]/)[0];
+
+	return path.substr(path.lastIndexOf("/") + 1);
+}
+
+// reads up to numBytes of the body. Servers that ignore the Range header send the whole file,
+// the rest of it is not downloaded.
+async function readBytes(response, numBytes){
+
+	if(!response.body){
+		let buffer = await response.arrayBuffer();
+
+		return new Uint8Array(buffer, 0, Math.min(buffer.byteLength, numBytes));
+	}
+
+	let bytes = new Uint8Array(numBytes);
+	let numRead = 0;
+	let reader = response.body.getReader();
+
+	while(numRead < numBytes){
+		let {done, value} = await reader.read();
+
+		if(done){
+			break;
+		}
+
+		let chunk = value.subarray(0, numBytes - numRead);
+		bytes.set(chunk, numRead);
+		numRead += chunk.length;
+	}
+
+	reader.cancel().catch(() => {});
+
+	return bytes.subarray(0, numRead);
+}
+
+async function readHead(source){
+
+	if(isBlob(source)){
+		let buffer = await source.slice(0, SNIFF_SIZE).arrayBuffer();
+
+		return {
+			bytes: new Uint8Array(buffer),
+			mimeType: source.type,
+		};
+	}
+
+	let response = await fetch(source, {
+		headers: {
+			'Range': `bytes=0-${SNIFF_SIZE - 1}`,
+		},
+	});
+
+	if(!response.ok){
+		throw new Error(`HTTP ${response.status} while reading ${source}`);
+	}
+
+	let bytes = await readBytes(response, SNIFF_SIZE);
+	let mimeType = response.headers.get("content-type") || "";
+
+	return {bytes, mimeType};
+}
+
+/**
+ * Keeps track of the available point cloud loaders and picks one for a given url or file.
+ *
+ * A loader is a plain object:
+ *
+ * {
+ *   name: "my-format",               // unique name, registering the same name again replaces the loader
+ *   fileNames: ["index.json"],       // (optional) exact file names, e.g. "ept.json"
+ *   extensions: [".myf"],            // (optional) file name endings, e.g. ".copc.laz"
+ *   mimeTypes: ["application/x-myf"],// (optional) content types, checked if the name is not conclusive
+ *   sniff: (bytes, head) => boolean, // (optional) inspects the first bytes if the name is not conclusive
+ *   load: async (source, options) => pointcloud,
+ * }
+ *
+ * load() receives either a url or a File/Blob and has to resolve to a PointCloudTree.
+ * If several loaders match, the one with the most specific name match wins,
+ * and among equals, the one that was registered last.
+ */
+export class LoaderRegistry{
+
+	constructor(){
+		this.loaders = [];
+	}
+
+	register(loader){
+
+		if(!loader || !loader.name || typeof loader.load !== "function"){
+			throw new Error("a point cloud loader needs a name and a load function");
+		}
+
+		this.unregister(loader.name);
+		this.loaders.push(loader);
+
+		return loader;
+	}
+
+	unregister(name){
+		let index = this.loaders.findIndex(l => l.name === name);
+
+		if(index >= 0){
+			this.loaders.splice(index, 1);
+		}
+	}
+
+	get(name){
+		return this.loaders.find(l => l.name === name);
+	}
+
+	getLoaders(){
+		return [...this.loaders];
+	}
+
+	findByName(source){
+		let name = sourceName(source).toLowerCase();
+
+		if(name === ""){
+			return null;
+		}
+
+		let best = null;
+		let bestScore = 0;
+
+		// iterate in reverse so that later registrations win ties
+		for(let i = this.loaders.length - 1; i >= 0; i--){
+			let loader = this.loaders[i];
+			let score = 0;
+
+			for(let fileName of (loader.fileNames || [])){
+				if(name === fileName.toLowerCase()){
+					score = Infinity;
+				}
+			}
+
+			for(let extension of (loader.extensions || [])){
+				if(name.endsWith(extension.toLowerCase())){
+					score = Math.max(score, extension.length);
+				}
+			}
+
+			if(score > bestScore){
+				best = loader;
+				bestScore = score;
+			}
+		}
+
+		return best;
+	}
+
+	findByContent(head){
+		let mimeType = head.mimeType.split(";")[0].trim().toLowerCase();
+
+		let candidates = [...this.loaders].reverse();
+
+		let byMimeType = candidates.filter(l => (l.mimeTypes || []).includes(mimeType));
+		let others = candidates.filter(l => !byMimeType.includes(l));
+
+		for(let loader of [...byMimeType, ...others]){
+			if(loader.sniff && loader.sniff(head.bytes, head)){
+				return loader;
+			}
+		}
+
+		// a content type alone is good enough if it's unambiguous
+		if(byMimeType.length === 1){
+			return byMimeType[0];
+		}
+
+		return null;
+	}
+
+	async resolve(source, options = {}){
+
+		if(!source){
+			throw new PointCloudLoadError("no point cloud url or file specified", {
+				code: "INVALID_SOURCE", source: source,
+			});
+		}
+
+		if(options.loader){
+			let loader = this.get(options.loader);
+
+			if(!loader){
+				throw new PointCloudLoadError(`unknown point cloud loader: ${options.loader}`, {
+					code: "NO_LOADER", source: source,
+				});
+			}
+
+			return loader;
+		}
+
+		let loader = this.findByName(source);
+
+		if(loader){
+			return loader;
+		}
+
+		let head = null;
+		try{
+			head = await readHead(source);
+		}catch(e){
+			throw new PointCloudLoadError(`failed to read point cloud from ${sourceName(source)}`, {
+				code: "LOAD_FAILED", source: source, cause: e,
+			});
+		}
+
+		loader = this.findByContent(head);
+
+		if(!loader){
+			throw new PointCloudLoadError(`no loader found for point cloud: ${sourceName(source)}`, {
+				code: "NO_LOADER", source: source,
+			});
+		}
+
+		return loader;
+	}
+
+	async load(source, options = {}){
+
+		let loader = await this.resolve(source, options);
+
+		let pointcloud = null;
+		try{
+			pointcloud = await loader.load(source, options);
+		}catch(e){
+			if(e instanceof PointCloudLoadError){
+				throw e;
+			}
+
+			throw new PointCloudLoadError(`failed to load point cloud from ${sourceName(source)}`, {
+				code: "LOAD_FAILED", source: source, loader: loader.name, cause: e,
+			});
+		}
+
+		if(!pointcloud){
+			throw new PointCloudLoadError(`failed to load point cloud from ${sourceName(source)}`, {
+				code: "LOAD_FAILED", source: source, loader: loader.name,
+			});
+		}
+
+		return pointcloud;
+	}
+
+};
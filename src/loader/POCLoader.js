@@ -221,15 +221,20 @@ export class POCLoader {
 					pco.nodes = nodes;
 
 					callback(pco);
+				} else if (xhr.readyState === 4) {
+					let error = new Error(`HTTP ${xhr.status} while loading ${url}`);
+					console.error(error.message);
+
+					callback(undefined, error);
 				}
 			};
 
 			xhr.send(null);
 		} catch (e) {
-			console.log("loading failed: '" + url + "'");
-			console.log(e);
+			console.error(`failed to load ${url}`);
+			console.error(e);
 
-			callback();
+			callback(undefined, e);
 		}
 	}
 
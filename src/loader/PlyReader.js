@@ -0,0 +1,276 @@
+
+// Reads the vertices of ascii and binary PLY files as points.
+// Faces and other elements are skipped.
+
+const plyTypes = {
+	"char":    {size: 1, get: "getInt8"},
+	"int8":    {size: 1, get: "getInt8"},
+	"uchar":   {size: 1, get: "getUint8"},
+	"uint8":   {size: 1, get: "getUint8"},
+	"short":   {size: 2, get: "getInt16"},
+	"int16":   {size: 2, get: "getInt16"},
+	"ushort":  {size: 2, get: "getUint16"},
+	"uint16":  {size: 2, get: "getUint16"},
+	"int":     {size: 4, get: "getInt32"},
+	"int32":   {size: 4, get: "getInt32"},
+	"uint":    {size: 4, get: "getUint32"},
+	"uint32":  {size: 4, get: "getUint32"},
+	"float":   {size: 4, get: "getFloat32"},
+	"float32": {size: 4, get: "getFloat32"},
+	"double":  {size: 8, get: "getFloat64"},
+	"float64": {size: 8, get: "getFloat64"},
+};
+
+// alternative property names found in the wild, e.g. from CloudCompare or Meshlab
+const propertyNames = {
+	"x": "x", "y": "y", "z": "z",
+	"red": "red", "r": "red", "diffuse_red": "red",
+	"green": "green", "g": "green", "diffuse_green": "green",
+	"blue": "blue", "b": "blue", "diffuse_blue": "blue",
+	"alpha": "alpha", "a": "alpha", "diffuse_alpha": "alpha",
+	"intensity": "intensity", "scalar_intensity": "intensity", "reflectance": "intensity",
+	"nx": "nx", "ny": "ny", "nz": "nz",
+	"normal_x": "nx", "normal_y": "ny", "normal_z": "nz",
+};
+
+function parseHeader(buffer){
+	let bytes = new Uint8Array(buffer);
+	let marker = Array.from("end_header", c => c.charCodeAt(0));
+	let limit = Math.min(bytes.length, 64 * 1024);
+
+	let headerEnd = -1;
+	for(let i = 0; i < limit && headerEnd < 0; i++){
+		let matches = marker.every((c, j) => bytes[i + j] === c);
+
+		if(matches){
+			headerEnd = bytes.indexOf(0x0A, i) + 1;
+		}
+	}
+
+	if(headerEnd <= 0){
+		throw new Error("invalid PLY file: end_header not found");
+	}
+
+	let lines = new TextDecoder().decode(bytes.subarray(0, headerEnd)).split(/\r?\n/);
+
+	if(lines[0].trim() !== "ply"){
+		throw new Error("invalid PLY file: missing magic number");
+	}
+
+	let header = {
+		format: null,
+		elements: [],
+		byteLength: headerEnd,
+	};
+
+	for(let line of lines){
+		let tokens = line.trim().split(/\s+/);
+
+		if(tokens[0] === "format"){
+			header.format = tokens[1];
+		}else if(tokens[0] === "element"){
+			header.elements.push({name: tokens[1], count: parseInt(tokens[2]), properties: []});
+		}else if(tokens[0] === "property"){
+			let element = header.elements[header.elements.length - 1];
+
+			if(tokens[1] === "list"){
+				element.properties.push({name: tokens[4], list: true, countType: tokens[2], type: tokens[3]});
+			}else{
+				element.properties.push({name: tokens[2], list: false, type: tokens[1]});
+			}
+		}
+	}
+
+	for(let element of header.elements){
+		for(let property of element.properties){
+			if(!plyTypes[property.type] || (property.list && !plyTypes[property.countType])){
+				throw new Error(`unsupported PLY property type in ${element.name}.${property.name}`);
+			}
+		}
+	}
+
+	return header;
+}
+
+function colorScale(type){
+	if(type === "float" || type === "float32" || type === "double" || type === "float64"){
+		return 255;
+	}else if(plyTypes[type].size === 2){
+		return 1 / 256;
+	}else{
+		return 1;
+	}
+}
+
+function createResult(element){
+	let n = element.count;
+	let names = element.properties.map(p => propertyNames[p.name]);
+
+	let result = {
+		numPoints: n,
+		position: new Float64Array(3 * n),
+	};
+
+	if(names.includes("red") && names.includes("green") && names.includes("blue")){
+		result.rgba = new Uint8Array(4 * n).fill(255);
+	}
+
+	if(names.includes("intensity")){
+		result.intensity = new Float32Array(n);
+	}
+
+	if(names.includes("nx") && names.includes("ny") && names.includes("nz")){
+		result.normal = new Float32Array(3 * n);
+	}
+
+	return result;
+}
+
+// returns a function that stores the value of a property of the i-th vertex in the result
+function createSetter(property, result){
+	let name = propertyNames[property.name];
+
+	let targets = {
+		"x":     [result.position, 3, 0],
+		"y":     [result.position, 3, 1],
+		"z":     [result.position, 3, 2],
+		"red":   [result.rgba, 4, 0],
+		"green": [result.rgba, 4, 1],
+		"blue":  [result.rgba, 4, 2],
+		"alpha": [result.rgba, 4, 3],
+		"intensity": [result.intensity, 1, 0],
+		"nx":    [result.normal, 3, 0],
+		"ny":    [result.normal, 3, 1],
+		"nz":    [result.normal, 3, 2],
+	};
+
+	let target = targets[name];
+
+	if(!target || !target[0]){
+		return null;
+	}
+
+	let [array, stride, offset] = target;
+
+	if(array === result.rgba){
+		let scale = colorScale(property.type);
+
+		return (i, value) => { array[stride * i + offset] = value * scale; };
+	}else{
+		return (i, value) => { array[stride * i + offset] = value; };
+	}
+}
+
+function readAscii(buffer, header){
+	let text = new TextDecoder().decode(new Uint8Array(buffer, header.byteLength));
+	let lines = text.split(/\r?\n/);
+	let lineIndex = 0;
+	let result = null;
+
+	for(let element of header.elements){
+
+		if(element.name !== "vertex"){
+			lineIndex += element.count;
+			continue;
+		}
+
+		result = createResult(element);
+		let setters = element.properties.map(p => p.list ? null : createSetter(p, result));
+
+		for(let i = 0; i < element.count; i++){
+			let tokens = lines[lineIndex++].trim().split(/\s+/);
+
+			let t = 0;
+			for(let p = 0; p < element.properties.length; p++){
+				let property = element.properties[p];
+
+				if(property.list){
+					t += parseInt(tokens[t]) + 1;
+					continue;
+				}
+
+				let setter = setters[p];
+				if(setter){
+					setter(i, parseFloat(tokens[t]));
+				}
+				t++;
+			}
+		}
+
+		break;
+	}
+
+	return result;
+}
+
+function readBinary(buffer, header, littleEndian){
+	let view = new DataView(buffer);
+	let offset = header.byteLength;
+	let result = null;
+
+	for(let element of header.elements){
+
+		let isVertex = element.name === "vertex";
+		let hasLists = element.properties.some(p => p.list);
+
+		if(!isVertex && !hasLists){
+			let stride = element.properties.reduce((sum, p) => sum + plyTypes[p.type].size, 0);
+			offset += stride * element.count;
+			continue;
+		}
+
+		if(isVertex){
+			result = createResult(element);
+		}
+		let setters = element.properties.map(p => (isVertex && !p.list) ? createSetter(p, result) : null);
+		let getters = element.properties.map(p => plyTypes[p.type]);
+
+		for(let i = 0; i < element.count; i++){
+			for(let p = 0; p < element.properties.length; p++){
+				let property = element.properties[p];
+				let type = getters[p];
+
+				if(property.list){
+					let countType = plyTypes[property.countType];
+					let count = view[countType.get](offset, littleEndian);
+					offset += countType.size + count * type.size;
+					continue;
+				}
+
+				let setter = setters[p];
+				if(setter){
+					setter(i, view[type.get](offset, littleEndian));
+				}
+				offset += type.size;
+			}
+		}
+
+		if(isVertex){
+			break;
+		}
+	}
+
+	return result;
+}
+
+export function readPly(buffer){
+	let header = parseHeader(buffer);
+
+	let vertex = header.elements.find(e => e.name === "vertex");
+	if(!vertex){
+		throw new Error("PLY file does not contain vertices");
+	}
+
+	let result = null;
+	if(header.format === "ascii"){
+		result = readAscii(buffer, header);
+	}else if(header.format === "binary_little_endian"){
+		result = readBinary(buffer, header, true);
+	}else if(header.format === "binary_big_endian"){
+		result = readBinary(buffer, header, false);
+	}else{
+		throw new Error(`unsupported PLY format: ${header.format}`);
+	}
+
+	return result;
+}
@@ -0,0 +1,154 @@
+
+import {PointCloudOctree} from "../PointCloudOctree.js";
+import {POCLoader} from "./POCLoader.js";
+import {CopcLoader, EptLoader} from "./EptLoader.js";
+import {OctreeLoader} from "../modules/loader/2.0/OctreeLoader.js";
+import {LasLazFileLoader} from "./LasLazFileLoader.js";
+import {PointFileLoader} from "./PointFileLoader.js";
+
+// Loader descriptors for the formats that ship with potree, see LoaderRegistry for the contract.
+
+function textOf(bytes){
+	return new TextDecoder().decode(bytes);
+}
+
+export function isLasFile(bytes){
+	return bytes.length >= 4
+		&& bytes[0] === 0x4C  // L
+		&& bytes[1] === 0x41  // A
+		&& bytes[2] === 0x53  // S
+		&& bytes[3] === 0x46; // F
+}
+
+// wraps the callback-style loaders that pass an undefined geometry, and possibly the error, on failure
+function loadGeometry(loader, url){
+	return new Promise((resolve, reject) => {
+		let result = loader.load(url, (geometry, error) => {
+			if(geometry){
+				resolve(geometry);
+			}else{
+				reject(error || new Error(`${loader.name} failed to load ${url}`));
+			}
+		});
+
+		if(result && result.catch){
+			result.catch(reject);
+		}
+	});
+}
+
+export const EptPointCloudLoader = {
+	name: "ept",
+	fileNames: ["ept.json"],
+	mimeTypes: ["application/json"],
+	sniff: (bytes) => {
+		let text = textOf(bytes);
+
+		return text.includes('"dataType"') && text.includes('"span"');
+	},
+	load: async (url) => {
+		let geometry = await loadGeometry(EptLoader, url);
+
+		return new PointCloudOctree(geometry);
+	},
+};
+
+function isCopcFile(bytes){
+	// the copc info vlr directly follows the 375 byte LAS 1.4 header,
+	// its user id starts after the 2 reserved bytes
+	return isLasFile(bytes) && textOf(bytes.subarray(377, 381)) === "copc";
+}
+
+export const CopcPointCloudLoader = {
+	name: "copc",
+	extensions: [".copc.laz"],
+	mimeTypes: ["application/vnd.laszip+copc"],
+	sniff: (bytes) => isCopcFile(bytes),
+	load: async (url) => {
+		let geometry = await loadGeometry(CopcLoader, url);
+
+		return new PointCloudOctree(geometry);
+	},
+};
+
+export const PotreeV1PointCloudLoader = {
+	name: "potree-1",
+	fileNames: ["cloud.js"],
+	mimeTypes: ["application/json", "application/javascript"],
+	sniff: (bytes) => {
+		let text = textOf(bytes);
+
+		return text.includes('"octreeDir"');
+	},
+	load: async (url) => {
+		let geometry = await loadGeometry(POCLoader, url);
+
+		return new PointCloudOctree(geometry);
+	},
+};
+
+export const PotreeV2PointCloudLoader = {
+	name: "potree-2",
+	fileNames: ["metadata.json"],
+	mimeTypes: ["application/json"],
+	sniff: (bytes) => {
+		let text = textOf(bytes);
+
+		return text.includes('"hierarchy"') && text.includes('"encoding"');
+	},
+	load: async (url) => {
+		let {geometry} = await OctreeLoader.load(url);
+
+		let pointcloud = new PointCloudOctree(geometry);
+
+		let aPosition = pointcloud.getAttribute("position");
+
+		let material = pointcloud.material;
+		material.elevationRange = [
+			aPosition.range[0][2],
+			aPosition.range[1][2],
+		];
+
+		return pointcloud;
+	},
+};
+
+export const LasLazPointCloudLoader = {
+	name: "las",
+	extensions: [".las", ".laz"],
+	mimeTypes: ["application/vnd.las", "application/vnd.laszip"],
+	sniff: (bytes) => isLasFile(bytes) && !isCopcFile(bytes),
+	load: (source) => LasLazFileLoader.load(source),
+};
+
+export const PlyPointCloudLoader = {
+	name: "ply",
+	extensions: [".ply"],
+	sniff: (bytes) => /^ply\r?\n/.test(textOf(bytes.subarray(0, 5))),
+	load: (source, options) => PointFileLoader.load(source, "ply", options),
+};
+
+// plain text, so there is nothing to sniff
+export const XyzPointCloudLoader = {
+	name: "xyz",
+	extensions: [".xyz", ".pts"],
+	load: (source, options) => PointFileLoader.load(source, "xyz", options),
+};
+
+export const E57PointCloudLoader = {
+	name: "e57",
+	extensions: [".e57"],
+	sniff: (bytes) => textOf(bytes.subarray(0, 8)) === "ASTM-E57",
+	load: (source, options) => PointFileLoader.load(source, "e57", options),
+};
+
+export const defaultPointCloudLoaders = [
+	EptPointCloudLoader,
+	CopcPointCloudLoader,
+	PotreeV1PointCloudLoader,
+	PotreeV2PointCloudLoader,
+	LasLazPointCloudLoader,
+	PlyPointCloudLoader,
+	XyzPointCloudLoader,
+	E57PointCloudLoader,
+];
@@ -0,0 +1,117 @@
+
+import * as THREE from "../../libs/three.js/build/three.module.js";
+import {PointAttributeTypes} from "./PointAttributes.js";
+import {InMemoryOctreeBuilder} from "../modules/loader/inmemory/InMemoryOctreeBuilder.js";
+
+/**
+ * Loads point files that aren't stored as an octree, e.g. PLY, XYZ/PTS or E57.
+ * The file is parsed by the PointFileReaderWorker and turned into an octree
+ * on the fly by an InMemoryOctreeBuilder.
+ *
+ * Resolves to the point cloud as soon as the first batch is in,
+ * the remaining batches refine the point cloud in the background.
+ *
+ * format: "ply", "xyz" or "e57"
+ * options.columns: column layout of xyz files, see readXyz
+ */
+export class PointFileLoader{
+
+	static async load(source, format, options = {}){
+
+		let buffer = null;
+		if(source instanceof Blob){
+			buffer = await source.arrayBuffer();
+		}else{
+			let response = await fetch(source);
+
+			if(!response.ok){
+				throw new Error(`HTTP ${response.status} while loading ${source}`);
+			}
+
+			buffer = await response.arrayBuffer();
+		}
+
+		let url = source instanceof Blob ? source.name : source;
+
+		return new Promise((resolve, reject) => {
+			const workerPath = Potree.scriptPath + '/workers/PointFileReaderWorker.js';
+			const worker = new Worker(workerPath);
+
+			let builder = null;
+			let pointcloud = null;
+
+			// batches are added one after the other, in the order they arrive
+			let queue = Promise.resolve();
+
+			let fail = (e) => {
+				worker.terminate();
+
+				if(pointcloud){
+					console.error(`failed to read all points of ${url}`);
+					console.error(e);
+				}else{
+					if(builder){
+						builder.dispose();
+					}
+
+					reject(e);
+				}
+			};
+
+			let handle = async (data) => {
+				if(data.type === "header"){
+					let {min, max} = data.boundingBox;
+					let boundingBox = new THREE.Box3(new THREE.Vector3(...min), new THREE.Vector3(...max));
+
+					let attributes = data.attributes.map(a => ({
+						name: a.name,
+						type: PointAttributeTypes[`DATA_TYPE_${a.type.toUpperCase()}`],
+						numElements: a.numElements,
+					}));
+
+					builder = new InMemoryOctreeBuilder({
+						boundingBox: boundingBox,
+						attributes: attributes,
+						numPoints: data.numPoints,
+					});
+					builder.octree.url = url;
+				}else if(data.type === "batch"){
+					await builder.add(data.numPoints, data.buffers);
+
+					if(!pointcloud){
+						pointcloud = builder.createPointCloud();
+						resolve(pointcloud);
+					}
+				}else if(data.type === "done"){
+					worker.terminate();
+
+					if(!pointcloud){
+						throw new Error(`${url} does not contain any points`);
+					}
+
+					builder.finish();
+				}else if(data.type === "error"){
+					throw new Error(data.message);
+				}
+			};
+
+			worker.onmessage = (e) => {
+				queue = queue.then(() => handle(e.data)).catch(fail);
+			};
+
+			worker.onerror = (e) => {
+				fail(new Error(`failed to read ${url}: ${e.message}`));
+			};
+
+			worker.postMessage({
+				format: format,
+				buffer: buffer,
+				batchSize: PointFileLoader.batchSize,
+				options: {columns: options.columns},
+			}, [buffer]);
+		});
+	}
+
+};
+
+PointFileLoader.batchSize = 500 * 1000;
@@ -0,0 +1,635 @@
+
+import * as THREE from "../../libs/three.js/build/three.module.js";
+import {LineSegments2} from "../../libs/three.js/lines/LineSegments2.js";
+import {LineSegmentsGeometry} from "../../libs/three.js/lines/LineSegmentsGeometry.js";
+import {LineMaterial} from "../../libs/three.js/lines/LineMaterial.js";
+import {EventDispatcher} from "../EventDispatcher.js";
+
+// style attributes and the feature properties of the simplestyle spec that provide them,
+// see https://github.com/mapbox/simplestyle-spec. KML and DXF styles are translated to these properties.
+const featureStyleProperties = {
+	color: "stroke",
+	lineWidth: "stroke-width",
+	fillColor: "fill",
+	fillOpacity: "fill-opacity",
+	pointColor: "marker-color",
+	pointSize: "marker-size",
+	pointSymbol: "marker-symbol",
+};
+
+const markerSizes = {
+	small: 6,
+	medium: 10,
+	large: 16,
+};
+
+function toColor(value){
+	if(value === null || value === undefined){
+		return null;
+	}else if(value instanceof THREE.Color){
+		return value.clone();
+	}else if(Array.isArray(value)){
+		return new THREE.Color().setRGB(...value);
+	}else{
+		return new THREE.Color(value);
+	}
+}
+
+// piecewise linear interpolation of numbers or colors
+function interpolateStops(stops, value, fallback){
+	if(typeof value !== "number" || Number.isNaN(value) || stops.length === 0){
+		return fallback;
+	}
+
+	if(value <= stops[0][0]){
+		return stops[0][1];
+	}
+
+	for(let i = 1; i < stops.length; i++){
+		let [v0, out0] = stops[i - 1];
+		let [v1, out1] = stops[i];
+
+		if(value <= v1){
+			let w = v1 > v0 ? (value - v0) / (v1 - v0) : 0;
+
+			if(typeof out0 === "number"){
+				return out0 + w * (out1 - out0);
+			}else{
+				return toColor(out0).lerp(toColor(out1), w);
+			}
+		}
+	}
+
+	return stops[stops.length - 1][1];
+}
+
+// splits multi geometries and collections into points, line strings and polygons
+function flattenGeometry(geometry, target = []){
+	if(!geometry){
+		return target;
+	}
+
+	let {type, coordinates} = geometry;
+
+	if(type === "Point" || type === "LineString" || type === "Polygon"){
+		target.push({type, coordinates});
+	}else if(type === "MultiPoint"){
+		coordinates.forEach(c => target.push({type: "Point", coordinates: c}));
+	}else if(type === "MultiLineString"){
+		coordinates.forEach(c => target.push({type: "LineString", coordinates: c}));
+	}else if(type === "MultiPolygon"){
+		coordinates.forEach(c => target.push({type: "Polygon", coordinates: c}));
+	}else if(type === "GeometryCollection"){
+		geometry.geometries.forEach(g => flattenGeometry(g, target));
+	}else{
+		console.warn(`unhandled geometry type: ${type}`);
+	}
+
+	return target;
+}
+
+/**
+ * Data driven styling of vector features.
+ *
+ * Each style attribute can be
+ *   a constant, e.g. color: "#ff0000" or lineWidth: 3
+ *   a function of the feature properties, e.g. color: (properties) => properties.damaged ? "red" : "green"
+ *   a lookup by property value, e.g. color: {property: "type", values: {water: "#0000ff", gas: "#ffff00"}, default: "#888888"}
+ *   an interpolation of a numeric property, e.g. lineWidth: {property: "diameter", stops: [[100, 1], [1000, 8]]}
+ *
+ * Attributes that aren't specified are taken from simplestyle properties of the feature,
+ * e.g. "stroke", "stroke-width" or "fill", and otherwise from VectorStyle.defaults.
+ *
+ * Attributes:
+ *   color, lineWidth: color and width in pixels of lines and polygon outlines
+ *   fillColor, fillOpacity: polygon fill, polygons are not filled if fillColor is null
+ *   pointColor, pointSize, pointSymbol: point symbols, pointColor defaults to color.
+ *     pointSymbol is "circle", "square", "diamond", "triangle" or "cross"
+ */
+export class VectorStyle{
+
+	constructor(rules = {}){
+		this.rules = rules;
+	}
+
+	static evaluate(rule, feature){
+		let properties = feature.properties || {};
+
+		if(typeof rule === "function"){
+			return rule(properties, feature);
+		}else if(rule !== null && typeof rule === "object" && rule.property !== undefined){
+			let value = properties[rule.property];
+
+			if(rule.values){
+				return rule.values.hasOwnProperty(value) ? rule.values[value] : rule.default;
+			}else if(rule.stops){
+				return interpolateStops(rule.stops, value, rule.default);
+			}else{
+				return value !== undefined ? value : rule.default;
+			}
+		}else{
+			return rule;
+		}
+	}
+
+	resolve(feature){
+		let properties = feature.properties || {};
+		let style = {};
+
+		for(let [attribute, property] of Object.entries(featureStyleProperties)){
+			let value = undefined;
+
+			if(this.rules[attribute] !== undefined){
+				value = VectorStyle.evaluate(this.rules[attribute], feature);
+			}else if(properties[property] !== undefined){
+				value = properties[property];
+			}
+
+			style[attribute] = value !== undefined ? value : VectorStyle.defaults[attribute];
+		}
+
+		style.color = toColor(style.color);
+		style.fillColor = toColor(style.fillColor);
+		style.pointColor = style.pointColor !== null ? toColor(style.pointColor) : style.color.clone();
+		style.lineWidth = Number(style.lineWidth);
+		style.fillOpacity = Number(style.fillOpacity);
+		style.pointSize = markerSizes[style.pointSize] || Number(style.pointSize);
+
+		return style;
+	}
+
+};
+
+VectorStyle.defaults = {
+	color: "#ff0000",
+	lineWidth: 2,
+	fillColor: null,
+	fillOpacity: 0.5,
+	pointColor: null,
+	pointSize: 10,
+	pointSymbol: "circle",
+};
+
+/**
+ * Turns GeoJSON-like features into scene nodes. This is the common pipeline
+ * of the GeoJSON, KML, DXF, Shapefile and GeoPackage loaders.
+ *
+ * Features with the same style are merged into a single line, fill or point object,
+ * so that large layers can be rendered with few draw calls.
+ *
+ * Coordinates without a z value are 2D. They are placed at params.elevation, or, if params.drape is set,
+ * draped onto the DEM of the point clouds as it is refined, see Viewer.getHeightAt.
+ * Lines are subdivided every params.drapeSpacing units for draping so that they follow the terrain.
+ *
+ * params:
+ *   name, style (VectorStyle or its rules),
+ *   transform: {forward: ([x, y]) => [x, y]}, e.g. a proj4 converter into the point cloud projection
+ *   elevation, drape, drapeOffset, drapeSpacing
+ */
+export class VectorLayer extends EventDispatcher{
+
+	constructor(features, params = {}){
+		super();
+
+		this.name = params.name || "vectors";
+		this.features = features;
+		this.style = params.style instanceof VectorStyle ? params.style : new VectorStyle(params.style);
+		this.transform = params.transform || null;
+		this.elevation = params.elevation !== undefined ? params.elevation : 0;
+		this.drapeOffset = params.drapeOffset !== undefined ? params.drapeOffset : 0.1;
+		this.drapeSpacing = params.drapeSpacing || 1;
+		this._drape = Boolean(params.drape);
+
+		this.node = new THREE.Object3D();
+		this.node.name = this.name;
+
+		this.batches = [];
+		this.lineMaterials = [];
+		this.drapedState = null;
+		this.drapedTime = -Infinity;
+
+		this.build();
+	}
+
+	get visible(){
+		return this.node.visible;
+	}
+
+	set visible(value){
+		if(this.node.visible !== value){
+			this.node.visible = value;
+
+			this.dispatchEvent({type: "visibility_changed", layer: this});
+		}
+	}
+
+	get drape(){
+		return this._drape;
+	}
+
+	set drape(value){
+		if(this._drape !== value){
+			this._drape = value;
+
+			// draped lines are subdivided, so the geometry has to be rebuilt
+			this.build();
+		}
+	}
+
+	project(coordinate){
+		let [x, y] = this.transform ? this.transform.forward([coordinate[0], coordinate[1]]) : coordinate;
+		let is3D = coordinate.length > 2 && Number.isFinite(coordinate[2]);
+
+		return {
+			x: x,
+			y: y,
+			z: is3D ? coordinate[2] : this.elevation,
+			clamped: !is3D,
+		};
+	}
+
+	// the projected vertices of the line strings of all features, e.g. for use as alignments
+	getLineStrings(){
+		let lines = [];
+
+		for(let feature of this.features){
+			for(let geometry of flattenGeometry(feature.geometry)){
+				if(geometry.type === "LineString"){
+					lines.push({feature: feature, vertices: geometry.coordinates.map(c => this.project(c))});
+				}
+			}
+		}
+
+		return lines;
+	}
+
+	// adds intermediate vertices to segments between 2D vertices, so that draped lines follow the terrain
+	densify(vertices){
+		if(!this.drape){
+			return vertices;
+		}
+
+		let result = [];
+
+		for(let i = 0; i < vertices.length; i++){
+			let a = vertices[i];
+			let b = vertices[i + 1];
+
+			result.push(a);
+
+			if(!b || !a.clamped || !b.clamped){
+				continue;
+			}
+
+			let distance = Math.hypot(b.x - a.x, b.y - a.y);
+			let n = Math.min(Math.ceil(distance / this.drapeSpacing), VectorLayer.maxSubdivisions);
+
+			for(let j = 1; j < n; j++){
+				let w = j / n;
+
+				result.push({
+					x: a.x + w * (b.x - a.x),
+					y: a.y + w * (b.y - a.y),
+					z: a.z + w * (b.z - a.z),
+					clamped: true,
+				});
+			}
+		}
+
+		return result;
+	}
+
+	build(){
+		this.clear();
+
+		let lines = new Map();
+		let fills = new Map();
+		let points = new Map();
+
+		let getBatch = (batches, key, params) => {
+			if(!batches.has(key)){
+				batches.set(key, {...params, vertices: [], colors: [], indices: []});
+			}
+
+			return batches.get(key);
+		};
+
+		let addLine = (vertices, style) => {
+			if(vertices.length < 2){
+				return;
+			}
+
+			let key = `${style.color.getHexString()}_${style.lineWidth}`;
+			let batch = getBatch(lines, key, {color: style.color, lineWidth: style.lineWidth});
+
+			vertices = this.densify(vertices);
+
+			for(let i = 0; i < vertices.length - 1; i++){
+				batch.vertices.push(vertices[i], vertices[i + 1]);
+			}
+		};
+
+		for(let feature of this.features){
+			let style = this.style.resolve(feature);
+
+			for(let geometry of flattenGeometry(feature.geometry)){
+
+				if(geometry.type === "Point"){
+					let key = `${style.pointSymbol}_${style.pointSize}`;
+					let batch = getBatch(points, key, {symbol: style.pointSymbol, size: style.pointSize});
+
+					batch.vertices.push(this.project(geometry.coordinates));
+					batch.colors.push(style.pointColor.r, style.pointColor.g, style.pointColor.b);
+				}else if(geometry.type === "LineString"){
+					addLine(geometry.coordinates.map(c => this.project(c)), style);
+				}else if(geometry.type === "Polygon"){
+					let rings = geometry.coordinates.map(ring => ring.map(c => this.project(c)));
+
+					for(let ring of rings){
+						let first = ring[0];
+						let last = ring[ring.length - 1];
+						let isClosed = ring.length > 1 && first.x === last.x && first.y === last.y;
+
+						addLine(isClosed ? ring : [...ring, first], style);
+					}
+
+					if(style.fillColor && rings.length > 0 && rings[0].length >= 3){
+						let key = `${style.fillColor.getHexString()}_${style.fillOpacity}`;
+						let batch = getBatch(fills, key, {color: style.fillColor, opacity: style.fillOpacity});
+
+						// without the closing vertex, so that triangle indices refer to the ring vertices
+						let openRings = rings.map(ring => {
+							let first = ring[0];
+							let last = ring[ring.length - 1];
+							let isClosed = ring.length > 1 && first.x === last.x && first.y === last.y;
+
+							return isClosed ? ring.slice(0, -1) : ring;
+						});
+
+						let contour = openRings[0].map(v => new THREE.Vector2(v.x, v.y));
+						let holes = openRings.slice(1).map(ring => ring.map(v => new THREE.Vector2(v.x, v.y)));
+						let faces = THREE.ShapeUtils.triangulateShape(contour, holes);
+
+						let offset = batch.vertices.length;
+						batch.vertices.push(...openRings.flat());
+						batch.indices.push(...faces.flat().map(index => index + offset));
+					}
+				}
+			}
+		}
+
+		let first = [...lines.values(), ...fills.values(), ...points.values()]
+			.map(batch => batch.vertices[0])
+			.find(vertex => vertex !== undefined);
+
+		// vertices are stored relative to the first one, for precision
+		if(first){
+			this.node.position.set(first.x, first.y, 0);
+		}
+
+		for(let batch of lines.values()){
+			let material = new LineMaterial({
+				color: batch.color,
+				linewidth: batch.lineWidth,
+				resolution: new THREE.Vector2(1000, 1000),
+				dashed: false,
+			});
+			let object = new LineSegments2(new LineSegmentsGeometry(), material);
+
+			this.lineMaterials.push(material);
+			this.addBatch(object, batch.vertices, (positions) => {
+				object.geometry.setPositions(positions);
+			});
+		}
+
+		for(let batch of fills.values()){
+			let geometry = new THREE.BufferGeometry();
+			geometry.setIndex(batch.indices);
+
+			let material = new THREE.MeshBasicMaterial({
+				color: batch.color,
+				opacity: batch.opacity,
+				transparent: true,
+				side: THREE.DoubleSide,
+				depthWrite: false,
+			});
+			let object = new THREE.Mesh(geometry, material);
+
+			this.addBatch(object, batch.vertices, (positions) => {
+				geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+				geometry.computeBoundingSphere();
+			});
+		}
+
+		for(let batch of points.values()){
+			let geometry = new THREE.BufferGeometry();
+			geometry.setAttribute("color", new THREE.Float32BufferAttribute(batch.colors, 3));
+
+			let material = new THREE.PointsMaterial({
+				size: batch.size,
+				sizeAttenuation: false,
+				vertexColors: true,
+				map: VectorLayer.getSymbolTexture(batch.symbol),
+				alphaTest: 0.5,
+			});
+			let object = new THREE.Points(geometry, material);
+
+			this.addBatch(object, batch.vertices, (positions) => {
+				geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+				geometry.computeBoundingSphere();
+			});
+		}
+
+		this.drapedState = null;
+	}
+
+	addBatch(object, vertices, setPositions){
+		let batch = {
+			object: object,
+			positions: new Float64Array(vertices.flatMap(v => [v.x, v.y, v.z])),
+			clamped: Uint8Array.from(vertices, v => v.clamped ? 1 : 0),
+			setPositions: setPositions,
+		};
+
+		this.batches.push(batch);
+		this.node.add(object);
+
+		this.updateElevation(batch, null);
+	}
+
+	/**
+	 * Writes the vertices of a batch to its geometry.
+	 * 2D vertices are placed on heightAt(x, y) + drapeOffset, or at the layer elevation if heightAt is null or has no data.
+	 */
+	updateElevation(batch, heightAt){
+		let {positions, clamped} = batch;
+		let origin = this.node.position;
+		let relative = new Float32Array(positions.length);
+
+		for(let i = 0; i < clamped.length; i++){
+			let x = positions[3 * i + 0];
+			let y = positions[3 * i + 1];
+			let z = positions[3 * i + 2];
+
+			if(clamped[i] && heightAt){
+				let height = heightAt(x, y);
+
+				z = height !== null ? height + this.drapeOffset : this.elevation;
+			}
+
+			relative[3 * i + 0] = x - origin.x;
+			relative[3 * i + 1] = y - origin.y;
+			relative[3 * i + 2] = z - origin.z;
+		}
+
+		batch.setPositions(relative);
+	}
+
+	setResolution(width, height){
+		for(let material of this.lineMaterials){
+			material.resolution.set(width, height);
+		}
+	}
+
+	// called every frame by the viewer
+	update(viewer){
+		let size = viewer.renderer.getSize(new THREE.Vector2());
+		this.setResolution(size.x, size.y);
+
+		if(!this.drape || !this.visible){
+			return;
+		}
+
+		// redrape whenever the DEMs were refined, but not more often than drapeInterval
+		let state = viewer.scene.pointclouds
+			.map(pointcloud => pointcloud.dem ? pointcloud.dem.version : 0)
+			.join("_");
+		let now = performance.now();
+
+		if(state === this.drapedState || now - this.drapedTime < VectorLayer.drapeInterval){
+			return;
+		}
+
+		let heightAt = (x, y) => {
+			let height = viewer.getHeightAt(x, y, "ground");
+
+			return height !== null ? height : viewer.getHeightAt(x, y, "mean");
+		};
+
+		for(let batch of this.batches){
+			this.updateElevation(batch, heightAt);
+		}
+
+		this.drapedState = state;
+		this.drapedTime = now;
+	}
+
+	clear(){
+		for(let batch of this.batches){
+			this.node.remove(batch.object);
+			batch.object.geometry.dispose();
+			batch.object.material.dispose();
+		}
+
+		this.batches = [];
+		this.lineMaterials = [];
+	}
+
+	dispose(){
+		this.clear();
+	}
+
+	static getSymbolTexture(symbol){
+		if(!VectorLayer.symbolTextures.has(symbol)){
+			let size = 64;
+			let canvas = document.createElement("canvas");
+			canvas.width = size;
+			canvas.height = size;
+
+			let context = canvas.getContext("2d");
+			let c = size / 2;
+			let r = size / 2 - 4;
+
+			context.beginPath();
+			if(symbol === "square"){
+				context.rect(c - r, c - r, 2 * r, 2 * r);
+			}else if(symbol === "diamond"){
+				context.moveTo(c, c - r);
+				context.lineTo(c + r, c);
+				context.lineTo(c, c + r);
+				context.lineTo(c - r, c);
+				context.closePath();
+			}else if(symbol === "triangle"){
+				context.moveTo(c, c - r);
+				context.lineTo(c + r, c + r);
+				context.lineTo(c - r, c + r);
+				context.closePath();
+			}else if(symbol === "cross"){
+				let w = r / 3;
+				context.rect(c - w, c - r, 2 * w, 2 * r);
+				context.rect(c - r, c - w, 2 * r, 2 * w);
+			}else{
+				context.arc(c, c, r, 0, 2 * Math.PI);
+			}
+
+			// white, so that the vertex colors are applied, with a dark outline
+			context.fillStyle = "#ffffff";
+			context.fill("nonzero");
+			context.lineWidth = 4;
+			context.strokeStyle = "#000000";
+			context.stroke();
+
+			VectorLayer.symbolTextures.set(symbol, new THREE.CanvasTexture(canvas));
+		}
+
+		return VectorLayer.symbolTextures.get(symbol);
+	}
+
+	/**
+	 * The scene node of a single feature, whose lines use the given LineMaterial so that
+	 * its owner can update the resolution. Backs the featureToSceneNode methods of the
+	 * Shapefile and GeoPackage loaders, a VectorLayer of all features renders faster.
+	 *
+	 * params: see the constructor
+	 */
+	static createFeatureNode(feature, lineMaterial, params = {}){
+		let layer = new VectorLayer([feature], Object.assign({
+			style: {color: lineMaterial.color, lineWidth: lineMaterial.linewidth},
+		}, params));
+
+		for(let {object} of layer.batches){
+			if(object.isLineSegments2){
+				object.material.dispose();
+				object.material = lineMaterial;
+			}
+		}
+
+		return layer.node;
+	}
+
+	/**
+	 * Creates a transform from a source projection, e.g. "WGS84" or an EPSG code known to proj4,
+	 * to the projection of the point cloud. Returns null if either of them is unknown, in which case
+	 * coordinates are assumed to be in the projection of the point cloud already.
+	 */
+	static createTransform(sourceProjection, targetProjection){
+		if(!sourceProjection || !targetProjection || typeof proj4 === "undefined"){
+			return null;
+		}
+
+		proj4.defs("WGS84", "+proj=longlat +ellps=WGS84 +datum=WGS84 +no_defs");
+
+		if(!proj4.defs(sourceProjection)){
+			console.warn(`unknown projection ${sourceProjection}, assuming the projection of the point cloud`);
+
+			return null;
+		}
+
+		return proj4(sourceProjection, targetProjection);
+	}
+
+};
+
+VectorLayer.maxSubdivisions = 1000;
+VectorLayer.drapeInterval = 1000;
+VectorLayer.symbolTextures = new Map();
@@ -0,0 +1,126 @@
+
+// Reads ASCII point lists, e.g. .xyz or .pts files.
+// Values may be separated by whitespace, commas or semicolons.
+// Lines that don't start with a number are treated as headers or comments and skipped,
+// so is the point count in the first line of .pts files.
+// The first line determines the number of values per point, lines with a different number are skipped.
+
+// column layouts by number of values per line
+const defaultColumns = {
+	3:  ["x", "y", "z"],
+	4:  ["x", "y", "z", "intensity"],
+	6:  ["x", "y", "z", "red", "green", "blue"],
+	7:  ["x", "y", "z", "intensity", "red", "green", "blue"],
+	9:  ["x", "y", "z", "red", "green", "blue", "nx", "ny", "nz"],
+	10: ["x", "y", "z", "intensity", "red", "green", "blue", "nx", "ny", "nz"],
+};
+
+const delimiter = /[\s,;]+/;
+
+function isDataLine(line){
+	let c = line.charCodeAt(0);
+
+	// digit, sign or decimal point
+	return (c >= 48 && c <= 57) || c === 45 || c === 43 || c === 46;
+}
+
+/**
+ * options.columns overrides the column layout derived from the number of values,
+ * e.g. ["x", "y", "z", "red", "green", "blue", "intensity"]. Unknown names are skipped.
+ */
+export function readXyz(buffer, options = {}){
+	let text = new TextDecoder().decode(buffer);
+	let lines = text.split(/\r?\n/)
+		.map(line => line.trim())
+		.filter(line => line.length > 0 && isDataLine(line));
+
+	// the point count in the first line of .pts files
+	if(lines.length > 0 && lines[0].split(delimiter).length === 1){
+		lines.shift();
+	}
+
+	if(lines.length === 0){
+		throw new Error("no points found");
+	}
+
+	let numValues = lines[0].split(delimiter).length;
+	let columns = options.columns || defaultColumns[numValues];
+
+	if(!columns){
+		throw new Error(`can't infer the meaning of ${numValues} values per point, specify options.columns`);
+	}
+
+	// e.g. truncated or merged lines, their values would end up in the wrong attributes
+	lines = lines.filter(line => line.split(delimiter).length === numValues);
+
+	let n = lines.length;
+	let result = {
+		numPoints: n,
+		position: new Float64Array(3 * n),
+	};
+
+	if(columns.includes("red") && columns.includes("green") && columns.includes("blue")){
+		result.rgba = new Uint8Array(4 * n).fill(255);
+	}
+
+	if(columns.includes("intensity")){
+		result.intensity = new Float32Array(n);
+	}
+
+	if(columns.includes("nx") && columns.includes("ny") && columns.includes("nz")){
+		result.normal = new Float32Array(3 * n);
+	}
+
+	let targets = {
+		"x":     [result.position, 3, 0],
+		"y":     [result.position, 3, 1],
+		"z":     [result.position, 3, 2],
+		"red":   [result.rgba, 4, 0],
+		"green": [result.rgba, 4, 1],
+		"blue":  [result.rgba, 4, 2],
+		"intensity": [result.intensity, 1, 0],
+		"nx":    [result.normal, 3, 0],
+		"ny":    [result.normal, 3, 1],
+		"nz":    [result.normal, 3, 2],
+	};
+
+	let setters = columns.map(name => targets[name] && targets[name][0] ? targets[name] : null);
+
+	let maxColor = 0;
+	for(let i = 0; i < n; i++){
+		let tokens = lines[i].split(delimiter);
+
+		for(let c = 0; c < setters.length; c++){
+			let setter = setters[c];
+
+			if(!setter){
+				continue;
+			}
+
+			let [array, stride, offset] = setter;
+			let value = parseFloat(tokens[c]);
+
+			if(array === result.rgba){
+				maxColor = Math.max(maxColor, value);
+				value = Math.min(value, 255);
+			}
+
+			array[stride * i + offset] = value;
+		}
+	}
+
+	// some tools write 16 bit colors, rescale them in a second pass
+	if(result.rgba && maxColor > 255){
+		let [r, g, b] = ["red", "green", "blue"].map(name => columns.indexOf(name));
+
+		for(let i = 0; i < n; i++){
+			let tokens = lines[i].split(delimiter);
+
+			result.rgba[4 * i + 0] = parseFloat(tokens[r]) / 256;
+			result.rgba[4 * i + 1] = parseFloat(tokens[g]) / 256;
+			result.rgba[4 * i + 2] = parseFloat(tokens[b]) / 256;
+		}
+	}
+
+	return result;
+}
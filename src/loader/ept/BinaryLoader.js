@@ -24,6 +24,7 @@ export class EptBinaryLoader {
 			if (xhr.readyState === 4) {
 				if (xhr.status === 200) {
 					let buffer = xhr.response;
+					Potree.numBytesLoaded += buffer.byteLength;
 					this.parse(node, buffer);
 				} else {
 					console.log('Failed ' + url + ': ' + xhr.status);
@@ -9,6 +9,7 @@ export class EptLaszipLoader {
 		const url = `${node.owner.base}/ept-data/${Key.toString(node.key)}.laz`
 		const response = await fetch(url);
 		const buffer = await response.arrayBuffer();
+		Potree.numBytesLoaded += buffer.byteLength;
 		this.parse(node, buffer);
 	}
 
@@ -39,6 +39,7 @@ export class PointCloudMaterial extends THREE.RawShaderMaterial {
 		this._useClipBox = false;
 		this.clipBoxes = [];
 		this.clipPolygons = [];
+		this.rasterLayers = [];
 		this._weighted = false;
 		this._gradient = Gradients.SPECTRAL;
 		this.gradientTexture = PointCloudMaterial.generateGradientTexture(this._gradient);
@@ -51,6 +52,7 @@ export class PointCloudMaterial extends THREE.RawShaderMaterial {
 		this.defines = new Map();
 
 		this.ranges = new Map();
+		this.filterRanges = new Map();
 
 		this._activeAttributeName = null;
 
@@ -256,6 +258,10 @@ export class PointCloudMaterial extends THREE.RawShaderMaterial {
 			let attributeName = this.activeAttributeName.replace(/[^a-zA-Z0-9]/g, '_');
 
 			defines.push(`#define color_type_${attributeName}`);
+
+			if(this.filterRanges.has(this.activeAttributeName)){
+				defines.push('#define clip_extra_enabled');
+			}
 		}
 		
 		if(this._treeType === TreeType.OCTREE){
@@ -304,6 +310,10 @@ export class PointCloudMaterial extends THREE.RawShaderMaterial {
 		}
 	}
 
+	setRasterLayers(rasterLayers) {
+		this.rasterLayers = rasterLayers;
+	}
+
 	setClipPolygons(clipPolygons, maxPolygonVertices) {
 		if(!clipPolygons){
 			return;
@@ -919,6 +929,33 @@ export class PointCloudMaterial extends THREE.RawShaderMaterial {
 		}
 	}
 
+	getFilterRange(attributeName){
+		return this.filterRanges.get(attributeName);
+	}
+
+	/**
+	 * Hides points whose value of an extra attribute lies outside of the range, or that don't have a value,
+	 * while that attribute is the active one. A range of null removes the filter.
+	 */
+	setFilterRange(attributeName, range){
+		let oldRange = this.filterRanges.get(attributeName);
+
+		if(range){
+			this.filterRanges.set(attributeName, range);
+		}else{
+			this.filterRanges.delete(attributeName);
+		}
+
+		if(!oldRange !== !range){
+			this.updateShaderSource();
+		}
+
+		this.dispatchEvent({
+			type: 'material_property_changed',
+			target: this
+		});
+	}
+
 	get extraRange () {
 		return this.uniforms.uExtraRange.value;
 	}
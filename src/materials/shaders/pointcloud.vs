@@ -83,6 +83,7 @@ uniform vec2 intensityRange;
 uniform vec2 uFilterReturnNumberRange;
 uniform vec2 uFilterNumberOfReturnsRange;
 uniform vec2 uFilterPointSourceIDClipRange;
+uniform vec2 uFilterExtraRange;
 uniform vec2 uFilterGPSTimeClipRange;
 uniform float uGpsScale;
 uniform float uGpsOffset;
@@ -123,6 +124,12 @@ uniform mat4 uShadowWorldView[num_shadowmaps];
 uniform mat4 uShadowProj[num_shadowmaps];
 #endif
 
+#if defined(num_raster_layers) && num_raster_layers > 0
+uniform sampler2D uRasterLayer[num_raster_layers];
+uniform mat4 uRasterLayerWorldToUV[num_raster_layers];
+uniform float uRasterLayerOpacity[num_raster_layers];
+#endif
+
 varying vec3	vColor;
 varying float	vLogDepth;
 varying vec3	vViewPosition;
@@ -801,6 +808,17 @@ void doClipping(){
 	}
 	#endif
 
+	#if defined(clip_extra_enabled)
+	{ // filter by the active extra attribute, also removes points without a value (NaN)
+		vec2 range = uFilterExtraRange;
+		if(!(aExtra >= range.x && aExtra <= range.y)){
+			gl_Position = vec4(100.0, 100.0, 100.0, 0.0);
+			
+			return;
+		}
+	}
+	#endif
+
 	int clipVolumesCount = 0;
 	int insideCount = 0;
 
@@ -876,6 +894,18 @@ void main() {
 
 	// COLOR
 	vColor = getColor();
+
+	// RASTER OVERLAYS
+	#if defined(num_raster_layers) && num_raster_layers > 0
+		for(int i = 0; i < num_raster_layers; i++){
+			vec2 uv = (uRasterLayerWorldToUV[i] * vec4(position, 1.0)).xy;
+
+			if(uv.x >= 0.0 && uv.x <= 1.0 && uv.y >= 0.0 && uv.y <= 1.0){
+				vec4 texel = texture2D(uRasterLayer[i], uv);
+				vColor = mix(vColor, texel.rgb, texel.a * uRasterLayerOpacity[i]);
+			}
+		}
+	#endif
 	// vColor = vec3(1.0, 0.0, 0.0);
 
 	//gl_Position = vec4(0.0, 0.0, 0.0, 1.0);
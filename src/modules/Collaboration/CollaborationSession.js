@@ -0,0 +1,890 @@
+
+import * as THREE from "../../../libs/three.js/build/three.module.js";
+import {EventDispatcher} from "../../EventDispatcher.js";
+import {TextSprite} from "../../TextSprite.js";
+import {Utils} from "../../utils.js";
+import {Measure} from "../../utils/Measure.js";
+import {Profile} from "../../utils/Profile.js";
+import {Volume, BoxVolume, SphereVolume} from "../../utils/Volume.js";
+import {Annotation} from "../../Annotation.js";
+
+const volumeTypes = [BoxVolume, SphereVolume];
+
+const userColors = ["#e6194b", "#3cb44b", "#4363d8", "#f58231", "#911eb4", "#42d4f4", "#f032e6", "#9a6324"];
+
+const findAnnotation = (scene, uuid) => {
+	let found = null;
+
+	scene.annotations.traverse(annotation => {
+		if(annotation.uuid === uuid){
+			found = annotation;
+		}
+	});
+
+	return found;
+};
+
+// the kinds of scene objects that are shared, and how to create, add and remove them
+const isString = (value) => typeof value === "string";
+const isBoolean = (value) => typeof value === "boolean";
+const isFiniteVector3 = (value) => value instanceof THREE.Vector3 && [value.x, value.y, value.z].every(Number.isFinite);
+const isFiniteQuaternion = (value) => value instanceof THREE.Quaternion && [value.x, value.y, value.z, value.w].every(Number.isFinite);
+const isArrayOf = (test) => (value) => Array.isArray(value) && value.every(test);
+const isPlainObject = (value) => value !== null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype;
+
+// measurement points carry the attributes of the picked point besides the position, e.g. rgba or intensity
+const isPointAttribute = (value) => Number.isFinite(value) || isString(value) || isFiniteVector3(value) || isArrayOf(Number.isFinite)(value);
+const isMeasurePoint = (point) => isPlainObject(point) && isFiniteVector3(point.position)
+	&& Object.keys(point).every(key => key === "position" || isPointAttribute(point[key]));
+
+// Each kind has tests for the values of the state its history adapter writes, see HistoryRecorder.
+// Values without a test need the type of the local value, e.g. the boolean flags of measurements.
+const kinds = [
+	{
+		kind: "measurement", type: Measure, added: "measurement_added", removed: "measurement_removed",
+		state: {
+			name: isString,
+			points: isArrayOf(isMeasurePoint),
+		},
+		list: (scene) => scene.measurements,
+		create: () => new Measure(),
+		add: (scene, measure) => scene.addMeasurement(measure),
+		remove: (scene, measure) => scene.removeMeasurement(measure),
+	},{
+		kind: "profile", type: Profile, added: "profile_added", removed: "profile_removed",
+		state: {
+			name: isString,
+			points: isArrayOf(isFiniteVector3),
+			width: (width) => Number.isFinite(width) && width >= 0,
+		},
+		list: (scene) => scene.profiles,
+		create: () => new Profile(),
+		add: (scene, profile) => scene.addProfile(profile),
+		remove: (scene, profile) => scene.removeProfile(profile),
+	},{
+		kind: "volume", type: Volume, added: "volume_added", removed: "volume_removed",
+		state: {
+			name: isString,
+			position: isFiniteVector3,
+			quaternion: isFiniteQuaternion,
+			scale: isFiniteVector3,
+			clip: isBoolean,
+			visible: isBoolean,
+		},
+		list: (scene) => scene.volumes,
+		create: (message) => new (volumeTypes[message.volumeType] || BoxVolume)(),
+		add: (scene, volume) => scene.addVolume(volume),
+		remove: (scene, volume) => scene.removeVolume(volume),
+	},{
+		kind: "annotation", type: Annotation,
+		state: {
+			title: isString,
+			description: isString,
+			position: (position) => position === null || isFiniteVector3(position),
+			cameraPosition: (position) => position === null || isFiniteVector3(position),
+			cameraTarget: (target) => target === null || isFiniteVector3(target),
+		},
+		list: (scene) => {
+			let annotations = [];
+			scene.annotations.traverseDescendants(annotation => annotations.push(annotation));
+
+			return annotations;
+		},
+		create: () => new Annotation(),
+		add: (scene, annotation, message) => {
+			let parent = findAnnotation(scene, message.parent) || scene.annotations;
+
+			if(annotation.parent !== parent){
+				if(annotation.parent){
+					annotation.parent.remove(annotation);
+				}
+
+				parent.add(annotation);
+			}
+		},
+		remove: (scene, annotation) => {
+			if(annotation.parent){
+				annotation.parent.remove(annotation);
+			}
+		},
+	},
+];
+
+// turns the state of an object, as returned by the history recorder, into plain JSON and back
+function encodeValue(value){
+	if(value instanceof THREE.Vector3){
+		return {$vector3: value.toArray()};
+	}else if(value instanceof THREE.Quaternion){
+		return {$quaternion: value.toArray()};
+	}else if(value instanceof THREE.Color){
+		return {$color: value.toArray()};
+	}else if(ArrayBuffer.isView(value)){
+		return Array.from(value);
+	}else if(Array.isArray(value)){
+		return value.map(encodeValue);
+	}else if(value !== null && typeof value === "object"){
+		let encoded = {};
+
+		for(let key of Object.keys(value)){
+			encoded[key] = encodeValue(value[key]);
+		}
+
+		return encoded;
+	}else{
+		return value;
+	}
+}
+
+function decodeValue(value){
+	if(Array.isArray(value)){
+		return value.map(decodeValue);
+	}else if(value !== null && typeof value === "object"){
+		if(value.$vector3){
+			return new THREE.Vector3().fromArray(value.$vector3);
+		}else if(value.$quaternion){
+			return new THREE.Quaternion().fromArray(value.$quaternion);
+		}else if(value.$color){
+			return new THREE.Color().fromArray(value.$color);
+		}
+
+		let decoded = {};
+
+		for(let key of Object.keys(value)){
+			decoded[key] = decodeValue(value[key]);
+		}
+
+		return decoded;
+	}else{
+		return value;
+	}
+}
+
+// the keys that each type of message may have besides type, user and clock
+const messageKeys = {
+	hello: ["name", "color"],
+	presence: ["name", "color", "camera", "pointer"],
+	leave: [],
+	put: ["kind", "uuid", "stamp", "state", "parent", "volumeType"],
+	remove: ["uuid", "stamp"],
+};
+
+const isVector3 = (value) => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+const isStamp = (value) => Array.isArray(value) && value.length === 2 && Number.isFinite(value[0]) && typeof value[1] === "string";
+const isOptional = (value, test) => value === undefined || test(value);
+
+// checks the structure of a received message, messages of other participants are not trusted
+function isValidMessage(message){
+	if(message === null || typeof message !== "object" || !messageKeys.hasOwnProperty(message.type)){
+		return false;
+	}
+
+	let keys = ["type", "user", "clock", ...messageKeys[message.type]];
+
+	return Object.keys(message).every(key => keys.includes(key))
+		&& typeof message.user === "string"
+		&& isOptional(message.clock, Number.isFinite)
+		&& isOptional(message.name, name => typeof name === "string")
+		&& isOptional(message.color, color => typeof color === "string" && /^#[0-9a-f]{6}$/i.test(color))
+		&& isOptional(message.camera, camera => camera !== null
+			&& isVector3(camera.position) && isVector3(camera.target) && Number.isFinite(camera.fov))
+		&& isOptional(message.pointer, pointer => pointer === null || isVector3(pointer))
+		&& isOptional(message.kind, kind => typeof kind === "string")
+		&& isOptional(message.uuid, uuid => typeof uuid === "string")
+		&& isOptional(message.stamp, isStamp)
+		&& isOptional(message.state, state => state !== null && typeof state === "object" && !Array.isArray(state))
+		&& isOptional(message.parent, parent => parent === null || typeof parent === "string")
+		&& isOptional(message.volumeType, Number.isInteger)
+		&& (message.type !== "put" || (message.kind !== undefined && message.uuid !== undefined && message.stamp !== undefined && message.state !== undefined))
+		&& (message.type !== "remove" || (message.uuid !== undefined && message.stamp !== undefined));
+}
+
+// names, titles and descriptions end up in the DOM, e.g. annotation titles are appended as HTML.
+// Received strings are stripped of tags. Unlike escaping, that stays the same when the string is sent back.
+function sanitizeValue(value){
+	if(typeof value === "string"){
+		return value.replace(/[<>]/g, "");
+	}else if(Array.isArray(value)){
+		return value.map(sanitizeValue);
+	}else if(value !== null && typeof value === "object"){
+		let sanitized = {};
+
+		for(let key of Object.keys(value)){
+			sanitized[key] = sanitizeValue(value[key]);
+		}
+
+		return sanitized;
+	}else{
+		return value;
+	}
+}
+
+// checks a received state against the state of a local object of the same kind, see kinds
+function isValidState(kind, state, reference){
+	let keys = Object.keys(reference);
+
+	// the state may only have the keys the adapter of the object writes, and needs those that are set.
+	// undefined values, e.g. of annotations without a view, are dropped in transit
+	let validKeys = Object.keys(state).every(key => keys.includes(key))
+		&& keys.every(key => reference[key] === undefined || state.hasOwnProperty(key));
+
+	return validKeys && Object.keys(state).every(key => {
+		let test = kind.state[key];
+
+		return test ? test(state[key]) : typeof state[key] === typeof reference[key];
+	});
+}
+
+// stamps are [lamport clock, user id], later edits have larger stamps and ties are broken by the user id
+const isNewer = (a, b) => a[0] !== b[0] ? a[0] > b[0] : a[1] > b[1];
+
+// stamp of objects that existed before the session, e.g. loaded from the same project by every participant
+const initialStamp = [0, ""];
+
+const roundAll = (values) => values.map(value => Math.round(value * 1000) / 1000);
+
+const parseColor = (color) => {
+	let c = new THREE.Color(color);
+
+	return {r: Math.round(c.r * 255), g: Math.round(c.g * 255), b: Math.round(c.b * 255), a: 1.0};
+};
+
+// the avatar of another participant: a frustum at its camera, its name, and a sphere at its mouse cursor
+class RemoteUser{
+
+	constructor(id){
+		this.id = id;
+		this.name = "";
+		this.color = null;
+		this.camera = null;
+		this.pointer = null;
+		this.lastSeen = performance.now();
+
+		this.node = new THREE.Object3D();
+		this.node.name = `collaborator ${id}`;
+
+		this.avatar = new THREE.Object3D();
+		this.avatar.up.set(0, 0, 1);
+		this.node.add(this.avatar);
+
+		this.frustum = new THREE.LineSegments(new THREE.BufferGeometry(), new THREE.LineBasicMaterial());
+		this.avatar.add(this.frustum);
+
+		this.label = new TextSprite("");
+		this.label.setBorderColor({r: 0, g: 0, b: 0, a: 0.8});
+		this.label.setBackgroundColor({r: 0, g: 0, b: 0, a: 0.3});
+		this.node.add(this.label);
+
+		this.cursor = new THREE.Mesh(
+			new THREE.SphereGeometry(1, 16, 16),
+			new THREE.MeshBasicMaterial({depthTest: false, transparent: true, opacity: 0.8}));
+		this.cursor.visible = false;
+		this.node.add(this.cursor);
+
+		this.fov = null;
+	}
+
+	update(message){
+		this.lastSeen = performance.now();
+
+		if(message.name !== undefined){
+			this.name = message.name;
+			this.label.setText(this.name);
+		}
+
+		if(message.color !== undefined && message.color !== this.color){
+			this.color = message.color;
+			this.frustum.material.color.set(this.color);
+			this.cursor.material.color.set(this.color);
+			this.label.setTextColor(parseColor(this.color));
+		}
+
+		if(message.camera){
+			this.camera = message.camera;
+
+			if(this.camera.fov !== this.fov){
+				this.fov = this.camera.fov;
+				this.frustum.geometry.dispose();
+				this.frustum.geometry = RemoteUser.createFrustumGeometry(this.fov);
+			}
+		}
+
+		if(message.pointer !== undefined){
+			this.pointer = message.pointer;
+		}
+	}
+
+	// a pyramid of unit length that looks along +z, the direction Object3D.lookAt() turns towards the target
+	static createFrustumGeometry(fov){
+		let h = Math.tan(THREE.MathUtils.degToRad(fov) / 2);
+		let w = h * 16 / 9;
+		let corners = [[-w, -h], [w, -h], [w, h], [-w, h]];
+
+		let positions = [];
+		for(let i = 0; i < 4; i++){
+			let [x0, y0] = corners[i];
+			let [x1, y1] = corners[(i + 1) % 4];
+
+			positions.push(0, 0, 0, x0, y0, 1);
+			positions.push(x0, y0, 1, x1, y1, 1);
+		}
+
+		let geometry = new THREE.BufferGeometry();
+		geometry.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+
+		return geometry;
+	}
+
+	// keeps the avatar at a constant size on screen
+	updateScale(camera, width, height){
+		let screenScale = (position, pixels) => {
+			let distance = camera.position.distanceTo(position);
+			let pr = Utils.projectedRadius(1, camera, distance, width, height);
+
+			return pixels / pr;
+		};
+
+		this.avatar.visible = this.camera !== null;
+		this.label.visible = this.camera !== null;
+
+		if(this.camera){
+			this.avatar.position.fromArray(this.camera.position);
+			this.avatar.lookAt(new THREE.Vector3().fromArray(this.camera.target));
+
+			let scale = screenScale(this.avatar.position, 40);
+			this.avatar.scale.set(scale, scale, scale);
+
+			let labelScale = screenScale(this.avatar.position, 70);
+			this.label.position.copy(this.avatar.position).add(new THREE.Vector3(0, 0, scale * 0.8));
+			this.label.scale.set(labelScale, labelScale, labelScale);
+		}
+
+		this.cursor.visible = this.pointer !== null;
+
+		if(this.pointer){
+			this.cursor.position.fromArray(this.pointer);
+
+			let scale = screenScale(this.cursor.position, 8);
+			this.cursor.scale.set(scale, scale, scale);
+		}
+	}
+
+	dispose(){
+		this.frustum.geometry.dispose();
+		this.frustum.material.dispose();
+		this.cursor.geometry.dispose();
+		this.cursor.material.dispose();
+		this.label.material.dispose();
+		this.label.texture.dispose();
+	}
+
+};
+
+/**
+ * Shares the measurements, profiles, volumes and annotations of a viewer's scene with the other
+ * participants of a session, and shows their cameras and mouse cursors, see Transports.js.
+ *
+ * Each participant keeps a full copy of the shared objects, identified by their uuid.
+ * Every change is sent as the complete state of the object, stamped with a lamport clock and the user id.
+ * Concurrent edits are resolved by keeping the change with the larger stamp, on every participant alike,
+ * so that all copies end up the same regardless of the order in which messages arrive.
+ * A removal is a change as well: an object that was edited after it was removed elsewhere comes back.
+ *
+ * Changes received from others are not recorded in the undo history of the viewer.
+ *
+ * Usage:
+ *   let transport = new Potree.WebSocketTransport("wss://example.com/session/42");
+ *   let session = new Potree.CollaborationSession(viewer, transport, {name: "Jane"});
+ *   session.join();
+ *
+ * Dispatches "user_joined" and "user_left" with {session, user}.
+ */
+export class CollaborationSession extends EventDispatcher{
+
+	constructor(viewer, transport, args = {}){
+		super();
+
+		this.viewer = viewer;
+		this.transport = transport;
+
+		let id = args.id || THREE.MathUtils.generateUUID();
+		let hash = [...id].reduce((sum, c) => sum + c.charCodeAt(0), 0);
+
+		this.user = {
+			id: id,
+			name: args.name || "Anonymous",
+			color: args.color || userColors[hash % userColors.length],
+		};
+
+		// milliseconds between camera and cursor updates, between messages while idle,
+		// and after which a participant that sent nothing is considered gone
+		this.presenceInterval = 100;
+		this.heartbeatInterval = 2000;
+		this.timeout = 10000;
+
+		this.clock = 0;
+		this.joined = false;
+		this.scene = null;
+
+		// uuid -> {object, kind, stamp} of the shared objects, and uuid -> stamp of removed ones
+		this.entries = new Map();
+		this.removed = new Map();
+
+		// objects changed since the last frame, sent once per frame
+		this.changed = new Set();
+
+		this.users = new Map();
+		this.node = new THREE.Object3D();
+		this.node.name = "collaboration";
+
+		this.applyingRemote = false;
+
+		this.lastPresence = null;
+		this.lastPresenceTime = -Infinity;
+		this.lastMouse = new THREE.Vector2(NaN, NaN);
+		this.pointer = null;
+
+		this.onMessage = (e) => this.receive(e.message);
+		this.onUpdate = () => this.update();
+		this.onSceneChanged = (e) => this.setScene(e.scene);
+
+		this.onObjectChanged = (e) => {
+			let entry = this.entries.get(e.target.uuid);
+
+			if(!this.applyingRemote && entry && entry.object === e.target){
+				this.changed.add(entry);
+			}
+		};
+
+		this.onAdded = (kind) => (e) => {
+			if(!this.applyingRemote){
+				this.shareAdded(e[kind.kind], kind);
+			}
+		};
+
+		this.onRemoved = (kind) => (e) => {
+			if(!this.applyingRemote){
+				this.shareRemoved(e[kind.kind]);
+			}
+		};
+
+		this.listeners = kinds.map(kind => ({
+			kind: kind,
+			added: this.onAdded(kind),
+			removed: this.onRemoved(kind),
+		}));
+	}
+
+	join(){
+		if(this.joined){
+			return;
+		}
+
+		this.joined = true;
+
+		this.transport.addEventListener("message", this.onMessage);
+		this.viewer.addEventListener("update", this.onUpdate);
+		this.viewer.addEventListener("scene_changed", this.onSceneChanged);
+
+		this.setScene(this.viewer.scene);
+
+		this.send({type: "hello", name: this.user.name, color: this.user.color});
+		this.sendAll();
+	}
+
+	leave(){
+		if(!this.joined){
+			return;
+		}
+
+		this.send({type: "leave"});
+
+		this.joined = false;
+
+		this.transport.removeEventListener("message", this.onMessage);
+		this.viewer.removeEventListener("update", this.onUpdate);
+		this.viewer.removeEventListener("scene_changed", this.onSceneChanged);
+
+		this.unbindScene();
+
+		for(let user of [...this.users.values()]){
+			this.removeUser(user);
+		}
+	}
+
+	getUsers(){
+		return [...this.users.values()];
+	}
+
+	setScene(scene){
+		this.unbindScene();
+
+		this.scene = scene;
+		this.scene.scene.add(this.node);
+
+		for(let {kind, added, removed} of this.listeners){
+			let target = kind.added ? scene : scene.annotations;
+
+			target.addEventListener(kind.added || "annotation_added", added);
+			target.addEventListener(kind.removed || "annotation_removed", removed);
+
+			for(let object of kind.list(scene)){
+				this.track(object, kind, initialStamp);
+			}
+		}
+	}
+
+	unbindScene(){
+		if(!this.scene){
+			return;
+		}
+
+		for(let {kind, added, removed} of this.listeners){
+			let target = kind.added ? this.scene : this.scene.annotations;
+
+			target.removeEventListener(kind.added || "annotation_added", added);
+			target.removeEventListener(kind.removed || "annotation_removed", removed);
+		}
+
+		for(let entry of [...this.entries.values()]){
+			this.untrack(entry);
+		}
+
+		this.scene.scene.remove(this.node);
+		this.scene = null;
+		this.changed.clear();
+	}
+
+	track(object, kind, stamp){
+		let entry = this.entries.get(object.uuid);
+
+		if(entry && entry.object === object){
+			return entry;
+		}
+
+		entry = {object: object, kind: kind, stamp: stamp};
+		this.entries.set(object.uuid, entry);
+
+		for(let type of this.viewer.historyRecorder.getAdapter(object).events){
+			object.addEventListener(type, this.onObjectChanged);
+		}
+
+		return entry;
+	}
+
+	untrack(entry){
+		let {object} = entry;
+
+		for(let type of this.viewer.historyRecorder.getAdapter(object).events){
+			object.removeEventListener(type, this.onObjectChanged);
+		}
+
+		this.entries.delete(object.uuid);
+		this.changed.delete(entry);
+	}
+
+	tick(){
+		this.clock++;
+
+		return [this.clock, this.user.id];
+	}
+
+	send(message){
+		message.user = this.user.id;
+		message.clock = this.clock;
+
+		this.transport.send(message);
+	}
+
+	sendEntry(entry){
+		let {object, kind, stamp} = entry;
+
+		let message = {
+			type: "put",
+			kind: kind.kind,
+			uuid: object.uuid,
+			stamp: stamp,
+			state: encodeValue(this.viewer.historyRecorder.getAdapter(object).getState(object)),
+		};
+
+		if(object instanceof Annotation){
+			message.parent = object.parent ? object.parent.uuid : null;
+		}else if(object instanceof Volume){
+			message.volumeType = volumeTypes.findIndex(type => object instanceof type);
+		}
+
+		this.send(message);
+	}
+
+	// the complete shared state, for participants that just joined
+	sendAll(){
+		for(let entry of this.entries.values()){
+			this.sendEntry(entry);
+		}
+
+		for(let [uuid, stamp] of this.removed){
+			this.send({type: "remove", uuid: uuid, stamp: stamp});
+		}
+	}
+
+	shareAdded(object, kind){
+		let entry = this.track(object, kind, initialStamp);
+
+		entry.stamp = this.tick();
+		this.removed.delete(object.uuid);
+		this.sendEntry(entry);
+
+		// an added annotation subtree dispatches an event for each annotation, ordered from the root down
+		this.changed.delete(entry);
+	}
+
+	shareRemoved(object){
+		let entry = this.entries.get(object.uuid);
+
+		if(!entry || entry.object !== object){
+			return;
+		}
+
+		let stamp = this.tick();
+
+		this.forget(object, stamp);
+		this.send({type: "remove", uuid: object.uuid, stamp: stamp});
+	}
+
+	// stops tracking a removed object, and the annotations below it which are removed along with it
+	forget(object, stamp){
+		let objects = [object];
+
+		if(object instanceof Annotation){
+			object.traverseDescendants(annotation => objects.push(annotation));
+		}
+
+		for(let removed of objects){
+			let entry = this.entries.get(removed.uuid);
+
+			if(entry && entry.object === removed){
+				this.untrack(entry);
+			}
+
+			this.removed.set(removed.uuid, stamp);
+		}
+	}
+
+	// applies changes of others without sharing them again or recording them in the undo history
+	applyRemote(apply){
+		let history = this.viewer.history;
+		let enabled = history.enabled;
+
+		history.enabled = false;
+		this.applyingRemote = true;
+
+		try{
+			apply();
+		}finally{
+			history.enabled = enabled;
+			this.applyingRemote = false;
+		}
+	}
+
+	receive(message){
+		if(!this.joined || !isValidMessage(message) || message.user === this.user.id){
+			return;
+		}
+
+		message = sanitizeValue(message);
+
+		this.clock = Math.max(this.clock, message.clock || 0);
+
+		if(message.type === "hello"){
+			this.updateUser(message);
+
+			// tell the newcomer who we are and what we have
+			this.lastPresence = null;
+			this.sendPresence();
+			this.sendAll();
+		}else if(message.type === "presence"){
+			this.updateUser(message);
+		}else if(message.type === "leave"){
+			let user = this.users.get(message.user);
+
+			if(user){
+				this.removeUser(user);
+			}
+		}else if(message.type === "put"){
+			this.touchUser(message);
+			this.receivePut(message);
+		}else if(message.type === "remove"){
+			this.touchUser(message);
+			this.receiveRemove(message);
+		}
+	}
+
+	receivePut(message){
+		let {uuid, stamp} = message;
+		let entry = this.entries.get(uuid);
+		let removedStamp = this.removed.get(uuid);
+
+		if(entry ? !isNewer(stamp, entry.stamp) : (removedStamp && !isNewer(stamp, removedStamp))){
+			return;
+		}
+
+		let kind = kinds.find(kind => kind.kind === message.kind);
+
+		if(!kind){
+			return;
+		}
+
+		let state = decodeValue(message.state);
+		let recorder = this.viewer.historyRecorder;
+		let object = entry ? entry.object : kind.create(message);
+
+		let reference = recorder.getAdapter(object).getState(object);
+
+		if(!isValidState(kind, state, reference)){
+			console.warn(`ignoring a change of ${message.kind} ${uuid} with an unexpected state`);
+			return;
+		}
+
+		try{
+			this.applyRemote(() => {
+				if(entry){
+					recorder.setState(entry.object, state);
+
+					if(entry.object instanceof Annotation){
+						kind.add(this.scene, entry.object, message);
+					}
+				}else{
+					object.uuid = uuid;
+					recorder.getAdapter(object).setState(object, state);
+
+					kind.add(this.scene, object, message);
+					entry = this.track(object, kind, stamp);
+				}
+			});
+		}catch(e){
+			console.warn(`ignoring a change of ${message.kind} ${uuid} that failed to apply`, e);
+			return;
+		}
+
+		entry.stamp = stamp;
+		this.removed.delete(uuid);
+	}
+
+	receiveRemove(message){
+		let {uuid, stamp} = message;
+		let entry = this.entries.get(uuid);
+		let removedStamp = this.removed.get(uuid);
+
+		if((entry && !isNewer(stamp, entry.stamp)) || (removedStamp && !isNewer(stamp, removedStamp))){
+			return;
+		}
+
+		if(entry){
+			this.forget(entry.object, stamp);
+			this.applyRemote(() => entry.kind.remove(this.scene, entry.object));
+		}else{
+			this.removed.set(uuid, stamp);
+		}
+	}
+
+	touchUser(message){
+		let user = this.users.get(message.user);
+
+		if(user){
+			user.lastSeen = performance.now();
+		}
+	}
+
+	updateUser(message){
+		let user = this.users.get(message.user);
+		let isNew = !user;
+
+		if(isNew){
+			user = new RemoteUser(message.user);
+			this.users.set(user.id, user);
+			this.node.add(user.node);
+		}
+
+		user.update(message);
+
+		if(isNew){
+			this.dispatchEvent({type: "user_joined", session: this, user: user});
+		}
+	}
+
+	removeUser(user){
+		this.users.delete(user.id);
+		this.node.remove(user.node);
+		user.dispose();
+
+		this.dispatchEvent({type: "user_left", session: this, user: user});
+	}
+
+	// the point cloud position under the mouse, picked at most once per presence interval
+	updatePointer(){
+		let mouse = this.viewer.inputHandler.mouse;
+
+		if(mouse.equals(this.lastMouse)){
+			return;
+		}
+
+		this.lastMouse.copy(mouse);
+
+		let camera = this.scene.getActiveCamera();
+		let hit = Utils.getMousePointCloudIntersection(mouse, camera, this.viewer, this.scene.pointclouds);
+
+		this.pointer = hit ? roundAll(hit.location.toArray()) : null;
+	}
+
+	sendPresence(){
+		let view = this.scene.view;
+
+		let presence = {
+			type: "presence",
+			name: this.user.name,
+			color: this.user.color,
+			camera: {
+				position: roundAll(view.position.toArray()),
+				target: roundAll(view.getPivot().toArray()),
+				fov: this.viewer.getFOV(),
+			},
+			pointer: this.pointer,
+		};
+
+		let text = JSON.stringify(presence);
+		let now = performance.now();
+
+		if(text !== this.lastPresence || now - this.lastPresenceTime > this.heartbeatInterval){
+			this.lastPresence = text;
+			this.lastPresenceTime = now;
+
+			this.send(presence);
+		}
+	}
+
+	update(){
+		for(let entry of this.changed){
+			entry.stamp = this.tick();
+			this.sendEntry(entry);
+		}
+		this.changed.clear();
+
+		let now = performance.now();
+
+		if(now - this.lastPresenceTime > this.presenceInterval){
+			this.updatePointer();
+			this.sendPresence();
+		}
+
+		let camera = this.scene.getActiveCamera();
+		let {width, height} = this.viewer.renderer.getSize(new THREE.Vector2());
+
+		for(let user of [...this.users.values()]){
+			if(now - user.lastSeen > this.timeout){
+				this.removeUser(user);
+			}else{
+				user.updateScale(camera, width, height);
+			}
+		}
+	}
+
+};
@@ -0,0 +1,159 @@
+
+import {EventDispatcher} from "../../EventDispatcher.js";
+
+/**
+ * Transports carry the messages of a CollaborationSession between participants.
+ *
+ * A transport is an EventDispatcher with
+ *   send(message): delivers a message, a plain JSON object, to all other participants
+ *   close(): disconnects
+ * that dispatches {type: "message", message} for each message of another participant.
+ * Messages may arrive late, but each participant's messages arrive in the order they were sent.
+ */
+
+/**
+ * Connects the transports created by the same channel, within one page.
+ * Messages are delivered asynchronously, as over a network, and copied so that no objects are shared.
+ *
+ * Usage:
+ *   let channel = new InMemoryChannel();
+ *   let sessionA = new CollaborationSession(viewerA, channel.createTransport(), {name: "A"});
+ *   let sessionB = new CollaborationSession(viewerB, channel.createTransport(), {name: "B"});
+ */
+export class InMemoryChannel{
+
+	constructor(){
+		this.transports = [];
+	}
+
+	createTransport(){
+		let transport = new InMemoryTransport(this);
+
+		this.transports.push(transport);
+
+		return transport;
+	}
+
+	// resolves once all messages sent so far are delivered
+	flush(){
+		return new Promise(resolve => setTimeout(resolve, 0));
+	}
+
+};
+
+export class InMemoryTransport extends EventDispatcher{
+
+	constructor(channel){
+		super();
+
+		this.channel = channel;
+	}
+
+	send(message){
+		let text = JSON.stringify(message);
+
+		for(let transport of this.channel.transports){
+			if(transport !== this){
+				Promise.resolve().then(() => {
+					// a transport that was closed in the meantime receives nothing
+					if(this.channel.transports.includes(transport)){
+						transport.dispatchEvent({type: "message", message: JSON.parse(text)});
+					}
+				});
+			}
+		}
+	}
+
+	close(){
+		let index = this.channel.transports.indexOf(this);
+
+		if(index >= 0){
+			this.channel.transports.splice(index, 1);
+		}
+	}
+
+};
+
+/**
+ * Connects the tabs and windows of the same origin that use the same channel name.
+ */
+export class BroadcastChannelTransport extends EventDispatcher{
+
+	constructor(name = "potree_collaboration"){
+		super();
+
+		this.channel = new BroadcastChannel(name);
+		this.channel.onmessage = (e) => {
+			this.dispatchEvent({type: "message", message: e.data});
+		};
+	}
+
+	send(message){
+		this.channel.postMessage(message);
+	}
+
+	close(){
+		this.channel.close();
+	}
+
+};
+
+/**
+ * Connects through a WebSocket server that relays each text message it receives to all other clients,
+ * e.g. all clients connected to the same url. The server does not need to understand the messages.
+ *
+ * Messages sent before the connection is open are queued.
+ * Dispatches "open", "close" and "error" besides "message".
+ */
+export class WebSocketTransport extends EventDispatcher{
+
+	constructor(url){
+		super();
+
+		this.queue = [];
+
+		this.socket = new WebSocket(url);
+
+		this.socket.addEventListener("open", () => {
+			for(let text of this.queue){
+				this.socket.send(text);
+			}
+			this.queue = [];
+
+			this.dispatchEvent({type: "open"});
+		});
+
+		this.socket.addEventListener("message", (e) => {
+			let message = null;
+
+			try{
+				message = JSON.parse(e.data);
+			}catch(error){
+				console.warn("ignoring a collaboration message that is not JSON", e.data);
+
+				return;
+			}
+
+			this.dispatchEvent({type: "message", message: message});
+		});
+
+		this.socket.addEventListener("close", () => this.dispatchEvent({type: "close"}));
+		this.socket.addEventListener("error", (e) => this.dispatchEvent({type: "error", error: e}));
+	}
+
+	send(message){
+		let text = JSON.stringify(message);
+
+		if(this.socket.readyState === WebSocket.OPEN){
+			this.socket.send(text);
+		}else if(this.socket.readyState === WebSocket.CONNECTING){
+			this.queue.push(text);
+		}
+	}
+
+	close(){
+		this.queue = [];
+		this.socket.close();
+	}
+
+};
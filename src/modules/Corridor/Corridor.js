@@ -0,0 +1,345 @@
+
+import * as THREE from "../../../libs/three.js/build/three.module.js";
+import {EventDispatcher} from "../../EventDispatcher.js";
+import {TextSprite} from "../../TextSprite.js";
+import {Utils} from "../../utils.js";
+import {Profile} from "../../utils/Profile.js";
+import {ProfileDrawingExporter} from "../../exporter/ProfileDrawingExporter.js";
+import {LineSegments2} from "../../../libs/three.js/lines/LineSegments2.js";
+import {LineSegmentsGeometry} from "../../../libs/three.js/lines/LineSegmentsGeometry.js";
+import {LineMaterial} from "../../../libs/three.js/lines/LineMaterial.js";
+
+/**
+ * A series of cross-sections at a fixed interval along an alignment, e.g. the center line of a road, railway or river.
+ *
+ * Sections are placed at the round stations, the multiples of interval from startStation, the station of the
+ * first point of the alignment, to its end. Each section is a Profile perpendicular to the alignment,
+ * width long and depth thick. It runs from left to right when looking along the alignment,
+ * so that its mileage is the offset from the alignment plus width / 2.
+ * See CorridorTool for the extraction of the points of the sections.
+ *
+ * Dispatches "sections_changed", "active_section_changed" and "visibility_changed".
+ */
+export class Corridor extends EventDispatcher{
+
+	constructor(alignment, params = {}){
+		super();
+
+		this.uuid = THREE.MathUtils.generateUUID();
+		this.name = params.name || "Corridor";
+		this.color = new THREE.Color(params.color || 0xff8800);
+		this.alignment = alignment.map(p => Array.isArray(p) ? new THREE.Vector3(...p) : new THREE.Vector3(p.x, p.y, p.z));
+
+		if(this.alignment.length < 2){
+			throw new Error("an alignment needs at least two points");
+		}
+
+		this.interval = params.interval !== undefined ? params.interval : 20;
+		this.width = params.width !== undefined ? params.width : 30;
+		this.depth = params.depth !== undefined ? params.depth : 1;
+		this.startStation = params.startStation !== undefined ? params.startStation : 0;
+		this.checkParameters(this);
+
+		this.sections = [];
+		this.activeSection = null;
+		this.labels = [];
+
+		// vertices are relative to the first point of the alignment, for float precision
+		this.origin = this.alignment[0].clone();
+
+		this.node = new THREE.Object3D();
+		this.node.name = this.name;
+		this.node.position.copy(this.origin);
+
+		this.alignmentLine = this.createLines(this.color, 3);
+		this.sectionLines = this.createLines(this.color, 1);
+		this.highlight = this.createLines(new THREE.Color(1, 1, 0), 3);
+		this.highlight.visible = false;
+		this.node.add(this.alignmentLine, this.sectionLines, this.highlight);
+
+		let positions = [];
+		for(let i = 0; i < this.alignment.length - 1; i++){
+			positions.push(
+				...this.alignment[i].clone().sub(this.origin).toArray(),
+				...this.alignment[i + 1].clone().sub(this.origin).toArray());
+		}
+		this.alignmentLine.geometry.setPositions(positions);
+
+		this.createSections();
+	}
+
+	get visible(){
+		return this.node.visible;
+	}
+
+	set visible(value){
+		if(this.node.visible !== value){
+			this.node.visible = value;
+
+			this.dispatchEvent({type: "visibility_changed", corridor: this});
+		}
+	}
+
+	// horizontal length of the alignment
+	get length(){
+		let length = 0;
+		for(let i = 0; i < this.alignment.length - 1; i++){
+			length += Math.hypot(
+				this.alignment[i + 1].x - this.alignment[i].x,
+				this.alignment[i + 1].y - this.alignment[i].y);
+		}
+
+		return length;
+	}
+
+	get endStation(){
+		return this.startStation + this.length;
+	}
+
+	createLines(color, width){
+		let material = new LineMaterial({
+			color: color,
+			linewidth: width,
+			resolution: new THREE.Vector2(1000, 1000),
+		});
+
+		return new LineSegments2(new LineSegmentsGeometry(), material);
+	}
+
+	/**
+	 * The position on the alignment at the given horizontal distance from its start,
+	 * and the horizontal direction of the alignment at that position.
+	 */
+	getStateAt(distance){
+		let traveled = 0;
+
+		for(let i = 0; i < this.alignment.length - 1; i++){
+			let start = this.alignment[i];
+			let end = this.alignment[i + 1];
+			let length = Math.hypot(end.x - start.x, end.y - start.y);
+			let last = i === this.alignment.length - 2;
+
+			if(length > 0 && (distance <= traveled + length || last)){
+				let w = THREE.MathUtils.clamp((distance - traveled) / length, 0, 1);
+
+				return {
+					position: start.clone().lerp(end, w),
+					direction: new THREE.Vector3(end.x - start.x, end.y - start.y, 0).normalize(),
+				};
+			}
+
+			traveled += length;
+		}
+
+		// all points at the same horizontal position
+		return {
+			position: this.alignment[0].clone(),
+			direction: new THREE.Vector3(1, 0, 0),
+		};
+	}
+
+	/**
+	 * Changes any of interval, width, depth and startStation, and recreates the sections.
+	 */
+	setParameters(params){
+		let parameters = {};
+		for(let key of ["interval", "width", "depth", "startStation"]){
+			parameters[key] = params[key] !== undefined ? params[key] : this[key];
+		}
+
+		// throws before anything changes, so that invalid parameters leave the corridor as it was
+		this.checkParameters(parameters);
+
+		Object.assign(this, parameters);
+
+		this.createSections();
+	}
+
+	checkParameters({interval, width, depth, startStation}){
+		for(let [key, value] of Object.entries({interval, width, depth})){
+			if(!(Number.isFinite(value) && value > 0)){
+				throw new Error(`the ${key} of a corridor must be larger than 0, got ${value}`);
+			}
+		}
+
+		if(!Number.isFinite(startStation)){
+			throw new Error(`invalid start station ${startStation}`);
+		}
+
+		let count = Math.floor((startStation + this.length) / interval + 1e-9) - Math.ceil(startStation / interval - 1e-9) + 1;
+		if(count > Corridor.maxSections){
+			throw new Error(`an interval of ${interval} results in ${count} sections, `
+				+ `the maximum is ${Corridor.maxSections}. Use a larger interval.`);
+		}
+	}
+
+	createSections(){
+		this.checkParameters(this);
+
+		for(let label of this.labels){
+			this.node.remove(label);
+			label.texture.dispose();
+			label.material.dispose();
+		}
+
+		let digits = Number.isInteger(this.interval) && Number.isInteger(this.startStation) ? 0 : 2;
+		let first = Math.ceil(this.startStation / this.interval - 1e-9);
+		let last = Math.floor(this.endStation / this.interval + 1e-9);
+
+		this.sections = [];
+		this.labels = [];
+
+		for(let i = first; i <= last; i++){
+			let station = i * this.interval;
+			let {position, direction} = this.getStateAt(station - this.startStation);
+			let left = new THREE.Vector3(-direction.y, direction.x, 0).multiplyScalar(this.width / 2);
+			let label = ProfileDrawingExporter.formatChainage(station, digits);
+
+			let profile = new Profile();
+			profile.name = `${this.name} ${label}`;
+			profile.addMarker(position.clone().add(left));
+			profile.addMarker(position.clone().sub(left));
+			profile.setWidth(this.depth);
+
+			this.sections.push({
+				index: this.sections.length,
+				station: station,
+				label: label,
+				position: position,
+				direction: direction,
+				profile: profile,
+			});
+		}
+
+		let positions = [];
+		for(let section of this.sections){
+			let [start, end] = section.profile.points;
+
+			positions.push(...start.clone().sub(this.origin).toArray(), ...end.clone().sub(this.origin).toArray());
+		}
+		this.sectionLines.geometry.dispose();
+		this.sectionLines.geometry = new LineSegmentsGeometry();
+		if(positions.length > 0){
+			this.sectionLines.geometry.setPositions(positions);
+		}
+		this.sectionLines.visible = positions.length > 0;
+
+		// at most about 100 labels
+		let labelInterval = Math.max(1, Math.ceil(this.sections.length / 100));
+		for(let i = 0; i < this.sections.length; i += labelInterval){
+			let section = this.sections[i];
+
+			let label = new TextSprite(section.label);
+			label.fontsize = 16;
+			label.setBorderColor({r: 0, g: 0, b: 0, a: 0.8});
+			label.setBackgroundColor({r: 0, g: 0, b: 0, a: 0.3});
+			label.material.depthTest = false;
+			label.material.opacity = 1;
+			label.position.copy(section.profile.points[0]).sub(this.origin);
+			this.labels.push(label);
+			this.node.add(label);
+		}
+
+		this.activeSection = null;
+		this.highlight.visible = false;
+
+		this.dispatchEvent({type: "sections_changed", corridor: this});
+	}
+
+	// highlights the section with the given index, or none if index is null
+	setActiveSection(index){
+		let section = index !== null ? this.sections[index] : null;
+
+		if(section === this.activeSection){
+			return;
+		}
+
+		this.activeSection = section || null;
+
+		if(section){
+			let [start, end] = section.profile.points;
+
+			this.highlight.geometry.setPositions([
+				...start.clone().sub(this.origin).toArray(),
+				...end.clone().sub(this.origin).toArray()]);
+		}
+		this.highlight.visible = Boolean(section);
+
+		this.dispatchEvent({type: "active_section_changed", corridor: this, section: this.activeSection});
+	}
+
+	// keeps lines and labels at a constant size on screen
+	update(viewer){
+		let camera = viewer.scene.getActiveCamera();
+		let {width, height} = viewer.renderer.getSize(new THREE.Vector2());
+
+		for(let line of [this.alignmentLine, this.sectionLines, this.highlight]){
+			line.material.resolution.set(width, height);
+		}
+
+		for(let label of this.labels){
+			let distance = camera.position.distanceTo(label.getWorldPosition(new THREE.Vector3()));
+			let pr = Utils.projectedRadius(1, camera, distance, width, height);
+			let scale = 50 / pr;
+
+			label.scale.set(scale, scale, scale);
+		}
+	}
+
+	getBoundingBox(){
+		let box = new THREE.Box3().setFromPoints(this.alignment);
+
+		for(let section of this.sections){
+			box.expandByPoint(section.profile.points[0]);
+			box.expandByPoint(section.profile.points[1]);
+		}
+
+		return box;
+	}
+
+	toJSON(){
+		return {
+			uuid: this.uuid,
+			name: this.name,
+			alignment: this.alignment.map(p => p.toArray()),
+			interval: this.interval,
+			width: this.width,
+			depth: this.depth,
+			startStation: this.startStation,
+			color: this.color.toArray(),
+		};
+	}
+
+	static fromJSON(data){
+		let corridor = new Corridor(data.alignment, {
+			name: data.name,
+			interval: data.interval,
+			width: data.width,
+			depth: data.depth,
+			startStation: data.startStation,
+			color: data.color ? new THREE.Color().fromArray(data.color) : undefined,
+		});
+
+		if(data.uuid){
+			corridor.uuid = data.uuid;
+		}
+
+		return corridor;
+	}
+
+	dispose(){
+		for(let line of [this.alignmentLine, this.sectionLines, this.highlight]){
+			line.geometry.dispose();
+			line.material.dispose();
+		}
+
+		for(let label of this.labels){
+			label.texture.dispose();
+			label.material.dispose();
+		}
+	}
+
+};
+
+// every section is a Profile with its own label, more would make the viewer unresponsive
+Corridor.maxSections = 2000;
@@ -0,0 +1,163 @@
+
+import * as THREE from "../../../libs/three.js/build/three.module.js";
+import {EventDispatcher} from "../../EventDispatcher.js";
+import {Points} from "../../Points.js";
+import {Corridor} from "./Corridor.js";
+
+/**
+ * Creates corridors from polylines in the scene and extracts the points of their sections.
+ *
+ * Sections are extracted with the ProfileRequests of the visible point clouds, see PointCloudOctree.getPointsInProfile.
+ * Like the profile window, extraction stops at the current octree level once a section exceeds maxPoints.
+ */
+export class CorridorTool extends EventDispatcher{
+
+	constructor(viewer){
+		super();
+
+		this.viewer = viewer;
+		this.maxPoints = 100 * 1000;
+		this.concurrency = 4;
+
+		viewer.addEventListener("update", () => this.update());
+	}
+
+	update(){
+		for(let corridor of this.viewer.scene.corridors){
+			if(corridor.visible){
+				corridor.update(this.viewer);
+			}
+		}
+	}
+
+	/**
+	 * Polylines of the scene that can serve as alignments: open measurements with at least two points,
+	 * profiles and the line strings of vector layers. Returns [{name, points}].
+	 */
+	getAlignmentCandidates(){
+		let scene = this.viewer.scene;
+		let candidates = [];
+
+		for(let measurement of scene.measurements){
+			if(!measurement.closed && measurement.points.length >= 2){
+				candidates.push({name: measurement.name, points: measurement.points.map(p => p.position.clone())});
+			}
+		}
+
+		for(let profile of scene.profiles){
+			if(profile.points.length >= 2){
+				candidates.push({name: profile.name, points: profile.points.map(p => p.clone())});
+			}
+		}
+
+		for(let layer of scene.vectorLayers){
+			layer.getLineStrings().forEach(({feature, vertices}, i) => {
+				let properties = feature.properties || {};
+				let name = properties.name || `${i}`;
+
+				candidates.push({name: `${layer.name}: ${name}`, points: vertices.map(v => new THREE.Vector3(v.x, v.y, v.z))});
+			});
+		}
+
+		return candidates;
+	}
+
+	createCorridor(alignment, params = {}){
+		let corridor = new Corridor(alignment, params);
+
+		this.viewer.scene.addCorridor(corridor);
+
+		return corridor;
+	}
+
+	/**
+	 * Resolves to the points of the section in the visible point clouds.
+	 * Positions are absolute, the mileage runs from the left end of the section.
+	 *
+	 * options:
+	 *   maxPoints
+	 *   signal: an AbortSignal, aborting cancels the requests and rejects with signal.reason
+	 */
+	extractSection(section, options = {}){
+		let {maxPoints = this.maxPoints, signal} = options;
+		let pointclouds = this.viewer.scene.pointclouds.filter(p => p.visible);
+		let result = new Points();
+
+		let extract = (pointcloud) => new Promise((resolve, reject) => {
+			let numPoints = 0;
+
+			let request = pointcloud.getPointsInProfile(section.profile, null, {
+				onProgress: (event) => {
+					for(let segment of event.points.segments){
+						let points = segment.points;
+						let relative = points.data.position;
+						let position = new Float64Array(relative.length);
+
+						for(let i = 0; i < points.numPoints; i++){
+							position[3 * i + 0] = relative[3 * i + 0] + pointcloud.position.x;
+							position[3 * i + 1] = relative[3 * i + 1] + pointcloud.position.y;
+							position[3 * i + 2] = relative[3 * i + 2] + pointcloud.position.z;
+						}
+
+						points.data.position = position;
+						result.add(points);
+						numPoints += points.numPoints;
+					}
+
+					if(numPoints > maxPoints){
+						request.finishLevelThenCancel();
+					}
+				},
+				onFinish: () => resolve(),
+				onCancel: () => reject(signal && signal.aborted ? signal.reason : new Error("section request cancelled")),
+			});
+
+			if(signal){
+				signal.addEventListener("abort", () => request.cancel(), {once: true});
+			}
+		});
+
+		return Promise.all(pointclouds.map(extract)).then(() => result);
+	}
+
+	/**
+	 * Extracts the points of all sections of the corridor, a few sections at a time.
+	 * Resolves to [{section, points}] in the order of the sections.
+	 *
+	 * options: maxPoints, signal and onProgress, called after each section with {numSectionsDone, numSections, progress}
+	 */
+	async extractSections(corridor, options = {}){
+		let {signal, onProgress} = options;
+		let sections = corridor.sections.slice();
+		let results = new Array(sections.length);
+		let next = 0;
+		let numDone = 0;
+
+		let work = async () => {
+			while(next < sections.length){
+				if(signal){
+					signal.throwIfAborted();
+				}
+
+				let section = sections[next++];
+				let points = await this.extractSection(section, options);
+
+				results[section.index] = {section, points};
+				numDone++;
+
+				if(onProgress){
+					onProgress({numSectionsDone: numDone, numSections: sections.length, progress: numDone / sections.length});
+				}
+			}
+		};
+
+		let workers = [];
+		for(let i = 0; i < Math.min(this.concurrency, sections.length); i++){
+			workers.push(work());
+		}
+		await Promise.all(workers);
+
+		return results;
+	}
+
+};
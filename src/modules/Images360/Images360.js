@@ -40,6 +40,10 @@ export class Images360 extends EventDispatcher{
 
 		this.viewer = viewer;
 
+		// where the images were loaded from, and the projection of their coordinates, see Images360Loader
+		this.url = null;
+		this.projection = null;
+
 		this.selectingEnabled = true;
 
 		this.images = [];
@@ -259,6 +263,10 @@ export class Images360Loader{
 
 	static async load(url, viewer, params = {}){
 
+		// coordinates.txt holds WGS84 longitudes and latitudes, which are either transformed into
+		// the point cloud projection with params.transform or used as they are
+		let projection = params.transform ? "WGS84" : null;
+
 		if(!params.transform){
 			params.transform = {
 				forward: a => a,
@@ -272,6 +280,8 @@ export class Images360Loader{
 		let coordinateLines = lines.slice(1);
 
 		let images360 = new Images360(viewer);
+		images360.url = url;
+		images360.projection = projection;
 
 		for(let line of coordinateLines){
 
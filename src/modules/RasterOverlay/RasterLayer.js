@@ -0,0 +1,226 @@
+
+import * as THREE from "../../../libs/three.js/build/three.module.js";
+import {EventDispatcher} from "../../EventDispatcher.js";
+import {GeoTIFF} from "../../utils/GeoTIFF.js";
+import {Gradients} from "../../materials/Gradients.js";
+
+function sampleGradient(gradient, t){
+	t = THREE.MathUtils.clamp(t, 0, 1);
+
+	for(let i = 1; i < gradient.length; i++){
+		let [t1, c1] = gradient[i];
+
+		if(t <= t1){
+			let [t0, c0] = gradient[i - 1];
+			let w = t1 > t0 ? (t - t0) / (t1 - t0) : 0;
+
+			return c0.clone().lerp(c1, w);
+		}
+	}
+
+	return gradient[gradient.length - 1][1].clone();
+}
+
+/**
+ * A georeferenced raster, e.g. an orthophoto, NDVI or hazard map,
+ * that is draped onto all point clouds in the scene as a color overlay.
+ *
+ * The raster must be in the same coordinate reference system as the point clouds.
+ * Points are colored by the raster cell straight below or above them,
+ * blended with the color of the active attribute according to the opacity of the layer.
+ * Transparent cells and nodata cells leave the points as they are.
+ *
+ * Usage:
+ *   let layer = await RasterLayer.load("ortho.tif");
+ *   layer.opacity = 0.7;
+ *   viewer.scene.addRasterLayer(layer);
+ */
+export class RasterLayer extends EventDispatcher{
+
+	constructor(image, options = {}){
+		super();
+
+		let geoTransform = image.getGeoTransform();
+
+		if(!geoTransform){
+			throw new Error("the raster is not georeferenced");
+		}
+
+		this.name = options.name || "raster";
+		this.image = image;
+		this.geoTransform = geoTransform;
+		this._visible = true;
+		this._opacity = options.opacity !== undefined ? options.opacity : 1;
+
+		this.texture = RasterLayer.createTexture(image, options);
+
+		// world coordinates to texture coordinates
+		let [a, b, c, d, e, f] = geoTransform;
+		let det = a * e - b * d;
+		let {width, height} = image;
+
+		this.worldToUV = new THREE.Matrix4().set(
+			e / (det * width), -b / (det * width), 0, (b * f - e * c) / (det * width),
+			-d / (det * height), a / (det * height), 0, (d * c - a * f) / (det * height),
+			0, 0, 0, 0,
+			0, 0, 0, 1,
+		);
+
+		this.boundingBox = new THREE.Box2();
+		for(let [col, row] of [[0, 0], [width, 0], [0, height], [width, height]]){
+			this.boundingBox.expandByPoint(new THREE.Vector2(
+				a * col + b * row + c,
+				d * col + e * row + f));
+		}
+	}
+
+	get visible(){
+		return this._visible;
+	}
+
+	set visible(value){
+		if(this._visible !== value){
+			this._visible = value;
+
+			this.dispatchEvent({type: "visibility_changed", layer: this});
+		}
+	}
+
+	get opacity(){
+		return this._opacity;
+	}
+
+	set opacity(value){
+		if(this._opacity !== value){
+			this._opacity = value;
+
+			this.dispatchEvent({type: "opacity_changed", layer: this});
+		}
+	}
+
+	/**
+	 * Converts the raster into an RGBA texture, downsampled to at most RasterLayer.maxTextureSize.
+	 *
+	 * Rasters with three or more samples per pixel are used as RGB(A).
+	 * Single band rasters are mapped to a gradient, 8 bit rasters to grayscale by default.
+	 *
+	 * options:
+	 *   gradient: e.g. Potree.Gradients.SPECTRAL, for single band rasters
+	 *   range: [min, max] of single band values mapped to the gradient, default is the range of the data
+	 *   nodata: overrides the nodata value of the file
+	 */
+	static createTexture(image, options = {}){
+		let {width, height, samplesPerPixel, data} = image;
+
+		let stride = Math.ceil(Math.max(width, height) / RasterLayer.maxTextureSize);
+		let textureWidth = Math.ceil(width / stride);
+		let textureHeight = Math.ceil(height / stride);
+		let rgba = new Uint8Array(4 * textureWidth * textureHeight);
+
+		let nodata = options.nodata !== undefined ? options.nodata : image.getNoData();
+		let isNoData = (value) => Number.isNaN(value) || value === nodata;
+
+		// rescale 16 and 32 bit color channels to 8 bit
+		let colorScale = 255 / (2 ** image.bitsPerSample[0] - 1);
+
+		let gradient = options.gradient;
+		let range = options.range;
+
+		if(samplesPerPixel === 1){
+			if(!gradient){
+				gradient = image.bitsPerSample[0] === 8 ? Gradients.GRAYSCALE : Gradients.SPECTRAL;
+			}
+
+			if(!range){
+				range = [Infinity, -Infinity];
+
+				for(let value of data){
+					if(!isNoData(value)){
+						range[0] = Math.min(range[0], value);
+						range[1] = Math.max(range[1], value);
+					}
+				}
+			}
+		}
+
+		// colors of single band values are precomputed for 256 steps
+		let lut = samplesPerPixel === 1
+			? new Array(256).fill(0).map((v, i) => sampleGradient(gradient, i / 255))
+			: null;
+
+		for(let y = 0; y < textureHeight; y++){
+			for(let x = 0; x < textureWidth; x++){
+				let source = samplesPerPixel * ((x * stride) + (y * stride) * width);
+				let target = 4 * (x + y * textureWidth);
+
+				if(samplesPerPixel >= 3){
+					let [r, g, b] = [data[source], data[source + 1], data[source + 2]];
+
+					if(r === nodata && g === nodata && b === nodata){
+						continue;
+					}
+
+					rgba[target + 0] = r * colorScale;
+					rgba[target + 1] = g * colorScale;
+					rgba[target + 2] = b * colorScale;
+					rgba[target + 3] = samplesPerPixel >= 4 ? data[source + 3] * colorScale : 255;
+				}else{
+					let value = data[source];
+
+					if(isNoData(value)){
+						continue;
+					}
+
+					let t = (range[1] > range[0]) ? (value - range[0]) / (range[1] - range[0]) : 0;
+					let color = lut[Math.round(255 * THREE.MathUtils.clamp(t, 0, 1))];
+
+					rgba[target + 0] = 255 * color.r;
+					rgba[target + 1] = 255 * color.g;
+					rgba[target + 2] = 255 * color.b;
+					rgba[target + 3] = 255;
+				}
+			}
+		}
+
+		let texture = new THREE.DataTexture(rgba, textureWidth, textureHeight, THREE.RGBAFormat);
+		texture.magFilter = THREE.LinearFilter;
+		texture.minFilter = THREE.LinearFilter;
+		texture.needsUpdate = true;
+
+		return texture;
+	}
+
+	// source: url or Blob of a GeoTIFF. options: see createTexture, plus name and opacity
+	static async load(source, options = {}){
+		let buffer;
+		let name;
+
+		if(source instanceof Blob){
+			buffer = await source.arrayBuffer();
+			name = source.name;
+		}else{
+			let response = await fetch(source);
+
+			if(!response.ok){
+				throw new Error(`HTTP ${response.status} while loading ${source}`);
+			}
+
+			buffer = await response.arrayBuffer();
+			name = source.split("/").pop();
+		}
+
+		let image = GeoTIFF.Reader.read(buffer);
+
+		return new RasterLayer(image, {name, ...options});
+	}
+
+	dispose(){
+		this.texture.dispose();
+	}
+
+};
+
+RasterLayer.maxTextureSize = 4096;
+
+// the number of layers that are applied at the same time is limited by the number of texture units
+RasterLayer.maxLayers = 4;
@@ -0,0 +1,612 @@
+
+import * as THREE from "../../../libs/three.js/build/three.module.js";
+import {EventDispatcher} from "../../EventDispatcher.js";
+import {TextSprite} from "../../TextSprite.js";
+import {Utils} from "../../utils.js";
+import {VectorLayer} from "../../loader/VectorLayer.js";
+import {Line2} from "../../../libs/three.js/lines/Line2.js";
+import {LineGeometry} from "../../../libs/three.js/lines/LineGeometry.js";
+import {LineMaterial} from "../../../libs/three.js/lines/LineMaterial.js";
+
+// a round interval in seconds that divides the span into about numTicks ticks
+function getTickInterval(span, numTicks){
+	let interval = span / numTicks;
+	let magnitude = 10 ** Math.floor(Math.log10(interval));
+
+	for(let factor of [1, 2, 5]){
+		if(factor * magnitude >= interval){
+			return factor * magnitude;
+		}
+	}
+
+	return 10 * magnitude;
+}
+
+function interpolateAngle(a, b, w){
+	let delta = Math.atan2(Math.sin(b - a), Math.cos(b - a));
+
+	return a + w * delta;
+}
+
+/**
+ * The path of the platform that acquired a point cloud, e.g. from an SBET file, see TrajectoryLoader.
+ *
+ * Rendered as a line with time ticks. setHighlight() emphasizes the part within a time range
+ * and setMarkerTime() marks the position at a given time, see TrajectoryTool.
+ *
+ * records: arrays with one value per record, ordered by time
+ *   time: GPS time in seconds, in the time system of the trajectory file
+ *   position: xyz triplets in the projection of the point clouds
+ *   roll, pitch, heading: optional, in radians, heading clockwise from north
+ */
+export class Trajectory extends EventDispatcher{
+
+	constructor(records, params = {}){
+		super();
+
+		this.uuid = THREE.MathUtils.generateUUID();
+		this.name = params.name || "trajectory";
+		this.color = new THREE.Color(params.color || 0x00ffff);
+
+		// added to the times of the records to obtain the GPS time of the point clouds,
+		// e.g. GPS week seconds of SBET files vs. adjusted standard GPS time of LAS 1.4, see TrajectoryLoader.getWeekTimeOffset
+		this.timeOffset = params.timeOffset !== undefined ? params.timeOffset : 0;
+
+		this.time = Float64Array.from(records.time);
+		this.position = Float64Array.from(records.position);
+		this.roll = records.roll ? Float64Array.from(records.roll) : null;
+		this.pitch = records.pitch ? Float64Array.from(records.pitch) : null;
+		this.heading = records.heading ? Float64Array.from(records.heading) : null;
+		this.numRecords = this.time.length;
+
+		if(this.numRecords < 2){
+			throw new Error("a trajectory needs at least two records");
+		}
+
+		this.boundingBox = new THREE.Box3();
+		for(let i = 0; i < this.numRecords; i++){
+			this.boundingBox.expandByPoint(this.getPosition(i));
+		}
+
+		// vertices are relative to the first record, for float precision
+		this.origin = this.getPosition(0);
+
+		this.node = new THREE.Object3D();
+		this.node.name = this.name;
+		this.node.position.copy(this.origin);
+
+		this.line = this.createLine(this.getRelativePositions(0, this.numRecords - 1), this.color, 2);
+		this.node.add(this.line);
+
+		this.highlight = this.createLine([0, 0, 0, 0, 0, 0], new THREE.Color(1, 1, 0), 4);
+		this.highlight.visible = false;
+		this.highlightRange = null;
+		this.node.add(this.highlight);
+
+		this.marker = new THREE.Mesh(
+			new THREE.SphereGeometry(1, 16, 16),
+			new THREE.MeshBasicMaterial({color: 0xffff00, depthTest: false}));
+		this.marker.visible = false;
+		this.markerTime = null;
+		this.node.add(this.marker);
+
+		this.createTicks();
+	}
+
+	get visible(){
+		return this.node.visible;
+	}
+
+	set visible(value){
+		if(this.node.visible !== value){
+			this.node.visible = value;
+
+			this.dispatchEvent({type: "visibility_changed", trajectory: this});
+		}
+	}
+
+	get startTime(){
+		return this.time[0];
+	}
+
+	get endTime(){
+		return this.time[this.numRecords - 1];
+	}
+
+	getPosition(index){
+		return new THREE.Vector3(
+			this.position[3 * index + 0],
+			this.position[3 * index + 1],
+			this.position[3 * index + 2]);
+	}
+
+	// positions from index i0 to i1 relative to the origin, as a flat array
+	getRelativePositions(i0, i1){
+		let positions = new Float32Array(3 * (i1 - i0 + 1));
+
+		for(let i = i0; i <= i1; i++){
+			positions[3 * (i - i0) + 0] = this.position[3 * i + 0] - this.origin.x;
+			positions[3 * (i - i0) + 1] = this.position[3 * i + 1] - this.origin.y;
+			positions[3 * (i - i0) + 2] = this.position[3 * i + 2] - this.origin.z;
+		}
+
+		return positions;
+	}
+
+	createLine(positions, color, width){
+		let geometry = new LineGeometry();
+		geometry.setPositions(positions);
+
+		let material = new LineMaterial({
+			color: color,
+			linewidth: width,
+			resolution: new THREE.Vector2(1000, 1000),
+		});
+
+		let line = new Line2(geometry, material);
+		line.computeLineDistances();
+
+		return line;
+	}
+
+	createTicks(){
+		let interval = getTickInterval(this.endTime - this.startTime, 10);
+		let first = Math.ceil(this.startTime / interval) * interval;
+		let digits = Math.max(0, -Math.floor(Math.log10(interval)));
+
+		let positions = [];
+		this.tickLabels = [];
+
+		for(let time = first; time <= this.endTime; time += interval){
+			let position = this.getStateAt(time).position.sub(this.origin);
+			positions.push(position.x, position.y, position.z);
+
+			let label = new TextSprite(time.toFixed(digits));
+			label.fontsize = 16;
+			label.setBorderColor({r: 0, g: 0, b: 0, a: 0.8});
+			label.setBackgroundColor({r: 0, g: 0, b: 0, a: 0.3});
+			label.material.depthTest = false;
+			label.material.opacity = 1;
+			label.position.copy(position);
+			this.tickLabels.push(label);
+			this.node.add(label);
+		}
+
+		let geometry = new THREE.BufferGeometry();
+		geometry.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+
+		this.ticks = new THREE.Points(geometry, new THREE.PointsMaterial({
+			color: 0xffffff,
+			size: 6,
+			sizeAttenuation: false,
+		}));
+		this.node.add(this.ticks);
+	}
+
+	// the index of the last record at or before the given time
+	getIndexAt(time){
+		let lo = 0;
+		let hi = this.numRecords - 1;
+
+		if(time <= this.time[lo]){
+			return lo;
+		}else if(time >= this.time[hi]){
+			return hi;
+		}
+
+		while(hi - lo > 1){
+			let mid = (lo + hi) >> 1;
+
+			if(this.time[mid] <= time){
+				lo = mid;
+			}else{
+				hi = mid;
+			}
+		}
+
+		return lo;
+	}
+
+	/**
+	 * The interpolated position and orientation at the given time, clamped to the time span of the trajectory.
+	 */
+	getStateAt(time){
+		time = THREE.MathUtils.clamp(time, this.startTime, this.endTime);
+
+		let i0 = Math.min(this.getIndexAt(time), this.numRecords - 2);
+		let i1 = i0 + 1;
+		let span = this.time[i1] - this.time[i0];
+		let w = span > 0 ? (time - this.time[i0]) / span : 0;
+
+		let angle = (values) => values ? interpolateAngle(values[i0], values[i1], w) : null;
+
+		return {
+			time: time,
+			position: this.getPosition(i0).lerp(this.getPosition(i1), w),
+			roll: angle(this.roll),
+			pitch: angle(this.pitch),
+			heading: angle(this.heading),
+		};
+	}
+
+	/**
+	 * Emphasizes the part of the trajectory within range, a [start, end] GPS time range. null removes it.
+	 */
+	setHighlight(range){
+		let same = (range === null && this.highlightRange === null)
+			|| (range !== null && this.highlightRange !== null
+				&& range[0] === this.highlightRange[0] && range[1] === this.highlightRange[1]);
+
+		if(same){
+			return;
+		}
+
+		this.highlightRange = range ? range.slice() : null;
+
+		let start = range ? Math.max(range[0], this.startTime) : 0;
+		let end = range ? Math.min(range[1], this.endTime) : 0;
+
+		if(!range || start > end){
+			this.highlight.visible = false;
+
+			return;
+		}
+
+		// the records within the range, between the interpolated positions at start and end
+		let i0 = this.getIndexAt(start) + 1;
+		let i1 = Math.max(this.getIndexAt(end), i0 - 1);
+		let inner = this.getRelativePositions(i0, i1);
+		let positions = new Float32Array(inner.length + 6);
+
+		positions.set(this.getStateAt(start).position.sub(this.origin).toArray(), 0);
+		positions.set(inner, 3);
+		positions.set(this.getStateAt(end).position.sub(this.origin).toArray(), inner.length + 3);
+
+		// LineGeometry reuses its buffers if the number of vertices stays the same, so it is replaced
+		let geometry = new LineGeometry();
+		geometry.setPositions(positions);
+
+		this.highlight.geometry.dispose();
+		this.highlight.geometry = geometry;
+		this.highlight.computeLineDistances();
+		this.highlight.visible = true;
+	}
+
+	// marks the position at the given GPS time, null removes the marker
+	setMarkerTime(time){
+		this.markerTime = time;
+
+		let visible = time !== null && time >= this.startTime && time <= this.endTime;
+		this.marker.visible = visible;
+
+		if(visible){
+			this.marker.position.copy(this.getStateAt(time).position.sub(this.origin));
+		}
+	}
+
+	/**
+	 * The record closest to the mouse, within maxDistance pixels, or null.
+	 * Returns {index, time, distance}.
+	 */
+	pick(mouse, camera, width, height, maxDistance = 10){
+		let closest = null;
+		let matrix = new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+		let v = new THREE.Vector3();
+
+		camera.updateMatrixWorld();
+
+		for(let i = 0; i < this.numRecords; i++){
+			v.set(this.position[3 * i + 0], this.position[3 * i + 1], this.position[3 * i + 2]).applyMatrix4(matrix);
+
+			if(v.z < -1 || v.z > 1){
+				continue;
+			}
+
+			let dx = (v.x + 1) * width / 2 - mouse.x;
+			let dy = (1 - v.y) * height / 2 - mouse.y;
+			let distance = Math.sqrt(dx * dx + dy * dy);
+
+			if(distance <= maxDistance && (!closest || distance < closest.distance)){
+				closest = {index: i, time: this.time[i], distance: distance};
+			}
+		}
+
+		return closest;
+	}
+
+	// keeps lines, labels and the marker at a constant size on screen
+	update(viewer){
+		let camera = viewer.scene.getActiveCamera();
+		let {width, height} = viewer.renderer.getSize(new THREE.Vector2());
+
+		this.line.material.resolution.set(width, height);
+		this.highlight.material.resolution.set(width, height);
+
+		let scaleToPixels = (object, pixels) => {
+			let distance = camera.position.distanceTo(object.getWorldPosition(new THREE.Vector3()));
+			let pr = Utils.projectedRadius(1, camera, distance, width, height);
+			let scale = pixels / pr;
+
+			object.scale.set(scale, scale, scale);
+		};
+
+		for(let label of this.tickLabels){
+			scaleToPixels(label, 50);
+		}
+
+		if(this.marker.visible){
+			scaleToPixels(this.marker, 6);
+		}
+	}
+
+	dispose(){
+		for(let object of [this.line, this.highlight, this.marker, this.ticks]){
+			object.geometry.dispose();
+			object.material.dispose();
+		}
+
+		for(let label of this.tickLabels){
+			label.texture.dispose();
+			label.material.dispose();
+		}
+	}
+
+};
+
+const columnNames = {
+	time: ["time", "gps_time", "gpstime", "gps-time", "gps time", "t", "timestamp"],
+	x: ["x", "easting", "east"],
+	y: ["y", "northing", "north"],
+	z: ["z", "alt", "altitude", "height", "elevation", "h"],
+	longitude: ["lon", "long", "longitude", "lng"],
+	latitude: ["lat", "latitude"],
+	roll: ["roll"],
+	pitch: ["pitch"],
+	heading: ["heading", "yaw", "azimuth", "course"],
+};
+
+/**
+ * Loads trajectories from SBET files and from delimited text files.
+ *
+ * SBET files (.out, .sbet) are binary records of 17 doubles. Their latitudes and longitudes are WGS84.
+ * The heading is the platform heading minus the wander angle.
+ *
+ * Text files (.csv, .txt) have a header row whose column names are matched case-insensitively, e.g.
+ * time, x/easting or lon/longitude, y/northing or lat/latitude, z/altitude, roll, pitch, heading/yaw.
+ * Files without a header have the columns time, x, y, z, roll, pitch, heading, of which roll, pitch and heading are optional.
+ * Columns are separated by commas, semicolons, tabs or spaces.
+ *
+ * params:
+ *   projection: the projection of the point clouds that positions are transformed into.
+ *     Loading latitudes and longitudes fails without it.
+ *   sourceProjection: the projection of the x/y columns of text files, by default that of the point clouds
+ *   transform: {forward: ([x, y]) => [x, y]}, instead of projection and sourceProjection
+ *   angleUnit: "degrees" (default) or "radians", for text files
+ *   minInterval: records closer in time to the previous one are skipped, default 0.05 seconds
+ *   timeOffset: seconds added to the record times to obtain the GPS time of the point clouds, default 0
+ *   gpsWeek: instead of timeOffset, the GPS week of record times that are seconds of the week, as in SBET files,
+ *     for point clouds with adjusted standard GPS time, as in LAS 1.4
+ *   name, color
+ */
+export class TrajectoryLoader{
+
+	// source: url or File/Blob
+	static async load(source, params = {}){
+		let buffer;
+		let name;
+
+		if(source instanceof Blob){
+			buffer = await source.arrayBuffer();
+			name = source.name;
+		}else{
+			let response = await fetch(source);
+
+			if(!response.ok){
+				throw new Error(`HTTP ${response.status} while loading ${source}`);
+			}
+
+			buffer = await response.arrayBuffer();
+			name = source.split(/[?#]/)[0].split("/").pop();
+		}
+
+		params = {name, ...params};
+
+		if(params.gpsWeek !== undefined && params.timeOffset === undefined){
+			params.timeOffset = TrajectoryLoader.getWeekTimeOffset(params.gpsWeek);
+		}
+
+		if(/\.(out|sbet)$/i.test(name || "")){
+			return TrajectoryLoader.parseSBET(buffer, params);
+		}else{
+			return TrajectoryLoader.parseText(new TextDecoder().decode(buffer), params);
+		}
+	}
+
+	static parseSBET(buffer, params = {}){
+		let recordSize = 17 * 8;
+		let numRecords = Math.floor(buffer.byteLength / recordSize);
+		let view = new DataView(buffer);
+
+		let records = {time: [], position: [], roll: [], pitch: [], heading: []};
+		let transform = TrajectoryLoader.createTransform("WGS84", params);
+
+		for(let i = 0; i < numRecords; i++){
+			let read = (field) => view.getFloat64(i * recordSize + 8 * field, true);
+
+			let latitude = THREE.MathUtils.radToDeg(read(1));
+			let longitude = THREE.MathUtils.radToDeg(read(2));
+			let [x, y] = transform ? transform.forward([longitude, latitude]) : [longitude, latitude];
+
+			records.time.push(read(0));
+			records.position.push(x, y, read(3));
+			records.roll.push(read(7));
+			records.pitch.push(read(8));
+			records.heading.push(read(9) - read(10));
+		}
+
+		return TrajectoryLoader.createTrajectory(records, params);
+	}
+
+	static parseText(text, params = {}){
+		let lines = text.split(/\r?\n/).filter(line => line.trim().length > 0);
+
+		if(lines.length === 0){
+			throw new Error("the trajectory file is empty");
+		}
+
+		let delimiter = [/\t/, /,/, /;/].find(d => d.test(lines[0])) || /\s+/;
+		let split = (line) => line.trim().split(delimiter).map(token => token.trim().replace(/^"|"$/g, ""));
+
+		let header = split(lines[0]);
+		let hasHeader = header.some(token => /[a-z]/i.test(token) && isNaN(parseFloat(token)));
+
+		let columns = {};
+		if(hasHeader){
+			let names = header.map(token => token.toLowerCase());
+
+			for(let [key, candidates] of Object.entries(columnNames)){
+				let index = names.findIndex(name => candidates.includes(name));
+
+				if(index >= 0){
+					columns[key] = index;
+				}
+			}
+
+			if(columns.x === undefined && columns.longitude !== undefined){
+				columns.x = columns.longitude;
+				columns.y = columns.latitude;
+				params = {sourceProjection: "WGS84", ...params};
+			}
+
+			lines = lines.slice(1);
+		}else{
+			let numColumns = header.length;
+			["time", "x", "y", "z", "roll", "pitch", "heading"]
+				.slice(0, numColumns)
+				.forEach((key, i) => columns[key] = i);
+		}
+
+		for(let key of ["time", "x", "y", "z"]){
+			if(columns[key] === undefined){
+				throw new Error(`the trajectory file has no ${key} column`);
+			}
+		}
+
+		let toRadians = params.angleUnit === "radians" ? (v => v) : THREE.MathUtils.degToRad;
+		let transform = TrajectoryLoader.createTransform(params.sourceProjection, params);
+		let angles = ["roll", "pitch", "heading"].filter(key => columns[key] !== undefined);
+
+		let records = {time: [], position: []};
+		for(let key of angles){
+			records[key] = [];
+		}
+
+		for(let line of lines){
+			let tokens = split(line);
+			let value = (key) => parseFloat(tokens[columns[key]]);
+
+			let time = value("time");
+			let x = value("x");
+			let y = value("y");
+			let z = value("z");
+
+			if([time, x, y, z].some(Number.isNaN)){
+				continue;
+			}
+
+			[x, y] = transform ? transform.forward([x, y]) : [x, y];
+
+			records.time.push(time);
+			records.position.push(x, y, z);
+
+			for(let key of angles){
+				records[key].push(toRadians(value(key)));
+			}
+		}
+
+		return TrajectoryLoader.createTrajectory(records, params);
+	}
+
+	// GPS week seconds plus this offset are adjusted standard GPS time, i.e. seconds since the GPS epoch minus 10^9
+	static getWeekTimeOffset(gpsWeek){
+		return gpsWeek * 7 * 24 * 60 * 60 - 1e9;
+	}
+
+	// Latitudes and longitudes can't be shown as they are, so they must be transformed into the projection of the point clouds.
+	// Other coordinates are assumed to be in that projection if they can't be transformed.
+	static createTransform(sourceProjection, params){
+		if(params.transform){
+			return params.transform;
+		}
+
+		let geographic = TrajectoryLoader.isGeographic(sourceProjection);
+		let transform = null;
+		let reason = null;
+
+		try{
+			transform = VectorLayer.createTransform(sourceProjection, params.projection);
+		}catch(e){
+			reason = `unknown projection ${params.projection}`;
+
+			if(!geographic){
+				throw new Error(`can't transform the trajectory from ${sourceProjection} into the projection of the point clouds: ${reason}`);
+			}
+		}
+
+		if(!transform && geographic){
+			if(!params.projection){
+				reason = "no point cloud with a projection is loaded";
+			}else if(typeof proj4 === "undefined"){
+				reason = "proj4 is not available";
+			}
+
+			throw new Error(`the trajectory has geographic coordinates, which can't be transformed into the projection of the point clouds: ${reason}`);
+		}
+
+		return transform;
+	}
+
+	static isGeographic(projection){
+		if(projection === "WGS84"){
+			return true;
+		}else if(!projection || typeof proj4 === "undefined"){
+			return false;
+		}
+
+		let definition = proj4.defs(projection);
+
+		return definition !== undefined && definition.projName === "longlat";
+	}
+
+	// sorts the records by time and thins them out to params.minInterval
+	static createTrajectory(records, params){
+		let minInterval = params.minInterval !== undefined ? params.minInterval : 0.05;
+		let order = records.time.map((t, i) => i).sort((a, b) => records.time[a] - records.time[b]);
+		let angles = ["roll", "pitch", "heading"].filter(key => records[key]);
+
+		let kept = {time: [], position: []};
+		for(let key of angles){
+			kept[key] = [];
+		}
+
+		let last = -Infinity;
+		order.forEach((i, k) => {
+			let isLast = k === order.length - 1;
+
+			if(records.time[i] - last < minInterval && !isLast){
+				return;
+			}
+
+			last = records.time[i];
+			kept.time.push(records.time[i]);
+			kept.position.push(records.position[3 * i + 0], records.position[3 * i + 1], records.position[3 * i + 2]);
+
+			for(let key of angles){
+				kept[key].push(records[key][i]);
+			}
+		});
+
+		return new Trajectory(kept, params);
+	}
+
+};
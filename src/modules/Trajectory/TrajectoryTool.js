@@ -0,0 +1,164 @@
+
+import * as THREE from "../../../libs/three.js/build/three.module.js";
+import {EventDispatcher} from "../../EventDispatcher.js";
+
+/**
+ * Links the trajectories of the scene to the GPS-time filter of the viewer, in both directions:
+ * - while picking, clicking a trajectory filters the point clouds to the points acquired
+ *   within timeWindow seconds of the clicked record
+ * - the part of each trajectory within the GPS-time filter is highlighted, and the current time is marked,
+ *   that is the end of the window while the Timeline plays it and its center otherwise
+ *
+ * Record times are converted to the GPS time of the point clouds with the timeOffset of each trajectory.
+ *
+ * setRideAlong(trajectory) makes the camera follow the platform at the current time,
+ * rideAlongHeight above it and looking along its heading.
+ *
+ * Dispatches "picking_changed", "ride_along_changed" and "time_selected".
+ */
+export class TrajectoryTool extends EventDispatcher{
+
+	constructor(viewer){
+		super();
+
+		this.viewer = viewer;
+		this.picking = false;
+		this.timeWindow = 5;
+		this.rideAlong = null;
+		this.rideAlongHeight = 1;
+		this.mouseDown = new THREE.Vector2();
+
+		viewer.renderer.domElement.addEventListener("mousedown", (e) => {
+			this.mouseDown.copy(viewer.inputHandler.mouse);
+		}, true);
+
+		this.addEventListener("mouseup", e => this.onMouseUp(e));
+
+		viewer.addEventListener("update", () => this.update());
+		viewer.addEventListener("scene_changed", () => {
+			this.stopPicking();
+			this.setRideAlong(null);
+		});
+	}
+
+	startPicking(){
+		if(this.picking){
+			return;
+		}
+
+		this.picking = true;
+		this.viewer.inputHandler.addInputListener(this);
+
+		this.dispatchEvent({type: "picking_changed", tool: this});
+	}
+
+	stopPicking(){
+		if(!this.picking){
+			return;
+		}
+
+		this.picking = false;
+		this.viewer.inputHandler.removeInputListener(this);
+
+		this.dispatchEvent({type: "picking_changed", tool: this});
+	}
+
+	setRideAlong(trajectory){
+		if(this.rideAlong !== trajectory){
+			this.rideAlong = trajectory;
+
+			this.dispatchEvent({type: "ride_along_changed", tool: this, trajectory: trajectory});
+		}
+	}
+
+	onMouseUp(e){
+		let mouse = e.mouse;
+
+		// dragged to navigate
+		if(!mouse || mouse.distanceTo(this.mouseDown) > 3){
+			return;
+		}
+
+		let viewer = this.viewer;
+		let camera = viewer.scene.getActiveCamera();
+		let {width, height} = viewer.renderer.getSize(new THREE.Vector2());
+
+		let closest = null;
+		for(let trajectory of viewer.scene.trajectories.filter(t => t.visible)){
+			let picked = trajectory.pick(mouse, camera, width, height);
+
+			if(picked && (!closest || picked.distance < closest.distance)){
+				closest = {...picked, trajectory};
+			}
+		}
+
+		if(closest){
+			this.selectTime(closest.time + closest.trajectory.timeOffset, closest.trajectory);
+			e.consume();
+		}
+	}
+
+	/**
+	 * Filters the point clouds to the points acquired within timeWindow seconds of the given GPS time.
+	 */
+	selectTime(time, trajectory = null){
+		this.viewer.setFilterGPSTimeRange(time - this.timeWindow, time + this.timeWindow);
+
+		this.dispatchEvent({type: "time_selected", tool: this, time: time, trajectory: trajectory});
+	}
+
+	// the time marked on the trajectories, or null if the GPS-time filter is not set
+	getCurrentTime(){
+		let [start, end] = this.viewer.filterGPSTimeRange;
+
+		if(!Number.isFinite(start) || !Number.isFinite(end)){
+			return null;
+		}
+
+		let timeline = this.viewer.timeline;
+		let playing = timeline.mode === "gps-time" && timeline.savedState !== null;
+
+		return playing ? end : (start + end) / 2;
+	}
+
+	update(){
+		let viewer = this.viewer;
+		let range = viewer.filterGPSTimeRange;
+		let filtered = Number.isFinite(range[0]) && Number.isFinite(range[1]);
+		let time = this.getCurrentTime();
+
+		for(let trajectory of viewer.scene.trajectories){
+			let offset = trajectory.timeOffset;
+
+			trajectory.setHighlight(filtered ? [range[0] - offset, range[1] - offset] : null);
+			trajectory.setMarkerTime(time !== null ? time - offset : null);
+
+			if(trajectory.visible){
+				trajectory.update(viewer);
+			}
+		}
+
+		if(this.rideAlong && time !== null){
+			let trajectoryTime = time - this.rideAlong.timeOffset;
+			let state = this.rideAlong.getStateAt(trajectoryTime);
+			let heading = state.heading !== null ? state.heading : this.getCourse(this.rideAlong, trajectoryTime);
+			let pitch = state.pitch !== null ? state.pitch : 0;
+
+			let view = viewer.scene.view;
+			view.position.copy(state.position).add(new THREE.Vector3(0, 0, this.rideAlongHeight));
+			view.direction = new THREE.Vector3(
+				Math.sin(heading) * Math.cos(pitch),
+				Math.cos(heading) * Math.cos(pitch),
+				Math.sin(pitch));
+		}
+	}
+
+	// the direction of travel at the given record time, clockwise from north, for trajectories without heading
+	getCourse(trajectory, time){
+		let a = trajectory.getStateAt(time - 0.5).position;
+		let b = trajectory.getStateAt(time + 0.5).position;
+
+		return Math.atan2(b.x - a.x, b.y - a.y);
+	}
+
+};
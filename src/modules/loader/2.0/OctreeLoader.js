@@ -54,6 +54,7 @@ export class NodeLoader{
 				});
 
 				buffer = await response.arrayBuffer();
+				Potree.numBytesLoaded += buffer.byteLength;
 			}
 
 			let workerPath;
@@ -111,6 +112,7 @@ export class NodeLoader{
 				node.loaded = true;
 				node.loading = false;
 				Potree.numNodesLoading--;
+				Potree.nodeLoadEvents.dispatchEvent({type: "node_loaded", node: node});
 			};
 
 			let pointAttributes = node.octreeGeometry.pointAttributes;
@@ -142,6 +144,7 @@ export class NodeLoader{
 			node.loaded = false;
 			node.loading = false;
 			Potree.numNodesLoading--;
+			Potree.nodeLoadEvents.dispatchEvent({type: "node_load_failed", node: node, error: e});
 
 			console.log(`failed to load ${node.name}`);
 			console.log(e);
@@ -261,6 +264,7 @@ export class NodeLoader{
 
 
 		let buffer = await response.arrayBuffer();
+		Potree.numBytesLoaded += buffer.byteLength;
 
 		this.parseHierarchy(node, buffer);
 
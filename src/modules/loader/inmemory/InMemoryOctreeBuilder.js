@@ -0,0 +1,300 @@
+
+import * as THREE from "../../../../libs/three.js/build/three.module.js";
+import {PointAttribute, PointAttributes, PointAttributeTypes} from "../../../loader/PointAttributes.js";
+import {PointCloudOctree} from "../../../PointCloudOctree.js";
+import {InMemoryOctreeGeometry, InMemoryOctreeGeometryNode, updateTreeNode} from "./InMemoryOctreeGeometry.js";
+
+/**
+ * Builds an InMemoryOctreeGeometry in a worker from batches of points, and loads
+ * its nodes from that worker. Used by loaders for formats that aren't stored as an octree.
+ *
+ * Usage:
+ *   let builder = new InMemoryOctreeBuilder({boundingBox, attributes, numPoints});
+ *   await builder.add(numPoints, {position: positionBuffer, rgba: rgbaBuffer});
+ *   ...
+ *   builder.finish();
+ *
+ * The point cloud from createPointCloud() can be added to the scene right away,
+ * it refines while batches are added.
+ *
+ * attributes: [{name: "rgba", type: PointAttributeTypes.DATA_TYPE_UINT8, numElements: 4, range}, ...]
+ * "position" is always included, as float triplets relative to boundingBox.min.
+ * Attributes of type double are stored in full precision, but handed to the GPU as
+ * floats relative to the smallest value of the first batch.
+ */
+export class InMemoryOctreeBuilder{
+
+	constructor({boundingBox, attributes = [], numPoints = 0, projection = null}){
+
+		this.workerPath = Potree.scriptPath + '/workers/OctreeBuilderWorker.js';
+		this.worker = new Worker(this.workerPath);
+		this.requests = new Map();
+		this.nextRequestID = 0;
+		this.finished = false;
+		this.error = null;
+		this.numPointsTotal = numPoints;
+
+		this.worker.onmessage = (e) => {
+			let {id} = e.data;
+			let request = this.requests.get(id);
+			this.requests.delete(id);
+
+			if(e.data.type === "error"){
+				request.reject(new Error(e.data.message));
+			}else{
+				request.resolve(e.data);
+			}
+		};
+
+		// an error outside of a request, e.g. the worker script failed to load, or it ran out of memory.
+		// Pending requests would never be answered, and the state of the worker is unknown after that.
+		this.worker.onerror = (e) => {
+			e.preventDefault();
+
+			this.error = new Error(`the octree builder worker failed: ${e.message || "unknown error"}`);
+
+			for(let request of this.requests.values()){
+				request.reject(this.error);
+			}
+			this.requests.clear();
+
+			this.worker.terminate();
+		};
+
+		let size = boundingBox.getSize(new THREE.Vector3());
+		let cubeSize = Math.max(size.x, size.y, size.z);
+
+		let octree = new InMemoryOctreeGeometry();
+		octree.offset = boundingBox.min.clone();
+		octree.boundingBox = new THREE.Box3(
+			new THREE.Vector3(0, 0, 0),
+			new THREE.Vector3(cubeSize, cubeSize, cubeSize));
+		octree.tightBoundingBox = new THREE.Box3(new THREE.Vector3(0, 0, 0), size);
+		octree.boundingSphere = octree.boundingBox.getBoundingSphere(new THREE.Sphere());
+		octree.tightBoundingSphere = octree.tightBoundingBox.getBoundingSphere(new THREE.Sphere());
+		octree.spacing = cubeSize / 128;
+		octree.projection = projection;
+		octree.loader = this;
+
+		{
+			let pointAttributes = new PointAttributes();
+			pointAttributes.add(PointAttribute.POSITION_CARTESIAN);
+
+			for(let {name, type, numElements, range} of attributes){
+				let attribute = new PointAttribute(name, type, numElements);
+
+				if(range){
+					attribute.range = range;
+				}else if(numElements === 1){
+					attribute.range = [Infinity, -Infinity];
+				}else{
+					attribute.range = [new Array(numElements).fill(0), new Array(numElements).fill(255)];
+				}
+				attribute.initialRange = attribute.range;
+
+				pointAttributes.add(attribute);
+			}
+
+			octree.pointAttributes = pointAttributes;
+		}
+
+		let root = new InMemoryOctreeGeometryNode("r", octree, octree.boundingBox);
+		root.level = 0;
+		root.spacing = octree.spacing;
+		octree.root = root;
+		octree.nodes.set("r", root);
+
+		this.octree = octree;
+
+		this.initialized = this.request({
+			type: "init",
+			size: cubeSize,
+			numPoints: numPoints,
+			attributes: [
+				{name: "position", type: "float", numElements: 3},
+				...attributes.map(a => ({name: a.name, type: a.type.name, numElements: a.numElements})),
+			],
+		}).then(e => this.update(e));
+	}
+
+	request(message, transferables = []){
+		return new Promise((resolve, reject) => {
+			if(this.error){
+				reject(this.error);
+				return;
+			}
+
+			let id = this.nextRequestID++;
+			this.requests.set(id, {resolve, reject});
+			this.worker.postMessage({id, ...message}, transferables);
+		});
+	}
+
+	/**
+	 * Adds a batch of points. buffers maps attribute names to ArrayBuffers,
+	 * missing attributes are filled with zeroes. Ownership of the buffers is transferred.
+	 */
+	async add(numPoints, buffers){
+		await this.initialized;
+
+		let e = await this.request({type: "add", numPoints, buffers}, Object.values(buffers));
+
+		this.update(e);
+	}
+
+	createPointCloud(){
+		let pointcloud = new PointCloudOctree(this.octree);
+
+		this.octree.addEventListener("node_changed", (e) => {
+			updateTreeNode(pointcloud, e.node);
+		});
+
+		let box = this.octree.tightBoundingBox;
+		pointcloud.material.elevationRange = [
+			this.octree.offset.z + box.min.z,
+			this.octree.offset.z + box.max.z,
+		];
+
+		return pointcloud;
+	}
+
+	finish(){
+		this.finished = true;
+
+		this.octree.dispatchEvent({type: "loaded"});
+	}
+
+	update(e){
+		let octree = this.octree;
+
+		octree.numPoints = e.numPoints;
+
+		for(let attribute of octree.pointAttributes.attributes){
+			let range = e.ranges[attribute.name];
+			let offset = e.offsets[attribute.name];
+
+			if(!range || attribute.numElements !== 1 || range[0] > range[1]){
+				continue;
+			}
+
+			attribute.range = [range[0], range[1]];
+
+			if(attribute.type === PointAttributeTypes.DATA_TYPE_DOUBLE){
+				// values are relative to the offset, see OctreeBuilderWorker
+				attribute.initialRange = [offset, offset + 1];
+			}else{
+				attribute.initialRange = attribute.range;
+			}
+		}
+
+		for(let {name, numPoints} of e.nodes){
+			let node = octree.getNode(name);
+
+			node.version++;
+
+			if(node.loaded){
+				// keep displaying the outdated points until the new ones are there
+				this.load(node);
+			}else{
+				node.numPoints = numPoints;
+			}
+
+			octree.dispatchEvent({type: "node_changed", node: node});
+		}
+
+		octree.dispatchEvent({
+			type: "progress",
+			numPoints: e.numPoints,
+			numPointsTotal: this.numPointsTotal,
+		});
+	}
+
+	async load(node){
+
+		let reload = node.loaded;
+
+		if(node.loading || (node.loaded && node.loadedVersion === node.version)){
+			return;
+		}
+
+		node.loading = true;
+		Potree.numNodesLoading++;
+
+		try{
+			let version = node.version;
+			let data = await this.request({type: "node", name: node.name});
+
+			let geometry = new THREE.BufferGeometry();
+
+			for(let property in data.buffers){
+				let buffer = data.buffers[property];
+				let attribute = this.octree.pointAttributes.attributes.find(a => a.name === property);
+
+				if(property === "position"){
+					geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(buffer), 3));
+				}else if(property === "rgba"){
+					geometry.setAttribute('rgba', new THREE.BufferAttribute(new Uint8Array(buffer), 4, true));
+				}else if(property === "normal"){
+					geometry.setAttribute('normal', new THREE.BufferAttribute(new Float32Array(buffer), 3));
+				}else if(property === "indices"){
+					geometry.setAttribute('indices', new THREE.BufferAttribute(new Uint8Array(buffer), 4, true));
+				}else if(attribute.type === PointAttributeTypes.DATA_TYPE_DOUBLE){
+					geometry.setAttribute(property, new THREE.BufferAttribute(new Float32Array(buffer), attribute.numElements));
+				}else{
+					let TypedArray = {
+						int8: Int8Array, uint8: Uint8Array,
+						int16: Int16Array, uint16: Uint16Array,
+						int32: Int32Array, uint32: Uint32Array,
+						float: Float32Array,
+					}[attribute.type.name];
+
+					geometry.setAttribute(property, new THREE.BufferAttribute(new TypedArray(buffer), attribute.numElements));
+				}
+			}
+
+			geometry.boundingBox = node.boundingBox;
+
+			// the lru accounts for the number of points a node had when it was added
+			Potree.lru.remove(node);
+
+			let previous = node.geometry;
+
+			node.geometry = geometry;
+			node.numPoints = data.numPoints;
+			node.tightBoundingBox = new THREE.Box3(
+				new THREE.Vector3(...data.tightBoundingBox.min),
+				new THREE.Vector3(...data.tightBoundingBox.max));
+			node.mean = new THREE.Vector3(...data.mean);
+			node.loadedVersion = version;
+			node.loaded = true;
+			node.loading = false;
+			Potree.numNodesLoading--;
+			Potree.nodeLoadEvents.dispatchEvent({type: "node_loaded", node: node});
+
+			if(previous){
+				previous.dispose();
+			}
+
+			if(reload){
+				this.octree.dispatchEvent({type: "node_changed", node: node});
+			}
+
+			// more points may have arrived in the meantime
+			if(node.version !== version){
+				this.load(node);
+			}
+		}catch(e){
+			node.loading = false;
+			Potree.numNodesLoading--;
+			Potree.nodeLoadEvents.dispatchEvent({type: "node_load_failed", node: node, error: e});
+
+			console.error(`failed to load ${node.name}`);
+			console.error(e);
+		}
+	}
+
+	dispose(){
+		this.worker.terminate();
+	}
+
+};
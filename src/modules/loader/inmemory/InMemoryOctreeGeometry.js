@@ -0,0 +1,212 @@
+
+import * as THREE from "../../../../libs/three.js/build/three.module.js";
+import {EventDispatcher} from "../../../EventDispatcher.js";
+
+/**
+ * Octree geometry for point clouds that are not stored as an octree, e.g. plain LAS files.
+ * The octree is built on the fly by an InMemoryOctreeBuilder, which also serves the nodes.
+ *
+ * Nodes may gain points and children while the source is still being read.
+ * Listeners of "node_changed" are notified whenever that happens.
+ */
+export class InMemoryOctreeGeometry extends EventDispatcher{
+
+	constructor(){
+		super();
+
+		this.url = null;
+		this.spacing = 0;
+		this.boundingBox = null;
+		this.tightBoundingBox = null;
+		this.offset = null;
+		this.projection = null;
+		this.root = null;
+		this.nodes = new Map();
+		this.pointAttributes = null;
+		this.loader = null;
+		this.numPoints = 0;
+	}
+
+	getNode(name){
+		let node = this.nodes.get(name);
+
+		if(node){
+			return node;
+		}
+
+		let parent = this.getNode(name.slice(0, -1));
+		let index = parseInt(name.slice(-1));
+
+		node = new InMemoryOctreeGeometryNode(name, this, createChildAABB(parent.boundingBox, index));
+		node.level = parent.level + 1;
+		node.spacing = parent.spacing / 2;
+
+		parent.addChild(node);
+		this.nodes.set(name, node);
+
+		this.dispatchEvent({type: "node_changed", node: parent});
+
+		return node;
+	}
+
+};
+
+export class InMemoryOctreeGeometryNode extends EventDispatcher{
+
+	constructor(name, octreeGeometry, boundingBox){
+		super();
+
+		this.id = InMemoryOctreeGeometryNode.IDCount++;
+		this.name = name;
+		this.index = parseInt(name.charAt(name.length - 1));
+		this.octreeGeometry = octreeGeometry;
+		this.boundingBox = boundingBox;
+		this.boundingSphere = boundingBox.getBoundingSphere(new THREE.Sphere());
+		this.children = {};
+		this.parent = null;
+		this.numPoints = 0;
+		this.level = null;
+		this.loaded = false;
+		this.loading = false;
+		// incremented whenever the builder reports new points for this node
+		this.version = 0;
+		this.oneTimeDisposeHandlers = [];
+	}
+
+	isGeometryNode(){
+		return true;
+	}
+
+	getLevel(){
+		return this.level;
+	}
+
+	isTreeNode(){
+		return false;
+	}
+
+	isLoaded(){
+		return this.loaded;
+	}
+
+	getBoundingSphere(){
+		return this.boundingSphere;
+	}
+
+	getBoundingBox(){
+		return this.boundingBox;
+	}
+
+	getChildren(){
+		let children = [];
+
+		for (let i = 0; i < 8; i++) {
+			if (this.children[i]) {
+				children.push(this.children[i]);
+			}
+		}
+
+		return children;
+	}
+
+	addChild(child){
+		this.children[child.index] = child;
+		child.parent = this;
+	}
+
+	load(){
+
+		if (Potree.numNodesLoading >= Potree.maxNodesLoading) {
+			return;
+		}
+
+		this.octreeGeometry.loader.load(this);
+	}
+
+	getNumPoints(){
+		return this.numPoints;
+	}
+
+	dispose(){
+		if (this.geometry && this.parent != null) {
+			this.geometry.dispose();
+			this.geometry = null;
+			this.loaded = false;
+
+			for (let i = 0; i < this.oneTimeDisposeHandlers.length; i++) {
+				let handler = this.oneTimeDisposeHandlers[i];
+				handler();
+			}
+			this.oneTimeDisposeHandlers = [];
+		}
+	}
+
+};
+
+InMemoryOctreeGeometryNode.IDCount = 0;
+
+/**
+ * Brings the scene graph of a PointCloudOctree up to date after a node of its
+ * InMemoryOctreeGeometry gained points or children.
+ *
+ * PointCloudOctree copies the children of a geometry node into its tree node once,
+ * and renders whatever geometry the geometry node held at that point.
+ */
+export function updateTreeNode(pointcloud, geometryNode){
+
+	let path = geometryNode.name.slice(1);
+	let treeNode = pointcloud.root;
+
+	if(!treeNode || !treeNode.isTreeNode()){
+		return;
+	}
+
+	for(let char of path){
+		let child = treeNode.children[parseInt(char)];
+
+		if(!child || !child.isTreeNode()){
+			return;
+		}
+
+		treeNode = child;
+	}
+
+	if(treeNode.geometryNode !== geometryNode){
+		return;
+	}
+
+	for(let i = 0; i < 8; i++){
+		if(!treeNode.children[i] && geometryNode.children[i]){
+			treeNode.children[i] = geometryNode.children[i];
+		}
+	}
+
+	treeNode.sceneNode.geometry = geometryNode.geometry;
+}
+
+let tmpVec3 = new THREE.Vector3();
+function createChildAABB(aabb, index){
+	let min = aabb.min.clone();
+	let max = aabb.max.clone();
+	let size = tmpVec3.subVectors(max, min);
+
+	if ((index & 0b0001) > 0) {
+		min.z += size.z / 2;
+	} else {
+		max.z -= size.z / 2;
+	}
+
+	if ((index & 0b0010) > 0) {
+		min.y += size.y / 2;
+	} else {
+		max.y -= size.y / 2;
+	}
+
+	if ((index & 0b0100) > 0) {
+		min.x += size.x / 2;
+	} else {
+		max.x -= size.x / 2;
+	}
+
+	return new THREE.Box3(min, max);
+}
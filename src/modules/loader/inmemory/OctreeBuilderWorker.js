@@ -0,0 +1,309 @@
+
+// Builds an octree from points that are streamed in as batches of attribute buffers,
+// and serves the points of individual nodes on request.
+//
+// Inner nodes keep one point per cell of a GRID_SIZE³ grid, points that land in an occupied
+// cell are passed down to the child node. Leaf nodes keep all their points until they
+// exceed LEAF_CAPACITY, at which point they are split and their points redistributed.
+// The result is a level of detail structure similar to what PotreeConverter produces,
+// independent of the order in which points arrive.
+
+const GRID_SIZE = 128;
+const LEAF_CAPACITY = 20 * 1000;
+const MAX_LEVEL = 24;
+
+const typedArrays = {
+	"int8":    Int8Array,
+	"uint8":   Uint8Array,
+	"int16":   Int16Array,
+	"uint16":  Uint16Array,
+	"int32":   Int32Array,
+	"uint32":  Uint32Array,
+	"float":   Float32Array,
+	"double":  Float64Array,
+};
+
+class Node{
+
+	constructor(name, min, size, level){
+		this.name = name;
+		this.min = min;
+		this.size = size;
+		this.level = level;
+		this.children = [null, null, null, null, null, null, null, null];
+		this.indices = [];
+		this.grid = null;
+		this.isLeaf = true;
+	}
+
+}
+
+let attributes = [];
+let positions = null;
+let capacity = 0;
+let numPoints = 0;
+let root = null;
+let nodes = new Map();
+let changed = new Set();
+
+function grow(minCapacity){
+
+	if(minCapacity <= capacity){
+		return;
+	}
+
+	let newCapacity = Math.max(minCapacity, Math.ceil(capacity * 1.5), 1024);
+
+	for(let attribute of attributes){
+		let array = new attribute.TypedArray(newCapacity * attribute.numElements);
+		array.set(attribute.array.subarray(0, numPoints * attribute.numElements));
+		attribute.array = array;
+	}
+
+	capacity = newCapacity;
+	positions = attributes.find(a => a.name === "position").array;
+}
+
+function createChild(node, index){
+	let half = node.size / 2;
+	let min = [
+		node.min[0] + ((index & 0b100) ? half : 0),
+		node.min[1] + ((index & 0b010) ? half : 0),
+		node.min[2] + ((index & 0b001) ? half : 0),
+	];
+
+	let child = new Node(node.name + index, min, half, node.level + 1);
+	node.children[index] = child;
+	nodes.set(child.name, child);
+
+	return child;
+}
+
+function insert(start, i){
+
+	let x = positions[3 * i + 0];
+	let y = positions[3 * i + 1];
+	let z = positions[3 * i + 2];
+
+	let node = start;
+
+	while(true){
+
+		if(node.isLeaf){
+			node.indices.push(i);
+			changed.add(node);
+
+			if(node.indices.length > LEAF_CAPACITY && node.level < MAX_LEVEL){
+				split(node);
+			}
+
+			return;
+		}
+
+		let cellSize = node.size / GRID_SIZE;
+		let gx = Math.min(Math.max(Math.floor((x - node.min[0]) / cellSize), 0), GRID_SIZE - 1);
+		let gy = Math.min(Math.max(Math.floor((y - node.min[1]) / cellSize), 0), GRID_SIZE - 1);
+		let gz = Math.min(Math.max(Math.floor((z - node.min[2]) / cellSize), 0), GRID_SIZE - 1);
+		let cell = gx + gy * GRID_SIZE + gz * GRID_SIZE * GRID_SIZE;
+
+		if(!node.grid.has(cell)){
+			node.grid.add(cell);
+			node.indices.push(i);
+			changed.add(node);
+
+			return;
+		}
+
+		let half = node.size / 2;
+		let index =
+			((x >= node.min[0] + half) ? 0b100 : 0) |
+			((y >= node.min[1] + half) ? 0b010 : 0) |
+			((z >= node.min[2] + half) ? 0b001 : 0);
+
+		node = node.children[index] || createChild(node, index);
+	}
+}
+
+function split(node){
+	let indices = node.indices;
+
+	node.indices = [];
+	node.isLeaf = false;
+	node.grid = new Set();
+
+	for(let i of indices){
+		insert(node, i);
+	}
+}
+
+function init(data){
+	let size = data.size;
+
+	attributes = data.attributes.map(a => ({
+		name: a.name,
+		type: a.type,
+		numElements: a.numElements,
+		TypedArray: typedArrays[a.type],
+		array: new typedArrays[a.type](0),
+		range: [Infinity, -Infinity],
+		// doubles are served as floats, relative to the first value that was seen
+		offset: null,
+	}));
+
+	capacity = 0;
+	numPoints = 0;
+	grow(data.numPoints || 0);
+
+	root = new Node("r", [0, 0, 0], size, 0);
+	nodes = new Map([["r", root]]);
+	changed = new Set([root]);
+}
+
+function add(data){
+	let n = data.numPoints;
+
+	grow(numPoints + n);
+
+	for(let attribute of attributes){
+		let buffer = data.buffers[attribute.name];
+		let k = attribute.numElements;
+		let source = buffer ? new attribute.TypedArray(buffer) : new attribute.TypedArray(n * k);
+
+		attribute.array.set(source.subarray(0, n * k), numPoints * k);
+
+		if(k === 1 && buffer){
+			let [min, max] = attribute.range;
+			for(let i = 0; i < n; i++){
+				let value = source[i];
+				min = Math.min(min, value);
+				max = Math.max(max, value);
+			}
+			attribute.range = [min, max];
+
+			if(attribute.type === "double" && attribute.offset === null){
+				attribute.offset = min;
+			}
+		}
+	}
+
+	let first = numPoints;
+	numPoints += n;
+
+	for(let i = first; i < numPoints; i++){
+		insert(root, i);
+	}
+}
+
+function update(){
+	let list = Array.from(changed)
+		.map(node => ({name: node.name, numPoints: node.indices.length}))
+		.sort((a, b) => a.name.length - b.name.length);
+
+	changed = new Set();
+
+	let ranges = {};
+	let offsets = {};
+	for(let attribute of attributes){
+		ranges[attribute.name] = attribute.range;
+		offsets[attribute.name] = attribute.offset;
+	}
+
+	return {
+		type: "update",
+		numPoints: numPoints,
+		nodes: list,
+		ranges: ranges,
+		offsets: offsets,
+	};
+}
+
+function getNode(name){
+	let node = nodes.get(name);
+	let indices = node ? node.indices : [];
+	let n = indices.length;
+
+	let buffers = {};
+	let min = [Infinity, Infinity, Infinity];
+	let max = [-Infinity, -Infinity, -Infinity];
+	let mean = [0, 0, 0];
+
+	for(let attribute of attributes){
+		let k = attribute.numElements;
+		let source = attribute.array;
+
+		if(attribute.name === "position"){
+			let target = new Float32Array(n * 3);
+
+			for(let i = 0; i < n; i++){
+				for(let j = 0; j < 3; j++){
+					let value = source[3 * indices[i] + j] - node.min[j];
+
+					target[3 * i + j] = value;
+					min[j] = Math.min(min[j], value);
+					max[j] = Math.max(max[j], value);
+					mean[j] += value / n;
+				}
+			}
+
+			buffers[attribute.name] = target.buffer;
+		}else if(attribute.type === "double"){
+			let target = new Float32Array(n * k);
+			let offset = attribute.offset || 0;
+
+			for(let i = 0; i < n; i++){
+				for(let j = 0; j < k; j++){
+					target[k * i + j] = source[k * indices[i] + j] - offset;
+				}
+			}
+
+			buffers[attribute.name] = target.buffer;
+		}else{
+			let target = new attribute.TypedArray(n * k);
+
+			for(let i = 0; i < n; i++){
+				for(let j = 0; j < k; j++){
+					target[k * i + j] = source[k * indices[i] + j];
+				}
+			}
+
+			buffers[attribute.name] = target.buffer;
+		}
+	}
+
+	{ // point indices within the node, used for picking
+		let target = new Uint32Array(n);
+		for(let i = 0; i < n; i++){
+			target[i] = i;
+		}
+		buffers["indices"] = target.buffer;
+	}
+
+	return {
+		type: "node",
+		name: name,
+		numPoints: n,
+		buffers: buffers,
+		tightBoundingBox: {min, max},
+		mean: mean,
+	};
+}
+
+onmessage = function(event){
+	let data = event.data;
+	let id = data.id;
+
+	try{
+		if(data.type === "init"){
+			init(data);
+			postMessage({id, ...update()});
+		}else if(data.type === "add"){
+			add(data);
+			postMessage({id, ...update()});
+		}else if(data.type === "node"){
+			let message = {id, ...getNode(data.name)};
+			postMessage(message, Object.values(message.buffers));
+		}
+	}catch(e){
+		postMessage({id, type: "error", message: `${e}`});
+	}
+};
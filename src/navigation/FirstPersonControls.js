@@ -178,6 +178,22 @@ export class FirstPersonControls extends EventDispatcher {
 		}
 	}
 
+	// change of the terrain height between two positions, or null if there is no data.
+	// Ground points if the point clouds are classified, otherwise the average height. Both positions
+	// use the same statistic, mixing them would make the camera jump where ground points are missing.
+	getGroundHeightChange (from, to) {
+		for (let mode of ["ground", "mean"]) {
+			let before = this.viewer.getHeightAt(from.x, from.y, mode);
+			let after = this.viewer.getHeightAt(to.x, to.y, mode);
+
+			if (before !== null && after !== null) {
+				return after - before;
+			}
+		}
+
+		return null;
+	}
+
 	update (delta) {
 		let view = this.scene.view;
 
@@ -254,6 +270,11 @@ export class FirstPersonControls extends EventDispatcher {
 		}
 
 		{ // apply translation
+			let position = view.position;
+
+			// with locked elevation, follow the terrain if a DEM is available
+			let positionBefore = position.clone();
+
 			view.translate(
 				this.translationDelta.x * delta,
 				this.translationDelta.y * delta,
@@ -265,6 +286,14 @@ export class FirstPersonControls extends EventDispatcher {
 				this.translationWorldDelta.y * delta,
 				this.translationWorldDelta.z * delta
 			);
+
+			if (this.lockElevation) {
+				let change = this.getGroundHeightChange(positionBefore, position);
+
+				if (change !== null) {
+					position.z += change;
+				}
+			}
 		}
 
 		{ // set view target according to speed
@@ -111,7 +111,7 @@ export class InputHandler extends EventDispatcher {
 			});
 		}
 
-		this.drag = null;
+		this.stopDragging();
 
 		for (let inputListener of this.getSortedListeners()) {
 			inputListener.dispatchEvent({
@@ -186,6 +186,22 @@ export class InputHandler extends EventDispatcher {
 			this.deselectAll();
 		}
 
+		// UNDO: CTRL+Z, REDO: CTRL+Y or CTRL+SHIFT+Z
+		let history = this.viewer.history;
+		if (history && (e.ctrlKey || e.metaKey) && (e.keyCode === KeyCodes.Z || e.keyCode === KeyCodes.Y)) {
+			this.viewer.dispatchEvent({
+				type: 'cancel_insertions'
+			});
+
+			if (e.keyCode === KeyCodes.Y || e.shiftKey) {
+				history.redo();
+			} else {
+				history.undo();
+			}
+
+			e.preventDefault();
+		}
+
 		this.dispatchEvent({
 			type: 'keydown',
 			keyCode: e.keyCode,
@@ -363,7 +379,7 @@ export class InputHandler extends EventDispatcher {
 				});
 			}
 
-			this.drag = null;
+			this.stopDragging();
 		}
 
 		if(!consumed){
@@ -526,6 +542,14 @@ export class InputHandler extends EventDispatcher {
 		let name = object ? object.name : "no name";
 		if (this.logMessages) console.log(`${this.constructor.name}: startDragging: '${name}'`);
 
+		this.stopDragging();
+
+		// all changes made by dragging an object are undone at once
+		let history = this.viewer.history;
+		if (object && history) {
+			history.beginGroup();
+		}
+
 		this.drag = {
 			start: this.mouse.clone(),
 			end: this.mouse.clone(),
@@ -541,6 +565,14 @@ export class InputHandler extends EventDispatcher {
 		}
 	}
 
+	stopDragging () {
+		if (this.drag && this.drag.object && this.viewer.history) {
+			this.viewer.history.endGroup();
+		}
+
+		this.drag = null;
+	}
+
 	getMousePointCloudIntersection (mouse) {
 		return Utils.getMousePointCloudIntersection(
 			this.mouse, 
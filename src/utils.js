@@ -556,6 +556,45 @@ export class Utils {
 		return ray;
 	}
 
+	// enables the extensions that the point cloud renderers depend on
+	static prepareWebGLContext(gl){
+		// NOTE: If extension errors occur, pass the string into this.renderer.extensions.get(x) before enabling
+		// enable frag_depth extension for the interpolation shader, if available
+		gl.getExtension('EXT_frag_depth');
+		gl.getExtension('WEBGL_depth_texture');
+		gl.getExtension('WEBGL_color_buffer_float'); 	// Enable explicitly for more portability, EXT_color_buffer_float is the proper name in WebGL 2
+		
+		if(gl.createVertexArray == null){
+			let extVAO = gl.getExtension('OES_vertex_array_object');
+
+			if(!extVAO){
+				throw new Error("OES_vertex_array_object extension not supported");
+			}
+
+			gl.createVertexArray = extVAO.createVertexArrayOES.bind(extVAO);
+			gl.bindVertexArray = extVAO.bindVertexArrayOES.bind(extVAO);
+		}
+	}
+
+	/**
+	 * Size of the screen in pixels that node and point sizes are computed for.
+	 * Offscreen canvases have no layout, so their drawing buffer size is used instead.
+	 * When rendering a tile of a larger image with camera.setViewOffset(), the size of the full image is used.
+	 */
+	static getScreenSize(renderer, camera){
+		if(camera && camera.view && camera.view.enabled){
+			return new THREE.Vector2(camera.view.fullWidth, camera.view.fullHeight);
+		}
+
+		let {clientWidth, clientHeight} = renderer.domElement;
+
+		if(clientWidth === undefined || clientHeight === undefined){
+			return renderer.getSize(new THREE.Vector2());
+		}
+
+		return new THREE.Vector2(clientWidth, clientHeight);
+	}
+
 	static projectedRadius(radius, camera, distance, screenWidth, screenHeight){
 		if(camera instanceof THREE.OrthographicCamera){
 			return Utils.projectedRadiusOrtho(radius, camera.projectionMatrix, screenWidth, screenHeight);
@@ -27,6 +27,9 @@ export class AnnotationTool extends EventDispatcher{
 		});
 		this.dispatchEvent({type: 'start_inserting_annotation', annotation: annotation});
 
+		// the whole insertion is undone at once
+		this.viewer.history.beginGroup();
+
 		const annotations = this.viewer.scene.annotations;
 		annotations.add(annotation);
 
@@ -47,10 +50,12 @@ export class AnnotationTool extends EventDispatcher{
 			annotations.remove(annotation);
 
 			domElement.removeEventListener('mouseup', insertionCallback, true);
+			this.viewer.history.endGroup();
 		};
 
 		callbacks.finish = e => {
 			domElement.removeEventListener('mouseup', insertionCallback, true);
+			this.viewer.history.endGroup();
 		};
 
 		domElement.addEventListener('mouseup', insertionCallback, true);
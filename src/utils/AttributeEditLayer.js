@@ -0,0 +1,387 @@
+
+import * as THREE from "../../libs/three.js/build/three.module.js";
+import {EventDispatcher} from "../EventDispatcher.js";
+import {BoxVolume} from "./Volume.js";
+import {createRegionTest, getRegionBoundingBox} from "./PointRegion.js";
+import {regionSchema, validateValue} from "../viewer/ProjectSchema.js";
+
+const operationsSchema = {
+	type: "array",
+	items: {
+		type: "object",
+		properties: {
+			attribute: {type: "string"},
+			value: {type: "number"},
+			region: regionSchema,
+			filter: {
+				type: "object",
+				nullable: true,
+				optional: true,
+				properties: {
+					attribute: {type: "string"},
+					min: {type: "number"},
+					max: {type: "number"},
+				},
+			},
+		},
+	},
+};
+
+// attributes larger than 32 bit are stored relative to their range, see the decoder workers
+function getCodec(bufferAttribute){
+	let {offset = 0, scale = 1} = bufferAttribute.potree || {};
+
+	return {
+		encode: (value) => (value - offset) * scale,
+		decode: (stored) => stored / scale + offset,
+	};
+}
+
+/**
+ * Changes of point attributes, e.g. reclassifications, kept as a list of operations on top of the loaded nodes.
+ * Operations are applied to nodes as they are loaded, so edits are visible immediately and survive
+ * unloading and reloading of nodes. The files of the point cloud are not modified.
+ *
+ * An operation is plain JSON:
+ *   attribute: name of a point attribute with one element per point, e.g. "classification"
+ *   value: the new value
+ *   region: the points that are changed, in world coordinates, see PointRegion.js
+ *   filter: null, or {attribute, min, max} to only change points whose value is within [min, max]
+ *
+ * Access through pointcloud.getEditLayer(). Dispatches "edits_changed".
+ */
+export class AttributeEditLayer extends EventDispatcher{
+
+	constructor(pointcloud){
+		super();
+
+		this.pointcloud = pointcloud;
+		this.operations = [];
+
+		// incremented whenever operations are removed, nodes of an older generation are reset and edited anew
+		this.generation = 0;
+	}
+
+	add(operation){
+		this.operations.push(operation);
+
+		for(let node of this.getLoadedNodes()){
+			this.apply(node);
+		}
+
+		this.dispatchEvent({type: "edits_changed", layer: this});
+	}
+
+	remove(operation){
+		let index = this.operations.indexOf(operation);
+
+		if(index < 0){
+			return;
+		}
+
+		this.operations.splice(index, 1);
+		this.update();
+	}
+
+	/**
+	 * Adds spheres to the region of the last operation, e.g. while a brush stroke continues.
+	 */
+	extend(operation, spheres){
+		if(this.operations[this.operations.length - 1] !== operation){
+			throw new Error("only the last operation can be extended");
+		}
+
+		operation.region.spheres.push(...spheres);
+
+		let addition = Object.assign({}, operation, {region: {type: "spheres", spheres: spheres}});
+
+		for(let node of this.getLoadedNodes()){
+			if(this.isUpToDate(node)){
+				this.applyOperation(node, addition);
+			}else{
+				this.apply(node);
+			}
+		}
+
+		this.dispatchEvent({type: "edits_changed", layer: this});
+	}
+
+	setOperations(operations){
+		this.operations = operations.slice();
+		this.update();
+	}
+
+	clear(){
+		this.setOperations([]);
+	}
+
+	update(){
+		this.generation++;
+
+		for(let node of this.getLoadedNodes()){
+			this.apply(node);
+		}
+
+		this.dispatchEvent({type: "edits_changed", layer: this});
+	}
+
+	isUpToDate(node){
+		let state = node.geometry.userData.attributeEdits;
+
+		return state !== undefined
+			&& state.generation === this.generation
+			&& state.numApplied === this.operations.length;
+	}
+
+	/**
+	 * Brings the attributes of a loaded geometry node up to date with the operations.
+	 * Called whenever a node is loaded.
+	 */
+	apply(node){
+		let geometry = node.geometry;
+
+		if(!geometry || this.isUpToDate(node)){
+			return;
+		}
+
+		let state = geometry.userData.attributeEdits;
+
+		if(state && state.generation !== this.generation){
+			this.restore(geometry);
+			state = undefined;
+		}
+
+		for(let i = state ? state.numApplied : 0; i < this.operations.length; i++){
+			this.applyOperation(node, this.operations[i]);
+		}
+
+		geometry.userData.attributeEdits = {
+			generation: this.generation,
+			numApplied: this.operations.length,
+		};
+	}
+
+	applyOperation(node, operation){
+		let geometry = node.geometry;
+		let target = geometry.attributes[operation.attribute];
+
+		if(!target || target.itemSize !== 1){
+			return;
+		}
+
+		let source = null;
+		let filter = operation.filter;
+		if(filter){
+			source = geometry.attributes[filter.attribute];
+
+			if(!source || source.itemSize !== 1){
+				return;
+			}
+		}
+
+		let matrix = new THREE.Matrix4().multiplyMatrices(
+			this.pointcloud.matrixWorld,
+			new THREE.Matrix4().makeTranslation(...node.boundingBox.min.toArray()));
+		let box = node.boundingBox.clone().applyMatrix4(this.pointcloud.matrixWorld);
+
+		let contains = createRegionTest(operation.region, box);
+
+		if(!contains){
+			return;
+		}
+
+		this.backup(geometry, operation.attribute);
+
+		let e = matrix.elements;
+		let positions = geometry.attributes.position.array;
+		let values = target.array;
+		let value = getCodec(target).encode(operation.value);
+		let sourceValues = source ? source.array : null;
+		let decode = source ? getCodec(source).decode : null;
+		let numChanged = 0;
+
+		for(let i = 0; i < target.count; i++){
+			if(values[i] === value){
+				continue;
+			}
+
+			if(filter){
+				let current = decode(sourceValues[i]);
+
+				if(current < filter.min || current > filter.max){
+					continue;
+				}
+			}
+
+			let lx = positions[3 * i + 0];
+			let ly = positions[3 * i + 1];
+			let lz = positions[3 * i + 2];
+
+			let x = e[0] * lx + e[4] * ly + e[8] * lz + e[12];
+			let y = e[1] * lx + e[5] * ly + e[9] * lz + e[13];
+			let z = e[2] * lx + e[6] * ly + e[10] * lz + e[14];
+
+			if(contains(x, y, z)){
+				values[i] = value;
+				numChanged++;
+			}
+		}
+
+		if(numChanged > 0){
+			target.needsUpdate = true;
+		}
+	}
+
+	// keeps the loaded values of an attribute, so that edits can be removed again
+	backup(geometry, attributeName){
+		let originals = geometry.userData.originalAttributes;
+
+		if(!originals){
+			originals = geometry.userData.originalAttributes = {};
+		}
+
+		if(!originals[attributeName]){
+			originals[attributeName] = geometry.attributes[attributeName].array.slice();
+		}
+	}
+
+	restore(geometry){
+		let originals = geometry.userData.originalAttributes || {};
+
+		for(let [attributeName, values] of Object.entries(originals)){
+			let attribute = geometry.attributes[attributeName];
+
+			attribute.array.set(values);
+			attribute.needsUpdate = true;
+		}
+	}
+
+	getLoadedNodes(){
+		let nodes = [];
+		let stack = [this.pointcloud.pcoGeometry.root];
+
+		while(stack.length > 0){
+			let node = stack.pop();
+
+			if(!node.loaded){
+				continue;
+			}
+
+			nodes.push(node);
+			stack.push(...node.getChildren());
+		}
+
+		return nodes;
+	}
+
+	/**
+	 * The world-space bounds of all edited regions.
+	 * Regions that aren't bounded, e.g. polygons, span the whole point cloud.
+	 */
+	getBoundingBox(){
+		let box = new THREE.Box3();
+		let pointcloudBox = this.pointcloud.boundingBox.clone().applyMatrix4(this.pointcloud.matrixWorld);
+
+		for(let {region} of this.operations){
+			let regionBox = getRegionBoundingBox(region);
+
+			box.union(regionBox ? regionBox : pointcloudBox);
+		}
+
+		return box.intersect(pointcloudBox);
+	}
+
+	/**
+	 * Extracts the points within the bounds of the edits, with the edits applied, e.g. to export them as LAS.
+	 * See PointExtractor for the options.
+	 */
+	extractPoints(options = {}){
+		let box = this.getBoundingBox();
+
+		if(box.isEmpty()){
+			throw new Error("there are no edited points");
+		}
+
+		let volume = new BoxVolume();
+		box.getCenter(volume.position);
+		box.getSize(volume.scale);
+
+		return this.pointcloud.extractPoints(volume, options);
+	}
+
+	/**
+	 * The operations as a delta file, which can be applied again with fromJSON().
+	 */
+	toJSON(){
+		return {
+			type: "PotreeAttributeEdits",
+			version: 1,
+			pointcloud: this.pointcloud.name,
+			operations: JSON.parse(JSON.stringify(this.operations)),
+		};
+	}
+
+	/**
+	 * Replaces the operations with those of a delta file. Throws without changing anything
+	 * if any of the operations is invalid, e.g. refers to an attribute the point cloud doesn't have.
+	 */
+	fromJSON(data){
+		if(!data || data.type !== "PotreeAttributeEdits"){
+			throw new Error("not a Potree attribute edits file");
+		}
+
+		if(data.version > 1){
+			throw new Error(`attribute edits version ${data.version} is not supported`);
+		}
+
+		let errors = this.validateOperations(data.operations);
+
+		if(errors.length > 0){
+			let shown = errors.slice(0, 5);
+
+			if(errors.length > shown.length){
+				shown.push(`and ${errors.length - shown.length} more`);
+			}
+
+			throw new Error(`invalid attribute edits: ${shown.join("; ")}`);
+		}
+
+		this.setOperations(data.operations);
+	}
+
+	// returns the problems of operations, e.g. of an imported file, an empty array if there are none
+	validateOperations(operations){
+		let errors = validateValue(operations, operationsSchema, "operations");
+
+		if(errors.length > 0){
+			return errors;
+		}
+
+		let checkAttribute = (name, path) => {
+			let attribute = this.pointcloud.getAttribute(name);
+
+			if(!attribute){
+				errors.push(`${path}: the point cloud has no attribute ${JSON.stringify(name)}`);
+			}else if(attribute.numElements !== 1){
+				errors.push(`${path}: attribute ${JSON.stringify(name)} has more than one element per point`);
+			}
+		};
+
+		operations.forEach((operation, i) => {
+			let path = `operations[${i}]`;
+
+			checkAttribute(operation.attribute, `${path}.attribute`);
+
+			if(!Number.isFinite(operation.value)){
+				errors.push(`${path}.value: expected a finite number, got ${operation.value}`);
+			}
+
+			if(operation.filter){
+				checkAttribute(operation.filter.attribute, `${path}.filter.attribute`);
+			}
+		});
+
+		return errors;
+	}
+
+};
@@ -0,0 +1,300 @@
+
+import * as THREE from "../../libs/three.js/build/three.module.js";
+import {EventDispatcher} from "../EventDispatcher.js";
+import {Utils} from "../utils.js";
+import {MOUSE} from "../defines.js";
+import {BoxVolume, SphereVolume} from "./Volume.js";
+import {PolygonClipVolume} from "./PolygonClipVolume.js";
+import {ScreenBoxSelectTool} from "./ScreenBoxSelectTool.js";
+import {createScreenPolygonRegion, createPolygonClipVolumeRegion} from "./PointRegion.js";
+
+/**
+ * Assigns a value to an attribute of the selected points, e.g. reclassifies them.
+ * Points are selected with a brush, a lasso, a screen rectangle, a clip volume, a SelectionSet or just the filter.
+ * Edits are added to the AttributeEditLayer of each visible point cloud that has the attribute,
+ * and can be undone through viewer.history.
+ *
+ * Usage:
+ *   tool.attribute = "classification";
+ *   tool.value = 2;
+ *   tool.filter = {attribute: "classification", min: 7, max: 7};
+ *   tool.start("brush"); // "brush", "lasso" or "rectangle", drag with the left mouse button
+ *   tool.stop();
+ *   tool.applyToVolume(volume);
+ *   tool.applyToSelection(selectionSet);
+ *   tool.applyToAll();
+ */
+export class AttributeEditTool extends EventDispatcher{
+
+	constructor(viewer){
+		super();
+
+		this.viewer = viewer;
+
+		this.attribute = "classification";
+		this.value = 2;
+		this.filter = null;
+
+		// radius of the brush, in pixels
+		this.brushSize = 20;
+
+		this.mode = null;
+		this.importance = 10;
+
+		this.stroke = null;
+		this.path = [];
+		this.boxSelectTool = null;
+
+		let domElement = viewer.renderer.domElement;
+
+		this.elPath = $(`
+			<svg style="position: absolute; left: 0; top: 0; width: 100%; height: 100%; pointer-events: none">
+				<polygon fill="rgba(255, 255, 255, 0.15)" stroke="white" stroke-width="2" stroke-dasharray="5, 5" />
+			</svg>`);
+		this.elBrush = $(`<div style="position: absolute; border: 2px dashed white; border-radius: 50%; pointer-events: none"></div>`);
+		this.elPath.hide();
+		this.elBrush.hide();
+		$(domElement.parentElement).append(this.elPath, this.elBrush);
+
+		this.addEventListener("drag", e => this.onDrag(e));
+		this.addEventListener("drop", e => this.onDrop(e));
+
+		viewer.addEventListener("update", () => this.update());
+		viewer.addEventListener("cancel_insertions", () => this.cancel());
+	}
+
+	getTargets(){
+		return this.viewer.scene.pointclouds.filter(p => p.visible && p.getAttribute(this.attribute));
+	}
+
+	start(mode){
+		this.stop();
+
+		this.mode = mode;
+		this.viewer.inputHandler.addInputListener(this);
+
+		if(mode === "rectangle" && this.isOrthographic()){
+			this.startBoxSelection();
+		}
+
+		this.dispatchEvent({type: "mode_changed", tool: this, mode: mode});
+	}
+
+	stop(){
+		if(!this.mode){
+			return;
+		}
+
+		this.cancel();
+
+		this.mode = null;
+		this.viewer.inputHandler.removeInputListener(this);
+
+		this.dispatchEvent({type: "mode_changed", tool: this, mode: null});
+	}
+
+	// discards an unfinished lasso or rectangle, keeps what was painted so far
+	cancel(){
+		if(this.stroke){
+			this.finishStroke();
+		}
+
+		this.path = [];
+		this.elPath.hide();
+	}
+
+	isOrthographic(){
+		return this.viewer.scene.getActiveCamera() instanceof THREE.OrthographicCamera;
+	}
+
+	// in orthographic mode, rectangles are selected with the ScreenBoxSelectTool, which also fits the depth of the box
+	startBoxSelection(){
+		if(!this.boxSelectTool){
+			this.boxSelectTool = new ScreenBoxSelectTool(this.viewer);
+			this.boxSelectTool.addEventListener("selection_finished", e => {
+				let volume = e.volume;
+
+				this.viewer.inputHandler.deselectAll();
+				this.viewer.scene.removeVolume(volume);
+
+				// the tool may have been stopped while the rectangle was drawn
+				if(this.mode !== "rectangle"){
+					return;
+				}
+
+				volume.updateMatrixWorld(true);
+				this.edit("Box edit", {type: "box", matrix: volume.matrixWorld.toArray()});
+
+				// select the next rectangle
+				if(this.isOrthographic()){
+					this.startBoxSelection();
+				}
+			});
+		}
+
+		this.boxSelectTool.startInsertion();
+	}
+
+	/**
+	 * Adds an operation for the given region to each target point cloud and records it in the history.
+	 * Returns the edits as [{layer, operation}].
+	 */
+	edit(name, region, record = true){
+		let edits = [];
+
+		for(let pointcloud of this.getTargets()){
+			let layer = pointcloud.getEditLayer();
+			let operation = {
+				attribute: this.attribute,
+				value: this.value,
+				region: JSON.parse(JSON.stringify(region)),
+				filter: this.filter ? Object.assign({}, this.filter) : null,
+			};
+
+			layer.add(operation);
+			edits.push({layer, operation});
+		}
+
+		if(record){
+			this.record(name, edits);
+		}
+
+		return edits;
+	}
+
+	record(name, edits){
+		if(edits.length === 0){
+			return;
+		}
+
+		this.viewer.history.record({
+			name: name,
+			undo: () => edits.forEach(({layer, operation}) => layer.remove(operation)),
+			redo: () => edits.forEach(({layer, operation}) => layer.add(operation)),
+		});
+	}
+
+	applyToVolume(volume){
+		volume.updateMatrixWorld(true);
+
+		if(volume instanceof BoxVolume){
+			return this.edit(`Edit ${volume.name}`, {type: "box", matrix: volume.matrixWorld.toArray()});
+		}else if(volume instanceof SphereVolume){
+			return this.edit(`Edit ${volume.name}`, {type: "sphere", matrix: volume.matrixWorld.toArray()});
+		}else if(volume instanceof PolygonClipVolume){
+			return this.edit(`Edit ${volume.name}`, createPolygonClipVolumeRegion(volume));
+		}else{
+			throw new Error(`can't edit points in a ${volume.constructor.name}`);
+		}
+	}
+
+	applyToSelection(selectionSet){
+		return this.edit(`Edit ${selectionSet.name}`, selectionSet.toRegion());
+	}
+
+	// e.g. with a filter, to change the value of all points with a certain value
+	applyToAll(){
+		return this.edit("Filter edit", {type: "all"});
+	}
+
+	paint(mouse){
+		let viewer = this.viewer;
+		let camera = viewer.scene.getActiveCamera();
+		let pointclouds = this.getTargets();
+
+		let I = Utils.getMousePointCloudIntersection(mouse, camera, viewer, pointclouds);
+
+		if(!I){
+			return;
+		}
+
+		let size = viewer.renderer.getSize(new THREE.Vector2());
+		let distance = camera.position.distanceTo(I.location);
+		let pixelsPerUnit = Utils.projectedRadius(1, camera, distance, size.width, size.height);
+		let sphere = [...I.location.toArray(), this.brushSize / pixelsPerUnit];
+
+		if(!this.stroke){
+			this.stroke = this.edit("Brush edit", {type: "spheres", spheres: [sphere]}, false);
+		}else{
+			for(let {layer, operation} of this.stroke){
+				layer.extend(operation, [sphere]);
+			}
+		}
+	}
+
+	finishStroke(){
+		this.record("Brush edit", this.stroke);
+		this.stroke = null;
+	}
+
+	onDrag(e){
+		// other buttons keep navigating
+		if(e.drag.mouse !== MOUSE.LEFT){
+			return;
+		}
+
+		if(this.mode === "brush"){
+			this.paint(e.drag.end);
+			e.consume();
+
+			return;
+		}
+
+		if(this.mode === "lasso"){
+			this.path.push(e.drag.end.clone());
+		}else if(this.mode === "rectangle" && !this.isOrthographic()){
+			let {start, end} = e.drag;
+
+			this.path = [
+				new THREE.Vector2(start.x, start.y),
+				new THREE.Vector2(end.x, start.y),
+				new THREE.Vector2(end.x, end.y),
+				new THREE.Vector2(start.x, end.y),
+			];
+		}else{
+			return;
+		}
+
+		this.elPath.find("polygon").attr("points", this.path.map(p => `${p.x},${p.y}`).join(" "));
+		this.elPath.show();
+
+		e.consume();
+	}
+
+	onDrop(e){
+		if(this.stroke){
+			this.finishStroke();
+		}
+
+		if(this.path.length >= 3){
+			let camera = this.viewer.scene.getActiveCamera();
+			let size = this.viewer.renderer.getSize(new THREE.Vector2());
+			let region = createScreenPolygonRegion(camera, this.path, size.width, size.height);
+
+			this.edit(this.mode === "lasso" ? "Lasso edit" : "Rectangle edit", region);
+		}
+
+		this.path = [];
+		this.elPath.hide();
+	}
+
+	update(){
+		if(this.mode !== "brush"){
+			this.elBrush.hide();
+
+			return;
+		}
+
+		let mouse = this.viewer.inputHandler.mouse;
+		let size = this.brushSize;
+
+		this.elBrush.css({
+			left: `${mouse.x - size}px`,
+			top: `${mouse.y - size}px`,
+			width: `${2 * size}px`,
+			height: `${2 * size}px`,
+		});
+		this.elBrush.show();
+	}
+
+};
@@ -0,0 +1,452 @@
+
+import * as THREE from "../../libs/three.js/build/three.module.js";
+import {EventDispatcher} from "../EventDispatcher.js";
+import {PointAttribute, PointAttributeTypes} from "../loader/PointAttributes.js";
+import {CSVExporter} from "../exporter/CSVExporter.js";
+
+// the world positions of the points of a loaded node, relative to origin
+function getPositions(pointcloud, node, origin){
+	let matrix = new THREE.Matrix4().multiplyMatrices(
+		pointcloud.matrixWorld,
+		new THREE.Matrix4().makeTranslation(...node.boundingBox.min.toArray()));
+	let e = matrix.elements;
+
+	let source = node.geometry.attributes.position.array;
+	let numPoints = source.length / 3;
+	let positions = new Float64Array(3 * numPoints);
+
+	for(let i = 0; i < numPoints; i++){
+		let lx = source[3 * i + 0];
+		let ly = source[3 * i + 1];
+		let lz = source[3 * i + 2];
+
+		positions[3 * i + 0] = e[0] * lx + e[4] * ly + e[8] * lz + e[12] - origin.x;
+		positions[3 * i + 1] = e[1] * lx + e[5] * ly + e[9] * lz + e[13] - origin.y;
+		positions[3 * i + 2] = e[2] * lx + e[6] * ly + e[10] * lz + e[14] - origin.z;
+	}
+
+	return positions;
+}
+
+// the points of all loaded nodes within the world-space box, relative to origin
+function gatherPoints(pointcloud, box, origin){
+	let local = box.clone().translate(origin.clone().negate());
+	let chunks = [];
+	let numPoints = 0;
+	let stack = [pointcloud.pcoGeometry.root];
+
+	while(stack.length > 0){
+		let node = stack.pop();
+		let nodeBox = node.boundingBox.clone().applyMatrix4(pointcloud.matrixWorld);
+
+		if(!node.loaded || !node.geometry || !nodeBox.intersectsBox(box)){
+			continue;
+		}
+
+		let positions = getPositions(pointcloud, node, origin);
+		let inside = new Float64Array(positions.length);
+		let numInside = 0;
+
+		for(let i = 0; i < positions.length; i += 3){
+			let x = positions[i + 0];
+			let y = positions[i + 1];
+			let z = positions[i + 2];
+
+			if(x >= local.min.x && x <= local.max.x && y >= local.min.y && y <= local.max.y && z >= local.min.z && z <= local.max.z){
+				inside[3 * numInside + 0] = x;
+				inside[3 * numInside + 1] = y;
+				inside[3 * numInside + 2] = z;
+				numInside++;
+			}
+		}
+
+		chunks.push(inside.subarray(0, 3 * numInside));
+		numPoints += numInside;
+
+		stack.push(...node.getChildren());
+	}
+
+	let points = new Float64Array(3 * numPoints);
+	let offset = 0;
+	for(let chunk of chunks){
+		points.set(chunk, offset);
+		offset += chunk.length;
+	}
+
+	return points;
+}
+
+/**
+ * Distances between two epochs of a site, computed for each point of the source point cloud
+ * and stored as a derived attribute that can be rendered with the gradients of the material.
+ *
+ * method:
+ *   "c2c": cloud to cloud, the distance to the nearest point of the target, up to maxDistance
+ *   "m3c2": a simplified M3C2, the signed distance between the source and target surfaces along the normal
+ *       of the source surface, estimated within normalRadius. Both surfaces are averaged within a cylinder
+ *       of projectionRadius around the normal that reaches maxDistance to either side. Normals point upwards,
+ *       so positive distances mean the target lies above the source, e.g. deposition.
+ *
+ * Only loaded nodes are compared, with the loaded nodes of the target. update() compares nodes that
+ * have been loaded since, e.g. on each frame. Points without a counterpart get NaN.
+ *
+ * Usage:
+ *   let detection = new ChangeDetection(before, after, {method: "m3c2", maxDistance: 2});
+ *   await detection.compute();
+ *   before.material.activeAttributeName = detection.attributeName;
+ *   before.material.setFilterRange(detection.attributeName, [0.5, Infinity]);
+ *   let report = detection.getReport(0.5);
+ *
+ * Dispatches "progress" after each node.
+ */
+export class ChangeDetection extends EventDispatcher{
+
+	constructor(source, target, options = {}){
+		super();
+
+		this.uuid = THREE.MathUtils.generateUUID();
+		this.source = source;
+		this.target = target;
+		this.method = options.method || "c2c";
+		this.maxDistance = options.maxDistance || 1;
+		this.normalRadius = options.normalRadius || 0.5;
+		this.projectionRadius = options.projectionRadius || 0.5;
+		this.attributeName = options.attributeName || "change";
+		this.numBins = 64;
+
+		this.workerPath = Potree.scriptPath + '/workers/ChangeDetectionWorker.js';
+		this.queue = [];
+		this.running = null;
+		this.canceled = false;
+
+		// summaries of the distances of each processed node, by node name
+		this.nodeResults = new Map();
+
+		// values are stored as they are, initialRange [0, 1] tells the renderer so
+		this.attribute = new PointAttribute(this.attributeName, PointAttributeTypes.DATA_TYPE_FLOAT, 1);
+		this.attribute.range = this.getHistogramRange();
+		this.attribute.initialRange = [0, 1];
+		this.attribute.description = `${this.method} distance to ${target.name}`;
+
+		source.addDerivedAttribute(this.attribute);
+	}
+
+	getHistogramRange(){
+		return this.method === "c2c" ? [0, this.maxDistance] : [-this.maxDistance, this.maxDistance];
+	}
+
+	isProcessed(node){
+		let state = node.geometry.userData.changeDetection;
+
+		return state !== undefined && state === this.uuid;
+	}
+
+	getPendingNodes(){
+		let nodes = [];
+		let stack = [this.source.pcoGeometry.root];
+
+		while(stack.length > 0){
+			let node = stack.pop();
+
+			if(!node.loaded){
+				continue;
+			}
+
+			if(node.geometry && !this.isProcessed(node) && !this.queue.includes(node)){
+				nodes.push(node);
+			}
+
+			stack.push(...node.getChildren());
+		}
+
+		// coarse levels first, for a quick overview
+		return nodes.sort((a, b) => a.level - b.level);
+	}
+
+	/**
+	 * Queues the loaded nodes that haven't been compared yet.
+	 * Returns a promise that resolves once the queue is processed.
+	 */
+	update(){
+		this.canceled = false;
+		this.queue.push(...this.getPendingNodes());
+
+		if(!this.running){
+			this.running = this.processQueue().finally(() => {
+				this.running = null;
+			});
+		}
+
+		return this.running;
+	}
+
+	async compute(){
+		await this.update();
+
+		return this.getReport();
+	}
+
+	cancel(){
+		this.canceled = true;
+		this.queue = [];
+	}
+
+	async processQueue(){
+		while(this.queue.length > 0 && !this.canceled){
+			let node = this.queue.shift();
+
+			// may have been unloaded in the meantime
+			if(!node.loaded || !node.geometry){
+				continue;
+			}
+
+			await this.process(node);
+
+			this.dispatchEvent({
+				type: "progress",
+				detection: this,
+				numNodesProcessed: this.nodeResults.size,
+				numNodesPending: this.queue.length,
+			});
+		}
+	}
+
+	async process(node){
+		let {source, target} = this;
+		let geometry = node.geometry;
+
+		source.updateMatrixWorld(true);
+		target.updateMatrixWorld(true);
+
+		let box = node.boundingBox.clone().applyMatrix4(source.matrixWorld);
+		let origin = box.min.clone();
+		let reach = this.method === "m3c2"
+			? Math.max(this.normalRadius, Math.sqrt(this.projectionRadius ** 2 + this.maxDistance ** 2))
+			: this.maxDistance;
+		let searchBox = box.clone().expandByScalar(reach);
+
+		let core = getPositions(source, node, origin);
+		let sourcePoints = this.method === "m3c2" ? gatherPoints(source, searchBox, origin) : new Float64Array(0);
+		let targetPoints = gatherPoints(target, searchBox, origin);
+
+		let distances = await new Promise((resolve, reject) => {
+			let worker = Potree.workerPool.getWorker(this.workerPath);
+
+			worker.onmessage = (e) => {
+				Potree.workerPool.returnWorker(this.workerPath, worker);
+				resolve(e.data.distances);
+			};
+			worker.onerror = (e) => {
+				Potree.workerPool.returnWorker(this.workerPath, worker);
+				reject(new Error(e.message));
+			};
+
+			worker.postMessage({
+				method: this.method,
+				core: core,
+				source: sourcePoints,
+				target: targetPoints,
+				maxDistance: this.maxDistance,
+				normalRadius: this.normalRadius,
+				projectionRadius: this.projectionRadius,
+			}, [core.buffer, sourcePoints.buffer, targetPoints.buffer]);
+		});
+
+		// unloaded while the distances were computed
+		if(node.geometry !== geometry){
+			return;
+		}
+
+		geometry.setAttribute(this.attributeName, new THREE.BufferAttribute(distances, 1));
+		geometry.userData.changeDetection = this.uuid;
+
+		this.nodeResults.set(node.name, this.summarize(distances));
+		this.updateRange();
+	}
+
+	summarize(distances){
+		let [min, max] = this.getHistogramRange();
+		let histogram = new Array(this.numBins).fill(0);
+		let summary = {
+			numPoints: distances.length,
+			numValid: 0,
+			sum: 0,
+			sumAbs: 0,
+			sumSquares: 0,
+			min: Infinity,
+			max: -Infinity,
+			histogram: histogram,
+			// for getReport(threshold), the absolute distances in ascending order
+			sorted: null,
+		};
+
+		let valid = [];
+
+		for(let d of distances){
+			if(Number.isNaN(d)){
+				continue;
+			}
+
+			summary.numValid++;
+			summary.sum += d;
+			summary.sumAbs += Math.abs(d);
+			summary.sumSquares += d * d;
+			summary.min = Math.min(summary.min, d);
+			summary.max = Math.max(summary.max, d);
+
+			let bin = Math.floor(this.numBins * (d - min) / (max - min));
+			histogram[Math.min(Math.max(bin, 0), this.numBins - 1)]++;
+
+			valid.push(Math.abs(d));
+		}
+
+		summary.sorted = Float32Array.from(valid).sort();
+
+		return summary;
+	}
+
+	updateRange(){
+		let min = Infinity;
+		let max = -Infinity;
+
+		for(let result of this.nodeResults.values()){
+			min = Math.min(min, result.min);
+			max = Math.max(max, result.max);
+		}
+
+		if(min <= max){
+			this.attribute.range = [min, max];
+		}
+	}
+
+	/**
+	 * Summary of the distances computed so far.
+	 * threshold: points with an absolute distance of at least threshold count as changed
+	 */
+	getReport(threshold = this.maxDistance / 10){
+		let [min, max] = this.getHistogramRange();
+		let report = {
+			type: "PotreeChangeReport",
+			method: this.method,
+			source: this.source.name,
+			target: this.target.name,
+			parameters: {
+				maxDistance: this.maxDistance,
+				normalRadius: this.method === "m3c2" ? this.normalRadius : null,
+				projectionRadius: this.method === "m3c2" ? this.projectionRadius : null,
+			},
+			numNodes: this.nodeResults.size,
+			numPoints: 0,
+			numWithoutCounterpart: 0,
+			min: null,
+			max: null,
+			mean: null,
+			meanAbsolute: null,
+			rms: null,
+			threshold: threshold,
+			numChanged: 0,
+			histogram: {
+				range: [min, max],
+				counts: new Array(this.numBins).fill(0),
+			},
+		};
+
+		let numValid = 0, sum = 0, sumAbs = 0, sumSquares = 0;
+
+		for(let result of this.nodeResults.values()){
+			report.numPoints += result.numPoints;
+			report.numWithoutCounterpart += result.numPoints - result.numValid;
+
+			numValid += result.numValid;
+			sum += result.sum;
+			sumAbs += result.sumAbs;
+			sumSquares += result.sumSquares;
+
+			if(result.numValid > 0){
+				report.min = report.min === null ? result.min : Math.min(report.min, result.min);
+				report.max = report.max === null ? result.max : Math.max(report.max, result.max);
+			}
+
+			result.histogram.forEach((count, i) => report.histogram.counts[i] += count);
+
+			// number of sorted absolute distances below the threshold
+			let sorted = result.sorted;
+			let lo = 0, hi = sorted.length;
+			while(lo < hi){
+				let mid = (lo + hi) >> 1;
+
+				if(sorted[mid] < threshold){
+					lo = mid + 1;
+				}else{
+					hi = mid;
+				}
+			}
+			report.numChanged += sorted.length - lo;
+		}
+
+		if(numValid > 0){
+			report.mean = sum / numValid;
+			report.meanAbsolute = sumAbs / numValid;
+			report.rms = Math.sqrt(sumSquares / numValid);
+		}
+
+		return report;
+	}
+
+	/**
+	 * Removes the distances from the loaded nodes and the derived attribute from the source point cloud.
+	 */
+	dispose(){
+		this.cancel();
+
+		let stack = [this.source.pcoGeometry.root];
+		while(stack.length > 0){
+			let node = stack.pop();
+
+			if(!node.loaded){
+				continue;
+			}
+
+			if(node.geometry && this.isProcessed(node)){
+				node.geometry.deleteAttribute(this.attributeName);
+				delete node.geometry.userData.changeDetection;
+			}
+
+			stack.push(...node.getChildren());
+		}
+
+		this.source.material.setFilterRange(this.attributeName, null);
+		this.source.removeDerivedAttribute(this.attributeName);
+		this.nodeResults.clear();
+	}
+
+	/**
+	 * The report as CSV, with one "name,value" row per figure and one row per histogram bin.
+	 */
+	static toCSV(report){
+		let rows = [["name", "value"]];
+
+		for(let key of ["method", "source", "target"]){
+			rows.push([key, report[key]]);
+		}
+
+		for(let [key, value] of Object.entries(report.parameters)){
+			if(value !== null){
+				rows.push([key, value]);
+			}
+		}
+
+		for(let key of ["numNodes", "numPoints", "numWithoutCounterpart", "min", "max", "mean", "meanAbsolute", "rms", "threshold", "numChanged"]){
+			rows.push([key, report[key] === null ? "" : report[key]]);
+		}
+
+		let {range, counts} = report.histogram;
+		let binSize = (range[1] - range[0]) / counts.length;
+		counts.forEach((count, i) => {
+			rows.push([`histogram ${range[0] + i * binSize} to ${range[0] + (i + 1) * binSize}`, count]);
+		});
+
+		return CSVExporter.formatRows(rows);
+	}
+
+};
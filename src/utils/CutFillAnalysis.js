@@ -0,0 +1,513 @@
+
+import * as THREE from "../../libs/three.js/build/three.module.js";
+import {EventDispatcher} from "../EventDispatcher.js";
+import {Measure} from "./Measure.js";
+import {PolygonClipVolume} from "./PolygonClipVolume.js";
+import {createRegionTest, createPolygonClipVolumeRegion} from "./PointRegion.js";
+import {CSVExporter} from "../exporter/CSVExporter.js";
+
+/**
+ * Cut and fill volumes between the surface of the points within a polygon and a base surface,
+ * e.g. the volume of a stockpile. The polygon is a closed area Measure or a PolygonClipVolume.
+ *
+ * The points are gridded into cells of cellSize x cellSize, the surface of a cell is the mean elevation of its points.
+ * Empty cells within the polygon are interpolated from their neighbours.
+ * Cut is the volume where the surface lies above the base, fill the volume where it lies below, net is cut - fill.
+ *
+ * base:
+ *   "plane": least squares plane through the surface along the edge of the polygon, e.g. the toe of a stockpile
+ *   "lowest": horizontal plane through the lowest point within the polygon
+ *   "elevation": horizontal plane at options.elevation
+ *   "surface": the gridded surface of options.reference, another point cloud, e.g. an earlier epoch
+ *
+ * Usage:
+ *   let analysis = new CutFillAnalysis(measure, viewer.scene.pointclouds, {base: "plane", cellSize: 0.5});
+ *   let result = await analysis.compute();
+ *   viewer.scene.scene.add(analysis.createMesh());
+ *
+ * Dispatches "progress" with the number of points processed so far. cancel() rejects compute() with an AbortError.
+ */
+export class CutFillAnalysis extends EventDispatcher{
+
+	constructor(shape, pointclouds, options = {}){
+		super();
+
+		if(!(shape instanceof Measure) && !(shape instanceof PolygonClipVolume)){
+			throw new Error(`can't compute cut and fill within a ${shape.constructor.name}`);
+		}
+
+		this.shape = shape;
+		this.pointclouds = pointclouds;
+		this.base = options.base || "plane";
+		this.elevation = options.elevation || 0;
+		this.reference = options.reference || null;
+		this.cellSize = options.cellSize || 0.5;
+		this.maxCells = 1024 * 1024;
+
+		// smaller differences between surface and base are neither cut nor fill
+		this.tolerance = 0.001;
+
+		this.result = null;
+		this.grid = null;
+		this.controller = null;
+	}
+
+	getRegion(){
+		if(this.shape instanceof Measure){
+			return {type: "area", polygon: this.shape.points.map(p => [p.position.x, p.position.y])};
+		}else{
+			return createPolygonClipVolumeRegion(this.shape);
+		}
+	}
+
+	// mean and lowest elevation of the points of each cell, keyed by cell index
+	async rasterize(pointclouds, signal, numPointsBefore = 0){
+		let cellSize = this.cellSize;
+		let cells = new Map();
+		let numPoints = 0;
+
+		for(let pointcloud of pointclouds){
+			let extractor = pointcloud.extractPoints(this.shape, {signal});
+
+			for await (let points of extractor){
+				let position = points.data.position;
+
+				for(let i = 0; i < points.numPoints; i++){
+					let x = position[3 * i + 0];
+					let y = position[3 * i + 1];
+					let z = position[3 * i + 2];
+
+					let key = `${Math.floor(x / cellSize)},${Math.floor(y / cellSize)}`;
+					let cell = cells.get(key);
+
+					if(!cell){
+						cell = {sum: 0, count: 0, min: Infinity};
+						cells.set(key, cell);
+					}
+
+					cell.sum += z;
+					cell.count++;
+					cell.min = Math.min(cell.min, z);
+				}
+
+				numPoints += points.numPoints;
+				this.dispatchEvent({type: "progress", analysis: this, numPoints: numPointsBefore + numPoints});
+			}
+		}
+
+		return {cells, numPoints};
+	}
+
+	createGrid(cells){
+		let cellSize = this.cellSize;
+		let min = [Infinity, Infinity];
+		let max = [-Infinity, -Infinity];
+		let zMin = Infinity;
+		let zSum = 0;
+
+		for(let [key, cell] of cells){
+			let [ix, iy] = key.split(",").map(Number);
+
+			min = [Math.min(min[0], ix), Math.min(min[1], iy)];
+			max = [Math.max(max[0], ix), Math.max(max[1], iy)];
+			zMin = Math.min(zMin, cell.min);
+			zSum += cell.sum / cell.count;
+		}
+
+		// cells that aren't reached by any point still count if they're within the polygon
+		if(this.shape instanceof Measure){
+			for(let {position} of this.shape.points){
+				min = [Math.min(min[0], Math.floor(position.x / cellSize)), Math.min(min[1], Math.floor(position.y / cellSize))];
+				max = [Math.max(max[0], Math.floor(position.x / cellSize)), Math.max(max[1], Math.floor(position.y / cellSize))];
+			}
+		}
+
+		let width = max[0] - min[0] + 1;
+		let height = max[1] - min[1] + 1;
+
+		if(width * height > this.maxCells){
+			throw new Error(`the polygon spans ${width} x ${height} cells, choose a larger cell size`);
+		}
+
+		let grid = {
+			origin: [min[0] * cellSize, min[1] * cellSize],
+			width: width,
+			height: height,
+			cellSize: cellSize,
+			inside: new Uint8Array(width * height),
+			surface: new Float64Array(width * height).fill(NaN),
+			base: new Float64Array(width * height).fill(NaN),
+			lowest: zMin,
+			numInterpolated: 0,
+		};
+
+		for(let [key, cell] of cells){
+			let [ix, iy] = key.split(",").map(Number);
+
+			grid.surface[(ix - min[0]) + width * (iy - min[1])] = cell.sum / cell.count;
+		}
+
+		// polygon clip volumes are projections, empty cells are tested at the mean elevation of the surface
+		let meanZ = zSum / cells.size;
+		let box = new THREE.Box3(
+			new THREE.Vector3(grid.origin[0], grid.origin[1], zMin),
+			new THREE.Vector3(grid.origin[0] + width * cellSize, grid.origin[1] + height * cellSize, zMin));
+		let contains = createRegionTest(this.getRegion(), box);
+
+		for(let iy = 0; iy < height; iy++){
+			for(let ix = 0; ix < width; ix++){
+				let index = ix + width * iy;
+				let x = grid.origin[0] + (ix + 0.5) * cellSize;
+				let y = grid.origin[1] + (iy + 0.5) * cellSize;
+				let z = isNaN(grid.surface[index]) ? meanZ : grid.surface[index];
+
+				grid.inside[index] = (!isNaN(grid.surface[index]) || (contains && contains(x, y, z))) ? 1 : 0;
+			}
+		}
+
+		return grid;
+	}
+
+	/**
+	 * Interpolates empty cells within the polygon from their neighbours, resolves to the number of interpolated cells.
+	 * Each pass fills the empty cells next to filled ones, large holes take many passes,
+	 * so it gives the browser a chance to render and handle input in between.
+	 */
+	async fillHoles(grid, values, signal){
+		let {width, height, inside} = grid;
+		let numFilled = 0;
+		let work = 0;
+
+		let empty = [];
+		for(let index = 0; index < width * height; index++){
+			if(inside[index] && isNaN(values[index])){
+				empty.push(index);
+			}
+		}
+
+		while(empty.length > 0){
+			let filled = [];
+			let remaining = [];
+
+			for(let index of empty){
+				let ix = index % width;
+				let iy = Math.floor(index / width);
+				let sum = 0;
+				let count = 0;
+
+				for(let dy = -1; dy <= 1; dy++){
+					for(let dx = -1; dx <= 1; dx++){
+						let nx = ix + dx;
+						let ny = iy + dy;
+
+						if(nx >= 0 && nx < width && ny >= 0 && ny < height && !isNaN(values[nx + width * ny])){
+							sum += values[nx + width * ny];
+							count++;
+						}
+					}
+				}
+
+				if(count > 0){
+					filled.push(index, sum / count);
+				}else{
+					remaining.push(index);
+				}
+			}
+
+			// cells that aren't connected to any value stay empty
+			if(filled.length === 0){
+				break;
+			}
+
+			// the values of a pass only depend on those of the previous passes
+			for(let i = 0; i < filled.length; i += 2){
+				values[filled[i]] = filled[i + 1];
+			}
+
+			numFilled += filled.length / 2;
+			work += empty.length;
+			empty = remaining;
+
+			if(work > 1000 * 1000){
+				work = 0;
+				await new Promise(resolve => setTimeout(resolve, 0));
+				signal.throwIfAborted();
+			}
+		}
+
+		return numFilled;
+	}
+
+	// cells within the polygon with a neighbour outside of it
+	getEdgeCells(grid){
+		let {width, height, inside} = grid;
+		let edge = [];
+
+		for(let iy = 0; iy < height; iy++){
+			for(let ix = 0; ix < width; ix++){
+				if(!inside[ix + width * iy]){
+					continue;
+				}
+
+				let isEdge = [[-1, 0], [1, 0], [0, -1], [0, 1]].some(([dx, dy]) => {
+					let nx = ix + dx;
+					let ny = iy + dy;
+
+					return nx < 0 || nx >= width || ny < 0 || ny >= height || !inside[nx + width * ny];
+				});
+
+				if(isEdge){
+					edge.push([ix, iy]);
+				}
+			}
+		}
+
+		return edge;
+	}
+
+	/**
+	 * Least squares plane z = a * x + b * y + c through the surface of the edge cells,
+	 * with x and y relative to the origin of the grid.
+	 */
+	fitPlane(grid){
+		let {width, cellSize, surface} = grid;
+		let n = 0, sx = 0, sy = 0, sz = 0, sxx = 0, sxy = 0, syy = 0, sxz = 0, syz = 0;
+
+		for(let [ix, iy] of this.getEdgeCells(grid)){
+			let z = surface[ix + width * iy];
+
+			if(isNaN(z)){
+				continue;
+			}
+
+			let x = (ix + 0.5) * cellSize;
+			let y = (iy + 0.5) * cellSize;
+
+			n++;
+			sx += x; sy += y; sz += z;
+			sxx += x * x; sxy += x * y; syy += y * y;
+			sxz += x * z; syz += y * z;
+		}
+
+		if(n === 0){
+			throw new Error("there are no points along the edge of the polygon");
+		}
+
+		let m = new THREE.Matrix3().set(
+			sxx, sxy, sx,
+			sxy, syy, sy,
+			sx, sy, n);
+
+		// e.g. all edge cells on a line, fall back to a horizontal plane
+		if(Math.abs(m.determinant()) < 1e-9){
+			return {a: 0, b: 0, c: sz / n};
+		}
+
+		let [a, b, c] = new THREE.Vector3(sxz, syz, sz).applyMatrix3(m.invert()).toArray();
+
+		return {a, b, c};
+	}
+
+	async computeBase(grid, signal, numPointsBefore){
+		let {width, height, cellSize, base} = grid;
+
+		if(this.base === "plane"){
+			let plane = this.fitPlane(grid);
+
+			for(let iy = 0; iy < height; iy++){
+				for(let ix = 0; ix < width; ix++){
+					base[ix + width * iy] = plane.a * (ix + 0.5) * cellSize + plane.b * (iy + 0.5) * cellSize + plane.c;
+				}
+			}
+
+			return {type: "plane", origin: grid.origin.slice(), a: plane.a, b: plane.b, c: plane.c};
+		}else if(this.base === "lowest" || this.base === "elevation"){
+			let elevation = this.base === "lowest" ? grid.lowest : this.elevation;
+
+			base.fill(elevation);
+
+			return {type: this.base, elevation: elevation};
+		}else if(this.base === "surface"){
+			if(!this.reference){
+				throw new Error("a reference point cloud is required to compare surfaces");
+			}
+
+			let {cells} = await this.rasterize([this.reference], signal, numPointsBefore);
+			let originX = Math.round(grid.origin[0] / cellSize);
+			let originY = Math.round(grid.origin[1] / cellSize);
+
+			for(let [key, cell] of cells){
+				let [ix, iy] = key.split(",").map(Number);
+				ix -= originX;
+				iy -= originY;
+
+				if(ix >= 0 && ix < width && iy >= 0 && iy < height){
+					base[ix + width * iy] = cell.sum / cell.count;
+				}
+			}
+
+			await this.fillHoles(grid, base, signal);
+
+			return {type: "surface", reference: this.reference.name};
+		}else{
+			throw new Error(`unknown base ${this.base}`);
+		}
+	}
+
+	async compute(){
+		this.cancel();
+
+		let controller = new AbortController();
+		this.controller = controller;
+
+		try{
+			let {cells, numPoints} = await this.rasterize(this.pointclouds, controller.signal);
+
+			if(cells.size === 0){
+				throw new Error("there are no points within the polygon");
+			}
+
+			let grid = this.createGrid(cells);
+			grid.numInterpolated = await this.fillHoles(grid, grid.surface, controller.signal);
+
+			let base = await this.computeBase(grid, controller.signal, numPoints);
+
+			let {width, height, cellSize, inside, surface} = grid;
+			let cellArea = cellSize * cellSize;
+			let cut = 0, fill = 0, cutArea = 0, fillArea = 0, numCells = 0;
+
+			for(let index = 0; index < width * height; index++){
+				let difference = surface[index] - grid.base[index];
+
+				if(!inside[index] || isNaN(difference)){
+					continue;
+				}
+
+				numCells++;
+
+				if(difference > this.tolerance){
+					cut += difference * cellArea;
+					cutArea += cellArea;
+				}else if(difference < -this.tolerance){
+					fill += -difference * cellArea;
+					fillArea += cellArea;
+				}
+			}
+
+			this.grid = grid;
+			this.result = {
+				name: this.shape.name,
+				base: base,
+				numPoints: numPoints,
+				cellSize: cellSize,
+				numCells: numCells,
+				numInterpolatedCells: grid.numInterpolated,
+				area: numCells * cellArea,
+				cut: cut,
+				fill: fill,
+				net: cut - fill,
+				cutArea: cutArea,
+				fillArea: fillArea,
+			};
+
+			return this.result;
+		}finally{
+			if(this.controller === controller){
+				this.controller = null;
+			}
+		}
+	}
+
+	cancel(){
+		if(this.controller){
+			this.controller.abort();
+			this.controller = null;
+		}
+	}
+
+	/**
+	 * The cells at the elevation of the surface, red where it lies above the base and blue where it lies below.
+	 */
+	createMesh(){
+		let {width, height, cellSize, origin, inside, surface, base} = this.grid;
+		let red = new THREE.Color(0.9, 0.1, 0.1);
+		let blue = new THREE.Color(0.1, 0.3, 0.9);
+		let white = new THREE.Color(1, 1, 1);
+
+		let maxDifference = 0;
+		for(let index = 0; index < width * height; index++){
+			if(inside[index] && !isNaN(surface[index] - base[index])){
+				maxDifference = Math.max(maxDifference, Math.abs(surface[index] - base[index]));
+			}
+		}
+
+		let positions = [];
+		let colors = [];
+		let z0 = this.grid.lowest;
+
+		for(let iy = 0; iy < height; iy++){
+			for(let ix = 0; ix < width; ix++){
+				let index = ix + width * iy;
+				let difference = surface[index] - base[index];
+
+				if(!inside[index] || isNaN(difference)){
+					continue;
+				}
+
+				let t = maxDifference > 0 ? difference / maxDifference : 0;
+				let color = white.clone().lerp(t > 0 ? red : blue, Math.abs(t));
+
+				let x0 = ix * cellSize;
+				let y0 = iy * cellSize;
+				let x1 = x0 + cellSize;
+				let y1 = y0 + cellSize;
+				let z = surface[index] - z0;
+
+				positions.push(
+					x0, y0, z, x1, y0, z, x1, y1, z,
+					x0, y0, z, x1, y1, z, x0, y1, z);
+
+				for(let i = 0; i < 6; i++){
+					colors.push(color.r, color.g, color.b);
+				}
+			}
+		}
+
+		let geometry = new THREE.BufferGeometry();
+		geometry.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+		geometry.setAttribute("color", new THREE.Float32BufferAttribute(colors, 3));
+
+		let material = new THREE.MeshBasicMaterial({
+			vertexColors: true,
+			transparent: true,
+			opacity: 0.6,
+			side: THREE.DoubleSide,
+			depthWrite: false,
+		});
+
+		let mesh = new THREE.Mesh(geometry, material);
+		mesh.name = `${this.shape.name} cut/fill`;
+		mesh.position.set(origin[0], origin[1], z0);
+
+		return mesh;
+	}
+
+	/**
+	 * The result as CSV, with one "name,value" row per figure.
+	 */
+	static toCSV(result){
+		let rows = [["name", "value"]];
+
+		rows.push(["shape", result.name]);
+		for(let [key, value] of Object.entries(result.base)){
+			rows.push([`base_${key}`, Array.isArray(value) ? value.join(" ") : value]);
+		}
+
+		for(let key of ["numPoints", "cellSize", "numCells", "numInterpolatedCells", "area", "cut", "fill", "net", "cutArea", "fillArea"]){
+			rows.push([key, result[key]]);
+		}
+
+		return CSVExporter.formatRows(rows);
+	}
+
+};
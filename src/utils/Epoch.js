@@ -0,0 +1,41 @@
+
+import * as THREE from "../../libs/three.js/build/three.module.js";
+
+/**
+ * Tags a point cloud as the survey of a site at a given date, so that the Timeline can switch between
+ * repeat surveys. Epochs are registered with scene.addEpoch(epoch).
+ */
+export class Epoch{
+
+	constructor(pointcloud, date, name){
+		this.uuid = THREE.MathUtils.generateUUID();
+		this.pointcloud = pointcloud;
+		this.date = date instanceof Date ? date : new Date(date);
+
+		if(Number.isNaN(this.date.getTime())){
+			throw new Error(`invalid date ${date}`);
+		}
+
+		this.name = name || this.date.toISOString().slice(0, 10);
+	}
+
+	toJSON(){
+		return {
+			uuid: this.uuid,
+			name: this.name,
+			date: this.date.toISOString(),
+			pointcloudUrl: this.pointcloud.pcoGeometry.url,
+		};
+	}
+
+	static fromJSON(data, pointcloud){
+		let epoch = new Epoch(pointcloud, data.date, data.name);
+
+		if(data.uuid){
+			epoch.uuid = data.uuid;
+		}
+
+		return epoch;
+	}
+
+};
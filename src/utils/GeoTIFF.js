@@ -40,13 +40,21 @@ const Tag = new Enum({
 	PLANAR_CONFIGURATION: 284,
 	RESOLUTION_UNIT: 296,
 	SOFTWARE: 305,
+	PREDICTOR: 317,
 	COLOR_MAP: 320,
+	TILE_WIDTH: 322,
+	TILE_LENGTH: 323,
+	TILE_OFFSETS: 324,
+	TILE_BYTE_COUNTS: 325,
+	EXTRA_SAMPLES: 338,
 	SAMPLE_FORMAT: 339,
 	MODEL_PIXEL_SCALE: 33550,         // [GeoTIFF] TYPE: double   N: 3
 	MODEL_TIEPOINT: 33922,            // [GeoTIFF] TYPE: double   N: 6 * NUM_TIEPOINTS
+	MODEL_TRANSFORMATION: 34264,      // [GeoTIFF] TYPE: double   N: 16
 	GEO_KEY_DIRECTORY: 34735,         // [GeoTIFF] TYPE: short    N: >= 4
 	GEO_DOUBLE_PARAMS: 34736,         // [GeoTIFF] TYPE: short    N: variable
 	GEO_ASCII_PARAMS: 34737,          // [GeoTIFF] TYPE: ascii    N: variable
+	GDAL_NODATA: 42113,               // [GDAL]    TYPE: ascii    N: variable
 });
 
 const typeMapping = new Map([
@@ -83,8 +91,149 @@ class Image{
 		this.height = 0;
 		this.buffer = null;
 		this.metadata = [];
+
+		// decoded pixels, interleaved samples in a typed array matching bitsPerSample and sampleFormat
+		this.data = null;
+		this.samplesPerPixel = 0;
+		this.bitsPerSample = [];
+		this.sampleFormat = 1;
+	}
+
+	getEntry(tag){
+		return this.metadata.find(entry => entry.tag === tag) || null;
+	}
+
+	getNoData(){
+		let entry = this.getEntry(Tag.GDAL_NODATA);
+
+		return entry ? parseFloat(entry.value) : null;
+	}
+
+	/**
+	 * Affine transformation from pixel coordinates (column, row) to model coordinates,
+	 * as [a, b, c, d, e, f] with x = a * col + b * row + c and y = d * col + e * row + f.
+	 * Pixel coordinates refer to the upper left corner of a pixel. Returns null without georeference.
+	 */
+	getGeoTransform(){
+		let transformation = this.getEntry(Tag.MODEL_TRANSFORMATION);
+		let tiepoint = this.getEntry(Tag.MODEL_TIEPOINT);
+		let scale = this.getEntry(Tag.MODEL_PIXEL_SCALE);
+
+		if(transformation){
+			let m = transformation.value;
+
+			return [m[0], m[1], m[3], m[4], m[5], m[7]];
+		}else if(tiepoint && scale){
+			let [i, j, , x, y] = tiepoint.value;
+			let [sx, sy] = scale.value;
+
+			return [sx, 0, x - i * sx, 0, -sy, y + j * sy];
+		}
+
+		return null;
+	}
+
+}
+
+// PackBits, compression 32773
+function decodePackBits(source){
+	let target = [];
+
+	for(let i = 0; i < source.length;){
+		let header = (source[i] << 24) >> 24;
+		i++;
+
+		if(header >= 0){
+			for(let j = 0; j <= header; j++){
+				target.push(source[i + j]);
+			}
+			i += header + 1;
+		}else if(header !== -128){
+			for(let j = 0; j < 1 - header; j++){
+				target.push(source[i]);
+			}
+			i++;
+		}
 	}
 
+	return new Uint8Array(target);
+}
+
+// LZW with early change, compression 5
+function decodeLZW(source, expectedLength){
+	let target = new Uint8Array(expectedLength);
+	let targetLength = 0;
+
+	let dictionary = [];
+	let codeLength = 9;
+	let bitPosition = 0;
+
+	let readCode = () => {
+		let code = 0;
+
+		for(let i = 0; i < codeLength; i++){
+			let byte = source[(bitPosition + i) >> 3];
+			let bit = (byte >> (7 - ((bitPosition + i) & 7))) & 1;
+			code = (code << 1) | bit;
+		}
+
+		bitPosition += codeLength;
+
+		return code;
+	};
+
+	let resetDictionary = () => {
+		dictionary = [];
+		for(let i = 0; i < 256; i++){
+			dictionary.push([i]);
+		}
+		dictionary.push(null, null);
+		codeLength = 9;
+	};
+
+	let write = (sequence) => {
+		for(let value of sequence){
+			if(targetLength < expectedLength){
+				target[targetLength++] = value;
+			}
+		}
+	};
+
+	resetDictionary();
+
+	let previous = null;
+	while(bitPosition + codeLength <= 8 * source.length){
+		let code = readCode();
+
+		if(code === 257){
+			break;
+		}else if(code === 256){
+			resetDictionary();
+			previous = null;
+			continue;
+		}
+
+		let sequence;
+		if(code < dictionary.length){
+			sequence = dictionary[code];
+
+			if(previous !== null){
+				dictionary.push([...previous, sequence[0]]);
+			}
+		}else{
+			sequence = [...previous, previous[0]];
+			dictionary.push(sequence);
+		}
+
+		write(sequence);
+		previous = sequence;
+
+		if(dictionary.length + 1 >= (1 << codeLength) && codeLength < 12){
+			codeLength++;
+		}
+	}
+
+	return target;
 }
 
 class Reader{
@@ -93,153 +242,231 @@ class Reader{
 
 	}
 
+	/**
+	 * Reads the first image of a baseline TIFF/GeoTIFF.
+	 * Supports strips and tiles, chunky pixels, 8 to 64 bit samples,
+	 * no compression, PackBits and LZW, with or without horizontal differencing.
+	 *
+	 * data: ArrayBuffer or Uint8Array
+	 */
 	static read(data){
 
-		let endiannessTag = String.fromCharCode(...Array.from(data.slice(0, 2)));
+		let bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+		let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+		let endiannessTag = String.fromCharCode(bytes[0], bytes[1]);
 		let endianness = Endianness.fromValue(endiannessTag);
+		let le = endianness === Endianness.LITTLE;
 
-		let tiffCheckTag = data.readUInt8(2);
+		let tiffCheckTag = view.getUint16(2, le);
 
 		if(tiffCheckTag !== 42){
 			throw new Error("not a valid tiff file");
 		}
 
-		let offsetToFirstIFD = data.readUInt32LE(4);
+		let readValue = (type, offset) => {
+			switch(type){
+				case Type.BYTE: case Type.ASCII: case Type.UNDEFINED: return view.getUint8(offset);
+				case Type.SBYTE: return view.getInt8(offset);
+				case Type.SHORT: return view.getUint16(offset, le);
+				case Type.SSHORT: return view.getInt16(offset, le);
+				case Type.LONG: return view.getUint32(offset, le);
+				case Type.SLONG: return view.getInt32(offset, le);
+				case Type.RATIONAL: return view.getUint32(offset, le) / view.getUint32(offset + 4, le);
+				case Type.SRATIONAL: return view.getInt32(offset, le) / view.getInt32(offset + 4, le);
+				case Type.FLOAT: return view.getFloat32(offset, le);
+				case Type.DOUBLE: return view.getFloat64(offset, le);
+			}
+		};
 
-		console.log("offsetToFirstIFD", offsetToFirstIFD);
+		let offsetToFirstIFD = view.getUint32(4, le);
+		let numEntries = view.getUint16(offsetToFirstIFD, le);
 
 		let ifds = [];
-		let IFDsRead = false;
-		let currentIFDOffset = offsetToFirstIFD;
-		let i = 0;
-		while(IFDsRead || i < 100){
+		for(let i = 0; i < numEntries; i++){
+			let entryOffset = offsetToFirstIFD + 2 + i * 12;
+			let tag, type;
+
+			try{
+				tag = Tag.fromValue(view.getUint16(entryOffset, le));
+				type = Type.fromValue(view.getUint16(entryOffset + 2, le));
+			}catch(e){
+				// tags that aren't relevant here
+				continue;
+			}
 
-			console.log("currentIFDOffset", currentIFDOffset);
-			let numEntries = data.readUInt16LE(currentIFDOffset);
-			let nextIFDOffset = data.readUInt32LE(currentIFDOffset + 2 + numEntries * 12);
+			let count = view.getUint32(entryOffset + 4, le);
+			let valueBytes = type.bytes * count;
+			let offset = valueBytes <= 4 ? entryOffset + 8 : view.getUint32(entryOffset + 8, le);
 
-			console.log("next offset: ", currentIFDOffset + 2 + numEntries * 12);
+			let values = [];
+			for(let j = 0; j < count; j++){
+				values.push(readValue(type, offset + j * type.bytes));
+			}
 
-			let entryBuffer = data.slice(currentIFDOffset + 2, currentIFDOffset + 2 + 12 * numEntries);
+			let value;
+			if(type === Type.ASCII){
+				value = String.fromCharCode(...values).replace(/\0+$/, "");
+			}else{
+				value = count === 1 ? values[0] : values;
+			}
 
-			for(let i = 0; i < numEntries; i++){
-				let tag = Tag.fromValue(entryBuffer.readUInt16LE(i * 12));
-				let type = Type.fromValue(entryBuffer.readUInt16LE(i * 12 + 2));
-				let count = entryBuffer.readUInt32LE(i * 12 + 4);
-				let offsetOrValue = entryBuffer.readUInt32LE(i * 12 + 8);
-				let valueBytes = type.bytes * count;
+			ifds.push(new IFDEntry(tag, type, count, offset, value));
+		}
 
-				let value;
-				if(valueBytes <= 4){
-					value = offsetOrValue;
-				}else{
-					let valueBuffer = new Uint8Array(valueBytes);
-					valueBuffer.set(data.slice(offsetOrValue, offsetOrValue + valueBytes));
-					
-					let ArrayType = typeMapping.get(type);
+		let ifdForTag = (tag, defaultValue) => {
+			let entry = ifds.find(entry => entry.tag === tag);
 
-					value = new ArrayType(valueBuffer.buffer);
+			return entry ? entry.value : defaultValue;
+		};
 
-					if(type === Type.ASCII){
-						value = String.fromCharCode(...value);
-					}
-				}
+		let asArray = (value) => Array.isArray(value) ? value : [value];
 
-				let ifd = new IFDEntry(tag, type, count, offsetOrValue, value);
+		let width = ifdForTag(Tag.IMAGE_WIDTH);
+		let height = ifdForTag(Tag.IMAGE_HEIGHT);
+		let compression = ifdForTag(Tag.COMPRESSION, 1);
+		let samplesPerPixel = ifdForTag(Tag.SAMPLES_PER_PIXEL, 1);
+		let bitsPerSample = asArray(ifdForTag(Tag.BITS_PER_SAMPLE, 1));
+		let sampleFormat = asArray(ifdForTag(Tag.SAMPLE_FORMAT, 1))[0];
+		let predictor = ifdForTag(Tag.PREDICTOR, 1);
+		let planarConfiguration = ifdForTag(Tag.PLANAR_CONFIGURATION, 1);
 
-				ifds.push(ifd);
-			}
+		if(planarConfiguration !== 1){
+			throw new Error("tiffs with separate planes are not supported");
+		}
 
-			console.log("nextIFDOffset", nextIFDOffset);
+		if(bitsPerSample.some(bits => bits !== bitsPerSample[0] || bits % 8 !== 0)){
+			throw new Error(`unsupported bits per sample: ${bitsPerSample.join(", ")}`);
+		}
 
-			if(nextIFDOffset === 0){
-				break;
+		let bytesPerSample = bitsPerSample[0] / 8;
+		let bytesPerPixel = samplesPerPixel * bytesPerSample;
+
+		// strips are handled as tiles that span the whole width
+		let tiled = ifds.some(entry => entry.tag === Tag.TILE_OFFSETS);
+		let tileWidth = tiled ? ifdForTag(Tag.TILE_WIDTH) : width;
+		let tileHeight = tiled ? ifdForTag(Tag.TILE_LENGTH) : Math.min(ifdForTag(Tag.ROWS_PER_STRIP, height), height);
+		let offsets = asArray(ifdForTag(tiled ? Tag.TILE_OFFSETS : Tag.STRIP_OFFSETS));
+		let byteCounts = asArray(ifdForTag(tiled ? Tag.TILE_BYTE_COUNTS : Tag.STRIP_BYTE_COUNTS));
+
+		let tilesAcross = Math.ceil(width / tileWidth);
+		let tileBytes = tileWidth * tileHeight * bytesPerPixel;
+
+		let decode = (chunk) => {
+			if(compression === 1){
+				return chunk;
+			}else if(compression === 5){
+				return decodeLZW(chunk, tileBytes);
+			}else if(compression === 32773){
+				return decodePackBits(chunk);
+			}else{
+				throw new Error(`unsupported tiff compression: ${compression}`);
 			}
+		};
 
-			currentIFDOffset = nextIFDOffset;
-			i++;
-		}
+		let imageBuffer = new Uint8Array(width * height * bytesPerPixel);
+		let imageView = new DataView(imageBuffer.buffer);
 
-		let ifdForTag = (tag) => {
-			for(let entry of ifds){
-				if(entry.tag === tag){
-					return entry;
+		for(let t = 0; t < offsets.length; t++){
+			let tile = decode(bytes.subarray(offsets[t], offsets[t] + byteCounts[t]));
+
+			let tileX = (t % tilesAcross) * tileWidth;
+			let tileY = Math.floor(t / tilesAcross) * tileHeight;
+
+			// rows can be copied as they are if the byte order matches and no predictor is used
+			if(predictor !== 2 && (le || bytesPerSample === 1)){
+				let rowBytes = Math.min(tileWidth, width - tileX) * bytesPerPixel;
+
+				for(let y = 0; y < tileHeight && tileY + y < height; y++){
+					let sourceOffset = y * tileWidth * bytesPerPixel;
+					let row = tile.subarray(sourceOffset, sourceOffset + rowBytes);
+					imageBuffer.set(row, (tileX + (tileY + y) * width) * bytesPerPixel);
 				}
+
+				continue;
 			}
 
-			return null;
-		};
+			// decoding the predictor modifies the tile, don't touch the source data
+			if(compression === 1){
+				tile = tile.slice();
+			}
 
-		let width = ifdForTag(Tag.IMAGE_WIDTH, ifds).value;
-		let height = ifdForTag(Tag.IMAGE_HEIGHT, ifds).value;
-		let compression = ifdForTag(Tag.COMPRESSION, ifds).value;
-		let rowsPerStrip = ifdForTag(Tag.ROWS_PER_STRIP, ifds).value; 
-		let ifdStripOffsets = ifdForTag(Tag.STRIP_OFFSETS, ifds);
-		let ifdStripByteCounts = ifdForTag(Tag.STRIP_BYTE_COUNTS, ifds);
+			let tileView = new DataView(tile.buffer, tile.byteOffset, tile.byteLength);
 
-		let numStrips = Math.ceil(height / rowsPerStrip);
+			for(let y = 0; y < tileHeight && tileY + y < height; y++){
+				for(let x = 0; x < tileWidth; x++){
+					let sourcePixel = (x + y * tileWidth) * bytesPerPixel;
 
-		let stripByteCounts = [];
-		for(let i = 0; i < ifdStripByteCounts.count; i++){
-			let type = ifdStripByteCounts.type;
-			let offset = ifdStripByteCounts.offset + i * type.bytes;
+					for(let s = 0; s < samplesPerPixel; s++){
+						let sourceOffset = sourcePixel + s * bytesPerSample;
 
-			let value;
-			if(type === Type.SHORT){
-				value = data.readUInt16LE(offset);
-			}else if(type === Type.LONG){
-				value = data.readUInt32LE(offset);
-			}
+						if(sourceOffset + bytesPerSample > tile.byteLength){
+							break;
+						}
+
+						let value = readSample(tileView, sourceOffset);
 
-			stripByteCounts.push(value);
+						// horizontal differencing
+						if(predictor === 2 && x > 0){
+							value = value + readSample(tileView, sourceOffset - bytesPerPixel);
+							writeSample(tileView, sourceOffset, value);
+						}
+
+						if(tileX + x < width){
+							let targetOffset = ((tileX + x) + (tileY + y) * width) * bytesPerPixel + s * bytesPerSample;
+							writeSample(imageView, targetOffset, value);
+						}
+					}
+				}
+			}
 		}
 
-		let stripOffsets = [];
-		for(let i = 0; i < ifdStripOffsets.count; i++){
-			let type = ifdStripOffsets.type;
-			let offset = ifdStripOffsets.offset + i * type.bytes;
+		function readSample(view, offset){
+			if(sampleFormat === 3){
+				return bytesPerSample === 4 ? view.getFloat32(offset, le) : view.getFloat64(offset, le);
+			}
 
-			let value;
-			if(type === Type.SHORT){
-				value = data.readUInt16LE(offset);
-			}else if(type === Type.LONG){
-				value = data.readUInt32LE(offset);
+			let signed = sampleFormat === 2;
+			switch(bytesPerSample){
+				case 1: return signed ? view.getInt8(offset) : view.getUint8(offset);
+				case 2: return signed ? view.getInt16(offset, le) : view.getUint16(offset, le);
+				case 4: return signed ? view.getInt32(offset, le) : view.getUint32(offset, le);
 			}
 
-			stripOffsets.push(value);
+			throw new Error(`unsupported sample size: ${bitsPerSample[0]} bits`);
 		}
 
-		let imageBuffer = new Uint8Array(width * height * 3);
-		
-		let linesProcessed = 0;
-		for(let i = 0; i < numStrips; i++){
-			let stripOffset = stripOffsets[i];
-			let stripBytes = stripByteCounts[i];
-			let stripData = data.slice(stripOffset, stripOffset + stripBytes);
-			let lineBytes = width * 3;
-			for(let y = 0; y < rowsPerStrip; y++){
-				let line = stripData.slice(y * lineBytes, y * lineBytes + lineBytes);
-				imageBuffer.set(line, linesProcessed * lineBytes);
-		
-				if(line.length === lineBytes){
-					linesProcessed++;
-				}else{
-					break;
-				}
+		// the decoded image is stored in the native byte order of the typed arrays, i.e. little endian
+		function writeSample(view, offset, value){
+			let littleEndian = view === imageView ? true : le;
+
+			if(sampleFormat === 3){
+				bytesPerSample === 4 ? view.setFloat32(offset, value, littleEndian) : view.setFloat64(offset, value, littleEndian);
+				return;
+			}
+
+			switch(bytesPerSample){
+				case 1: view.setUint8(offset, value); break;
+				case 2: view.setUint16(offset, value, littleEndian); break;
+				case 4: view.setUint32(offset, value, littleEndian); break;
 			}
 		}
 
-		console.log(`width: ${width}`);
-		console.log(`height: ${height}`);
-		console.log(`numStrips: ${numStrips}`);
-		console.log("stripByteCounts", stripByteCounts.join(", "));
-		console.log("stripOffsets", stripOffsets.join(", "));
+		let ArrayType = {
+			"1_1": Uint8Array, "1_2": Uint16Array, "1_4": Uint32Array,
+			"2_1": Int8Array, "2_2": Int16Array, "2_4": Int32Array,
+			"3_4": Float32Array, "3_8": Float64Array,
+		}[`${sampleFormat}_${bytesPerSample}`];
 
 		let image = new Image();
 		image.width = width;
 		image.height = height;
 		image.buffer = imageBuffer;
 		image.metadata = ifds;
+		image.data = new ArrayType(imageBuffer.buffer);
+		image.samplesPerPixel = samplesPerPixel;
+		image.bitsPerSample = bitsPerSample;
+		image.sampleFormat = sampleFormat;
 
 		return image;
 	}
@@ -253,6 +480,15 @@ class Exporter{
 
 	}
 
+	/**
+	 * Writes an uncompressed, single strip tiff. By default, image.buffer holds 8 bit RGBA pixels.
+	 *
+	 * params:
+	 *   bitsPerSample: bits of each sample, e.g. [32] for float rasters. Default [8, 8, 8, 8]
+	 *   sampleFormat: 1 unsigned int, 2 signed int, 3 float. Default 1
+	 *   photometric: 1 grayscale, 2 RGB. Default 2
+	 *   ifdEntries: additional entries, e.g. GeoTIFF tags
+	 */
 	static toTiffBuffer(image, params = {}){
 
 		let offsetToFirstIFD = 8;
@@ -261,28 +497,42 @@ class Exporter{
 
 		let [width, height] = [image.width, image.height];
 
+		let bitsPerSample = params.bitsPerSample || [8, 8, 8, 8];
+		let samplesPerPixel = bitsPerSample.length;
+		let sampleFormat = params.sampleFormat || 1;
+		let photometric = params.photometric !== undefined ? params.photometric : 2;
+
 		let ifds = [
-			new IFDEntry(Tag.IMAGE_WIDTH,                Type.SHORT,    1,   null, width),
-			new IFDEntry(Tag.IMAGE_HEIGHT,               Type.SHORT,    1,   null, height),
-			new IFDEntry(Tag.BITS_PER_SAMPLE,            Type.SHORT,    4,   null, new Uint16Array([8, 8, 8, 8])),
+			new IFDEntry(Tag.IMAGE_WIDTH,                Type.LONG,     1,   null, width),
+			new IFDEntry(Tag.IMAGE_HEIGHT,               Type.LONG,     1,   null, height),
+			new IFDEntry(Tag.BITS_PER_SAMPLE,            Type.SHORT,    samplesPerPixel, null, new Uint16Array(bitsPerSample)),
 			new IFDEntry(Tag.COMPRESSION,                Type.SHORT,    1,   null, 1),
-			new IFDEntry(Tag.PHOTOMETRIC_INTERPRETATION, Type.SHORT,    1,   null, 2),
+			new IFDEntry(Tag.PHOTOMETRIC_INTERPRETATION, Type.SHORT,    1,   null, photometric),
 			new IFDEntry(Tag.ORIENTATION,                Type.SHORT,    1,   null, 1),
-			new IFDEntry(Tag.SAMPLES_PER_PIXEL,          Type.SHORT,    1,   null, 4),
+			new IFDEntry(Tag.SAMPLES_PER_PIXEL,          Type.SHORT,    1,   null, samplesPerPixel),
 			new IFDEntry(Tag.ROWS_PER_STRIP,             Type.LONG,     1,   null, height),
-			new IFDEntry(Tag.STRIP_BYTE_COUNTS,          Type.LONG,     1,   null, width * height * 3),
+			new IFDEntry(Tag.STRIP_BYTE_COUNTS,          Type.LONG,     1,   null, image.buffer.byteLength),
 			new IFDEntry(Tag.PLANAR_CONFIGURATION,       Type.SHORT,    1,   null, 1),
 			new IFDEntry(Tag.RESOLUTION_UNIT,            Type.SHORT,    1,   null, 1),
-			new IFDEntry(Tag.SOFTWARE,                   Type.ASCII,    6,   null, "......"),
+			new IFDEntry(Tag.SOFTWARE,                   Type.ASCII,    7,   null, "Potree\0"),
 			new IFDEntry(Tag.STRIP_OFFSETS,              Type.LONG,     1,   null, null),
 			new IFDEntry(Tag.X_RESOLUTION,               Type.RATIONAL, 1,   null, new Uint32Array([1, 1])),
 			new IFDEntry(Tag.Y_RESOLUTION,               Type.RATIONAL, 1,   null, new Uint32Array([1, 1])),
+			new IFDEntry(Tag.SAMPLE_FORMAT,              Type.SHORT,    samplesPerPixel, null, new Uint16Array(samplesPerPixel).fill(sampleFormat)),
 		];
 
+		// RGB with a fourth sample: unassociated alpha
+		if(photometric === 2 && samplesPerPixel === 4){
+			ifds.push(new IFDEntry(Tag.EXTRA_SAMPLES, Type.SHORT, 1, null, 2));
+		}
+
 		if(params.ifdEntries){
 			ifds.push(...params.ifdEntries);
 		}
 
+		// tiff requires entries to be sorted by tag
+		ifds.sort((a, b) => a.tag.value - b.tag.value);
+
 		let valueOffset = offsetToFirstIFD + 2 + ifds.length * 12 + 4;
 
 		// create 12 byte buffer for each ifd and variable length buffers for ifd values
@@ -298,8 +548,11 @@ class Exporter{
 			entryView.setUint16(2, ifd.type.value, true);
 			entryView.setUint32(4, ifd.count, true);
 
-			if(ifd.count === 1 && ifd.type.bytes <= 4){
+			if(ifd.count === 1 && ifd.type.bytes <= 4 && !ArrayBuffer.isView(ifd.value)){
 				entryView.setUint32(8, ifd.value, true);
+			}else if(valueBytes <= 4 && ifd.type !== Type.ASCII){
+				// small arrays are stored in the entry itself
+				new Uint8Array(entryBuffer).set(new Uint8Array(ifd.value.buffer, ifd.value.byteOffset, valueBytes), 8);
 			}else{
 				entryView.setUint32(8, valueOffset, true);
 
@@ -307,11 +560,17 @@ class Exporter{
 				if(ifd.type === Type.ASCII){
 					valueBuffer.set(new Uint8Array(ifd.value.split("").map(c => c.charCodeAt(0))));
 				}else{
-					valueBuffer.set(new Uint8Array(ifd.value.buffer));
+					valueBuffer.set(new Uint8Array(ifd.value.buffer, ifd.value.byteOffset, valueBuffer.byteLength));
 				}
 				ifdValueBuffers.set(ifd.tag, valueBuffer);
 
 				valueOffset = valueOffset + valueBuffer.byteLength;
+
+				// values start on word boundaries
+				if(valueOffset % 2 === 1){
+					ifdValueBuffers.set(`${ifd.tag.name}_padding`, new Uint8Array(1));
+					valueOffset++;
+				}
 			}
 
 			ifdEntryBuffers.set(ifd.tag, entryBuffer);
@@ -363,3 +622,5 @@ exports.Exporter = Exporter;
 return exports;
 
 }({}));
+
+export {GeoTIFF};
@@ -226,9 +226,12 @@ export class MeasuringTool extends EventDispatcher{
 			}
 			domElement.removeEventListener('mouseup', insertionCallback, false);
 			this.viewer.removeEventListener('cancel_insertions', cancel.callback);
+			this.viewer.history.endGroup();
 		};
 
 		if (measure.maxMarkers > 1) {
+			// the whole insertion is undone at once
+			this.viewer.history.beginGroup();
 			this.viewer.addEventListener('cancel_insertions', cancel.callback);
 			domElement.addEventListener('mouseup', insertionCallback, false);
 		}
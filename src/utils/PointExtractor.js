@@ -0,0 +1,491 @@
+
+import * as THREE from "../../libs/three.js/build/three.module.js";
+import {Points} from "../Points.js";
+import {BoxVolume, SphereVolume} from "./Volume.js";
+import {PolygonClipVolume} from "./PolygonClipVolume.js";
+import {Profile} from "./Profile.js";
+import {SelectionSet} from "./SelectionSet.js";
+import {Measure} from "./Measure.js";
+import {createRegionTest} from "./PointRegion.js";
+
+function createBoxTest(pointcloud, shape){
+	let toBox = shape.matrixWorld.clone().invert();
+	let unitBox = new THREE.Box3(new THREE.Vector3(-0.5, -0.5, -0.5), new THREE.Vector3(0.5, 0.5, 0.5));
+	let pos = new THREE.Vector3();
+
+	return {
+		intersectsNode: (node) => {
+			let box = node.boundingBox.clone()
+				.applyMatrix4(pointcloud.matrixWorld)
+				.applyMatrix4(toBox);
+
+			return box.intersectsBox(unitBox);
+		},
+		contains: (x, y, z) => {
+			pos.set(x, y, z).applyMatrix4(toBox);
+
+			return Math.abs(pos.x) <= 0.5 && Math.abs(pos.y) <= 0.5 && Math.abs(pos.z) <= 0.5;
+		},
+	};
+}
+
+function createSphereTest(pointcloud, shape){
+	let toSphere = shape.matrixWorld.clone().invert();
+	let origin = new THREE.Vector3(0, 0, 0);
+	let pos = new THREE.Vector3();
+
+	return {
+		intersectsNode: (node) => {
+			let box = node.boundingBox.clone()
+				.applyMatrix4(pointcloud.matrixWorld)
+				.applyMatrix4(toSphere);
+
+			return box.distanceToPoint(origin) <= 1;
+		},
+		contains: (x, y, z) => {
+			pos.set(x, y, z).applyMatrix4(toSphere);
+
+			return pos.lengthSq() <= 1;
+		},
+	};
+}
+
+// the polygon is defined in the clip space of the camera it was drawn with
+function createPolygonTest(pointcloud, shape){
+	let viewProj = new THREE.Matrix4().multiplyMatrices(shape.projMatrix, shape.viewMatrix);
+	let polygon = shape.markers.map(marker => new THREE.Vector2(marker.position.x, marker.position.y));
+	let polygonBox = new THREE.Box2().setFromPoints(polygon);
+	let pos = new THREE.Vector4();
+
+	let insidePolygon = (x, y) => {
+		let inside = false;
+
+		for(let i = 0, j = polygon.length - 1; i < polygon.length; j = i++){
+			let a = polygon[i];
+			let b = polygon[j];
+
+			if(((a.y > y) !== (b.y > y)) && (x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x)){
+				inside = !inside;
+			}
+		}
+
+		return inside;
+	};
+
+	return {
+		intersectsNode: (node) => {
+			let box = node.boundingBox.clone().applyMatrix4(pointcloud.matrixWorld);
+			let projected = new THREE.Box2();
+
+			for(let i = 0; i < 8; i++){
+				pos.set(
+					(i & 0b100) ? box.max.x : box.min.x,
+					(i & 0b010) ? box.max.y : box.min.y,
+					(i & 0b001) ? box.max.z : box.min.z,
+					1).applyMatrix4(viewProj);
+
+				// behind the camera, can't tell
+				if(pos.w <= 0){
+					return true;
+				}
+
+				projected.expandByPoint(new THREE.Vector2(pos.x / pos.w, pos.y / pos.w));
+			}
+
+			return projected.intersectsBox(polygonBox);
+		},
+		contains: (x, y, z) => {
+			pos.set(x, y, z, 1).applyMatrix4(viewProj);
+
+			if(pos.w <= 0){
+				return false;
+			}
+
+			return insidePolygon(pos.x / pos.w, pos.y / pos.w);
+		},
+	};
+}
+
+// same acceptance criteria as ProfileRequest, additionally computes the mileage of accepted points
+function createProfileTest(pointcloud, shape){
+	let segments = [];
+	let totalMileage = 0;
+
+	for(let i = 0; i < shape.points.length - 1; i++){
+		let start = shape.points[i];
+		let end = shape.points[i + 1];
+
+		let dir = new THREE.Vector2(end.x - start.x, end.y - start.y);
+		let length = dir.length();
+		dir.normalize();
+
+		segments.push({start, dir, length, mileage: totalMileage});
+
+		totalMileage += length;
+	}
+
+	let halfWidth = shape.width / 2;
+
+	return {
+		intersectsNode: (node) => pointcloud.nodeIntersectsProfile(node, shape),
+		contains: (x, y) => {
+			for(let segment of segments){
+				let dx = x - segment.start.x;
+				let dy = y - segment.start.y;
+
+				let along = dx * segment.dir.x + dy * segment.dir.y;
+				let across = dx * segment.dir.y - dy * segment.dir.x;
+
+				if(Math.abs(across) < halfWidth && along > 0 && along < segment.length){
+					return segment.mileage + along;
+				}
+			}
+
+			return false;
+		},
+	};
+}
+
+// a frustum in world coordinates, e.g. the view frustum of the camera
+function createFrustumTest(pointcloud, shape){
+	let pos = new THREE.Vector3();
+
+	return {
+		intersectsNode: (node) => {
+			let box = node.boundingBox.clone().applyMatrix4(pointcloud.matrixWorld);
+
+			return shape.intersectsBox(box);
+		},
+		contains: (x, y, z) => shape.containsPoint(pos.set(x, y, z)),
+	};
+}
+
+function createSelectionSetTest(pointcloud, shape){
+	let toWorld = (box) => box.clone().applyMatrix4(pointcloud.matrixWorld);
+	let contains = shape.createTest(toWorld(pointcloud.pcoGeometry.root.boundingBox));
+
+	return {
+		intersectsNode: (node) => contains !== null && shape.createTest(toWorld(node.boundingBox)) !== null,
+		contains: (x, y, z) => contains(x, y, z),
+	};
+}
+
+// the x/y polygon of an area measurement, at any elevation
+function createAreaTest(pointcloud, shape){
+	if(!shape.closed || shape.points.length < 3){
+		throw new Error("points can only be extracted from closed measurements with at least 3 points");
+	}
+
+	let region = {type: "area", polygon: shape.points.map(p => [p.position.x, p.position.y])};
+	let toWorld = (box) => box.clone().applyMatrix4(pointcloud.matrixWorld);
+	let contains = createRegionTest(region, toWorld(pointcloud.pcoGeometry.root.boundingBox));
+
+	return {
+		intersectsNode: (node) => contains !== null && createRegionTest(region, toWorld(node.boundingBox)) !== null,
+		contains: (x, y, z) => contains(x, y, z),
+	};
+}
+
+function createShapeTest(pointcloud, shape){
+	if(shape instanceof BoxVolume){
+		return createBoxTest(pointcloud, shape);
+	}else if(shape instanceof SphereVolume){
+		return createSphereTest(pointcloud, shape);
+	}else if(shape instanceof PolygonClipVolume){
+		return createPolygonTest(pointcloud, shape);
+	}else if(shape instanceof Profile){
+		return createProfileTest(pointcloud, shape);
+	}else if(shape instanceof THREE.Frustum){
+		return createFrustumTest(pointcloud, shape);
+	}else if(shape instanceof SelectionSet){
+		return createSelectionSetTest(pointcloud, shape);
+	}else if(shape instanceof Measure){
+		return createAreaTest(pointcloud, shape);
+	}else{
+		throw new Error(`can't extract points from a ${shape.constructor.name}`);
+	}
+}
+
+/**
+ * Extracts all points of a point cloud within a BoxVolume, SphereVolume, PolygonClipVolume, Profile, SelectionSet, THREE.Frustum
+ * or the polygon of a closed area Measure, up to the given level of detail. Unlike getPointsInVolume or getPointsInProfile,
+ * the result does not depend on the camera and doesn't require a viewer or render loop.
+ * Nodes are loaded as needed, independently of what's visible.
+ *
+ * Usage:
+ *   for await (let points of pointcloud.extractPoints(volume, {maxLevel: 6})){ ... }
+ *   let points = await pointcloud.extractPoints(volume).collect();
+ *
+ * Each batch is a Points object with all attributes of the point cloud, from a single node.
+ * points.level is the octree level of that node.
+ * Positions are in world coordinates, as Float64Array. Attributes larger than 32 bit, e.g. gps-time,
+ * are restored to their actual values. Profiles additionally provide the mileage of each point.
+ * Edits of the point cloud's AttributeEditLayer are included.
+ *
+ * options:
+ *   maxLevel: deepest octree level to extract points from, default Infinity
+ *   signal: an AbortSignal, aborting rejects with signal.reason
+ *   onProgress: called after each node with {numNodesProcessed, numNodesPending, numPoints}
+ *   maxLoadAttempts: a node that failed to load this often rejects the extraction, default 3
+ *   timeout: milliseconds after which a node that neither loaded nor failed rejects the extraction, default 60000
+ */
+export class PointExtractor{
+
+	constructor(pointcloud, shape, options = {}){
+		this.pointcloud = pointcloud;
+		this.shape = shape;
+		this.maxLevel = options.maxLevel !== undefined ? options.maxLevel : Infinity;
+		this.signal = options.signal;
+		this.onProgress = options.onProgress;
+		this.maxLoadAttempts = options.maxLoadAttempts !== undefined ? options.maxLoadAttempts : 3;
+		this.timeout = options.timeout !== undefined ? options.timeout : 60 * 1000;
+	}
+
+	async * [Symbol.asyncIterator](){
+		let {pointcloud, shape} = this;
+
+		// headless point clouds and volumes aren't updated by a render loop
+		pointcloud.updateMatrixWorld(true);
+		if(shape.updateMatrixWorld){
+			shape.updateMatrixWorld(true);
+		}
+
+		let test = createShapeTest(pointcloud, shape);
+
+		let root = pointcloud.pcoGeometry.root;
+		let pending = test.intersectsNode(root) ? [root] : [];
+		let numNodesProcessed = 0;
+		let numPoints = 0;
+
+		while(pending.length > 0){
+			let node = pending.shift();
+
+			await this.waitUntilLoaded(node, pending);
+
+			for(let i = 0; i < 8; i++){
+				let child = node.children[i];
+
+				if(child && child.level <= this.maxLevel && test.intersectsNode(child)){
+					pending.push(child);
+				}
+			}
+
+			let points = this.filter(node, test);
+
+			numNodesProcessed++;
+			numPoints += points.numPoints;
+
+			if(this.onProgress){
+				this.onProgress({numNodesProcessed, numNodesPending: pending.length, numPoints});
+			}
+
+			if(points.numPoints > 0){
+				yield points;
+			}
+		}
+	}
+
+	async collect(){
+		let result = new Points();
+
+		for await (let points of this){
+			if(result.numPoints === 0){
+				result = points;
+			}else{
+				result.add(points);
+			}
+		}
+
+		return result;
+	}
+
+	// Also starts loading the next pending nodes, as far as Potree.maxNodesLoading permits.
+	// Waits for the loaders to report finished nodes, see Potree.nodeLoadEvents, rather than for a render loop.
+	waitUntilLoaded(node, pending){
+		let signal = this.signal;
+
+		if(signal){
+			signal.throwIfAborted();
+		}
+
+		if(node.loaded){
+			Potree.lru.touch(node);
+
+			return Promise.resolve();
+		}
+
+		return new Promise((resolve, reject) => {
+			let events = Potree.nodeLoadEvents;
+			let numFailures = 0;
+			let timer = null;
+
+			// load() is a no-op while the maximum number of nodes is loading, a finished node frees a slot
+			let startLoading = () => {
+				for(let n of [node, ...pending.slice(0, Potree.maxNodesLoading)]){
+					if(!n.loaded && !n.loading){
+						n.load();
+					}
+				}
+			};
+
+			let restartTimer = () => {
+				clearTimeout(timer);
+				timer = setTimeout(() => {
+					finish(new Error(`node ${node.name} did not finish loading within ${this.timeout} ms`));
+				}, this.timeout);
+			};
+
+			let finish = (error) => {
+				clearTimeout(timer);
+				events.removeEventListener("node_loaded", onLoaded);
+				events.removeEventListener("node_load_failed", onFailed);
+				if(signal){
+					signal.removeEventListener("abort", onAbort);
+				}
+
+				if(error){
+					reject(error);
+				}else{
+					Potree.lru.touch(node);
+					resolve();
+				}
+			};
+
+			let onLoaded = () => {
+				if(node.loaded){
+					finish();
+				}else{
+					restartTimer();
+					startLoading();
+				}
+			};
+
+			let onFailed = (e) => {
+				if(e.node === node){
+					numFailures++;
+
+					if(numFailures >= this.maxLoadAttempts){
+						finish(new Error(`failed to load node ${node.name} after ${numFailures} attempts`));
+						return;
+					}
+				}
+
+				restartTimer();
+				startLoading();
+			};
+
+			let onAbort = () => finish(signal.reason);
+
+			events.addEventListener("node_loaded", onLoaded);
+			events.addEventListener("node_load_failed", onFailed);
+			if(signal){
+				signal.addEventListener("abort", onAbort);
+			}
+
+			restartTimer();
+			startLoading();
+
+			// some loaders finish synchronously
+			if(node.loaded){
+				finish();
+			}
+		});
+	}
+
+	filter(node, test){
+		let pointcloud = this.pointcloud;
+		let geometry = node.geometry;
+		let numPoints = node.numPoints;
+		let points = new Points();
+
+		if(!geometry || !numPoints){
+			return points;
+		}
+
+		if(pointcloud.editLayer){
+			pointcloud.editLayer.apply(node);
+		}
+
+		let matrix = new THREE.Matrix4().multiplyMatrices(
+			pointcloud.matrixWorld,
+			new THREE.Matrix4().makeTranslation(...node.boundingBox.min.toArray()));
+		let e = matrix.elements;
+
+		let source = geometry.attributes.position.array;
+		let accepted = new Uint32Array(numPoints);
+		let positions = new Float64Array(3 * numPoints);
+		let mileage = (this.shape instanceof Profile) ? new Float64Array(numPoints) : null;
+		let numAccepted = 0;
+
+		for(let i = 0; i < numPoints; i++){
+			let lx = source[3 * i + 0];
+			let ly = source[3 * i + 1];
+			let lz = source[3 * i + 2];
+
+			let x = e[0] * lx + e[4] * ly + e[8] * lz + e[12];
+			let y = e[1] * lx + e[5] * ly + e[9] * lz + e[13];
+			let z = e[2] * lx + e[6] * ly + e[10] * lz + e[14];
+
+			let result = test.contains(x, y, z);
+
+			if(result === false){
+				continue;
+			}
+
+			accepted[numAccepted] = i;
+			positions[3 * numAccepted + 0] = x;
+			positions[3 * numAccepted + 1] = y;
+			positions[3 * numAccepted + 2] = z;
+
+			if(mileage){
+				mileage[numAccepted] = result;
+			}
+
+			points.boundingBox.expandByPoint(new THREE.Vector3(x, y, z));
+
+			numAccepted++;
+		}
+
+		points.numPoints = numAccepted;
+		points.level = node.level;
+		points.data.position = positions.slice(0, 3 * numAccepted);
+
+		if(mileage){
+			points.data.mileage = mileage.slice(0, numAccepted);
+		}
+
+		let attributeNames = Object.keys(geometry.attributes).filter(a => !["position", "indices"].includes(a));
+		for(let attributeName of attributeNames){
+			let source = geometry.attributes[attributeName].array;
+			let numElements = source.length / numPoints;
+			let attribute = pointcloud.getAttribute(attributeName);
+
+			// larger types are stored relative to their initial range, see BinaryDecoderWorker
+			let precise = attribute && attribute.type.size > 4 && numElements === 1;
+			let target = precise
+				? new Float64Array(numAccepted)
+				: new source.constructor(numElements * numAccepted);
+
+			for(let i = 0; i < numAccepted; i++){
+				let index = accepted[i];
+
+				for(let j = 0; j < numElements; j++){
+					target[numElements * i + j] = source[numElements * index + j];
+				}
+			}
+
+			if(precise){
+				let [min, max] = attribute.initialRange;
+
+				for(let i = 0; i < numAccepted; i++){
+					target[i] = min + target[i] * (max - min);
+				}
+			}
+
+			points.data[attributeName] = target;
+		}
+
+		return points;
+	}
+
+};
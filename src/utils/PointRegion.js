@@ -0,0 +1,239 @@
+
+import * as THREE from "../../libs/three.js/build/three.module.js";
+
+/**
+ * Regions describe sets of points in world coordinates as plain JSON,
+ * so that they can be stored, shared and evaluated for any node, including nodes that aren't loaded yet.
+ *
+ *   {type: "all"}
+ *   {type: "box", matrix}: the unit cube transformed by matrix, e.g. the matrixWorld of a BoxVolume
+ *   {type: "sphere", matrix}: the unit sphere transformed by matrix
+ *   {type: "spheres", spheres: [[x, y, z, radius], ...]}, e.g. a brush stroke
+ *   {type: "polygon", matrix, polygon: [[x, y], ...]}: points whose projection by matrix
+ *       lies inside the polygon, in normalized device coordinates, e.g. a lasso
+ *   {type: "area", polygon: [[x, y], ...]}: points whose x and y lie inside the polygon, at any elevation,
+ *       e.g. an area measurement
+ *   {type: "selection", steps: [{operation, region}, ...]}: starting with no points, each step adds,
+ *       subtracts or intersects ("add", "subtract", "intersect") the points of its region, see SelectionSet
+ */
+
+function insidePolygon(polygon, px, py){
+	let inside = false;
+
+	for(let i = 0, j = polygon.length - 1; i < polygon.length; j = i++){
+		let [ax, ay] = polygon[i];
+		let [bx, by] = polygon[j];
+
+		if(((ay > py) !== (by > py)) && (px < (bx - ax) * (py - ay) / (by - ay) + ax)){
+			inside = !inside;
+		}
+	}
+
+	return inside;
+}
+
+// an intersection with a region that the box doesn't reach removes everything selected before it
+function createSelectionTest(steps, box){
+	let tests = steps.map(({operation, region}) => ({operation, contains: createRegionTest(region, box)}));
+
+	let start = 0;
+	tests.forEach((test, i) => {
+		if(test.operation === "intersect" && !test.contains){
+			start = i + 1;
+		}
+	});
+
+	tests = tests.slice(start).filter(test => test.contains);
+
+	if(!tests.some(test => test.operation === "add")){
+		return null;
+	}
+
+	return (x, y, z) => {
+		let selected = false;
+
+		for(let {operation, contains} of tests){
+			if(operation === "add"){
+				selected = selected || contains(x, y, z);
+			}else if(operation === "subtract"){
+				selected = selected && !contains(x, y, z);
+			}else{
+				selected = selected && contains(x, y, z);
+			}
+		}
+
+		return selected;
+	};
+}
+
+/**
+ * Returns a function that tells whether a point in world coordinates is inside the region,
+ * or null if no point within the given world-space box can be.
+ */
+export function createRegionTest(region, box){
+	let pos = new THREE.Vector3();
+
+	if(region.type === "all"){
+		return () => true;
+	}else if(region.type === "box" || region.type === "sphere"){
+		let toUnit = new THREE.Matrix4().fromArray(region.matrix).invert();
+		let local = box.clone().applyMatrix4(toUnit);
+
+		if(region.type === "box"){
+			let unitBox = new THREE.Box3(new THREE.Vector3(-0.5, -0.5, -0.5), new THREE.Vector3(0.5, 0.5, 0.5));
+
+			if(!local.intersectsBox(unitBox)){
+				return null;
+			}
+
+			return (x, y, z) => {
+				pos.set(x, y, z).applyMatrix4(toUnit);
+
+				return Math.abs(pos.x) <= 0.5 && Math.abs(pos.y) <= 0.5 && Math.abs(pos.z) <= 0.5;
+			};
+		}else{
+			if(local.distanceToPoint(new THREE.Vector3(0, 0, 0)) > 1){
+				return null;
+			}
+
+			return (x, y, z) => pos.set(x, y, z).applyMatrix4(toUnit).lengthSq() <= 1;
+		}
+	}else if(region.type === "spheres"){
+		let spheres = region.spheres.filter(([x, y, z, r]) => box.distanceToPoint(pos.set(x, y, z)) <= r);
+
+		if(spheres.length === 0){
+			return null;
+		}
+
+		return (x, y, z) => spheres.some(([sx, sy, sz, r]) => {
+			let dx = x - sx;
+			let dy = y - sy;
+			let dz = z - sz;
+
+			return dx * dx + dy * dy + dz * dz <= r * r;
+		});
+	}else if(region.type === "polygon"){
+		let viewProj = new THREE.Matrix4().fromArray(region.matrix);
+		let polygon = region.polygon;
+		let polygonBox = new THREE.Box2().setFromPoints(polygon.map(([x, y]) => new THREE.Vector2(x, y)));
+		let clip = new THREE.Vector4();
+
+		let project = (x, y, z) => {
+			clip.set(x, y, z, 1).applyMatrix4(viewProj);
+
+			return clip.w > 0 ? [clip.x / clip.w, clip.y / clip.w] : null;
+		};
+
+		let projected = new THREE.Box2();
+		for(let i = 0; i < 8; i++){
+			let p = project(
+				(i & 0b100) ? box.max.x : box.min.x,
+				(i & 0b010) ? box.max.y : box.min.y,
+				(i & 0b001) ? box.max.z : box.min.z);
+
+			// behind the camera, can't tell
+			if(!p){
+				projected.set(new THREE.Vector2(-Infinity, -Infinity), new THREE.Vector2(Infinity, Infinity));
+				break;
+			}
+
+			projected.expandByPoint(new THREE.Vector2(...p));
+		}
+
+		if(!projected.intersectsBox(polygonBox)){
+			return null;
+		}
+
+		return (x, y, z) => {
+			let p = project(x, y, z);
+
+			if(!p){
+				return false;
+			}
+
+			return insidePolygon(polygon, p[0], p[1]);
+		};
+	}else if(region.type === "area"){
+		let polygon = region.polygon;
+		let polygonBox = new THREE.Box2().setFromPoints(polygon.map(([x, y]) => new THREE.Vector2(x, y)));
+		let footprint = new THREE.Box2(new THREE.Vector2(box.min.x, box.min.y), new THREE.Vector2(box.max.x, box.max.y));
+
+		if(!footprint.intersectsBox(polygonBox)){
+			return null;
+		}
+
+		return (x, y) => insidePolygon(polygon, x, y);
+	}else if(region.type === "selection"){
+		return createSelectionTest(region.steps, box);
+	}else{
+		throw new Error(`unknown region type ${region.type}`);
+	}
+}
+
+/**
+ * The world-space bounds of a region, or null if it isn't bounded, e.g. a polygon.
+ */
+export function getRegionBoundingBox(region){
+	if(region.type === "box" || region.type === "sphere"){
+		let extent = region.type === "box" ? 0.5 : 1;
+		let unit = new THREE.Box3(
+			new THREE.Vector3(-extent, -extent, -extent),
+			new THREE.Vector3(extent, extent, extent));
+
+		return unit.applyMatrix4(new THREE.Matrix4().fromArray(region.matrix));
+	}else if(region.type === "spheres"){
+		let box = new THREE.Box3();
+
+		for(let [x, y, z, r] of region.spheres){
+			box.union(new THREE.Sphere(new THREE.Vector3(x, y, z), r).getBoundingBox(new THREE.Box3()));
+		}
+
+		return box;
+	}else if(region.type === "selection"){
+		// null while unbounded
+		let box = new THREE.Box3();
+
+		for(let {operation, region: stepRegion} of region.steps){
+			let stepBox = getRegionBoundingBox(stepRegion);
+
+			if(operation === "add"){
+				box = (box && stepBox) ? box.union(stepBox) : null;
+			}else if(operation === "intersect" && stepBox){
+				box = box ? box.intersect(stepBox) : stepBox;
+			}
+		}
+
+		return box;
+	}else{
+		return null;
+	}
+}
+
+/**
+ * The polygon region of a PolygonClipVolume.
+ */
+export function createPolygonClipVolumeRegion(volume){
+	let viewProj = new THREE.Matrix4().multiplyMatrices(volume.projMatrix, volume.viewMatrix);
+
+	return {
+		type: "polygon",
+		matrix: viewProj.toArray(),
+		polygon: volume.markers.map(marker => [marker.position.x, marker.position.y]),
+	};
+}
+
+/**
+ * A polygon region from a polygon in screen pixels, e.g. a lasso drawn over the canvas.
+ */
+export function createScreenPolygonRegion(camera, points, width, height){
+	let viewProj = new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+
+	return {
+		type: "polygon",
+		matrix: viewProj.toArray(),
+		polygon: points.map(p => [
+			2 * p.x / width - 1,
+			-2 * p.y / height + 1,
+		]),
+	};
+}
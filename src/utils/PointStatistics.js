@@ -0,0 +1,225 @@
+
+import * as THREE from "../../libs/three.js/build/three.module.js";
+import {EventDispatcher} from "../EventDispatcher.js";
+import {Volume} from "./Volume.js";
+import {CSVExporter} from "../exporter/CSVExporter.js";
+
+/**
+ * Statistics of the points within a Volume, PolygonClipVolume, Profile or SelectionSet, for quick QA:
+ * point counts per level of detail, covered area and density, elevation range and percentiles,
+ * counts per classification, an intensity histogram and the gps-time span.
+ *
+ * Points are extracted with the PointExtractor and summarized in a StatisticsWorker.
+ * Intermediate results are dispatched as "progress" events while nodes are loaded.
+ *
+ * Usage:
+ *   let statistics = new PointStatistics(volume, viewer.scene.pointclouds);
+ *   statistics.addEventListener("progress", e => console.log(e.summary));
+ *   let summary = await statistics.compute();
+ *   statistics.cancel(); // rejects compute() with an AbortError
+ *
+ * options:
+ *   maxLevel: deepest octree level to take points from, default Infinity
+ *   cellSize: size of the grid cells that the covered area is estimated with, default 1, coarser for large areas
+ */
+export class PointStatistics extends EventDispatcher{
+
+	constructor(shape, pointclouds, options = {}){
+		super();
+
+		this.shape = shape;
+		this.pointclouds = pointclouds;
+		this.maxLevel = options.maxLevel !== undefined ? options.maxLevel : Infinity;
+		this.cellSize = options.cellSize || 1;
+
+		this.summary = null;
+		this.controller = null;
+	}
+
+	getAccumulatorOptions(){
+		let box = new THREE.Box3();
+		for(let pointcloud of this.pointclouds){
+			pointcloud.updateMatrixWorld(true);
+			box.union(pointcloud.boundingBox.clone().applyMatrix4(pointcloud.matrixWorld));
+		}
+
+		if(this.shape instanceof Volume){
+			this.shape.updateMatrixWorld(true);
+			box.intersect(this.shape.boundingBox.clone().applyMatrix4(this.shape.matrixWorld));
+		}
+
+		// the histogram spans the actual intensities, e.g. 0 to 255 for 8 bit scanners
+		let intensityRange = [Infinity, -Infinity];
+		for(let pointcloud of this.pointclouds){
+			let attribute = pointcloud.getAttribute("intensity");
+
+			if(attribute && attribute.range && attribute.range[0] < attribute.range[1]){
+				intensityRange = [
+					Math.min(intensityRange[0], attribute.range[0]),
+					Math.max(intensityRange[1], attribute.range[1]),
+				];
+			}
+		}
+
+		if(!(intensityRange[0] < intensityRange[1])){
+			intensityRange = [0, 65535];
+		}
+
+		return {
+			elevationRange: box.isEmpty() ? [0, 1] : [box.min.z, box.max.z],
+			extent: box.isEmpty() ? [0, 0, 0, 0] : [box.min.x, box.min.y, box.max.x, box.max.y],
+			intensityRange: intensityRange,
+			cellSize: this.cellSize,
+		};
+	}
+
+	// adds what's known about the shape itself
+	finalize(summary){
+		let shape = this.shape;
+
+		summary.name = shape.name;
+		summary.shape = shape.constructor.name;
+		summary.volume = null;
+		summary.volumeDensity = null;
+
+		if(shape instanceof Volume){
+			summary.volume = shape.getVolume();
+			summary.volumeDensity = summary.volume > 0 ? summary.numPoints / summary.volume : null;
+		}
+
+		return summary;
+	}
+
+	async compute(){
+		this.cancel();
+
+		let controller = new AbortController();
+		let signal = controller.signal;
+		this.controller = controller;
+
+		let worker = new Worker(Potree.scriptPath + '/workers/StatisticsWorker.js');
+
+		let result = new Promise((resolve, reject) => {
+			worker.onmessage = (e) => {
+				let summary = this.finalize(e.data.summary);
+
+				if(e.data.type === "result"){
+					resolve(summary);
+				}else{
+					this.summary = summary;
+					this.dispatchEvent({type: "progress", statistics: this, summary: summary});
+				}
+			};
+			worker.onerror = (e) => reject(new Error(e.message));
+			signal.addEventListener("abort", () => reject(signal.reason));
+		});
+		// only awaited once all points are sent
+		result.catch(() => {});
+
+		worker.postMessage({type: "init", options: this.getAccumulatorOptions()});
+
+		try{
+			for(let pointcloud of this.pointclouds){
+				let extractor = pointcloud.extractPoints(this.shape, {maxLevel: this.maxLevel, signal: signal});
+
+				for await (let points of extractor){
+					let batch = {
+						numPoints: points.numPoints,
+						level: points.level,
+						position: points.data.position,
+						classification: points.data.classification,
+						intensity: points.data.intensity,
+						gpsTime: points.data["gps-time"],
+					};
+					let transfer = Object.values(batch).filter(a => a && a.buffer).map(a => a.buffer);
+
+					worker.postMessage({type: "batch", batch: batch}, transfer);
+				}
+			}
+
+			worker.postMessage({type: "finish"});
+
+			this.summary = await result;
+			this.dispatchEvent({type: "progress", statistics: this, summary: this.summary});
+
+			return this.summary;
+		}finally{
+			worker.terminate();
+
+			if(this.controller === controller){
+				this.controller = null;
+			}
+		}
+	}
+
+	cancel(){
+		if(this.controller){
+			this.controller.abort();
+			this.controller = null;
+		}
+	}
+
+	/**
+	 * The summary as CSV, with one "section,name,value" row per figure.
+	 * classifications: e.g. viewer.classifications, to add the names of the classes
+	 */
+	static toCSV(summary, classifications = {}){
+		let rows = [["section", "name", "value"]];
+		let add = (section, name, value) => rows.push([section, name, value === null ? "" : value]);
+
+		add("summary", "shape", summary.name);
+		add("summary", "points", summary.numPoints);
+		add("summary", "area", summary.area);
+		add("summary", "density", summary.density);
+		add("summary", "volume", summary.volume);
+		add("summary", "volume_density", summary.volumeDensity);
+
+		if(summary.boundingBox){
+			["x", "y", "z"].forEach((axis, i) => {
+				add("bounds", `min_${axis}`, summary.boundingBox.min[i]);
+				add("bounds", `max_${axis}`, summary.boundingBox.max[i]);
+			});
+		}
+
+		for(let {level, numPoints} of summary.levels){
+			add("levels", level, numPoints);
+		}
+
+		if(summary.elevation){
+			add("elevation", "min", summary.elevation.min);
+			add("elevation", "max", summary.elevation.max);
+			add("elevation", "mean", summary.elevation.mean);
+
+			for(let {percentile, value} of summary.elevation.percentiles){
+				add("elevation", `p${percentile}`, value);
+			}
+		}
+
+		for(let {value, numPoints} of summary.classification){
+			let name = classifications[value] ? classifications[value].name : "";
+
+			add("classification", name ? `${value} ${name}` : value, numPoints);
+		}
+
+		if(summary.intensity){
+			let {range, histogram} = summary.intensity;
+			let binSize = (range[1] - range[0]) / histogram.length;
+
+			add("intensity", "min", summary.intensity.min);
+			add("intensity", "max", summary.intensity.max);
+
+			histogram.forEach((count, i) => {
+				add("intensity_histogram", `${range[0] + i * binSize}-${range[0] + (i + 1) * binSize}`, count);
+			});
+		}
+
+		if(summary.gpsTime){
+			add("gps_time", "min", summary.gpsTime.min);
+			add("gps_time", "max", summary.gpsTime.max);
+			add("gps_time", "span", summary.gpsTime.span);
+		}
+
+		return CSVExporter.formatRows(rows);
+	}
+
+};
@@ -92,8 +92,11 @@ export class ProfileTool extends EventDispatcher {
 			profile.removeMarker(profile.points.length - 1);
 			domElement.removeEventListener('mouseup', insertionCallback, false);
 			this.viewer.removeEventListener('cancel_insertions', cancel.callback);
+			this.viewer.history.endGroup();
 		};
 
+		// the whole insertion is undone at once
+		this.viewer.history.beginGroup();
 		this.viewer.addEventListener('cancel_insertions', cancel.callback);
 		domElement.addEventListener('mouseup', insertionCallback, false);
 
@@ -161,6 +161,8 @@ export class ScreenBoxSelectTool extends EventDispatcher{
 			}
 
 			volume.clip = true;
+
+			this.dispatchEvent({type: "selection_finished", volume: volume});
 		};
 
 		this.addEventListener("drag", drag);
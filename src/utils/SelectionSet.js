@@ -0,0 +1,115 @@
+
+import * as THREE from "../../libs/three.js/build/three.module.js";
+import {EventDispatcher} from "../EventDispatcher.js";
+import {createRegionTest, getRegionBoundingBox} from "./PointRegion.js";
+
+/**
+ * A named set of points, built up by adding, subtracting and intersecting regions, see PointRegion.js.
+ * The set is evaluated per point, for loaded and not yet loaded nodes alike, rather than stored as a list of points.
+ *
+ * Other tools consume selection sets as regions or through the PointExtractor, e.g.
+ *   let points = await pointcloud.extractPoints(selectionSet).collect();
+ *   attributeEditTool.applyToSelection(selectionSet);
+ *
+ * Dispatches "selection_changed" whenever the steps change.
+ */
+export class SelectionSet extends EventDispatcher{
+
+	constructor(name){
+		super();
+
+		this.constructor.counter = (this.constructor.counter === undefined) ? 0 : this.constructor.counter + 1;
+
+		this.uuid = THREE.MathUtils.generateUUID();
+		this.name = name || `selection_${this.constructor.counter}`;
+		this.color = new THREE.Color(1, 0.8, 0);
+		this.visible = true;
+		this.steps = [];
+
+		// incremented with each change, e.g. to tell whether cached results are still valid
+		this.version = 0;
+	}
+
+	apply(operation, region){
+		if(!["add", "subtract", "intersect"].includes(operation)){
+			throw new Error(`unknown selection operation ${operation}`);
+		}
+
+		this.setSteps([...this.steps, {operation, region}]);
+	}
+
+	add(region){
+		this.apply("add", region);
+	}
+
+	subtract(region){
+		this.apply("subtract", region);
+	}
+
+	intersect(region){
+		this.apply("intersect", region);
+	}
+
+	setSteps(steps){
+		this.steps = steps;
+		this.version++;
+
+		this.dispatchEvent({type: "selection_changed", selectionSet: this});
+	}
+
+	clear(){
+		this.setSteps([]);
+	}
+
+	isEmpty(){
+		return !this.steps.some(step => step.operation === "add");
+	}
+
+	toRegion(){
+		return {type: "selection", steps: JSON.parse(JSON.stringify(this.steps))};
+	}
+
+	/**
+	 * Returns a function that tells whether a point in world coordinates is selected,
+	 * or null if no point within the given world-space box is.
+	 */
+	createTest(box){
+		return createRegionTest({type: "selection", steps: this.steps}, box);
+	}
+
+	// the world-space bounds of the selected points, or null if they aren't bounded, e.g. for a lasso
+	getBoundingBox(){
+		return getRegionBoundingBox({type: "selection", steps: this.steps});
+	}
+
+	toJSON(){
+		return {
+			uuid: this.uuid,
+			name: this.name,
+			color: this.color.toArray(),
+			visible: this.visible,
+			steps: JSON.parse(JSON.stringify(this.steps)),
+		};
+	}
+
+	static fromJSON(data){
+		let selectionSet = new SelectionSet(data.name);
+
+		if(data.uuid){
+			selectionSet.uuid = data.uuid;
+		}
+
+		if(data.color){
+			selectionSet.color.fromArray(data.color);
+		}
+
+		if(data.visible !== undefined){
+			selectionSet.visible = data.visible;
+		}
+
+		selectionSet.setSteps(data.steps);
+
+		return selectionSet;
+	}
+
+};
@@ -0,0 +1,395 @@
+
+import * as THREE from "../../libs/three.js/build/three.module.js";
+import {EventDispatcher} from "../EventDispatcher.js";
+import {MOUSE} from "../defines.js";
+import {SelectionSet} from "./SelectionSet.js";
+import {createScreenPolygonRegion} from "./PointRegion.js";
+
+/**
+ * Selects points with a freehand lasso or a polygon drawn over the canvas, into the active SelectionSet.
+ * Selections go through all points under the drawn shape, not just the visible surface.
+ *
+ * operation tells how a new selection is combined with the active set: "replace", "add", "subtract" or "intersect".
+ * Holding shift adds, alt subtracts and shift+alt intersects, regardless of operation.
+ *
+ * Usage:
+ *   tool.start("lasso");   // drag with the left mouse button
+ *   tool.start("polygon"); // click the vertices, right-click to finish
+ *   tool.stop();
+ *
+ * The points of the visible selection sets are highlighted, as far as they're loaded.
+ * Dispatches "active_set_changed" and "highlight_updated" with the number of highlighted points.
+ */
+export class SelectionTool extends EventDispatcher{
+
+	constructor(viewer){
+		super();
+
+		this.viewer = viewer;
+
+		this.operation = "replace";
+		this.selectionSet = null;
+
+		this.mode = null;
+		this.importance = 10;
+		this.path = [];
+
+		// the button and modifier keys of the last mousedown
+		this.pressed = {button: MOUSE.LEFT, shiftKey: false, altKey: false};
+
+		this.scene = new THREE.Scene();
+		this.highlights = new Map();
+		this.highlightInterval = 300;
+		this.lastHighlightUpdate = 0;
+
+		let domElement = viewer.renderer.domElement;
+
+		this.elPath = $(`
+			<svg style="position: absolute; left: 0; top: 0; width: 100%; height: 100%; pointer-events: none">
+				<polygon fill="rgba(255, 255, 255, 0.15)" stroke="white" stroke-width="2" stroke-dasharray="5, 5" />
+			</svg>`);
+		this.elPath.hide();
+		$(domElement.parentElement).append(this.elPath);
+
+		domElement.addEventListener("mousedown", (e) => {
+			this.pressed = {button: e.button, shiftKey: e.shiftKey, altKey: e.altKey};
+		}, true);
+
+		this.addEventListener("drag", e => this.onDrag(e));
+		this.addEventListener("drop", e => this.onDrop(e));
+
+		this.onSelectionSetRemoved = (e) => {
+			this.removeHighlight(e.selectionSet);
+
+			if(this.selectionSet === e.selectionSet){
+				this.setSelectionSet(null);
+			}
+		};
+
+		viewer.addEventListener("update", () => this.update());
+		viewer.addEventListener("render.pass.perspective_overlay", () => this.render());
+		viewer.addEventListener("cancel_insertions", () => this.cancel());
+		viewer.addEventListener("scene_changed", (e) => {
+			if(e.oldScene){
+				e.oldScene.removeEventListener("selection_set_removed", this.onSelectionSetRemoved);
+			}
+
+			e.scene.addEventListener("selection_set_removed", this.onSelectionSetRemoved);
+
+			for(let selectionSet of Array.from(this.highlights.keys())){
+				this.removeHighlight(selectionSet);
+			}
+			this.setSelectionSet(null);
+		});
+		viewer.scene.addEventListener("selection_set_removed", this.onSelectionSetRemoved);
+	}
+
+	setSelectionSet(selectionSet){
+		if(this.selectionSet !== selectionSet){
+			this.selectionSet = selectionSet;
+
+			this.dispatchEvent({type: "active_set_changed", tool: this, selectionSet: selectionSet});
+		}
+	}
+
+	getSelectionSet(){
+		return this.selectionSet;
+	}
+
+	start(mode){
+		this.stop();
+
+		this.mode = mode;
+		this.viewer.inputHandler.addInputListener(this);
+
+		this.dispatchEvent({type: "mode_changed", tool: this, mode: mode});
+	}
+
+	stop(){
+		if(!this.mode){
+			return;
+		}
+
+		this.cancel();
+
+		this.mode = null;
+		this.viewer.inputHandler.removeInputListener(this);
+
+		this.dispatchEvent({type: "mode_changed", tool: this, mode: null});
+	}
+
+	// discards the lasso or polygon in progress
+	cancel(){
+		this.path = [];
+		this.elPath.hide();
+	}
+
+	getOperation(){
+		let {shiftKey, altKey} = this.pressed;
+
+		if(shiftKey && altKey){
+			return "intersect";
+		}else if(shiftKey){
+			return "add";
+		}else if(altKey){
+			return "subtract";
+		}else{
+			return this.operation;
+		}
+	}
+
+	/**
+	 * Combines the region with the active selection set, see PointRegion.js.
+	 * Creates a new set if there is no active one. The change is recorded in viewer.history.
+	 */
+	select(region, operation = this.operation){
+		let viewer = this.viewer;
+		let selectionSet = this.selectionSet;
+
+		if(!selectionSet){
+			selectionSet = new SelectionSet();
+			viewer.scene.addSelectionSet(selectionSet);
+			this.setSelectionSet(selectionSet);
+		}
+
+		let before = selectionSet.steps;
+
+		if(operation === "replace"){
+			selectionSet.setSteps([{operation: "add", region: region}]);
+		}else{
+			selectionSet.apply(operation, region);
+		}
+
+		let after = selectionSet.steps;
+
+		viewer.history.record({
+			name: `Select (${operation})`,
+			object: selectionSet,
+			undo: () => selectionSet.setSteps(before),
+			redo: () => selectionSet.setSteps(after),
+		});
+
+		return selectionSet;
+	}
+
+	finish(){
+		if(this.path.length >= 3){
+			let camera = this.viewer.scene.getActiveCamera();
+			let size = this.viewer.renderer.getSize(new THREE.Vector2());
+
+			this.select(createScreenPolygonRegion(camera, this.path, size.width, size.height), this.getOperation());
+		}
+
+		this.cancel();
+	}
+
+	drawPath(points){
+		this.elPath.find("polygon").attr("points", points.map(p => `${p.x},${p.y}`).join(" "));
+		this.elPath.show();
+	}
+
+	onDrag(e){
+		if(this.mode !== "lasso" || e.drag.mouse !== MOUSE.LEFT){
+			return;
+		}
+
+		this.path.push(e.drag.end.clone());
+		this.drawPath(this.path);
+
+		e.consume();
+	}
+
+	onDrop(e){
+		if(this.mode === "lasso"){
+			this.finish();
+		}else if(this.mode === "polygon"){
+			let isClick = e.drag.start.distanceTo(e.drag.end) === 0;
+
+			if(!isClick){
+				return;
+			}
+
+			// button numbers of mouse events, unlike the MOUSE bit masks of drags
+			if(this.pressed.button === 0){
+				this.path.push(e.drag.end.clone());
+			}else if(this.pressed.button === 2){
+				this.finish();
+			}
+		}
+	}
+
+	update(){
+		if(this.mode === "polygon" && this.path.length > 0){
+			this.drawPath([...this.path, this.viewer.inputHandler.mouse]);
+		}
+
+		let now = performance.now();
+		if(now - this.lastHighlightUpdate > this.highlightInterval){
+			this.lastHighlightUpdate = now;
+			this.updateHighlights();
+		}
+	}
+
+	removeHighlight(selectionSet){
+		let highlight = this.highlights.get(selectionSet);
+
+		if(highlight){
+			this.scene.remove(highlight.object);
+			highlight.object.geometry.dispose();
+			highlight.object.material.dispose();
+
+			this.highlights.delete(selectionSet);
+		}
+	}
+
+	getHighlight(selectionSet){
+		let highlight = this.highlights.get(selectionSet);
+
+		if(!highlight){
+			let material = new THREE.PointsMaterial({
+				size: 3,
+				sizeAttenuation: false,
+				depthTest: false,
+				depthWrite: false,
+			});
+			let object = new THREE.Points(new THREE.BufferGeometry(), material);
+			object.frustumCulled = false;
+
+			highlight = {
+				object: object,
+				key: null,
+				numPoints: 0,
+				// selected world positions of each geometry node, for the version of the set they were computed for
+				nodes: new WeakMap(),
+			};
+
+			this.highlights.set(selectionSet, highlight);
+			this.scene.add(object);
+		}
+
+		return highlight;
+	}
+
+	// the world positions of the selected points of a loaded node
+	getSelectedPoints(selectionSet, pointcloud, node){
+		let box = node.boundingBox.clone().applyMatrix4(pointcloud.matrixWorld);
+		let contains = selectionSet.createTest(box);
+
+		if(!contains || !node.geometry){
+			return new Float64Array(0);
+		}
+
+		let matrix = new THREE.Matrix4().multiplyMatrices(
+			pointcloud.matrixWorld,
+			new THREE.Matrix4().makeTranslation(...node.boundingBox.min.toArray()));
+		let e = matrix.elements;
+
+		let positions = node.geometry.attributes.position.array;
+		let numPoints = positions.length / 3;
+		let selected = new Float64Array(positions.length);
+		let numSelected = 0;
+
+		for(let i = 0; i < numPoints; i++){
+			let lx = positions[3 * i + 0];
+			let ly = positions[3 * i + 1];
+			let lz = positions[3 * i + 2];
+
+			let x = e[0] * lx + e[4] * ly + e[8] * lz + e[12];
+			let y = e[1] * lx + e[5] * ly + e[9] * lz + e[13];
+			let z = e[2] * lx + e[6] * ly + e[10] * lz + e[14];
+
+			if(contains(x, y, z)){
+				selected[3 * numSelected + 0] = x;
+				selected[3 * numSelected + 1] = y;
+				selected[3 * numSelected + 2] = z;
+				numSelected++;
+			}
+		}
+
+		return selected.slice(0, 3 * numSelected);
+	}
+
+	updateHighlights(){
+		let scene = this.viewer.scene;
+
+		let nodes = [];
+		for(let pointcloud of scene.pointclouds.filter(p => p.visible)){
+			for(let node of pointcloud.visibleNodes){
+				nodes.push({pointcloud, node: node.geometryNode});
+			}
+		}
+		let nodesKey = nodes.map(({pointcloud, node}) => `${pointcloud.uuid}/${node.name}`).join(",");
+
+		for(let selectionSet of scene.selectionSets){
+			if(!selectionSet.visible || selectionSet.isEmpty()){
+				this.removeHighlight(selectionSet);
+				continue;
+			}
+
+			let highlight = this.getHighlight(selectionSet);
+			let key = `${selectionSet.version};${selectionSet.color.getHexString()};${nodesKey}`;
+
+			if(highlight.key === key){
+				continue;
+			}
+
+			let chunks = [];
+			for(let {pointcloud, node} of nodes){
+				let cached = highlight.nodes.get(node);
+
+				if(!cached || cached.version !== selectionSet.version){
+					cached = {
+						version: selectionSet.version,
+						positions: this.getSelectedPoints(selectionSet, pointcloud, node),
+					};
+					highlight.nodes.set(node, cached);
+				}
+
+				chunks.push(cached.positions);
+			}
+
+			// relative to the first point, since world coordinates are too large for 32 bit floats
+			let numPoints = chunks.reduce((sum, chunk) => sum + chunk.length / 3, 0);
+			let origin = new THREE.Vector3();
+			let first = chunks.find(chunk => chunk.length > 0);
+			if(first){
+				origin.set(first[0], first[1], first[2]);
+			}
+
+			let positions = new Float32Array(3 * numPoints);
+			let offset = 0;
+			for(let chunk of chunks){
+				for(let i = 0; i < chunk.length; i += 3){
+					positions[offset++] = chunk[i + 0] - origin.x;
+					positions[offset++] = chunk[i + 1] - origin.y;
+					positions[offset++] = chunk[i + 2] - origin.z;
+				}
+			}
+
+			let {object} = highlight;
+			object.geometry.dispose();
+			object.geometry = new THREE.BufferGeometry();
+			object.geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+			object.position.copy(origin);
+			object.material.color.copy(selectionSet.color);
+
+			highlight.key = key;
+			highlight.numPoints = numPoints;
+
+			this.dispatchEvent({type: "highlight_updated", selectionSet: selectionSet, numPoints: numPoints});
+		}
+
+		for(let selectionSet of Array.from(this.highlights.keys())){
+			if(!scene.selectionSets.includes(selectionSet)){
+				this.removeHighlight(selectionSet);
+			}
+		}
+	}
+
+	render(){
+		if(this.highlights.size > 0){
+			this.viewer.renderer.render(this.scene, this.viewer.scene.getActiveCamera());
+		}
+	}
+
+};
@@ -0,0 +1,211 @@
+
+/**
+ * Accumulates summary statistics of points in batches, see PointStatistics.
+ * Has no dependencies, so that it can run in the StatisticsWorker as well as on the main thread.
+ *
+ * options:
+ *   elevationRange: [min, max] of the histogram that elevation percentiles are derived from
+ *   intensityRange: [min, max] of the intensity histogram
+ *   numElevationBins: resolution of the elevation histogram, default 65536
+ *   numIntensityBins: default 256
+ *   extent: [minX, minY, maxX, maxY] of the points, the covered area is estimated on a grid over it.
+ *       Points outside of it count towards the nearest cell at the border.
+ *   cellSize: size of the x/y grid cells that the covered area is estimated with, default 1.
+ *       It is doubled until the grid has at most StatisticsAccumulator.maxCells cells.
+ *   percentiles: default [1, 5, 25, 50, 75, 95, 99]
+ */
+export class StatisticsAccumulator{
+
+	constructor(options = {}){
+		this.elevationRange = options.elevationRange || [0, 1];
+		this.intensityRange = options.intensityRange || [0, 65536];
+		this.numElevationBins = options.numElevationBins || 65536;
+		this.numIntensityBins = options.numIntensityBins || 256;
+		this.extent = options.extent || [0, 0, 0, 0];
+		this.cellSize = options.cellSize || 1;
+		this.percentiles = options.percentiles || [1, 5, 25, 50, 75, 95, 99];
+
+		this.numPoints = 0;
+		this.levels = [];
+		this.min = [Infinity, Infinity, Infinity];
+		this.max = [-Infinity, -Infinity, -Infinity];
+		this.sumZ = 0;
+
+		this.elevationHistogram = new Float64Array(this.numElevationBins);
+		this.classification = new Map();
+		this.intensityHistogram = new Float64Array(this.numIntensityBins);
+		this.intensityMin = Infinity;
+		this.intensityMax = -Infinity;
+		this.gpsTimeMin = Infinity;
+		this.gpsTimeMax = -Infinity;
+
+		let [x0, y0, x1, y1] = this.extent;
+		let gridSize = (cellSize) => [
+			Math.floor(Math.max(x1 - x0, 0) / cellSize) + 1,
+			Math.floor(Math.max(y1 - y0, 0) / cellSize) + 1,
+		];
+
+		while(gridSize(this.cellSize)[0] * gridSize(this.cellSize)[1] > StatisticsAccumulator.maxCells){
+			this.cellSize *= 2;
+		}
+
+		// occupied x/y cells
+		[this.gridWidth, this.gridHeight] = gridSize(this.cellSize);
+		this.cells = new Uint8Array(this.gridWidth * this.gridHeight);
+		this.numOccupiedCells = 0;
+	}
+
+	/**
+	 * batch:
+	 *   numPoints
+	 *   level: octree level the points come from
+	 *   position: world coordinates, as xyz triplets
+	 *   classification, intensity, gpsTime: optional, one value per point
+	 */
+	add(batch){
+		let {numPoints, level, position, classification, intensity, gpsTime} = batch;
+
+		this.numPoints += numPoints;
+		this.levels[level] = (this.levels[level] || 0) + numPoints;
+
+		let [zMin, zMax] = this.elevationRange;
+		let zScale = this.numElevationBins / ((zMax - zMin) || 1);
+		let {min, max, cellSize, cells, gridWidth, gridHeight} = this;
+		let [x0, y0] = this.extent;
+
+		for(let i = 0; i < numPoints; i++){
+			let x = position[3 * i + 0];
+			let y = position[3 * i + 1];
+			let z = position[3 * i + 2];
+
+			min[0] = Math.min(min[0], x);
+			min[1] = Math.min(min[1], y);
+			min[2] = Math.min(min[2], z);
+			max[0] = Math.max(max[0], x);
+			max[1] = Math.max(max[1], y);
+			max[2] = Math.max(max[2], z);
+
+			this.sumZ += z;
+
+			let bin = Math.min(Math.max(Math.floor((z - zMin) * zScale), 0), this.numElevationBins - 1);
+			this.elevationHistogram[bin]++;
+
+			let ix = Math.min(Math.max(Math.floor((x - x0) / cellSize), 0), gridWidth - 1);
+			let iy = Math.min(Math.max(Math.floor((y - y0) / cellSize), 0), gridHeight - 1);
+			let cell = ix + iy * gridWidth;
+
+			if(cells[cell] === 0){
+				cells[cell] = 1;
+				this.numOccupiedCells++;
+			}
+		}
+
+		if(classification){
+			for(let i = 0; i < numPoints; i++){
+				let value = classification[i];
+
+				this.classification.set(value, (this.classification.get(value) || 0) + 1);
+			}
+		}
+
+		if(intensity){
+			let [iMin, iMax] = this.intensityRange;
+			let iScale = this.numIntensityBins / ((iMax - iMin) || 1);
+
+			for(let i = 0; i < numPoints; i++){
+				let value = intensity[i];
+
+				this.intensityMin = Math.min(this.intensityMin, value);
+				this.intensityMax = Math.max(this.intensityMax, value);
+
+				let bin = Math.min(Math.max(Math.floor((value - iMin) * iScale), 0), this.numIntensityBins - 1);
+				this.intensityHistogram[bin]++;
+			}
+		}
+
+		if(gpsTime){
+			for(let i = 0; i < numPoints; i++){
+				this.gpsTimeMin = Math.min(this.gpsTimeMin, gpsTime[i]);
+				this.gpsTimeMax = Math.max(this.gpsTimeMax, gpsTime[i]);
+			}
+		}
+	}
+
+	// the elevation below which the given fraction of points lies, at the resolution of the histogram
+	getElevationPercentile(fraction){
+		let [zMin, zMax] = this.elevationRange;
+		let binSize = (zMax - zMin) / this.numElevationBins;
+		let target = fraction * this.numPoints;
+		let sum = 0;
+
+		for(let i = 0; i < this.numElevationBins; i++){
+			sum += this.elevationHistogram[i];
+
+			if(sum >= target && sum > 0){
+				let value = zMin + (i + 0.5) * binSize;
+
+				return Math.min(Math.max(value, this.min[2]), this.max[2]);
+			}
+		}
+
+		return this.max[2];
+	}
+
+	/**
+	 * The statistics of the points added so far, as plain JSON.
+	 */
+	getSummary(){
+		let numPoints = this.numPoints;
+		let area = this.numOccupiedCells * this.cellSize * this.cellSize;
+
+		let summary = {
+			numPoints: numPoints,
+			levels: Array.from(this.levels, (count, level) => ({level, numPoints: count || 0})),
+			boundingBox: numPoints > 0 ? {min: this.min.slice(), max: this.max.slice()} : null,
+			area: area,
+			density: area > 0 ? numPoints / area : 0,
+			cellSize: this.cellSize,
+			elevation: null,
+			classification: Array.from(this.classification.entries())
+				.sort((a, b) => a[0] - b[0])
+				.map(([value, count]) => ({value, numPoints: count})),
+			intensity: null,
+			gpsTime: null,
+		};
+
+		if(numPoints > 0){
+			summary.elevation = {
+				min: this.min[2],
+				max: this.max[2],
+				mean: this.sumZ / numPoints,
+				percentiles: this.percentiles.map(p => ({
+					percentile: p,
+					value: this.getElevationPercentile(p / 100),
+				})),
+			};
+		}
+
+		if(this.intensityMin <= this.intensityMax){
+			summary.intensity = {
+				min: this.intensityMin,
+				max: this.intensityMax,
+				range: this.intensityRange.slice(),
+				histogram: Array.from(this.intensityHistogram),
+			};
+		}
+
+		if(this.gpsTimeMin <= this.gpsTimeMax){
+			summary.gpsTime = {
+				min: this.gpsTimeMin,
+				max: this.gpsTimeMax,
+				span: this.gpsTimeMax - this.gpsTimeMin,
+			};
+		}
+
+		return summary;
+	}
+
+};
+
+// bounds the memory of the grid, one byte per cell
+StatisticsAccumulator.maxCells = 16 * 1024 * 1024;
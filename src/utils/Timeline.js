@@ -0,0 +1,279 @@
+
+import {EventDispatcher} from "../EventDispatcher.js";
+
+/**
+ * Plays back the scene over time, in one of two modes:
+ *   "gps-time": moves the GPS-time filter window forward, e.g. to replay a mobile-mapping drive.
+ *       speed is in GPS seconds per second. windowSize is the length of the window in GPS seconds,
+ *       Infinity accumulates all points up to the current time.
+ *   "epochs": shows the epochs of the scene in order of their date, see Epoch. Each epoch is shown for
+ *       epochDuration seconds, followed by a cross-fade of fadeDuration seconds to the next one.
+ *       Cross-fades use the opacity of the materials, so eye-dome-lighting is off during playback.
+ *
+ * If cameraAnimation is set, the camera follows it, from its start at the start of the playback to its end at the end.
+ * stop() restores the filter, visibility, opacity and eye-dome-lighting from before the playback.
+ *
+ * Dispatches "time_changed" on each frame of the playback, and "play", "pause", "stop" and "settings_changed".
+ */
+export class Timeline extends EventDispatcher{
+
+	constructor(viewer){
+		super();
+
+		this.viewer = viewer;
+		this.mode = "gps-time";
+		this.playing = false;
+		this.time = 0;
+		this.loop = false;
+
+		this.speed = 1;
+		this.windowSize = 10;
+
+		this.epochDuration = 2;
+		this.fadeDuration = 1;
+
+		this.cameraAnimation = null;
+
+		// state from before the playback, restored by stop()
+		this.savedState = null;
+
+		viewer.addEventListener("update", (e) => {
+			if(this.playing){
+				this.advance(e.delta);
+			}
+		});
+
+		viewer.addEventListener("scene_changed", () => this.stop());
+	}
+
+	setMode(mode){
+		if(!["gps-time", "epochs"].includes(mode)){
+			throw new Error(`unknown timeline mode ${mode}`);
+		}
+
+		if(this.mode !== mode){
+			this.stop();
+			this.mode = mode;
+
+			this.dispatchEvent({type: "settings_changed", timeline: this});
+		}
+	}
+
+	setCameraAnimation(animation){
+		this.cameraAnimation = animation;
+
+		this.dispatchEvent({type: "settings_changed", timeline: this});
+	}
+
+	getEpochs(){
+		return this.viewer.scene.epochs.slice().sort((a, b) => a.date - b.date);
+	}
+
+	getGpsTimeExtent(){
+		let extent = this.viewer.getGpsTimeExtent();
+
+		return extent[0] <= extent[1] ? extent : null;
+	}
+
+	// the length of the playback in seconds
+	getDuration(){
+		if(this.mode === "gps-time"){
+			let extent = this.getGpsTimeExtent();
+
+			return extent ? (extent[1] - extent[0]) / this.speed : 0;
+		}else{
+			let numEpochs = this.viewer.scene.epochs.length;
+
+			return numEpochs > 0 ? numEpochs * this.epochDuration + (numEpochs - 1) * this.fadeDuration : 0;
+		}
+	}
+
+	// the time at which the given epoch is first shown fully
+	getEpochTime(epoch){
+		let index = this.getEpochs().indexOf(epoch);
+
+		return Math.max(index, 0) * (this.epochDuration + this.fadeDuration);
+	}
+
+	play(){
+		if(this.playing){
+			return;
+		}
+
+		if(this.time >= this.getDuration()){
+			this.time = 0;
+		}
+
+		this.playing = true;
+		this.dispatchEvent({type: "play", timeline: this});
+
+		this.apply();
+	}
+
+	pause(){
+		if(!this.playing){
+			return;
+		}
+
+		this.playing = false;
+		this.dispatchEvent({type: "pause", timeline: this});
+	}
+
+	stop(){
+		this.playing = false;
+		this.time = 0;
+
+		this.restoreState();
+
+		this.dispatchEvent({type: "stop", timeline: this});
+	}
+
+	seek(time){
+		this.time = Math.min(Math.max(time, 0), this.getDuration());
+
+		this.apply();
+	}
+
+	advance(delta){
+		let duration = this.getDuration();
+
+		this.time += delta;
+
+		if(this.time > duration){
+			if(this.loop && duration > 0){
+				this.time = this.time % duration;
+			}else{
+				this.time = duration;
+				this.pause();
+			}
+		}
+
+		this.apply();
+	}
+
+	saveState(){
+		let viewer = this.viewer;
+
+		this.savedState = {
+			mode: this.mode,
+			gpsTimeRange: viewer.filterGPSTimeRange.slice(),
+			useEDL: viewer.getEDLEnabled(),
+			pointclouds: this.getEpochs().map(epoch => ({
+				pointcloud: epoch.pointcloud,
+				visible: epoch.pointcloud.visible,
+				opacity: epoch.pointcloud.material.opacity,
+			})),
+		};
+
+		if(this.mode === "epochs" && this.fadeDuration > 0){
+			viewer.setEDLEnabled(false);
+		}
+	}
+
+	restoreState(){
+		let state = this.savedState;
+
+		if(!state){
+			return;
+		}
+
+		let viewer = this.viewer;
+
+		if(state.mode === "gps-time"){
+			viewer.setFilterGPSTimeRange(...state.gpsTimeRange);
+		}else{
+			for(let {pointcloud, visible, opacity} of state.pointclouds){
+				pointcloud.visible = visible;
+				pointcloud.material.opacity = opacity;
+			}
+		}
+
+		viewer.setEDLEnabled(state.useEDL);
+
+		this.savedState = null;
+	}
+
+	apply(){
+		if(!this.savedState){
+			this.saveState();
+		}
+
+		let duration = this.getDuration();
+		let progress = duration > 0 ? this.time / duration : 0;
+		let event = {
+			type: "time_changed",
+			timeline: this,
+			time: this.time,
+			duration: duration,
+			progress: progress,
+		};
+
+		if(this.mode === "gps-time"){
+			event.gpsTime = this.applyGpsTime();
+		}else{
+			event.epoch = this.applyEpochs();
+		}
+
+		if(this.cameraAnimation){
+			let frame = this.cameraAnimation.at(progress);
+
+			this.cameraAnimation.set(progress);
+			this.viewer.scene.view.position.copy(frame.position);
+			this.viewer.scene.view.lookAt(frame.target);
+		}
+
+		this.dispatchEvent(event);
+	}
+
+	applyGpsTime(){
+		let extent = this.getGpsTimeExtent();
+
+		if(!extent){
+			return null;
+		}
+
+		let gpsTime = Math.min(extent[0] + this.time * this.speed, extent[1]);
+		let start = this.windowSize === Infinity ? extent[0] : gpsTime - this.windowSize;
+
+		this.viewer.setFilterGPSTimeRange(start, gpsTime);
+
+		return gpsTime;
+	}
+
+	// returns the epoch that is shown the most
+	applyEpochs(){
+		let epochs = this.getEpochs();
+
+		if(epochs.length === 0){
+			return null;
+		}
+
+		let period = this.epochDuration + this.fadeDuration;
+		let index = Math.min(Math.floor(this.time / period), epochs.length - 1);
+		let local = this.time - index * period;
+		let fade = (index < epochs.length - 1 && local > this.epochDuration)
+			? (local - this.epochDuration) / this.fadeDuration
+			: 0;
+
+		epochs.forEach((epoch, i) => {
+			let weight = 0;
+			if(i === index){
+				weight = 1 - fade;
+			}else if(i === index + 1){
+				weight = fade;
+			}
+
+			let saved = this.savedState.pointclouds.find(s => s.pointcloud === epoch.pointcloud);
+			let opacity = saved ? saved.opacity : 1;
+
+			epoch.pointcloud.visible = weight > 0;
+
+			if(weight > 0){
+				epoch.pointcloud.material.opacity = weight * opacity;
+			}
+		});
+
+		return fade < 0.5 ? epochs[index] : epochs[index + 1];
+	}
+
+};
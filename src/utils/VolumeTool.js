@@ -73,6 +73,9 @@ export class VolumeTool extends EventDispatcher{
 			volume: volume
 		});
 
+		// the whole insertion is undone at once
+		this.viewer.history.beginGroup();
+
 		this.viewer.scene.addVolume(volume);
 		this.scene.add(volume);
 
@@ -111,6 +114,7 @@ export class VolumeTool extends EventDispatcher{
 			volume.removeEventListener('drag', drag);
 			volume.removeEventListener('drop', drop);
 			this.viewer.removeEventListener('cancel_insertions', cancel.callback);
+			this.viewer.history.endGroup();
 		};
 
 		volume.addEventListener('drag', drag);
@@ -233,6 +233,8 @@ export class EDLRenderer{
 		this.renderShadowMap(visiblePointClouds, camera, lights);
 
 		{ // COLOR & DEPTH PASS
+			const isTile = camera.view && camera.view.enabled;
+
 			for (let pointcloud of visiblePointClouds) {
 				let octreeSize = pointcloud.pcoGeometry.boundingBox.getSize(new THREE.Vector3()).x;
 
@@ -241,8 +243,9 @@ export class EDLRenderer{
 				material.useLogarithmicDepthBuffer = false;
 				material.useEDL = true;
 
-				material.screenWidth = width;
-				material.screenHeight = height;
+				// point sizes in tiles of a larger image are relative to the full image
+				material.screenWidth = isTile ? camera.view.fullWidth : width;
+				material.screenHeight = isTile ? camera.view.fullHeight : height;
 				material.uniforms.visibleNodes.value = pointcloud.material.visibleNodesTexture;
 				material.uniforms.octreeSize.value = octreeSize;
 				material.spacing = pointcloud.pcoGeometry.spacing; // * Math.max(pointcloud.scale.x, pointcloud.scale.y, pointcloud.scale.z);
@@ -328,13 +331,18 @@ export class EDLRenderer{
 
 		viewer.renderer.clearDepth();
 
-		viewer.transformationTool.update();
+		// tools are not available in offscreen viewers
+		if(viewer.transformationTool){
+			viewer.transformationTool.update();
+		}
 
 		viewer.dispatchEvent({type: "render.pass.perspective_overlay",viewer: viewer});
 
-		viewer.renderer.render(viewer.controls.sceneControls, camera);
-		viewer.renderer.render(viewer.clippingTool.sceneVolume, camera);
-		viewer.renderer.render(viewer.transformationTool.scene, camera);
+		if(viewer.transformationTool){
+			viewer.renderer.render(viewer.controls.sceneControls, camera);
+			viewer.renderer.render(viewer.clippingTool.sceneVolume, camera);
+			viewer.renderer.render(viewer.transformationTool.scene, camera);
+		}
 		
 		viewer.dispatchEvent({type: "render.pass.end",viewer: viewer});
 
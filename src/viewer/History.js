@@ -0,0 +1,217 @@
+
+import {EventDispatcher} from "../EventDispatcher.js";
+
+class CommandGroup{
+
+	constructor(name){
+		this.name = name;
+		this.commands = [];
+	}
+
+	undo(){
+		for(let i = this.commands.length - 1; i >= 0; i--){
+			this.commands[i].undo();
+		}
+	}
+
+	redo(){
+		for(let command of this.commands){
+			command.redo();
+		}
+	}
+
+};
+
+/**
+ * Undo and redo stacks of commands.
+ * A command is an object with a name, undo() and redo(), and optionally:
+ *   object: the object it changes
+ *   merge(command): absorbs a later command of the same object, returns true if it did
+ *   isEmpty(): true if the command no longer changes anything, e.g. after merging
+ *
+ * Commands recorded between beginGroup() and endGroup() are undone and redone as one,
+ * e.g. all the moves of a drag. Nested groups become part of the outermost group.
+ * Changes made while a command is undone or redone are not recorded.
+ *
+ * See HistoryRecorder, which records the edits of scene objects.
+ */
+export class History extends EventDispatcher{
+
+	constructor(){
+		super();
+
+		this.undoStack = [];
+		this.redoStack = [];
+
+		this.group = null;
+		this.groupDepth = 0;
+
+		this.maxSize = 100;
+
+		// consecutive changes of an object within this many milliseconds are merged, e.g. typing a title
+		this.mergeInterval = 1000;
+
+		this.applying = false;
+		this.enabled = true;
+	}
+
+	canUndo(){
+		return this.undoStack.length > 0 && this.groupDepth === 0;
+	}
+
+	canRedo(){
+		return this.redoStack.length > 0 && this.groupDepth === 0;
+	}
+
+	record(command){
+		if(this.applying || !this.enabled){
+			return;
+		}
+
+		let now = performance.now();
+
+		if(this.group){
+			let commands = this.group.commands;
+
+			for(let i = commands.length - 1; i >= 0; i--){
+				let previous = commands[i];
+
+				if(previous.merge && previous.merge(command)){
+					return;
+				}
+			}
+
+			commands.push(command);
+
+			return;
+		}
+
+		let top = this.undoStack[this.undoStack.length - 1];
+		let merged = top
+			&& top.merge
+			&& (now - top.timestamp) < this.mergeInterval
+			&& top.merge(command);
+
+		if(merged){
+			top.timestamp = now;
+
+			if(top.isEmpty && top.isEmpty()){
+				this.undoStack.pop();
+			}
+		}else{
+			command.timestamp = now;
+			this.push(command);
+		}
+
+		this.redoStack = [];
+
+		this.dispatchEvent({type: "history_changed", history: this});
+	}
+
+	push(command){
+		this.undoStack.push(command);
+
+		if(this.undoStack.length > this.maxSize){
+			this.undoStack.shift();
+		}
+	}
+
+	beginGroup(name = null){
+		if(this.groupDepth === 0){
+			this.group = new CommandGroup(name);
+
+			this.dispatchEvent({type: "group_started", history: this});
+		}
+
+		this.groupDepth++;
+	}
+
+	endGroup(){
+		if(this.groupDepth === 0){
+			return;
+		}
+
+		this.groupDepth--;
+
+		if(this.groupDepth > 0){
+			return;
+		}
+
+		let group = this.group;
+		this.group = null;
+
+		group.commands = group.commands.filter(command => !(command.isEmpty && command.isEmpty()));
+
+		if(group.commands.length > 0){
+			if(!group.name){
+				group.name = group.commands[0].name;
+			}
+
+			group.timestamp = performance.now();
+			this.push(group);
+			this.redoStack = [];
+		}
+
+		this.dispatchEvent({type: "group_ended", history: this});
+		this.dispatchEvent({type: "history_changed", history: this});
+	}
+
+	apply(command, action){
+		this.applying = true;
+
+		try{
+			command[action]();
+		}finally{
+			this.applying = false;
+		}
+
+		this.dispatchEvent({type: action, history: this, command: command});
+		this.dispatchEvent({type: "history_changed", history: this});
+	}
+
+	undo(){
+		if(!this.canUndo()){
+			return false;
+		}
+
+		let command = this.undoStack.pop();
+		this.redoStack.push(command);
+		this.apply(command, "undo");
+
+		return true;
+	}
+
+	redo(){
+		if(!this.canRedo()){
+			return false;
+		}
+
+		let command = this.redoStack.pop();
+		this.push(command);
+		this.apply(command, "redo");
+
+		return true;
+	}
+
+	// all commands in the order they were recorded, with done = false for those that were undone
+	getEntries(){
+		let done = this.undoStack.map(command => ({name: command.name, done: true}));
+		let undone = this.redoStack.slice().reverse().map(command => ({name: command.name, done: false}));
+
+		return [...done, ...undone];
+	}
+
+	// undoes or redoes commands until the first numDone entries are done
+	goTo(numDone){
+		while(this.undoStack.length > numDone && this.undo()){}
+		while(this.undoStack.length < numDone && this.redo()){}
+	}
+
+	clear(){
+		this.undoStack = [];
+		this.redoStack = [];
+
+		this.dispatchEvent({type: "history_changed", history: this});
+	}
+
+};
@@ -0,0 +1,371 @@
+
+import {Measure} from "../utils/Measure.js";
+import {Profile} from "../utils/Profile.js";
+import {Volume} from "../utils/Volume.js";
+import {Annotation} from "../Annotation.js";
+
+const measureFlags = [
+	"closed", "showDistances", "showCoordinates", "showArea", "showAngles",
+	"showCircle", "showHeight", "showEdges", "showAzimuth",
+];
+
+const cloneVector = (vector) => vector ? vector.clone() : vector;
+const clonePoint = (point) => Object.assign({}, point, {position: point.position.clone()});
+
+// how to capture and restore the editable state of each kind of scene object,
+// and the events that are dispatched when it changes
+const adapters = [
+	{
+		type: Measure,
+		events: ["marker_added", "marker_removed", "marker_moved"],
+		getState: (measure) => {
+			let state = {
+				name: measure.name,
+				points: measure.points.map(clonePoint),
+			};
+
+			for(let flag of measureFlags){
+				state[flag] = measure[flag];
+			}
+
+			return state;
+		},
+		setState: (measure, state) => {
+			measure.name = state.name;
+
+			while(measure.points.length > state.points.length){
+				measure.removeMarker(measure.points.length - 1);
+			}
+
+			for(let i = 0; i < state.points.length; i++){
+				let point = clonePoint(state.points[i]);
+
+				if(i < measure.points.length){
+					measure.setMarker(i, point);
+				}else{
+					measure.addMarker(point);
+				}
+			}
+
+			for(let flag of measureFlags){
+				measure[flag] = state[flag];
+			}
+		},
+	},{
+		type: Profile,
+		events: ["marker_added", "marker_removed", "marker_moved", "width_changed"],
+		getState: (profile) => ({
+			name: profile.name,
+			points: profile.points.map(point => point.clone()),
+			width: profile.width,
+		}),
+		setState: (profile, state) => {
+			profile.name = state.name;
+
+			while(profile.points.length > state.points.length){
+				profile.removeMarker(profile.points.length - 1);
+			}
+
+			for(let i = 0; i < state.points.length; i++){
+				if(i < profile.points.length){
+					profile.setPosition(i, state.points[i]);
+				}else{
+					profile.addMarker(state.points[i].clone());
+				}
+			}
+
+			profile.setWidth(state.width);
+		},
+	},{
+		type: Volume,
+		events: ["position_changed", "orientation_changed", "scale_changed", "clip_changed", "visibility_changed"],
+		getState: (volume) => ({
+			name: volume.name,
+			position: volume.position.clone(),
+			quaternion: volume.quaternion.clone(),
+			scale: volume.scale.clone(),
+			clip: volume.clip,
+			visible: volume.visible,
+		}),
+		setState: (volume, state) => {
+			volume.name = state.name;
+			volume.position.copy(state.position);
+			volume.quaternion.copy(state.quaternion);
+			volume.scale.copy(state.scale);
+			volume.clip = state.clip;
+			volume.visible = state.visible;
+
+			for(let type of ["position_changed", "orientation_changed", "scale_changed"]){
+				volume.dispatchEvent({type: type, object: volume});
+			}
+		},
+	},{
+		type: Annotation,
+		events: ["annotation_changed"],
+		getState: (annotation) => ({
+			title: annotation.title,
+			description: annotation.description,
+			position: cloneVector(annotation.position),
+			cameraPosition: cloneVector(annotation.cameraPosition),
+			cameraTarget: cloneVector(annotation.cameraTarget),
+		}),
+		setState: (annotation, state) => {
+			annotation.title = state.title;
+			annotation.description = state.description;
+			if(annotation.position && state.position){
+				annotation.position.copy(state.position);
+			}else{
+				annotation.position = cloneVector(state.position);
+			}
+			annotation.cameraPosition = cloneVector(state.cameraPosition);
+			annotation.cameraTarget = cloneVector(state.cameraTarget);
+		},
+	},
+];
+
+// the scene lists whose additions and removals are recorded
+const collections = [
+	{key: "measurement", list: "measurements", add: "addMeasurement", remove: "removeMeasurement"},
+	{key: "profile", list: "profiles", add: "addProfile", remove: "removeProfile"},
+	{key: "volume", list: "volumes", add: "addVolume", remove: "removeVolume"},
+];
+
+// adds an object to the scene or removes it, and reverses that on undo
+class AddRemoveCommand{
+
+	constructor(name, object, add, remove, isRemoval){
+		this.name = name;
+		this.object = object;
+		this.add = add;
+		this.remove = remove;
+		this.isRemoval = isRemoval;
+		this.cancelled = false;
+	}
+
+	undo(){
+		this.isRemoval ? this.add() : this.remove();
+	}
+
+	redo(){
+		this.isRemoval ? this.remove() : this.add();
+	}
+
+	// an object that is removed right after it was added, e.g. a cancelled insertion, leaves no trace
+	merge(command){
+		let cancels = !this.isRemoval
+			&& command instanceof AddRemoveCommand
+			&& command.isRemoval
+			&& command.object === this.object;
+
+		if(cancels){
+			this.cancelled = true;
+		}
+
+		return cancels;
+	}
+
+	isEmpty(){
+		return this.cancelled;
+	}
+
+};
+
+class StateCommand{
+
+	constructor(recorder, object, before, after){
+		this.recorder = recorder;
+		this.object = object;
+		this.before = before;
+		this.after = after;
+		this.name = `Edit ${recorder.getName(object)}`;
+	}
+
+	undo(){
+		this.recorder.setState(this.object, this.before);
+	}
+
+	redo(){
+		this.recorder.setState(this.object, this.after);
+	}
+
+	merge(command){
+		if(!(command instanceof StateCommand) || command.object !== this.object){
+			return false;
+		}
+
+		this.after = command.after;
+
+		return true;
+	}
+
+	isEmpty(){
+		return JSON.stringify(this.before) === JSON.stringify(this.after);
+	}
+
+};
+
+/**
+ * Records additions, removals and edits of measurements, profiles, volumes and annotations
+ * of the viewer's scene in viewer.history.
+ *
+ * Edits are detected through the events the objects dispatch when they change,
+ * e.g. marker_moved or position_changed, and recorded as the state before and after.
+ * Changes that don't dispatch events can be recorded with commit(object).
+ */
+export class HistoryRecorder{
+
+	constructor(viewer){
+		this.viewer = viewer;
+		this.history = viewer.history;
+		this.scene = null;
+
+		// last known state of each tracked object
+		this.states = new Map();
+
+		this.onChange = (e) => this.commit(e.target);
+
+		this.onAdded = (collection) => (e) => {
+			let object = e[collection.key];
+			let scene = this.scene;
+
+			this.track(object);
+			this.history.record(new AddRemoveCommand(`Add ${this.getName(object)}`, object,
+				() => scene[collection.add](object),
+				() => scene[collection.remove](object),
+				false));
+		};
+
+		this.onRemoved = (collection) => (e) => {
+			let object = e[collection.key];
+			let scene = this.scene;
+
+			this.history.record(new AddRemoveCommand(`Remove ${this.getName(object)}`, object,
+				() => scene[collection.add](object),
+				() => scene[collection.remove](object),
+				true));
+		};
+
+		this.listeners = collections.map(collection => ({
+			collection: collection,
+			added: this.onAdded(collection),
+			removed: this.onRemoved(collection),
+		}));
+
+		this.onAnnotationAdded = (e) => {
+			let annotation = e.annotation;
+			let parent = annotation.parent;
+
+			this.track(annotation);
+			this.history.record(new AddRemoveCommand(`Add ${this.getName(annotation)}`, annotation,
+				() => parent.add(annotation),
+				() => parent.remove(annotation),
+				false));
+		};
+
+		this.onAnnotationRemoved = (e) => {
+			let annotation = e.annotation;
+			let parent = e.parent;
+
+			this.history.record(new AddRemoveCommand(`Remove ${this.getName(annotation)}`, annotation,
+				() => parent.add(annotation),
+				() => parent.remove(annotation),
+				true));
+		};
+
+		// changes that did not dispatch events become the new baseline
+		this.history.addEventListener("group_started", () => this.refresh());
+		this.history.addEventListener("group_ended", () => this.refresh());
+
+		viewer.addEventListener("scene_changed", (e) => this.setScene(e.scene));
+
+		if(viewer.scene){
+			this.setScene(viewer.scene);
+		}
+	}
+
+	setScene(scene){
+		if(this.scene){
+			for(let {collection, added, removed} of this.listeners){
+				this.scene.removeEventListener(`${collection.key}_added`, added);
+				this.scene.removeEventListener(`${collection.key}_removed`, removed);
+			}
+
+			this.scene.annotations.removeEventListener("annotation_added", this.onAnnotationAdded);
+			this.scene.annotations.removeEventListener("annotation_removed", this.onAnnotationRemoved);
+		}
+
+		this.scene = scene;
+		this.history.clear();
+
+		for(let {collection, added, removed} of this.listeners){
+			scene.addEventListener(`${collection.key}_added`, added);
+			scene.addEventListener(`${collection.key}_removed`, removed);
+
+			for(let object of scene[collection.list]){
+				this.track(object);
+			}
+		}
+
+		scene.annotations.addEventListener("annotation_added", this.onAnnotationAdded);
+		scene.annotations.addEventListener("annotation_removed", this.onAnnotationRemoved);
+		scene.annotations.traverseDescendants(annotation => this.track(annotation));
+	}
+
+	getAdapter(object){
+		return adapters.find(adapter => object instanceof adapter.type);
+	}
+
+	getName(object){
+		return object.name || object.title || object.constructor.name;
+	}
+
+	track(object){
+		let adapter = this.getAdapter(object);
+
+		if(!adapter){
+			return;
+		}
+
+		if(!this.states.has(object)){
+			for(let type of adapter.events){
+				object.addEventListener(type, this.onChange);
+			}
+		}
+
+		this.states.set(object, adapter.getState(object));
+	}
+
+	// takes the current state of all tracked objects as they are, without recording anything
+	refresh(){
+		for(let object of this.states.keys()){
+			this.states.set(object, this.getAdapter(object).getState(object));
+		}
+	}
+
+	/**
+	 * Records the changes of an object since its last recorded state.
+	 * Only needed for changes that do not dispatch events, e.g. a new measurement.name.
+	 */
+	commit(object){
+		let before = this.states.get(object);
+
+		if(!before){
+			return;
+		}
+
+		let after = this.getAdapter(object).getState(object);
+		this.states.set(object, after);
+
+		let command = new StateCommand(this, object, before, after);
+
+		if(!command.isEmpty()){
+			this.history.record(command);
+		}
+	}
+
+	setState(object, state){
+		this.getAdapter(object).setState(object, state);
+		this.states.set(object, this.getAdapter(object).getState(object));
+	}
+
+};
@@ -0,0 +1,106 @@
+
+/**
+ * Tracks whether the current view has finished streaming, from the results of Potree.updatePointClouds.
+ *
+ * The view is refined once every visible node is loaded and displayed.
+ * It may still show fewer points than it could if budgetSaturated is true,
+ * since nodes beyond the point budget are never requested.
+ *
+ * Dispatches on the viewer:
+ *   "load_progress" whenever one of the values below changes, with {viewer, progress: this}
+ *   "refined" when the view becomes refined, with {viewer, progress: this}
+ */
+export class LoadProgress{
+
+	constructor(viewer){
+		this.viewer = viewer;
+
+		// visible nodes that are displayed, and all visible nodes the traversal has found so far
+		this.numLoadedNodes = 0;
+		this.numNeededNodes = 0;
+
+		// requests in flight, across all viewers
+		this.numNodesLoading = 0;
+
+		// bytes downloaded by the node loaders, across all viewers
+		this.bytesLoaded = 0;
+
+		this.budgetSaturated = false;
+		this.refined = false;
+
+		this.pending = [];
+
+		// the view doesn't change while the viewer is frozen, waiting for it to refine would never end
+		viewer.addEventListener("freeze_changed", () => {
+			if(viewer.freeze){
+				this.resolvePending(this.refined);
+			}
+		});
+	}
+
+	resolvePending(value){
+		let pending = this.pending;
+		this.pending = [];
+
+		for(let resolve of pending){
+			resolve(value);
+		}
+	}
+
+	update(result){
+		let state = {
+			numLoadedNodes: result.numLoadedNodes,
+			numNeededNodes: result.numNeededNodes,
+			numNodesLoading: Potree.numNodesLoading,
+			bytesLoaded: Potree.numBytesLoaded,
+			budgetSaturated: result.budgetSaturated,
+			refined: result.numPendingNodes === 0 && Potree.numNodesLoading === 0,
+		};
+
+		let changed = Object.keys(state).some(key => this[key] !== state[key]);
+		let becameRefined = state.refined && !this.refined;
+
+		Object.assign(this, state);
+
+		if(changed){
+			this.viewer.dispatchEvent({type: "load_progress", viewer: this.viewer, progress: this});
+		}
+
+		if(becameRefined){
+			this.viewer.dispatchEvent({type: "refined", viewer: this.viewer, progress: this});
+		}
+
+		if(this.refined){
+			this.resolvePending(true);
+		}
+	}
+
+	/**
+	 * Resolves to true after the next update in which the view is refined,
+	 * or to false if that does not happen within args.timeout milliseconds.
+	 * While the viewer is frozen, it resolves right away to whether the view was refined when it froze.
+	 */
+	whenRefined(args = {}){
+		let timeout = args.timeout !== undefined ? args.timeout : Infinity;
+
+		if(this.viewer.freeze){
+			return Promise.resolve(this.refined);
+		}
+
+		return new Promise(resolve => {
+			this.pending.push(resolve);
+
+			if(timeout !== Infinity){
+				setTimeout(() => {
+					let index = this.pending.indexOf(resolve);
+
+					if(index >= 0){
+						this.pending.splice(index, 1);
+						resolve(false);
+					}
+				}, timeout);
+			}
+		});
+	}
+
+};
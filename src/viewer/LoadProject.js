@@ -4,7 +4,12 @@ import {Annotation} from "../Annotation.js";
 import {Measure} from "../utils/Measure.js";
 import {CameraAnimation} from "../modules/CameraAnimation/CameraAnimation.js";
 import {Utils} from "../utils.js";
-import {PointSizeType} from "../defines.js";
+import {PointSizeType, ClipTask, ClipMethod} from "../defines.js";
+import {Images360Loader} from "../modules/Images360/Images360.js";
+import {SelectionSet} from "../utils/SelectionSet.js";
+import {Epoch} from "../utils/Epoch.js";
+import {Corridor} from "../modules/Corridor/Corridor.js";
+import {parseProject} from "./ProjectSchema.js";
 
 function loadPointCloud(viewer, data){
 
@@ -102,7 +107,10 @@ function loadMeasurement(viewer, data){
 	measure.showCircle = data.showCircle;
 	measure.showAzimuth = data.showAzimuth;
 	measure.showEdges = data.showEdges;
-	// color
+
+	if(data.color){
+		measure.color.fromArray(data.color);
+	}
 
 	for(const point of data.points){
 		const pos = new THREE.Vector3(...point);
@@ -200,19 +208,82 @@ function loadGeopackage(viewer, geopackage){
 
 }
 
+function loadImages360(viewer, data){
+
+	const duplicate = viewer.scene.images360.find(i => i.url === data.url);
+	if(duplicate){
+		return;
+	}
+
+	const params = {};
+
+	if(data.projection){
+		proj4.defs("WGS84", "+proj=longlat +ellps=WGS84 +datum=WGS84 +no_defs");
+		proj4.defs("pointcloud", viewer.getProjection());
+		params.transform = proj4(data.projection, "pointcloud");
+	}
+
+	Images360Loader.load(data.url, viewer, params).then( images => {
+		viewer.scene.add360Images(images);
+
+		if(data.visible != null){
+			images.visible = data.visible;
+		}
+
+		const focused = images.images.find(image => image.file === data.focusedImage);
+		if(focused){
+			images.focus(focused);
+		}
+	}).catch(e => {
+		console.error(e);
+		viewer.postError($("<span>").text(`Failed to load the 360 images of ${data.url}: ${e.message}`), {duration: 5000});
+	});
+
+}
+
+// null stands for an unbounded end of the range
+function loadRange(data, setter){
+	if(!data){
+		return;
+	}
+
+	const [from, to] = data;
+
+	setter(from === null ? -Infinity : from, to === null ? Infinity : to);
+}
+
 function loadSettings(viewer, data){
 	if(!data){
 		return;
 	}
 
-	viewer.setPointBudget(data.pointBudget);
-	viewer.setFOV(data.fov);
-	viewer.setEDLEnabled(data.edlEnabled);
-	viewer.setEDLRadius(data.edlRadius);
-	viewer.setEDLStrength(data.edlStrength);
-	viewer.setBackground(data.background);
-	viewer.setMinNodeSize(data.minNodeSize);
-	viewer.setShowBoundingBox(data.showBoundingBoxes);
+	const settings = [
+		["pointBudget", value => viewer.setPointBudget(value)],
+		["fov", value => viewer.setFOV(value)],
+		["edlEnabled", value => viewer.setEDLEnabled(value)],
+		["edlRadius", value => viewer.setEDLRadius(value)],
+		["edlStrength", value => viewer.setEDLStrength(value)],
+		["edlOpacity", value => viewer.setEDLOpacity(value)],
+		["background", value => viewer.setBackground(value)],
+		["minNodeSize", value => viewer.setMinNodeSize(value)],
+		["showBoundingBoxes", value => viewer.setShowBoundingBox(value)],
+		["clipTask", value => viewer.setClipTask(ClipTask[value])],
+		["clipMethod", value => viewer.setClipMethod(ClipMethod[value])],
+	];
+
+	for(const [key, setter] of settings){
+		if(data[key] != null){
+			setter(data[key]);
+		}
+	}
+
+	const filters = data.filters;
+	if(filters){
+		loadRange(filters.returnNumber, (from, to) => viewer.setFilterReturnNumberRange(from, to));
+		loadRange(filters.numberOfReturns, (from, to) => viewer.setFilterNumberOfReturnsRange(from, to));
+		loadRange(filters.gpsTime, (from, to) => viewer.setFilterGPSTimeRange(from, to));
+		loadRange(filters.pointSourceID, (from, to) => viewer.setFilterPointSourceIDRange(from, to));
+	}
 }
 
 function loadView(viewer, view){
@@ -227,6 +298,7 @@ function loadAnnotationItem(item){
 		title: item.title,
 		cameraPosition: item.cameraPosition,
 		cameraTarget: item.cameraTarget,
+		radius: item.radius,
 	});
 
 
@@ -304,6 +376,43 @@ function loadProfile(viewer, data){
 	viewer.scene.addProfile(profile);
 }
 
+function loadSelectionSet(viewer, data){
+
+	const duplicate = viewer.scene.selectionSets.find(selectionSet => selectionSet.uuid === data.uuid);
+	if(duplicate){
+		return;
+	}
+
+	viewer.scene.addSelectionSet(SelectionSet.fromJSON(data));
+}
+
+// epochs refer to their point cloud by url, so they are loaded once it is
+function loadEpoch(viewer, data){
+
+	const duplicate = viewer.scene.epochs.find(epoch => epoch.uuid === data.uuid);
+	if(duplicate){
+		return;
+	}
+
+	const pointcloud = viewer.scene.pointclouds.find(p => p.pcoGeometry.url === data.pointcloudUrl);
+	if(!pointcloud){
+		console.warn(`epoch ${data.name} refers to the missing point cloud ${data.pointcloudUrl}`);
+		return;
+	}
+
+	viewer.scene.addEpoch(Epoch.fromJSON(data, pointcloud));
+}
+
+function loadCorridor(viewer, data){
+
+	const duplicate = viewer.scene.corridors.find(corridor => corridor.uuid === data.uuid);
+	if(duplicate){
+		return;
+	}
+
+	viewer.scene.addCorridor(Corridor.fromJSON(data));
+}
+
 function loadClassification(viewer, data){
 	if(!data){
 		return;
@@ -314,12 +423,13 @@ function loadClassification(viewer, data){
 	viewer.setClassifications(classifications);
 }
 
+/**
+ * Loads a project saved with saveProject. Projects of older schema versions are migrated first.
+ * Throws a ProjectValidationError that lists the problems if the project is not valid.
+ */
 export async function loadProject(viewer, data){
 
-	if(data.type !== "Potree"){
-		console.error("not a valid Potree project");
-		return;
-	}
+	data = parseProject(data);
 
 	loadSettings(viewer, data.settings);
 
@@ -347,26 +457,42 @@ export async function loadProject(viewer, data){
 		loadProfile(viewer, profile);
 	}
 
-	if(data.orientedImages){
-		for(const images of data.orientedImages){
-			loadOrientedImages(viewer, images);
-		}
+	for(const images of data.orientedImages){
+		loadOrientedImages(viewer, images);
+	}
+
+	// selection sets, corridors and epochs are optional, projects saved before they were added don't have them
+	for(const selectionSet of data.selectionSets || []){
+		loadSelectionSet(viewer, selectionSet);
+	}
+
+	for(const corridor of data.corridors || []){
+		loadCorridor(viewer, corridor);
 	}
 
 	loadAnnotations(viewer, data.annotations);
 
 	loadClassification(viewer, data.classification);
 
+	// the loaded objects are the starting point, not edits that can be undone
+	viewer.history.clear();
+
 	// need to load at least one point cloud that defines the scene projection,
 	// before we can load stuff in other projections such as geopackages
 	//await Promise.any(pointcloudPromises); // (not yet supported)
 	Utils.waitAny(pointcloudPromises).then( () => {
-		if(data.geopackages){
-			for(const geopackage of data.geopackages){
-				loadGeopackage(viewer, geopackage);
-			}
+		for(const geopackage of data.geopackages){
+			loadGeopackage(viewer, geopackage);
+		}
+
+		for(const images of data.images360){
+			loadImages360(viewer, images);
 		}
 	});
 
 	await Promise.all(pointcloudPromises);
+
+	for(const epoch of data.epochs || []){
+		loadEpoch(viewer, epoch);
+	}
 }
\ No newline at end of file
@@ -0,0 +1,359 @@
+
+import * as THREE from "../../libs/three.js/build/three.module.js";
+import {EventDispatcher} from "../EventDispatcher.js";
+import {Renderer} from "../PotreeRenderer.js";
+import {Features} from "../Features.js";
+import {Utils} from "../utils.js";
+import {Scene} from "./Scene.js";
+import {LoadProgress} from "./LoadProgress.js";
+import {EDLRenderer} from "./EDLRenderer.js";
+import {PotreeRenderer} from "./PotreeRenderer.js";
+import {RasterLayer} from "../modules/RasterOverlay/RasterLayer.js";
+
+/**
+ * A viewer without render area, sidebar, controls and render loop, for batch screenshots and thumbnails.
+ *
+ * It renders into an OffscreenCanvas, a given canvas, or an externally supplied WebGL context.
+ * Each view is rendered once all visible nodes are loaded, at any resolution:
+ * Images larger than maxTileSize are rendered tile by tile and stitched together.
+ * The Potree bundle itself still expects to be loaded in a page, not in a worker.
+ *
+ * Usage:
+ *   let viewer = new Potree.OffscreenViewer();
+ *   let {pointcloud} = await Potree.loadPointCloud(url);
+ *   viewer.scene.addPointCloud(pointcloud);
+ *
+ *   let views = [0, 1, 2, 3].map(i => viewer.getFitView({yaw: i * Math.PI / 2}));
+ *   let pngs = await viewer.renderViews(views, {width: 1920, height: 1080});
+ *
+ * args:
+ *   canvas: OffscreenCanvas or canvas element, default is a new OffscreenCanvas
+ *   context: WebGL context to render with, instead of a canvas
+ *   background: "black", "white" or null for transparent
+ *   useEDL, pointBudget, minNodeSize
+ */
+export class OffscreenViewer extends EventDispatcher{
+
+	constructor(args = {}){
+		super();
+
+		let context = args.context || null;
+		let canvas = context ? context.canvas : (args.canvas || new OffscreenCanvas(1, 1));
+
+		if(!context){
+			context = canvas.getContext("webgl", {
+				alpha: true,
+				depth: true,
+				stencil: false,
+				antialias: false,
+				preserveDrawingBuffer: true,
+				powerPreference: "high-performance",
+			});
+		}
+
+		if(!context){
+			throw new Error("failed to create a WebGL context");
+		}
+
+		this.renderer = new THREE.WebGLRenderer({
+			alpha: true,
+			premultipliedAlpha: false,
+			canvas: canvas,
+			context: context,
+		});
+		this.renderer.sortObjects = false;
+		this.renderer.autoClear = false;
+
+		Utils.prepareWebGLContext(context);
+
+		this.pRenderer = new Renderer(this.renderer);
+		this.edlRenderer = null;
+		this.potreeRenderer = null;
+
+		this.scene = new Scene();
+		this.loadProgress = new LoadProgress(this);
+
+		this.background = args.background !== undefined ? args.background : "black";
+		this.skybox = null;
+		this.useEDL = args.useEDL !== undefined ? args.useEDL : true;
+		this.edlStrength = 0.4;
+		this.edlRadius = 1.4;
+		this.edlOpacity = 1.0;
+		this.minNodeSize = args.minNodeSize || 30;
+		this.generateDEM = false;
+		this.shadowTestCam = new THREE.PerspectiveCamera(90, 1, 2.5, 10.0);
+
+		// the largest image that is rendered at once, larger images are split into tiles
+		let maxViewport = context.getParameter(context.MAX_VIEWPORT_DIMS);
+		let maxRenderbuffer = context.getParameter(context.MAX_RENDERBUFFER_SIZE);
+		this.maxTileSize = Math.min(4096, maxViewport[0], maxViewport[1], maxRenderbuffer);
+
+		// give up waiting for nodes after this many milliseconds, e.g. if some of them fail to load
+		this.loadTimeout = 60 * 1000;
+
+		if(args.pointBudget !== undefined){
+			Potree.pointBudget = args.pointBudget;
+		}
+	}
+
+	getPRenderer(){
+		if(this.useEDL && Features.SHADER_EDL.isSupported()){
+			if(!this.edlRenderer){
+				this.edlRenderer = new EDLRenderer(this);
+			}
+
+			return this.edlRenderer;
+		}else{
+			if(!this.potreeRenderer){
+				this.potreeRenderer = new PotreeRenderer(this);
+			}
+
+			return this.potreeRenderer;
+		}
+	}
+
+	getHeightAt(x, y, mode = "mean"){
+		return this.scene.getHeightAt(x, y, mode);
+	}
+
+	/**
+	 * A view that looks at all point clouds from the given direction.
+	 * params: yaw and pitch in radians, factor > 1 zooms out, aspect of the image it is rendered with
+	 */
+	getFitView(params = {}){
+		let yaw = params.yaw !== undefined ? params.yaw : Math.PI / 4;
+		let pitch = params.pitch !== undefined ? params.pitch : -Math.PI / 4;
+
+		let box = this.scene.getBoundingBox();
+
+		if(box.isEmpty()){
+			throw new Error("the scene has no point clouds to fit the view to");
+		}
+
+		let camera = this.scene.cameraP.clone();
+		camera.aspect = params.aspect || 1;
+		camera.rotation.order = "ZXY";
+		camera.rotation.x = Math.PI / 2 + pitch;
+		camera.rotation.z = yaw;
+		camera.updateMatrixWorld();
+
+		let node = new THREE.Object3D();
+		node.boundingBox = box;
+		camera.zoomTo(node, params.factor || 1);
+
+		return {
+			position: camera.position.clone(),
+			target: box.getCenter(new THREE.Vector3()),
+		};
+	}
+
+	/**
+	 * Sets up the camera for a view, which is either {camera} with a THREE camera,
+	 * or {position, target, fov} with vectors or arrays in world coordinates.
+	 */
+	getCamera(view, width, height){
+		let aspect = width / height;
+
+		if(view.camera){
+			let camera = view.camera;
+
+			if(camera.isPerspectiveCamera){
+				camera.aspect = aspect;
+			}
+			camera.updateProjectionMatrix();
+			camera.updateMatrixWorld();
+
+			return camera;
+		}
+
+		let toVector = (value) => Array.isArray(value) ? new THREE.Vector3(...value) : value;
+
+		let sceneView = this.scene.view;
+		sceneView.position.copy(toVector(view.position));
+		sceneView.lookAt(toVector(view.target));
+
+		let camera = this.scene.cameraP;
+		camera.fov = view.fov || 60;
+		camera.aspect = aspect;
+		camera.position.copy(sceneView.position);
+		camera.rotation.order = "ZXY";
+		camera.rotation.x = Math.PI / 2 + sceneView.pitch;
+		camera.rotation.z = sceneView.yaw;
+		camera.updateProjectionMatrix();
+		camera.updateMatrixWorld();
+
+		return camera;
+	}
+
+	// updates point cloud visibility and materials for the given camera, see Viewer.update
+	update(camera){
+		let scene = this.scene;
+		let visiblePointClouds = scene.pointclouds.filter(pointcloud => pointcloud.visible);
+		let drapesVectors = scene.vectorLayers.some(layer => layer.visible && layer.drape);
+
+		for(let pointcloud of visiblePointClouds){
+			pointcloud.minimumNodePixelSize = this.minNodeSize;
+			pointcloud.generateDEM = this.generateDEM || drapesVectors;
+
+			let material = pointcloud.material;
+			let attIntensity = pointcloud.getAttribute("intensity");
+
+			if(attIntensity != null && material.intensityRange[0] === Infinity){
+				material.intensityRange = [...attIntensity.range];
+			}
+		}
+
+		let result = Potree.updatePointClouds(scene.pointclouds, camera, this.renderer);
+		this.loadProgress.update(result);
+
+		if(result.lowestSpacing !== Infinity && camera.isPerspectiveCamera){
+			let near = result.lowestSpacing * 10.0;
+			let far = -scene.getBoundingBox().applyMatrix4(camera.matrixWorldInverse).min.z;
+
+			camera.near = Math.min(100.0, Math.max(0.01, near));
+			camera.far = Math.max(far * 1.5, 10000, camera.near + 10000);
+			camera.updateProjectionMatrix();
+		}
+
+		for(let layer of scene.vectorLayers){
+			layer.update(this);
+		}
+
+		let rasterLayers = scene.rasterLayers
+			.filter(layer => layer.visible && layer.opacity > 0)
+			.slice(0, RasterLayer.maxLayers);
+
+		for(let pointcloud of visiblePointClouds){
+			pointcloud.material.setRasterLayers(rasterLayers);
+		}
+
+		return result;
+	}
+
+	/**
+	 * Updates the scene until all visible nodes are loaded and uploaded to the GPU.
+	 * Resolves to false if that takes longer than loadTimeout.
+	 */
+	async waitUntilLoaded(camera){
+		let start = performance.now();
+
+		while(true){
+			this.update(camera);
+
+			if(this.loadProgress.refined){
+				return true;
+			}
+
+			if(performance.now() - start > this.loadTimeout){
+				console.warn(`not all nodes were loaded within ${this.loadTimeout}ms`);
+
+				return false;
+			}
+
+			await new Promise(resolve => setTimeout(resolve, 10));
+		}
+	}
+
+	renderFrame(camera){
+		let pRenderer = this.getPRenderer();
+
+		this.renderer.setRenderTarget(null);
+		pRenderer.clear();
+		pRenderer.render({camera: camera});
+	}
+
+	/**
+	 * Renders a view, see getCamera, into an RGBA buffer with the first row at the top.
+	 * Returns {width, height, buffer}
+	 */
+	async renderPixels(view, params = {}){
+		let width = params.width || 1024;
+		let height = params.height || 1024;
+		let tileSize = this.maxTileSize;
+		let isTiled = width > tileSize || height > tileSize;
+
+		let camera = this.getCamera(view, width, height);
+		let gl = this.renderer.getContext();
+		let buffer = new Uint8Array(4 * width * height);
+
+		try{
+			for(let y = 0; y < height; y += tileSize){
+				for(let x = 0; x < width; x += tileSize){
+					let tileWidth = Math.min(tileSize, width - x);
+					let tileHeight = Math.min(tileSize, height - y);
+
+					this.renderer.setSize(tileWidth, tileHeight, false);
+
+					if(isTiled){
+						camera.setViewOffset(width, height, x, y, tileWidth, tileHeight);
+					}
+
+					await this.waitUntilLoaded(camera);
+					this.renderFrame(camera);
+
+					let tile = new Uint8Array(4 * tileWidth * tileHeight);
+					gl.readPixels(0, 0, tileWidth, tileHeight, gl.RGBA, gl.UNSIGNED_BYTE, tile);
+
+					// gl rows start at the bottom
+					for(let row = 0; row < tileHeight; row++){
+						let source = tile.subarray(4 * tileWidth * (tileHeight - row - 1), 4 * tileWidth * (tileHeight - row));
+						buffer.set(source, 4 * ((y + row) * width + x));
+					}
+				}
+			}
+		}finally{
+			if(isTiled){
+				camera.clearViewOffset();
+			}
+		}
+
+		return {width, height, buffer};
+	}
+
+	// renders a view into a PNG, see renderPixels
+	async renderView(view, params = {}){
+		let pixels = await this.renderPixels(view, params);
+
+		return OffscreenViewer.encodePNG(pixels);
+	}
+
+	// renders each view into a PNG, one after the other
+	async renderViews(views, params = {}){
+		let pngs = [];
+
+		for(let i = 0; i < views.length; i++){
+			pngs.push(await this.renderView(views[i], params));
+
+			this.dispatchEvent({type: "view_rendered", viewer: this, index: i, count: views.length});
+		}
+
+		return pngs;
+	}
+
+	// encodes an RGBA buffer as a PNG, returns an ArrayBuffer
+	static async encodePNG({width, height, buffer}){
+		let imageData = new ImageData(new Uint8ClampedArray(buffer.buffer, buffer.byteOffset, buffer.byteLength), width, height);
+		let blob;
+
+		if(typeof OffscreenCanvas !== "undefined"){
+			let canvas = new OffscreenCanvas(width, height);
+			canvas.getContext("2d").putImageData(imageData, 0, 0);
+
+			blob = await canvas.convertToBlob({type: "image/png"});
+		}else{
+			let canvas = document.createElement("canvas");
+			canvas.width = width;
+			canvas.height = height;
+			canvas.getContext("2d").putImageData(imageData, 0, 0);
+
+			blob = await new Promise(resolve => canvas.toBlob(resolve, "image/png"));
+		}
+
+		return blob.arrayBuffer();
+	}
+
+	dispose(){
+		this.renderer.dispose();
+	}
+
+};
@@ -84,15 +84,20 @@ export class PotreeRenderer {
 
 		viewer.dispatchEvent({type: "render.pass.scene",viewer: viewer});
 		
-		viewer.clippingTool.update();
-		renderer.render(viewer.clippingTool.sceneMarker, viewer.scene.cameraScreenSpace); //viewer.scene.cameraScreenSpace);
-		renderer.render(viewer.clippingTool.sceneVolume, camera);
+		// tools are not available in offscreen viewers
+		if(viewer.clippingTool){
+			viewer.clippingTool.update();
+			renderer.render(viewer.clippingTool.sceneMarker, viewer.scene.cameraScreenSpace); //viewer.scene.cameraScreenSpace);
+			renderer.render(viewer.clippingTool.sceneVolume, camera);
 
-		renderer.render(viewer.controls.sceneControls, camera);
+			renderer.render(viewer.controls.sceneControls, camera);
+		}
 		
 		renderer.clearDepth();
 		
-		viewer.transformationTool.update();
+		if(viewer.transformationTool){
+			viewer.transformationTool.update();
+		}
 		
 		viewer.dispatchEvent({type: "render.pass.perspective_overlay",viewer: viewer});
 
@@ -0,0 +1,503 @@
+
+/**
+ * Version, validation and migration of the project files written by saveProject.
+ *
+ * Each change of the file format increments projectSchemaVersion and adds a migration
+ * from the previous version, so that files of any earlier version can still be loaded.
+ * Files written before versioning was introduced have no schemaVersion and count as version 1.
+ */
+export const projectSchemaVersion = 6;
+
+/**
+ * Thrown if a project can not be loaded. errors lists each problem as "path: message",
+ * e.g. "measurements[2].points[0]: expected an array of 3 numbers, got [1, 2]"
+ */
+export class ProjectValidationError extends Error{
+
+	constructor(errors){
+		let message = errors.length === 1
+			? `invalid project: ${errors[0]}`
+			: `invalid project:\n${errors.join("\n")}`;
+
+		super(message);
+
+		this.name = "ProjectValidationError";
+		this.errors = errors;
+	}
+
+};
+
+const number = {type: "number"};
+const positive = {type: "number", positive: true};
+const string = {type: "string"};
+const date = {type: "string", date: true};
+const boolean = {type: "boolean"};
+const vec3 = {type: "array", items: number, length: 3};
+const optional = (schema) => Object.assign({}, schema, {optional: true});
+const arrayOf = (items) => ({type: "array", items: items});
+
+// [from, to], null for an unbounded end, since JSON has no Infinity
+const range = {type: "array", items: {type: "number", nullable: true}, length: 2};
+
+const annotation = {
+	type: "object",
+	properties: {
+		uuid: optional(string),
+		title: string,
+		description: optional(string),
+		position: vec3,
+		offset: optional(vec3),
+		cameraPosition: optional(vec3),
+		cameraTarget: optional(vec3),
+		radius: optional(number),
+	},
+};
+annotation.properties.children = arrayOf(annotation);
+
+const matrix = {type: "array", items: number, length: 16};
+const polygon = arrayOf({type: "array", items: number, length: 2});
+
+// the properties of each region type, see PointRegion.js
+export const regionSchema = {
+	type: "object",
+	variants: {
+		all: {},
+		box: {matrix},
+		sphere: {matrix},
+		spheres: {spheres: arrayOf({type: "array", items: number, length: 4})},
+		polygon: {matrix, polygon},
+		area: {polygon},
+	},
+};
+regionSchema.variants.selection = {
+	steps: arrayOf({
+		type: "object",
+		properties: {
+			operation: {type: "string", values: ["add", "subtract", "intersect"]},
+			region: regionSchema,
+		},
+	}),
+};
+
+const schema = {
+	type: "object",
+	properties: {
+		type: {type: "string", values: ["Potree"]},
+		schemaVersion: number,
+		settings: optional({
+			type: "object",
+			properties: {
+				pointBudget: optional(number),
+				fov: optional(number),
+				edlEnabled: optional(boolean),
+				edlRadius: optional(number),
+				edlStrength: optional(number),
+				edlOpacity: optional(number),
+				background: optional(string),
+				minNodeSize: optional(number),
+				showBoundingBoxes: optional(boolean),
+				clipTask: optional({type: "string", values: ["NONE", "HIGHLIGHT", "SHOW_INSIDE", "SHOW_OUTSIDE"]}),
+				clipMethod: optional({type: "string", values: ["INSIDE_ANY", "INSIDE_ALL"]}),
+				filters: optional({
+					type: "object",
+					properties: {
+						returnNumber: optional(range),
+						numberOfReturns: optional(range),
+						gpsTime: optional(range),
+						pointSourceID: optional(range),
+					},
+				}),
+			},
+		}),
+		view: {
+			type: "object",
+			properties: {
+				position: vec3,
+				target: vec3,
+			},
+		},
+		classification: optional({type: "object"}),
+		pointclouds: arrayOf({
+			type: "object",
+			properties: {
+				name: optional(string),
+				url: string,
+				position: vec3,
+				rotation: {type: "array", length: 4},
+				scale: vec3,
+				material: optional({
+					type: "object",
+					properties: {
+						activeAttributeName: optional(string),
+						ranges: optional(arrayOf({
+							type: "object",
+							properties: {
+								name: string,
+								value: {type: "array", length: 2},
+							},
+						})),
+						size: optional(number),
+						minSize: optional(number),
+						pointSizeType: optional({type: "string", values: ["FIXED", "ATTENUATED", "ADAPTIVE"]}),
+					},
+				}),
+			},
+		}),
+		measurements: arrayOf({
+			type: "object",
+			properties: {
+				uuid: optional(string),
+				name: optional(string),
+				points: arrayOf(vec3),
+				closed: optional(boolean),
+				showDistances: optional(boolean),
+				showCoordinates: optional(boolean),
+				showArea: optional(boolean),
+				showAngles: optional(boolean),
+				showHeight: optional(boolean),
+				showCircle: optional(boolean),
+				showAzimuth: optional(boolean),
+				showEdges: optional(boolean),
+				color: optional(vec3),
+			},
+		}),
+		volumes: arrayOf({
+			type: "object",
+			properties: {
+				uuid: optional(string),
+				type: {type: "string", values: ["BoxVolume", "SphereVolume"]},
+				name: optional(string),
+				position: vec3,
+				rotation: {type: "array", length: 4},
+				scale: vec3,
+				visible: optional(boolean),
+				clip: optional(boolean),
+			},
+		}),
+		cameraAnimations: arrayOf({
+			type: "object",
+			properties: {
+				uuid: optional(string),
+				name: optional(string),
+				duration: number,
+				t: optional(number),
+				curveType: optional(string),
+				visible: optional(boolean),
+				controlPoints: arrayOf({
+					type: "object",
+					properties: {
+						position: vec3,
+						target: vec3,
+					},
+				}),
+			},
+		}),
+		profiles: arrayOf({
+			type: "object",
+			properties: {
+				uuid: optional(string),
+				name: optional(string),
+				points: arrayOf(vec3),
+				width: number,
+			},
+		}),
+		annotations: arrayOf(annotation),
+		orientedImages: arrayOf({
+			type: "object",
+			properties: {
+				cameraParamsPath: string,
+				imageParamsPath: string,
+			},
+		}),
+		geopackages: arrayOf({
+			type: "object",
+			properties: {
+				path: string,
+			},
+		}),
+		images360: arrayOf({
+			type: "object",
+			properties: {
+				url: string,
+				projection: {type: "string", nullable: true},
+				visible: optional(boolean),
+				focusedImage: {type: "string", nullable: true, optional: true},
+			},
+		}),
+		selectionSets: optional(arrayOf({
+			type: "object",
+			properties: {
+				uuid: optional(string),
+				name: optional(string),
+				color: optional(vec3),
+				visible: optional(boolean),
+				steps: arrayOf({
+					type: "object",
+					properties: {
+						operation: {type: "string", values: ["add", "subtract", "intersect"]},
+						region: regionSchema,
+					},
+				}),
+			},
+		})),
+		epochs: optional(arrayOf({
+			type: "object",
+			properties: {
+				uuid: optional(string),
+				name: optional(string),
+				date: date,
+				pointcloudUrl: string,
+			},
+		})),
+		corridors: optional(arrayOf({
+			type: "object",
+			properties: {
+				uuid: optional(string),
+				name: optional(string),
+				alignment: arrayOf(vec3),
+				interval: positive,
+				width: positive,
+				depth: positive,
+				startStation: optional(number),
+				color: optional(vec3),
+			},
+		})),
+	},
+};
+
+// migrations[i] turns a project of version i + 1 into version i + 2
+const migrations = [
+
+	// 1 -> 2: schemaVersion, images360, clip task and method, filters and EDL opacity in the settings.
+	// Version 1 files were written by Potree 1.7 and earlier, some of them without the newer lists.
+	(data) => {
+		for(let key of ["measurements", "volumes", "cameraAnimations", "profiles", "annotations", "orientedImages", "geopackages"]){
+			if(data[key] == null){
+				data[key] = [];
+			}
+		}
+
+		let addChildren = (item) => {
+			if(item.children == null){
+				item.children = [];
+			}
+
+			item.children.forEach(addChildren);
+		};
+		data.annotations.forEach(addChildren);
+
+		data.images360 = [];
+		data.potreeVersion = data.version;
+		delete data.version;
+
+		return data;
+	},
+
+	// 2 -> 3: optional selectionSets, nothing to migrate
+	(data) => data,
+
+	// 3 -> 4: optional epochs, nothing to migrate
+	(data) => data,
+
+	// 4 -> 5: optional corridors, nothing to migrate
+	(data) => data,
+
+	// 5 -> 6: epochs refer to their point cloud by url instead of by name, which isn't unique.
+	// Epochs of point clouds that aren't in the project were skipped while loading, they are dropped.
+	(data) => {
+		if(!Array.isArray(data.epochs) || !Array.isArray(data.pointclouds)){
+			return data;
+		}
+
+		data.epochs = data.epochs.filter(epoch => {
+			let pointcloud = data.pointclouds.find(p => p && epoch && p.name === epoch.pointcloud);
+
+			if(!pointcloud){
+				return false;
+			}
+
+			epoch.pointcloudUrl = pointcloud.url;
+			delete epoch.pointcloud;
+
+			return true;
+		});
+
+		return data;
+	},
+
+];
+
+const describeValue = (value) => {
+	if(value === null){
+		return "null";
+	}else if(Array.isArray(value)){
+		let text = JSON.stringify(value);
+
+		return text.length > 40 ? `an array of length ${value.length}` : text;
+	}else if(typeof value === "object"){
+		return "an object";
+	}else{
+		return JSON.stringify(value);
+	}
+};
+
+const describeSchema = (schema) => {
+	if(schema.values){
+		return `one of ${schema.values.map(v => JSON.stringify(v)).join(", ")}`;
+	}else if(schema.type === "array" && schema.items && schema.length){
+		return `an array of ${schema.length} ${schema.items.type}s`;
+	}else if(schema.type === "array" && schema.length){
+		return `an array of length ${schema.length}`;
+	}else if(schema.type === "array"){
+		return "an array";
+	}else if(schema.type === "object"){
+		return "an object";
+	}else if(schema.date){
+		return "a date";
+	}else if(schema.positive){
+		return `a positive ${schema.type}`;
+	}else{
+		return `a ${schema.type}`;
+	}
+};
+
+function validate(value, schema, path, errors){
+	let at = path || "project";
+
+	if(value === undefined){
+		if(!schema.optional){
+			errors.push(`${at}: is missing`);
+		}
+
+		return;
+	}
+
+	if(value === null && schema.nullable){
+		return;
+	}
+
+	let valid = true;
+	if(schema.type === "array"){
+		valid = Array.isArray(value) && (schema.length === undefined || value.length === schema.length);
+	}else if(schema.type === "object"){
+		valid = value !== null && typeof value === "object" && !Array.isArray(value);
+	}else if(schema.type === "number"){
+		valid = typeof value === "number" && !Number.isNaN(value) && (!schema.positive || value > 0);
+	}else if(schema.date){
+		valid = typeof value === "string" && !Number.isNaN(Date.parse(value));
+	}else{
+		valid = typeof value === schema.type;
+	}
+
+	if(valid && schema.values){
+		valid = schema.values.includes(value);
+	}
+
+	if(!valid){
+		errors.push(`${at}: expected ${describeSchema(schema)}, got ${describeValue(value)}`);
+
+		return;
+	}
+
+	if(schema.type === "array" && schema.items){
+		for(let i = 0; i < value.length; i++){
+			validate(value[i], schema.items, `${path}[${i}]`, errors);
+		}
+	}else if(schema.type === "object" && schema.variants){
+		// the type property selects the properties of the variant
+		let variants = Object.keys(schema.variants);
+		let typePath = path ? `${path}.type` : "type";
+
+		if(!variants.includes(value.type)){
+			errors.push(`${typePath}: expected one of ${variants.map(v => JSON.stringify(v)).join(", ")}, got ${describeValue(value.type)}`);
+
+			return;
+		}
+
+		for(let [key, propertySchema] of Object.entries(schema.variants[value.type])){
+			validate(value[key], propertySchema, path ? `${path}.${key}` : key, errors);
+		}
+	}else if(schema.type === "object" && schema.properties){
+		// unknown properties are allowed, e.g. from extensions or newer minor additions
+		for(let [key, propertySchema] of Object.entries(schema.properties)){
+			validate(value[key], propertySchema, path ? `${path}.${key}` : key, errors);
+		}
+	}
+}
+
+const clone = (value) => {
+	if(Array.isArray(value)){
+		return value.map(clone);
+	}else if(value !== null && typeof value === "object"){
+		return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, clone(v)]));
+	}else{
+		return value;
+	}
+};
+
+/**
+ * Returns a copy of the project, migrated to the current schema version.
+ * Throws a ProjectValidationError if it is not a Potree project or was written by a newer version.
+ */
+export function migrateProject(data){
+
+	if(data === null || typeof data !== "object" || data.type !== "Potree"){
+		throw new ProjectValidationError([`type: expected "Potree", this is not a Potree project`]);
+	}
+
+	let version = data.schemaVersion === undefined ? 1 : data.schemaVersion;
+
+	if(!Number.isInteger(version) || version < 1){
+		throw new ProjectValidationError([`schemaVersion: expected a positive integer, got ${describeValue(version)}`]);
+	}else if(version > projectSchemaVersion){
+		throw new ProjectValidationError([
+			`schemaVersion: the project was saved with a newer version of Potree (schema version ${version}), `
+			+ `this version can load up to schema version ${projectSchemaVersion}`
+		]);
+	}
+
+	let migrated = clone(data);
+
+	for(let v = version; v < projectSchemaVersion; v++){
+		migrated = migrations[v - 1](migrated);
+		migrated.schemaVersion = v + 1;
+	}
+
+	return migrated;
+}
+
+/**
+ * Returns the problems of a value, e.g. a region stored outside of a project, an empty array if there are none.
+ * schema is one of the schemas of this file, e.g. regionSchema.
+ */
+export function validateValue(value, schema, path = ""){
+	let errors = [];
+
+	validate(value, schema, path, errors);
+
+	return errors;
+}
+
+// returns the problems of a project of the current schema version, an empty array if there are none
+export function validateProject(data){
+	let errors = [];
+
+	validate(data, schema, "", errors);
+
+	return errors;
+}
+
+/**
+ * Migrates and validates a project, see migrateProject.
+ * Throws a ProjectValidationError that lists all problems if it can not be loaded.
+ */
+export function parseProject(data){
+	let migrated = migrateProject(data);
+	let errors = validateProject(migrated);
+
+	if(errors.length > 0){
+		throw new ProjectValidationError(errors);
+	}
+
+	return migrated;
+}
@@ -1,6 +1,7 @@
 
 
 import {MeasurePanel} from "./MeasurePanel.js";
+import {CutFillPanel} from "./CutFillPanel.js";
 
 export class AreaPanel extends MeasurePanel{
 	constructor(viewer, measurement, propertiesPanel){
@@ -23,6 +24,9 @@ export class AreaPanel extends MeasurePanel{
 			</div>
 		`);
 
+		this.cutFillPanel = new CutFillPanel(viewer, measurement, propertiesPanel);
+		this.elContent.find("#measurement_area").after(this.cutFillPanel.elContent);
+
 		this.elRemove = this.elContent.find("img[name=remove]");
 		this.elRemove.click( () => {
 			this.viewer.scene.removeMeasurement(measurement);
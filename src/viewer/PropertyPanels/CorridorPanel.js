@@ -0,0 +1,183 @@
+
+import {Utils} from "../../utils.js";
+import {CorridorExporter} from "../../exporter/CorridorExporter.js";
+import {ProfileDrawingExporter} from "../../exporter/ProfileDrawingExporter.js";
+import {BlobSink, downloadBlob} from "../../exporter/ExportSink.js";
+
+export class CorridorPanel{
+	constructor(viewer, propertiesPanel, corridor){
+		this.viewer = viewer;
+		this.propertiesPanel = propertiesPanel;
+		this.corridor = corridor;
+
+		let removeIconPath = Potree.resourcePath + '/icons/remove.svg';
+		this.elContent = $(`
+			<div class="propertypanel_content">
+				<table>
+					<tr>
+						<th>length</th>
+						<td id="corridor_length"></td>
+					</tr>
+					<tr>
+						<th>stations</th>
+						<td id="corridor_stations"></td>
+					</tr>
+					<tr>
+						<th>sections</th>
+						<td id="corridor_sections"></td>
+					</tr>
+				</table>
+
+				<table style="margin-top: 10px">
+					<tr>
+						<th>interval</th>
+						<td><input id="txtCorridorInterval" type="number" min="0" step="any" style="width: 6em"/></td>
+					</tr>
+					<tr>
+						<th>width</th>
+						<td><input id="txtCorridorWidth" type="number" min="0" step="any" style="width: 6em"/></td>
+					</tr>
+					<tr>
+						<th>depth</th>
+						<td><input id="txtCorridorDepth" type="number" min="0" step="any" style="width: 6em"/></td>
+					</tr>
+					<tr>
+						<th>start station</th>
+						<td><input id="txtCorridorStartStation" type="number" step="any" style="width: 6em"/></td>
+					</tr>
+				</table>
+
+				<li style="display: flex; margin-top: 10px">
+					<input id="btnCorridorShowSections" type="button" value="Show Sections"/>
+				</li>
+				<li style="display: flex; margin-top: 5px">
+					<input id="btnCorridorExportCSV" type="button" value="Export CSV"/>
+					<input id="btnCorridorExportPDF" type="button" value="Export PDF"/>
+				</li>
+
+				<div style="display: flex; margin-top: 12px">
+					<span></span>
+					<span style="flex-grow: 1"></span>
+					<img name="remove" class="button-icon" src="${removeIconPath}" style="width: 16px; height: 16px"/>
+				</div>
+			</div>
+		`);
+
+		let inputs = {
+			interval: this.elContent.find("#txtCorridorInterval"),
+			width: this.elContent.find("#txtCorridorWidth"),
+			depth: this.elContent.find("#txtCorridorDepth"),
+			startStation: this.elContent.find("#txtCorridorStartStation"),
+		};
+
+		for(let [key, elInput] of Object.entries(inputs)){
+			elInput.val(corridor[key]);
+			elInput.change(() => {
+				let value = parseFloat(elInput.val());
+				let valid = Number.isFinite(value) && (key === "startStation" || value > 0);
+
+				elInput.css("background-color", valid ? "" : "#ff9999");
+
+				if(valid && value !== corridor[key]){
+					try{
+						corridor.setParameters({[key]: value});
+					}catch(e){
+						elInput.css("background-color", "#ff9999");
+						viewer.postError($("<span>").text(e.message), {duration: 5000});
+					}
+				}
+			});
+		}
+
+		this.elContent.find("#btnCorridorShowSections").click(() => {
+			if(corridor.sections.length === 0){
+				viewer.postError("The corridor has no sections", {duration: 5000});
+				return;
+			}
+
+			let controller = viewer.profileWindowController;
+			let index = controller.corridor === corridor ? controller.sectionIndex : 0;
+
+			viewer.profileWindow.show();
+			controller.showCorridorSection(corridor, index);
+		});
+
+		this.elContent.find("#btnCorridorExportCSV").click(() => {
+			this.exportSections(`${corridor.name}_sections.csv`, "text/csv", (sections, sink, options) => {
+				return CorridorExporter.writeCSV(corridor, sections, sink, options);
+			});
+		});
+
+		this.elContent.find("#btnCorridorExportPDF").click(() => {
+			this.exportSections(`${corridor.name}_sections.pdf`, "application/pdf", (sections, sink) => {
+				let drawings = CorridorExporter.layout(corridor, sections, {
+					unit: viewer.lengthUnit.code,
+					paper: viewer.profileWindow.drawingOptions.paper,
+					verticalExaggeration: viewer.profileWindow.drawingOptions.verticalExaggeration,
+				});
+
+				if(drawings.length === 0){
+					throw new Error("the sections contain no points");
+				}
+
+				return sink.write(ProfileDrawingExporter.toPDF(drawings));
+			});
+		});
+
+		this.elContent.find("img[name=remove]").click(() => {
+			viewer.scene.removeCorridor(corridor);
+		});
+
+		this._update = () => { this.update(); };
+		this.propertiesPanel.addVolatileListener(corridor, "sections_changed", this._update);
+
+		this.update();
+	}
+
+	/**
+	 * Extracts the points of all sections, then writes them with write(sections, sink, options).
+	 * Closing the progress message cancels the export.
+	 */
+	async exportSections(filename, type, write){
+		let viewer = this.viewer;
+		let controller = new AbortController();
+
+		let elProgress = $(`<span>Exporting <span name="filename"></span>: <span name="progress">0</span> / ${this.corridor.sections.length} sections</span>`);
+		elProgress.find("span[name=filename]").text(filename);
+		let message = viewer.postMessage(elProgress);
+		message.elClose.click(() => controller.abort());
+
+		try{
+			let sections = await viewer.corridorTool.extractSections(this.corridor, {
+				signal: controller.signal,
+				onProgress: ({numSectionsDone}) => {
+					elProgress.find("span[name=progress]").text(numSectionsDone);
+				},
+			});
+
+			let sink = new BlobSink(type);
+			await write(sections, sink, {signal: controller.signal});
+
+			downloadBlob(sink.toBlob(), filename);
+		}catch(e){
+			if(e.name !== "AbortError"){
+				console.error(e);
+				viewer.postError($("<span>").text(`Failed to export ${filename}: ${e.message}`), {duration: 5000});
+			}
+		}finally{
+			message.elClose.click();
+		}
+	}
+
+	update(){
+		let corridor = this.corridor;
+		let sections = corridor.sections;
+		let format = (value) => Utils.addCommas(value.toFixed(2));
+
+		this.elContent.find("#corridor_length").html(`${format(corridor.length)} ${this.viewer.lengthUnit.code}`);
+		this.elContent.find("#corridor_stations").html(`${format(corridor.startStation)} - ${format(corridor.endStation)}`);
+		this.elContent.find("#corridor_sections").html(sections.length > 0
+			? `${sections.length} (${sections[0].label} - ${sections[sections.length - 1].label})`
+			: "0");
+	}
+};
@@ -0,0 +1,221 @@
+
+import {Utils} from "../../utils.js";
+import {CutFillAnalysis} from "../../utils/CutFillAnalysis.js";
+import {downloadBlob} from "../../exporter/ExportSink.js";
+
+/**
+ * Computes and shows the cut and fill volumes within an area measurement or polygon clip volume, see CutFillAnalysis.
+ * The computation is canceled and the visualization removed when the properties panel shows something else.
+ */
+export class CutFillPanel{
+
+	constructor(viewer, shape, propertiesPanel){
+		this.viewer = viewer;
+		this.shape = shape;
+		this.propertiesPanel = propertiesPanel;
+		this.analysis = null;
+		this.mesh = null;
+
+		this.elContent = $(`
+			<div class="cut_fill_content">
+				<div class="divider">
+					<span>Cut / Fill</span>
+				</div>
+
+				<li>
+					<span>base:</span>
+					<select name="cut_fill_base">
+						<option value="plane">best-fit plane along the edge</option>
+						<option value="lowest">lowest point</option>
+						<option value="elevation">fixed elevation</option>
+						<option value="surface">point cloud</option>
+					</select>
+				</li>
+				<li name="cut_fill_elevation_row" style="display: none">
+					<span>elevation:</span>
+					<input name="cut_fill_elevation" type="number" value="0" step="0.1" style="width: 100%"/>
+				</li>
+				<li name="cut_fill_reference_row" style="display: none">
+					<span>reference:</span>
+					<select name="cut_fill_reference"></select>
+				</li>
+				<li>
+					<span>cell size:</span>
+					<input name="cut_fill_cell_size" type="number" value="0.5" min="0.01" step="0.1" style="width: 100%"/>
+				</li>
+
+				<li style="display: grid; grid-template-columns: auto auto; grid-column-gap: 5px; margin-top: 5px">
+					<input name="compute_cut_fill" type="button" value="compute"/>
+					<input name="cancel_cut_fill" type="button" value="cancel" disabled/>
+				</li>
+				<div name="cut_fill_progress" style="margin-top: 5px"></div>
+
+				<div name="cut_fill_results"></div>
+
+				<li name="cut_fill_show_row" style="display: none">
+					<label style="whitespace: nowrap">
+						<input name="cut_fill_show" type="checkbox" checked/>
+						<span>show cut (red) and fill (blue)</span>
+					</label>
+				</li>
+				<li name="cut_fill_export" style="display: none; grid-template-columns: auto auto; grid-column-gap: 5px; margin-top: 5px">
+					<input name="export_cut_fill_csv" type="button" value="export CSV"/>
+					<input name="export_cut_fill_json" type="button" value="export JSON"/>
+				</li>
+			</div>
+		`);
+
+		this.elBase = this.elContent.find("select[name=cut_fill_base]");
+		this.elElevation = this.elContent.find("input[name=cut_fill_elevation]");
+		this.elReference = this.elContent.find("select[name=cut_fill_reference]");
+		this.elCellSize = this.elContent.find("input[name=cut_fill_cell_size]");
+		this.elCompute = this.elContent.find("input[name=compute_cut_fill]");
+		this.elCancel = this.elContent.find("input[name=cancel_cut_fill]");
+		this.elProgress = this.elContent.find("div[name=cut_fill_progress]");
+		this.elResults = this.elContent.find("div[name=cut_fill_results]");
+		this.elShow = this.elContent.find("input[name=cut_fill_show]");
+		this.elExport = this.elContent.find("li[name=cut_fill_export]");
+
+		viewer.scene.pointclouds.forEach((pointcloud, i) => {
+			this.elReference.append($(`<option value="${i}"></option>`).text(pointcloud.name));
+		});
+
+		this.elBase.change(() => {
+			let base = this.elBase.val();
+
+			this.elContent.find("li[name=cut_fill_elevation_row]").toggle(base === "elevation");
+			this.elContent.find("li[name=cut_fill_reference_row]").toggle(base === "surface");
+		});
+
+		this.elCompute.click(() => this.compute());
+		this.elCancel.click(() => this.cancel());
+		this.elShow.change(() => {
+			if(this.mesh){
+				this.mesh.visible = this.elShow.is(":checked");
+			}
+		});
+
+		this.elContent.find("input[name=export_cut_fill_csv]").click(() => {
+			let csv = CutFillAnalysis.toCSV(this.analysis.result);
+
+			downloadBlob(new Blob([csv], {type: "text/csv"}), `${shape.name}_cut_fill.csv`);
+		});
+
+		this.elContent.find("input[name=export_cut_fill_json]").click(() => {
+			let json = JSON.stringify(this.analysis.result, null, "\t");
+
+			downloadBlob(new Blob([json], {type: "application/json"}), `${shape.name}_cut_fill.json`);
+		});
+
+		propertiesPanel.cleanupTasks.push(() => {
+			this.cancel();
+			this.removeMesh();
+		});
+	}
+
+	async compute(){
+		let scene = this.viewer.scene;
+		let base = this.elBase.val();
+		let reference = base === "surface" ? scene.pointclouds[parseInt(this.elReference.val())] : null;
+		let pointclouds = scene.pointclouds.filter(p => p.visible && p !== reference);
+
+		this.cancel();
+		this.removeMesh();
+
+		let analysis = new CutFillAnalysis(this.shape, pointclouds, {
+			base: base,
+			elevation: parseFloat(this.elElevation.val()),
+			reference: reference,
+			cellSize: parseFloat(this.elCellSize.val()),
+		});
+		this.analysis = analysis;
+
+		analysis.addEventListener("progress", e => {
+			this.elProgress.text(`${e.numPoints.toLocaleString()} points`);
+		});
+
+		this.elCompute.prop("disabled", true);
+		this.elCancel.prop("disabled", false);
+		this.elExport.hide();
+		this.elContent.find("li[name=cut_fill_show_row]").hide();
+		this.elResults.empty();
+		this.elProgress.text("computing...");
+
+		try{
+			let result = await analysis.compute();
+
+			this.showResult(result);
+			this.elProgress.text("");
+
+			this.mesh = analysis.createMesh();
+			this.mesh.visible = this.elShow.is(":checked");
+			scene.scene.add(this.mesh);
+
+			this.elContent.find("li[name=cut_fill_show_row]").show();
+			this.elExport.css("display", "grid");
+		}catch(e){
+			if(e.name === "AbortError"){
+				this.elProgress.text("canceled");
+			}else{
+				console.error(e);
+				this.elProgress.text(`failed: ${e.message}`);
+			}
+		}finally{
+			if(this.analysis === analysis){
+				this.elCompute.prop("disabled", false);
+				this.elCancel.prop("disabled", true);
+			}
+		}
+	}
+
+	cancel(){
+		if(this.analysis){
+			this.analysis.cancel();
+		}
+	}
+
+	removeMesh(){
+		if(this.mesh){
+			this.viewer.scene.scene.remove(this.mesh);
+			this.mesh.geometry.dispose();
+			this.mesh.material.dispose();
+			this.mesh = null;
+		}
+	}
+
+	showResult(result){
+		let format = (value, digits = 3) => Utils.addCommas(value.toFixed(digits));
+
+		let baseText = {
+			plane: "best-fit plane",
+			lowest: `lowest point, ${format(result.base.elevation || 0)}`,
+			elevation: `elevation ${format(result.base.elevation || 0)}`,
+			surface: result.base.reference,
+		}[result.base.type];
+
+		let rows = [
+			["base", baseText],
+			["area", `${format(result.area, 2)} m²`],
+			["cut", `${format(result.cut)} m³`],
+			["fill", `${format(result.fill)} m³`],
+			["net", `${format(result.net)} m³`],
+			["cut area", `${format(result.cutArea, 2)} m²`],
+			["fill area", `${format(result.fillArea, 2)} m²`],
+			["interpolated cells", `${result.numInterpolatedCells} of ${result.numCells}`],
+		];
+
+		let elTable = $(`<table class="measurement_value_table"></table>`);
+
+		for(let [name, value] of rows){
+			let elRow = $(`<tr><th></th><td style="text-align: right"></td></tr>`);
+			elRow.find("th").text(name);
+			elRow.find("td").text(value);
+
+			elTable.append(elRow);
+		}
+
+		this.elResults.empty();
+		this.elResults.append(elTable);
+	}
+
+};
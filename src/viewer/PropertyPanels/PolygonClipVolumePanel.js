@@ -0,0 +1,39 @@
+
+import {StatisticsPanel} from "./StatisticsPanel.js";
+import {CutFillPanel} from "./CutFillPanel.js";
+
+export class PolygonClipVolumePanel{
+	constructor(viewer, volume, propertiesPanel){
+		this.viewer = viewer;
+		this.volume = volume;
+		this.propertiesPanel = propertiesPanel;
+
+		let removeIconPath = Potree.resourcePath + '/icons/remove.svg';
+		this.elContent = $(`
+			<div class="measurement_content selectable">
+				<span style="font-weight: bold">Vertices: </span>
+				<span>${volume.markers.length}</span>
+
+				<span name="statistics_container"></span>
+
+				<!-- ACTIONS -->
+				<div style="display: flex; margin-top: 12px">
+					<span></span>
+					<span style="flex-grow: 1"></span>
+					<img name="remove" class="button-icon" src="${removeIconPath}" style="width: 16px; height: 16px"/>
+				</div>
+			</div>
+		`);
+
+		this.statisticsPanel = new StatisticsPanel(viewer, volume, propertiesPanel);
+		this.elContent.find("span[name=statistics_container]").append(this.statisticsPanel.elContent);
+
+		this.cutFillPanel = new CutFillPanel(viewer, volume, propertiesPanel);
+		this.elContent.find("span[name=statistics_container]").after(this.cutFillPanel.elContent);
+
+		this.elRemove = this.elContent.find("img[name=remove]");
+		this.elRemove.click( () => {
+			this.viewer.scene.removePolygonClipVolume(volume);
+		});
+	}
+};
@@ -1,6 +1,7 @@
 
 import * as THREE from "../../../libs/three.js/build/three.module.js";
 import {MeasurePanel} from "./MeasurePanel.js";
+import {StatisticsPanel} from "./StatisticsPanel.js";
 
 export class ProfilePanel extends MeasurePanel{
 	constructor(viewer, measurement, propertiesPanel){
@@ -35,6 +36,9 @@ export class ProfilePanel extends MeasurePanel{
 			</div>
 		`);
 
+		this.statisticsPanel = new StatisticsPanel(viewer, measurement, propertiesPanel);
+		this.elContent.find("#show_2d_profile").after(this.statisticsPanel.elContent);
+
 		this.elRemove = this.elContent.find("img[name=remove]");
 		this.elRemove.click( () => {
 			this.viewer.scene.removeProfile(measurement);
@@ -7,6 +7,10 @@ import {Measure} from "../../utils/Measure.js";
 import {Profile} from "../../utils/Profile.js";
 import {Volume, BoxVolume, SphereVolume} from "../../utils/Volume.js";
 import {CameraAnimation} from "../../modules/CameraAnimation/CameraAnimation.js";
+import {RasterLayer} from "../../modules/RasterOverlay/RasterLayer.js";
+import {Trajectory} from "../../modules/Trajectory/Trajectory.js";
+import {Corridor} from "../../modules/Corridor/Corridor.js";
+import {PolygonClipVolume} from "../../utils/PolygonClipVolume.js";
 import {PointSizeType, PointShape, ElevationGradientRepeat} from "../../defines.js";
 import {Gradients} from "../../materials/Gradients.js";
 
@@ -22,6 +26,10 @@ import {ProfilePanel} from "./ProfilePanel.js";
 import {CameraPanel} from "./CameraPanel.js";
 import {AnnotationPanel} from "./AnnotationPanel.js";
 import { CameraAnimationPanel } from "./CameraAnimationPanel.js";
+import {RasterLayerPanel} from "./RasterLayerPanel.js";
+import {PolygonClipVolumePanel} from "./PolygonClipVolumePanel.js";
+import {TrajectoryPanel} from "./TrajectoryPanel.js";
+import {CorridorPanel} from "./CorridorPanel.js";
 
 export class PropertiesPanel{
 
@@ -60,6 +68,14 @@ export class PropertiesPanel{
 			this.setAnnotation(object);
 		}else if(object instanceof CameraAnimation){
 			this.setCameraAnimation(object);
+		}else if(object instanceof RasterLayer){
+			this.setRasterLayer(object);
+		}else if(object instanceof PolygonClipVolume){
+			this.setPolygonClipVolume(object);
+		}else if(object instanceof Trajectory){
+			this.setTrajectory(object);
+		}else if(object instanceof Corridor){
+			this.setCorridor(object);
 		}
 		
 	}
@@ -392,6 +408,7 @@ export class PropertiesPanel{
 			let options = [];
 
 			options.push(...attributes.map(a => a.name));
+			options.push(...pointcloud.derivedAttributes.map(a => a.name));
 
 			const intensityIndex = options.indexOf("intensity");
 			if(intensityIndex >= 0){
@@ -953,4 +970,24 @@ export class PropertiesPanel{
 		this.container.append(panel.elContent);
 	}
 
+	setPolygonClipVolume(volume){
+		let panel = new PolygonClipVolumePanel(this.viewer, volume, this);
+		this.container.append(panel.elContent);
+	}
+
+	setRasterLayer(layer){
+		let panel = new RasterLayerPanel(this.viewer, this, layer);
+		this.container.append(panel.elContent);
+	}
+
+	setTrajectory(trajectory){
+		let panel = new TrajectoryPanel(this.viewer, this, trajectory);
+		this.container.append(panel.elContent);
+	}
+
+	setCorridor(corridor){
+		let panel = new CorridorPanel(this.viewer, this, corridor);
+		this.container.append(panel.elContent);
+	}
+
 }
@@ -0,0 +1,64 @@
+
+export class RasterLayerPanel{
+	constructor(viewer, propertiesPanel, layer){
+		this.viewer = viewer;
+		this.propertiesPanel = propertiesPanel;
+		this.layer = layer;
+
+		let removeIconPath = Potree.resourcePath + '/icons/remove.svg';
+		this.elContent = $(`
+			<div class="propertypanel_content">
+				<table>
+					<tr>
+						<th>size</th>
+						<td id="raster_layer_size"></td>
+					</tr>
+					<tr>
+						<th>extent</th>
+						<td id="raster_layer_extent"></td>
+					</tr>
+				</table>
+
+				<span>Opacity: </span><span id="lblRasterLayerOpacity"></span> <div id="sldRasterLayerOpacity"></div>
+
+				<div style="display: flex; margin-top: 12px">
+					<span></span>
+					<span style="flex-grow: 1"></span>
+					<img name="remove" class="button-icon" src="${removeIconPath}" style="width: 16px; height: 16px"/>
+				</div>
+			</div>
+		`);
+
+		let {width, height} = layer.image;
+		let {min, max} = layer.boundingBox;
+		let format = (value) => value.toFixed(2);
+		this.elContent.find("#raster_layer_size").html(`${width} x ${height}`);
+		this.elContent.find("#raster_layer_extent").html(
+			`${format(min.x)}, ${format(min.y)}<br>${format(max.x)}, ${format(max.y)}`);
+
+		let elOpacity = this.elContent.find("#sldRasterLayerOpacity");
+		elOpacity.slider({
+			value: layer.opacity,
+			min: 0,
+			max: 1,
+			step: 0.01,
+			slide: (event, ui) => { layer.opacity = ui.value; }
+		});
+
+		this.elContent.find("img[name=remove]").click(() => {
+			this.viewer.scene.removeRasterLayer(layer);
+		});
+
+		this._update = () => { this.update(); };
+		this.propertiesPanel.addVolatileListener(layer, "opacity_changed", this._update);
+
+		this.update();
+	}
+
+	update(){
+		let opacity = this.layer.opacity;
+
+		this.elContent.find("#lblRasterLayerOpacity").html(opacity.toFixed(2));
+		this.elContent.find("#sldRasterLayerOpacity").slider({value: opacity});
+	}
+};
@@ -0,0 +1,194 @@
+
+import {Utils} from "../../utils.js";
+import {PointStatistics} from "../../utils/PointStatistics.js";
+import {downloadBlob} from "../../exporter/ExportSink.js";
+
+/**
+ * Computes and shows the PointStatistics of a volume or profile, see VolumePanel, ProfilePanel and PolygonClipVolumePanel.
+ * The computation is canceled when the properties panel shows something else.
+ */
+export class StatisticsPanel{
+
+	constructor(viewer, shape, propertiesPanel){
+		this.viewer = viewer;
+		this.shape = shape;
+		this.propertiesPanel = propertiesPanel;
+		this.statistics = null;
+
+		this.elContent = $(`
+			<div class="statistics_content">
+				<div class="divider">
+					<span>Statistics</span>
+				</div>
+
+				<li style="display: grid; grid-template-columns: auto auto; grid-column-gap: 5px">
+					<input name="compute_statistics" type="button" value="compute"/>
+					<input name="cancel_statistics" type="button" value="cancel" disabled/>
+				</li>
+				<div name="statistics_progress" style="margin-top: 5px"></div>
+
+				<div name="statistics_results"></div>
+
+				<li name="statistics_export" style="display: none; grid-template-columns: auto auto; grid-column-gap: 5px; margin-top: 5px">
+					<input name="export_statistics_csv" type="button" value="export CSV"/>
+					<input name="export_statistics_json" type="button" value="export JSON"/>
+				</li>
+			</div>
+		`);
+
+		this.elCompute = this.elContent.find("input[name=compute_statistics]");
+		this.elCancel = this.elContent.find("input[name=cancel_statistics]");
+		this.elProgress = this.elContent.find("div[name=statistics_progress]");
+		this.elResults = this.elContent.find("div[name=statistics_results]");
+		this.elExport = this.elContent.find("li[name=statistics_export]");
+
+		this.elCompute.click(() => this.compute());
+		this.elCancel.click(() => this.cancel());
+
+		this.elContent.find("input[name=export_statistics_csv]").click(() => {
+			let csv = PointStatistics.toCSV(this.statistics.summary, this.viewer.classifications);
+
+			downloadBlob(new Blob([csv], {type: "text/csv"}), `${shape.name}_statistics.csv`);
+		});
+
+		this.elContent.find("input[name=export_statistics_json]").click(() => {
+			let json = JSON.stringify(this.statistics.summary, null, "\t");
+
+			downloadBlob(new Blob([json], {type: "application/json"}), `${shape.name}_statistics.json`);
+		});
+
+		propertiesPanel.cleanupTasks.push(() => this.cancel());
+	}
+
+	async compute(){
+		let pointclouds = this.viewer.scene.pointclouds.filter(p => p.visible);
+
+		this.cancel();
+
+		let statistics = new PointStatistics(this.shape, pointclouds);
+		this.statistics = statistics;
+
+		statistics.addEventListener("progress", e => this.showSummary(e.summary));
+
+		this.elCompute.prop("disabled", true);
+		this.elCancel.prop("disabled", false);
+		this.elExport.hide();
+		this.elResults.empty();
+		this.elProgress.text("computing...");
+
+		try{
+			let summary = await statistics.compute();
+
+			this.showSummary(summary);
+			this.elProgress.text("");
+			this.elExport.css("display", "grid");
+		}catch(e){
+			if(e.name === "AbortError"){
+				this.elProgress.text("canceled, the results are incomplete");
+			}else{
+				console.error(e);
+				this.elProgress.text(`failed: ${e.message}`);
+			}
+		}finally{
+			if(this.statistics === statistics){
+				this.elCompute.prop("disabled", false);
+				this.elCancel.prop("disabled", true);
+			}
+		}
+	}
+
+	cancel(){
+		if(this.statistics){
+			this.statistics.cancel();
+		}
+	}
+
+	createTable(rows){
+		let elTable = $(`<table class="measurement_value_table"></table>`);
+
+		for(let [name, value] of rows){
+			let elRow = $(`<tr><th></th><td style="text-align: right"></td></tr>`);
+			elRow.find("th").text(name);
+			elRow.find("td").text(value);
+
+			elTable.append(elRow);
+		}
+
+		return elTable;
+	}
+
+	createHistogram(histogram){
+		let width = 200;
+		let height = 50;
+		let max = Math.max(...histogram, 1);
+		let barWidth = width / histogram.length;
+
+		let bars = histogram.map((count, i) => {
+			let barHeight = height * count / max;
+
+			return `<rect x="${i * barWidth}" y="${height - barHeight}" width="${barWidth}" height="${barHeight}" fill="#ccc"/>`;
+		}).join("");
+
+		return $(`<svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" style="width: 100%; height: 50px">${bars}</svg>`);
+	}
+
+	showSummary(summary){
+		let format = (value, digits = 3) => Utils.addCommas(value.toFixed(digits));
+		let classifications = this.viewer.classifications;
+
+		let rows = [
+			["points", summary.numPoints.toLocaleString()],
+			["area", `${format(summary.area, 1)} m²`],
+			["density", `${format(summary.density, 2)} / m²`],
+		];
+
+		if(summary.volumeDensity !== null){
+			rows.push(["volume density", `${format(summary.volumeDensity, 2)} / m³`]);
+		}
+
+		if(summary.elevation){
+			rows.push(["elevation min", format(summary.elevation.min)]);
+			rows.push(["elevation max", format(summary.elevation.max)]);
+			rows.push(["elevation mean", format(summary.elevation.mean)]);
+
+			for(let {percentile, value} of summary.elevation.percentiles){
+				rows.push([`elevation p${percentile}`, format(value)]);
+			}
+		}
+
+		if(summary.gpsTime){
+			rows.push(["gps-time min", format(summary.gpsTime.min)]);
+			rows.push(["gps-time max", format(summary.gpsTime.max)]);
+			rows.push(["gps-time span", format(summary.gpsTime.span)]);
+		}
+
+		this.elResults.empty();
+		this.elResults.append(this.createTable(rows));
+
+		this.elResults.append(`<div style="margin-top: 5px; font-weight: bold">points per level</div>`);
+		this.elResults.append(this.createTable(
+			summary.levels.map(({level, numPoints}) => [level, numPoints.toLocaleString()])));
+
+		if(summary.classification.length > 0){
+			this.elResults.append(`<div style="margin-top: 5px; font-weight: bold">classification</div>`);
+			this.elResults.append(this.createTable(summary.classification.map(({value, numPoints}) => {
+				let name = classifications[value] ? `${value} ${classifications[value].name}` : value;
+
+				return [name, numPoints.toLocaleString()];
+			})));
+		}
+
+		if(summary.intensity){
+			let {min, max, range, histogram} = summary.intensity;
+
+			// only the bins between the smallest and largest intensity
+			let binSize = (range[1] - range[0]) / histogram.length;
+			let first = Math.max(Math.floor((min - range[0]) / binSize), 0);
+			let last = Math.min(Math.floor((max - range[0]) / binSize), histogram.length - 1);
+
+			this.elResults.append(`<div style="margin-top: 5px; font-weight: bold">intensity ${min} - ${max}</div>`);
+			this.elResults.append(this.createHistogram(histogram.slice(first, last + 1)));
+		}
+	}
+
+};
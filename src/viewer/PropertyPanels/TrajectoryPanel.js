@@ -0,0 +1,142 @@
+
+import {Utils} from "../../utils.js";
+import {TrajectoryLoader} from "../../modules/Trajectory/Trajectory.js";
+
+export class TrajectoryPanel{
+	constructor(viewer, propertiesPanel, trajectory){
+		this.viewer = viewer;
+		this.propertiesPanel = propertiesPanel;
+		this.trajectory = trajectory;
+
+		let tool = viewer.trajectoryTool;
+		let removeIconPath = Potree.resourcePath + '/icons/remove.svg';
+		this.elContent = $(`
+			<div class="propertypanel_content">
+				<table>
+					<tr>
+						<th>records</th>
+						<td id="trajectory_records"></td>
+					</tr>
+					<tr>
+						<th>GPS-time</th>
+						<td id="trajectory_time"></td>
+					</tr>
+					<tr>
+						<th>duration</th>
+						<td id="trajectory_duration"></td>
+					</tr>
+					<tr>
+						<th>length</th>
+						<td id="trajectory_length"></td>
+					</tr>
+				</table>
+
+				<li style="margin-top: 10px">
+					time offset <input id="txtTrajectoryTimeOffset" type="number" step="any" style="width: 8em"/> s
+				</li>
+				<li style="margin-top: 5px">
+					or GPS week <input id="txtTrajectoryGPSWeek" type="number" min="0" step="1" style="width: 4em"/>
+					of times in seconds of the week, for LAS 1.4 point clouds
+				</li>
+
+				<li style="margin-top: 10px">
+					Filter ± <input id="txtTrajectoryTimeWindow" type="number" min="0" step="any" style="width: 4em"/> s
+					around clicked points
+				</li>
+				<li style="display: flex; margin-top: 5px">
+					<input id="btnTrajectoryPick" type="button" value="Pick"/>
+					<input id="btnTrajectoryClearFilter" type="button" value="Clear Filter"/>
+				</li>
+
+				<li style="margin-top: 5px">
+					<label><input id="chkTrajectoryRideAlong" type="checkbox"/> ride along</label>
+					<input id="txtTrajectoryRideAlongHeight" type="number" step="any" style="width: 4em"/> m above
+				</li>
+
+				<div style="display: flex; margin-top: 12px">
+					<span></span>
+					<span style="flex-grow: 1"></span>
+					<img name="remove" class="button-icon" src="${removeIconPath}" style="width: 16px; height: 16px"/>
+				</div>
+			</div>
+		`);
+
+		let length = 0;
+		for(let i = 1; i < trajectory.numRecords; i++){
+			length += trajectory.getPosition(i - 1).distanceTo(trajectory.getPosition(i));
+		}
+
+		let format = (value, digits = 2) => Utils.addCommas(value.toFixed(digits));
+		this.elContent.find("#trajectory_records").html(trajectory.numRecords.toLocaleString());
+		this.elContent.find("#trajectory_time").html(`${format(trajectory.startTime)}<br>${format(trajectory.endTime)}`);
+		this.elContent.find("#trajectory_duration").html(`${format(trajectory.endTime - trajectory.startTime, 1)} s`);
+		this.elContent.find("#trajectory_length").html(`${format(length)} ${viewer.lengthUnit.code}`);
+
+		let elTimeOffset = this.elContent.find("#txtTrajectoryTimeOffset");
+		elTimeOffset.val(trajectory.timeOffset);
+		elTimeOffset.change(() => {
+			trajectory.timeOffset = parseFloat(elTimeOffset.val()) || 0;
+		});
+
+		let elGPSWeek = this.elContent.find("#txtTrajectoryGPSWeek");
+		elGPSWeek.change(() => {
+			let week = parseInt(elGPSWeek.val());
+
+			if(Number.isFinite(week)){
+				trajectory.timeOffset = TrajectoryLoader.getWeekTimeOffset(week);
+				elTimeOffset.val(trajectory.timeOffset);
+			}
+		});
+
+		let elTimeWindow = this.elContent.find("#txtTrajectoryTimeWindow");
+		elTimeWindow.val(tool.timeWindow);
+		elTimeWindow.change(() => {
+			tool.timeWindow = parseFloat(elTimeWindow.val()) || 0;
+		});
+
+		let elPick = this.elContent.find("#btnTrajectoryPick");
+		elPick.click(() => {
+			if(tool.picking){
+				tool.stopPicking();
+			}else{
+				tool.startPicking();
+			}
+		});
+
+		this.elContent.find("#btnTrajectoryClearFilter").click(() => {
+			viewer.setFilterGPSTimeRange(-Infinity, Infinity);
+		});
+
+		let elRideAlong = this.elContent.find("#chkTrajectoryRideAlong");
+		elRideAlong.change(() => {
+			tool.setRideAlong(elRideAlong.is(":checked") ? trajectory : null);
+		});
+
+		let elRideAlongHeight = this.elContent.find("#txtTrajectoryRideAlongHeight");
+		elRideAlongHeight.val(tool.rideAlongHeight);
+		elRideAlongHeight.change(() => {
+			tool.rideAlongHeight = parseFloat(elRideAlongHeight.val()) || 0;
+		});
+
+		this.elContent.find("img[name=remove]").click(() => {
+			if(tool.rideAlong === trajectory){
+				tool.setRideAlong(null);
+			}
+
+			viewer.scene.removeTrajectory(trajectory);
+		});
+
+		this._update = () => { this.update(); };
+		this.propertiesPanel.addVolatileListener(tool, "picking_changed", this._update);
+		this.propertiesPanel.addVolatileListener(tool, "ride_along_changed", this._update);
+
+		this.update();
+	}
+
+	update(){
+		let tool = this.viewer.trajectoryTool;
+
+		this.elContent.find("#btnTrajectoryPick").val(tool.picking ? "Stop Picking" : "Pick");
+		this.elContent.find("#chkTrajectoryRideAlong").prop("checked", tool.rideAlong === this.trajectory);
+	}
+};
@@ -5,6 +5,7 @@ import {Utils} from "../../utils.js";
 import { BoxVolume, SphereVolume} from "../../utils/Volume.js";
 
 import {MeasurePanel} from "./MeasurePanel.js";
+import {StatisticsPanel} from "./StatisticsPanel.js";
 
 export class VolumePanel extends MeasurePanel{
 	constructor(viewer, measurement, propertiesPanel){
@@ -205,6 +206,9 @@ export class VolumePanel extends MeasurePanel{
 			});
 		}
 
+		this.statisticsPanel = new StatisticsPanel(viewer, measurement, propertiesPanel);
+		this.elContent.find("input[name=download_volume]").parent().after(this.statisticsPanel.elContent);
+
 		this.elRemove = this.elContent.find("img[name=remove]");
 		this.elRemove.click( () => {
 			this.viewer.scene.removeVolume(measurement);
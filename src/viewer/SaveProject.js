@@ -1,4 +1,6 @@
 
+import {ClipTask, ClipMethod} from "../defines.js";
+import {projectSchemaVersion} from "./ProjectSchema.js";
 
 function createPointcloudData(pointcloud) {
 
@@ -138,6 +140,17 @@ function createGeopackageData(geopackage){
 	return data;
 }
 
+function createImages360Data(images){
+	const data = {
+		url: images.url,
+		projection: images.projection,
+		visible: images.visible,
+		focusedImage: images.focusedImage ? images.focusedImage.file : null,
+	};
+
+	return data;
+}
+
 function createAnnotationData(annotation){
 
 	const data = {
@@ -186,16 +199,32 @@ function createAnnotationsData(viewer){
 	return annotations;
 }
 
+// JSON has no Infinity, unbounded ends of a range are saved as null
+function createRangeData(range){
+	return range.map(value => Number.isFinite(value) ? value : null);
+}
+
 function createSettingsData(viewer){
+	const enumName = (enumeration, value) => Object.keys(enumeration).find(key => enumeration[key] === value);
+
 	return {
 		pointBudget: viewer.getPointBudget(),
 		fov: viewer.getFOV(),
 		edlEnabled: viewer.getEDLEnabled(),
 		edlRadius: viewer.getEDLRadius(),
 		edlStrength: viewer.getEDLStrength(),
+		edlOpacity: viewer.getEDLOpacity(),
 		background: viewer.getBackground(),
 		minNodeSize: viewer.getMinNodeSize(),
 		showBoundingBoxes: viewer.getShowBoundingBox(),
+		clipTask: enumName(ClipTask, viewer.getClipTask()),
+		clipMethod: enumName(ClipMethod, viewer.getClipMethod()),
+		filters: {
+			returnNumber: createRangeData(viewer.filterReturnNumberRange),
+			numberOfReturns: createRangeData(viewer.filterNumberOfReturnsRange),
+			gpsTime: createRangeData(viewer.filterGPSTimeRange),
+			pointSourceID: createRangeData(viewer.filterPointSourceIDRange),
+		},
 	};
 }
 
@@ -253,7 +282,8 @@ export function saveProject(viewer) {
 
 	const data = {
 		type: "Potree",
-		version: 1.7,
+		schemaVersion: projectSchemaVersion,
+		potreeVersion: `${Potree.version.major}.${Potree.version.minor}${Potree.version.suffix}`,
 		settings: createSettingsData(viewer),
 		view: createViewData(viewer),
 		classification: createClassificationData(viewer),
@@ -265,6 +295,10 @@ export function saveProject(viewer) {
 		annotations: createAnnotationsData(viewer),
 		orientedImages: scene.orientedImages.map(createOrientedImagesData),
 		geopackages: scene.geopackages.map(createGeopackageData),
+		images360: scene.images360.filter(images => images.url).map(createImages360Data),
+		selectionSets: scene.selectionSets.map(selectionSet => selectionSet.toJSON()),
+		epochs: scene.epochs.map(epoch => epoch.toJSON()),
+		corridors: scene.corridors.map(corridor => corridor.toJSON()),
 		// objects: createSceneContentData(viewer),
 	};
 
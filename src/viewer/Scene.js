@@ -35,6 +35,12 @@ export class Scene extends EventDispatcher{
 		this.orientedImages = [];
 		this.images360 = [];
 		this.geopackages = [];
+		this.rasterLayers = [];
+		this.vectorLayers = [];
+		this.selectionSets = [];
+		this.epochs = [];
+		this.trajectories = [];
+		this.corridors = [];
 		
 		this.fpControls = null;
 		this.orbitControls = null;
@@ -103,6 +109,25 @@ export class Scene extends EventDispatcher{
 		return height;
 	}
 	
+	// highest DEM height of all visible point clouds at the given world coordinates, or null, see Viewer.getHeightAt
+	getHeightAt(x, y, mode = "mean"){
+		let height = null;
+
+		for (let pointcloud of this.pointclouds) {
+			if (!pointcloud.visible || !pointcloud.dem) {
+				continue;
+			}
+
+			let h = pointcloud.dem.getHeightAt(x, y, mode);
+
+			if (h !== null && (height === null || h > height)) {
+				height = h;
+			}
+		}
+
+		return height;
+	}
+	
 	getBoundingBox(pointclouds = this.pointclouds){
 		let box = new THREE.Box3();
 
@@ -212,6 +237,158 @@ export class Scene extends EventDispatcher{
 		}
 	};
 
+	addVectorLayer(layer){
+		this.vectorLayers.push(layer);
+		this.scene.add(layer.node);
+
+		this.dispatchEvent({
+			'type': 'vector_layer_added',
+			'scene': this,
+			'layer': layer
+		});
+	};
+
+	removeVectorLayer(layer){
+		let index = this.vectorLayers.indexOf(layer);
+		if (index > -1) {
+			this.vectorLayers.splice(index, 1);
+			this.scene.remove(layer.node);
+
+			this.dispatchEvent({
+				'type': 'vector_layer_removed',
+				'scene': this,
+				'layer': layer
+			});
+
+			layer.dispose();
+		}
+	};
+
+	addRasterLayer(layer){
+		this.rasterLayers.push(layer);
+
+		this.dispatchEvent({
+			'type': 'raster_layer_added',
+			'scene': this,
+			'layer': layer
+		});
+	};
+
+	removeRasterLayer(layer){
+		let index = this.rasterLayers.indexOf(layer);
+		if (index > -1) {
+			this.rasterLayers.splice(index, 1);
+
+			this.dispatchEvent({
+				'type': 'raster_layer_removed',
+				'scene': this,
+				'layer': layer
+			});
+
+			layer.dispose();
+		}
+	};
+
+	addSelectionSet(selectionSet){
+		this.selectionSets.push(selectionSet);
+
+		this.dispatchEvent({
+			'type': 'selection_set_added',
+			'scene': this,
+			'selectionSet': selectionSet
+		});
+	};
+
+	removeSelectionSet(selectionSet){
+		let index = this.selectionSets.indexOf(selectionSet);
+		if (index > -1) {
+			this.selectionSets.splice(index, 1);
+
+			this.dispatchEvent({
+				'type': 'selection_set_removed',
+				'scene': this,
+				'selectionSet': selectionSet
+			});
+		}
+	};
+
+	addTrajectory(trajectory){
+		this.trajectories.push(trajectory);
+		this.scene.add(trajectory.node);
+
+		this.dispatchEvent({
+			'type': 'trajectory_added',
+			'scene': this,
+			'trajectory': trajectory
+		});
+	};
+
+	removeTrajectory(trajectory){
+		let index = this.trajectories.indexOf(trajectory);
+		if (index > -1) {
+			this.trajectories.splice(index, 1);
+			this.scene.remove(trajectory.node);
+
+			this.dispatchEvent({
+				'type': 'trajectory_removed',
+				'scene': this,
+				'trajectory': trajectory
+			});
+
+			trajectory.dispose();
+		}
+	};
+
+	addCorridor(corridor){
+		this.corridors.push(corridor);
+		this.scene.add(corridor.node);
+
+		this.dispatchEvent({
+			'type': 'corridor_added',
+			'scene': this,
+			'corridor': corridor
+		});
+	};
+
+	removeCorridor(corridor){
+		let index = this.corridors.indexOf(corridor);
+		if (index > -1) {
+			this.corridors.splice(index, 1);
+			this.scene.remove(corridor.node);
+
+			this.dispatchEvent({
+				'type': 'corridor_removed',
+				'scene': this,
+				'corridor': corridor
+			});
+
+			corridor.dispose();
+		}
+	};
+
+	addEpoch(epoch){
+		this.epochs.push(epoch);
+
+		this.dispatchEvent({
+			'type': 'epoch_added',
+			'scene': this,
+			'epoch': epoch
+		});
+	};
+
+	removeEpoch(epoch){
+		let index = this.epochs.indexOf(epoch);
+		if (index > -1) {
+			this.epochs.splice(index, 1);
+
+			this.dispatchEvent({
+				'type': 'epoch_removed',
+				'scene': this,
+				'epoch': epoch
+			});
+		}
+	};
+
 	removeVolume (volume) {
 		let index = this.volumes.indexOf(volume);
 		if (index > -1) {
@@ -0,0 +1,468 @@
+
+import * as THREE from "../../libs/three.js/build/three.module.js";
+import {Measure} from "../utils/Measure.js";
+import {BoxVolume, SphereVolume} from "../utils/Volume.js";
+import {Gradients} from "../materials/Gradients.js";
+import {ClipTask, ClipMethod} from "../defines.js";
+
+const measureFlags = [
+	"closed", "showDistances", "showCoordinates", "showArea", "showAngles",
+	"showCircle", "showHeight", "showEdges", "showAzimuth",
+];
+
+const volumeTypes = [BoxVolume, SphereVolume];
+
+// attributes the material computes itself, in addition to those of the point cloud, see PropertiesPanel
+const computedAttributes = ["intensity gradient", "elevation", "color", "matcap", "indices", "level of detail", "composite"];
+
+// viewer filter ranges, by the short key they are stored under
+const filters = [
+	{key: "r", range: "filterReturnNumberRange", set: "setFilterReturnNumberRange"},
+	{key: "n", range: "filterNumberOfReturnsRange", set: "setFilterNumberOfReturnsRange"},
+	{key: "g", range: "filterGPSTimeRange", set: "setFilterGPSTimeRange"},
+	{key: "s", range: "filterPointSourceIDRange", set: "setFilterPointSourceIDRange"},
+];
+
+const defaultFilters = {
+	r: [0, 7],
+	n: [0, 7],
+	g: [-Infinity, Infinity],
+	s: [0, 65535],
+};
+
+const round = (value, decimals) => {
+	let factor = 10 ** decimals;
+
+	return Math.round(value * factor) / factor;
+};
+
+const roundAll = (values, decimals) => values.map(value => round(value, decimals));
+
+// JSON has no Infinity, unbounded ends are stored as null
+const encodeRange = (range) => range.map(value => Number.isFinite(value) ? value : null);
+const decodeRange = ([from, to]) => [from === null ? -Infinity : from, to === null ? Infinity : to];
+
+const sameRange = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+const flatten = (points) => points.reduce((flat, point) => flat.concat(point), []);
+
+const isNumberArray = (value, length) => Array.isArray(value)
+	&& (length === undefined || value.length === length)
+	&& value.every(Number.isFinite);
+
+const isRange = (value) => Array.isArray(value) && value.length === 2
+	&& value.every(v => v === null || Number.isFinite(v));
+
+// checks a decoded state, the url may have been edited by hand or cut off
+const isValidState = (state) => state !== null && typeof state === "object"
+	&& state.v === 1
+	&& isNumberArray(state.p, 3)
+	&& isNumberArray(state.t, 3)
+	&& Object.values(ClipTask).includes(state.ct)
+	&& Object.values(ClipMethod).includes(state.cm)
+	&& (state.cv === undefined || (Array.isArray(state.cv)
+		&& state.cv.every(volume => isNumberArray(volume, 10) && volumeTypes[volume[0]] !== undefined)))
+	&& (state.hc === undefined || (Array.isArray(state.hc)
+		&& state.hc.every(key => typeof key === "string")))
+	&& (state.pc === undefined || (Array.isArray(state.pc)
+		&& state.pc.every(data => data !== null && typeof data === "object" && typeof data.n === "string")))
+	&& (state.f === undefined || (state.f !== null && typeof state.f === "object"
+		&& Object.keys(state.f).every(key => filters.some(filter => filter.key === key) && isRange(state.f[key]))))
+	&& (state.m === undefined || (state.m !== null && typeof state.m === "object"
+		&& typeof state.m.u === "string" && typeof state.m.n === "string"
+		&& isNumberArray(state.m.p) && Number.isInteger(state.m.f)));
+
+/**
+ * Captures the view of a viewer as a small object, and restores it:
+ * camera position and target, clip task, method and volumes, classification visibility, filters,
+ * the active attribute and gradient of each point cloud, and the selected measurement.
+ *
+ * encode() turns a state into a url safe string, and decode() back.
+ * Keys are kept short since the state is meant to be shared as part of a link, see ViewStateURL.
+ */
+export class ViewState{
+
+	static capture(viewer){
+		let scene = viewer.scene;
+		let view = scene.view;
+
+		let state = {
+			v: 1,
+			p: roundAll(view.position.toArray(), 3),
+			t: roundAll(view.getPivot().toArray(), 3),
+			ct: viewer.getClipTask(),
+			cm: viewer.getClipMethod(),
+		};
+
+		let pointclouds = scene.pointclouds.map(pointcloud => {
+			let material = pointcloud.material;
+			let gradient = Object.keys(Gradients).find(name => Gradients[name] === material.gradient);
+
+			return {
+				n: pointcloud.name,
+				a: material.activeAttributeName,
+				g: gradient,
+			};
+		});
+		if(pointclouds.length > 0){
+			state.pc = pointclouds;
+		}
+
+		let volumes = scene.volumes.filter(volume => volume.clip).map(ViewState.captureVolume);
+		if(volumes.length > 0){
+			state.cv = volumes;
+		}
+
+		let hidden = Object.keys(viewer.classifications).filter(key => !viewer.classifications[key].visible);
+		if(hidden.length > 0){
+			state.hc = hidden;
+		}
+
+		for(let filter of filters){
+			let range = viewer[filter.range];
+
+			if(!sameRange(range, defaultFilters[filter.key])){
+				state.f = state.f || {};
+				state.f[filter.key] = encodeRange(range);
+			}
+		}
+
+		let measurement = viewer.getSelectedMeasurement();
+		if(measurement && scene.measurements.includes(measurement)){
+			state.m = ViewState.captureMeasurement(measurement);
+		}
+
+		return state;
+	}
+
+	// [type, position, rotation, scale], flattened
+	static captureVolume(volume){
+		return [
+			volumeTypes.findIndex(type => volume instanceof type),
+			...roundAll(volume.position.toArray(), 3),
+			...roundAll([volume.rotation.x, volume.rotation.y, volume.rotation.z], 5),
+			...roundAll(volume.scale.toArray(), 3),
+		];
+	}
+
+	static captureMeasurement(measurement){
+		let flags = 0;
+		measureFlags.forEach((flag, i) => {
+			if(measurement[flag]){
+				flags |= (1 << i);
+			}
+		});
+
+		return {
+			u: measurement.uuid,
+			n: measurement.name,
+			f: flags,
+			p: flatten(measurement.points.map(point => roundAll(point.position.toArray(), 3))),
+		};
+	}
+
+	/**
+	 * Restores a captured state. Point clouds that are not loaded yet are skipped,
+	 * their part of the state can be restored with applyToPointCloud once they are.
+	 */
+	static apply(viewer, state){
+		let scene = viewer.scene;
+
+		// the restored state is undone as one step
+		viewer.history.beginGroup("Open view");
+
+		try{
+			scene.view.position.set(...state.p);
+			scene.view.lookAt(new THREE.Vector3(...state.t));
+
+			viewer.setClipTask(state.ct);
+			viewer.setClipMethod(state.cm);
+
+			for(let pointcloud of scene.pointclouds){
+				ViewState.applyToPointCloud(pointcloud, state);
+			}
+
+			ViewState.applyVolumes(viewer, state.cv || []);
+
+			let hidden = state.hc || [];
+			for(let key of Object.keys(viewer.classifications)){
+				viewer.setClassificationVisibility(key, !hidden.includes(key));
+			}
+
+			for(let filter of filters){
+				let range = (state.f && state.f[filter.key])
+					? decodeRange(state.f[filter.key])
+					: defaultFilters[filter.key];
+
+				if(!sameRange(range, viewer[filter.range])){
+					viewer[filter.set](...range);
+				}
+			}
+
+			viewer.setSelectedMeasurement(state.m ? ViewState.applyMeasurement(viewer, state.m) : null);
+		}finally{
+			viewer.history.endGroup();
+		}
+	}
+
+	// returns true if the state contains settings for this point cloud
+	static applyToPointCloud(pointcloud, state){
+		let data = (state.pc || []).find(data => data.n === pointcloud.name);
+
+		if(!data){
+			return false;
+		}
+
+		let material = pointcloud.material;
+
+		// states come from links, the names may not be valid for this point cloud
+		if(typeof data.a === "string" && (computedAttributes.includes(data.a) || pointcloud.getAttribute(data.a))){
+			material.activeAttributeName = data.a;
+		}
+
+		if(typeof data.g === "string" && Object.prototype.hasOwnProperty.call(Gradients, data.g)){
+			material.gradient = Gradients[data.g];
+		}
+
+		return true;
+	}
+
+	// replaces the clip volumes with those of the state, keeping the ones that are already there
+	static applyVolumes(viewer, volumes){
+		let scene = viewer.scene;
+		let remaining = volumes.map(data => JSON.stringify(data));
+
+		for(let volume of scene.volumes.filter(volume => volume.clip)){
+			let index = remaining.indexOf(JSON.stringify(ViewState.captureVolume(volume)));
+
+			if(index >= 0){
+				remaining.splice(index, 1);
+			}else{
+				scene.removeVolume(volume);
+			}
+		}
+
+		for(let text of remaining){
+			let [type, px, py, pz, rx, ry, rz, sx, sy, sz] = JSON.parse(text);
+			let volume = new (volumeTypes[type] || BoxVolume)();
+
+			volume.position.set(px, py, pz);
+			volume.rotation.set(rx, ry, rz);
+			volume.scale.set(sx, sy, sz);
+			volume.clip = true;
+
+			scene.addVolume(volume);
+		}
+	}
+
+	// finds the measurement of the state, by uuid or by its points, and creates it if it doesn't exist
+	static applyMeasurement(viewer, data){
+		let scene = viewer.scene;
+		let points = JSON.stringify(data.p);
+
+		let measurement = scene.measurements.find(measurement => measurement.uuid === data.u)
+			|| scene.measurements.find(measurement => JSON.stringify(ViewState.captureMeasurement(measurement).p) === points);
+
+		if(measurement){
+			return measurement;
+		}
+
+		measurement = new Measure();
+		measurement.uuid = data.u;
+		// the name is shown as HTML in the scene tree, and links may come from anyone
+		measurement.name = data.n.replace(/[<>]/g, "");
+
+		measureFlags.forEach((flag, i) => {
+			measurement[flag] = (data.f & (1 << i)) !== 0;
+		});
+
+		for(let i = 0; i + 2 < data.p.length; i += 3){
+			measurement.addMarker(new THREE.Vector3(data.p[i], data.p[i + 1], data.p[i + 2]));
+		}
+
+		scene.addMeasurement(measurement);
+
+		return measurement;
+	}
+
+	static encode(state){
+		let bytes = new TextEncoder().encode(JSON.stringify(state));
+		let binary = "";
+
+		for(let byte of bytes){
+			binary += String.fromCharCode(byte);
+		}
+
+		return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+	}
+
+	// returns null if the text is not a valid encoded state
+	static decode(text){
+		try{
+			let binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+			let bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+			let state = JSON.parse(new TextDecoder().decode(bytes));
+
+			return isValidState(state) ? state : null;
+		}catch(e){
+			return null;
+		}
+	}
+
+};
+
+/**
+ * Keeps the view state of a viewer in the fragment of the page url, e.g. #view=eyJ2IjoxLCJ...,
+ * so that the current view can be shared by copying the link.
+ * Since it rewrites the fragment, it is opt-in: new Potree.Viewer(element, {viewStateURL: true}),
+ * pages that route with the fragment should leave it off.
+ *
+ * On start, a state in the url is restored. Since the page usually adds its point clouds later
+ * and then moves the camera to them, the camera is restored again after each point cloud
+ * of the state has been added. The url is not updated until that is done, or until
+ * args.timeout milliseconds have passed without all of them being added.
+ */
+export class ViewStateURL{
+
+	constructor(viewer, args = {}){
+		this.viewer = viewer;
+		this.parameter = args.parameter || "view";
+
+		// minimum time in milliseconds between updates of the url
+		this.interval = args.interval !== undefined ? args.interval : 500;
+		this.timeout = args.timeout !== undefined ? args.timeout : 10000;
+
+		this.pending = null;
+		this.encoded = null;
+		this.lastUpdate = 0;
+		this.started = false;
+
+		this.onUpdate = () => this.update();
+		this.onHashChange = () => this.readURL();
+
+		this.onPointCloudAdded = (e) => {
+			if(this.pending && ViewState.applyToPointCloud(e.pointcloud, this.pending.state)){
+				this.pending.names.delete(e.pointcloud.name);
+				this.pending.reapply = true;
+			}
+		};
+
+		this.onSceneChanged = (e) => {
+			if(e.oldScene){
+				e.oldScene.removeEventListener("pointcloud_added", this.onPointCloudAdded);
+			}
+
+			e.scene.addEventListener("pointcloud_added", this.onPointCloudAdded);
+		};
+	}
+
+	start(){
+		if(this.started){
+			return;
+		}
+
+		this.started = true;
+
+		this.viewer.addEventListener("update", this.onUpdate);
+		this.viewer.addEventListener("scene_changed", this.onSceneChanged);
+		this.viewer.scene.addEventListener("pointcloud_added", this.onPointCloudAdded);
+		window.addEventListener("hashchange", this.onHashChange);
+
+		this.readURL();
+	}
+
+	stop(){
+		if(!this.started){
+			return;
+		}
+
+		this.started = false;
+		this.pending = null;
+
+		this.viewer.removeEventListener("update", this.onUpdate);
+		this.viewer.removeEventListener("scene_changed", this.onSceneChanged);
+		this.viewer.scene.removeEventListener("pointcloud_added", this.onPointCloudAdded);
+		window.removeEventListener("hashchange", this.onHashChange);
+	}
+
+	getParameters(){
+		return new URLSearchParams(window.location.hash.slice(1));
+	}
+
+	// the url of the current view
+	getURL(){
+		let parameters = this.getParameters();
+		parameters.set(this.parameter, ViewState.encode(ViewState.capture(this.viewer)));
+
+		return `${window.location.href.split("#")[0]}#${parameters.toString()}`;
+	}
+
+	readURL(){
+		let encoded = this.getParameters().get(this.parameter);
+
+		if(!encoded || encoded === this.encoded){
+			return;
+		}
+
+		let state = ViewState.decode(encoded);
+
+		if(!state){
+			console.warn(`invalid view state in the url: ${encoded}`);
+
+			return;
+		}
+
+		this.encoded = encoded;
+
+		ViewState.apply(this.viewer, state);
+
+		let loaded = this.viewer.scene.pointclouds.map(pointcloud => pointcloud.name);
+		let names = new Set((state.pc || []).map(data => data.n).filter(name => !loaded.includes(name)));
+
+		this.pending = names.size > 0
+			? {state: state, names: names, reapply: false, deadline: performance.now() + this.timeout}
+			: null;
+	}
+
+	update(){
+		let pending = this.pending;
+
+		if(pending){
+			// restore the camera after the page has moved it to the newly added point cloud
+			if(pending.reapply){
+				pending.reapply = false;
+
+				let view = this.viewer.scene.view;
+				view.position.set(...pending.state.p);
+				view.lookAt(new THREE.Vector3(...pending.state.t));
+			}
+
+			if(pending.names.size === 0 || performance.now() > pending.deadline){
+				this.pending = null;
+			}
+
+			return;
+		}
+
+		let now = performance.now();
+
+		if(now - this.lastUpdate < this.interval){
+			return;
+		}
+
+		this.lastUpdate = now;
+
+		let encoded = ViewState.encode(ViewState.capture(this.viewer));
+
+		if(encoded !== this.encoded){
+			this.encoded = encoded;
+
+			let parameters = this.getParameters();
+			parameters.set(this.parameter, encoded);
+
+			// replaceState does not trigger hashchange, nor add an entry to the browser history for every frame
+			window.history.replaceState(window.history.state, "", `#${parameters.toString()}`);
+		}
+	}
+
+};
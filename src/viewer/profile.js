@@ -5,6 +5,8 @@ import {Points} from "../Points.js";
 import {DXFProfileExporter} from "../exporter/DXFProfileExporter.js";
 import {CSVExporter} from "../exporter/CSVExporter.js";
 import {LASExporter} from "../exporter/LASExporter.js";
+import {ProfileDrawingExporter} from "../exporter/ProfileDrawingExporter.js";
+import {BlobSink, downloadBlob} from "../exporter/ExportSink.js";
 import { EventDispatcher } from "../EventDispatcher.js";
 import {PointCloudTree} from "../PointCloudTree.js";
 import {Renderer} from "../PotreeRenderer.js";
@@ -238,7 +240,9 @@ export class ProfileWindow extends EventDispatcher {
 		this.elRoot = $('#profile_window');
 		this.renderArea = this.elRoot.find('#profileCanvasContainer');
 		this.svg = d3.select('svg#profileSVG');
+		this.annotationSVG = d3.select('svg#profileAnnotationSVG');
 		this.mouseIsDown = false;
+		this.mouseDownPosition = new THREE.Vector2(0, 0);
 
 		this.projectedBox = new THREE.Box3();
 		this.pointclouds = new Map();
@@ -251,6 +255,21 @@ export class ProfileWindow extends EventDispatcher {
 		this.autoFitEnabled = true; // completely disable/enable
 		this.autoFit = false; // internal
 
+		// labels and dimensions placed by the user, included in SVG and PDF drawings
+		// labels: [{mileage, elevation, text}], dimensions: [{start: {mileage, elevation}, end: {mileage, elevation}}]
+		this.labels = [];
+		this.dimensions = [];
+		this.annotationMode = null; // null, "label" or "dimension"
+		this.pendingDimension = null;
+
+		// see ProfileDrawingExporter.layout()
+		this.drawingOptions = {
+			paper: "A3",
+			scale: null,
+			verticalExaggeration: 1,
+			startChainage: 0,
+		};
+
 		let cwIcon = `${exports.resourcePath}/icons/arrow_cw.svg`;
 		$('#potree_profile_rotate_cw').attr('src', cwIcon);
 
@@ -275,6 +294,24 @@ export class ProfileWindow extends EventDispatcher {
 		let lasIcon = `${exports.resourcePath}/icons/file_las_3d.svg`;
 		$('#potree_download_las_icon').attr('src', lasIcon);
 
+		let svgIcon = `${exports.resourcePath}/icons/file_svg_2d.svg`;
+		$('#potree_download_svg_icon').attr('src', svgIcon);
+
+		let pdfIcon = `${exports.resourcePath}/icons/file_pdf_2d.svg`;
+		$('#potree_download_pdf_icon').attr('src', pdfIcon);
+
+		let labelIcon = `${exports.resourcePath}/icons/annotation.svg`;
+		$('#potree_profile_add_label').attr('src', labelIcon);
+
+		let dimensionIcon = `${exports.resourcePath}/icons/distance.svg`;
+		$('#potree_profile_add_dimension').attr('src', dimensionIcon);
+
+		let previousSectionIcon = `${exports.resourcePath}/icons/arrow_left.svg`;
+		$('#potree_profile_previous_section').attr('src', previousSectionIcon);
+
+		let nextSectionIcon = `${exports.resourcePath}/icons/arrow_right.svg`;
+		$('#potree_profile_next_section').attr('src', nextSectionIcon);
+
 		let closeIcon = `${exports.resourcePath}/icons/close.svg`;
 		$('#closeProfileContainer').attr("src", closeIcon);
 
@@ -296,10 +333,70 @@ export class ProfileWindow extends EventDispatcher {
 
 		this.renderArea.mousedown(e => {
 			this.mouseIsDown = true;
+			this.mouseDownPosition.set(e.clientX, e.clientY);
 		});
 
 		this.renderArea.mouseup(e => {
 			this.mouseIsDown = false;
+
+			let dragged = this.mouseDownPosition.distanceTo(new THREE.Vector2(e.clientX, e.clientY)) > 3;
+			if(this.annotationMode && e.button === 0 && !dragged){
+				let rect = this.renderArea[0].getBoundingClientRect();
+				this.placeAnnotation(e.clientX - rect.left, e.clientY - rect.top);
+			}
+		});
+
+		this.renderArea.on('contextmenu', e => {
+			if(this.annotationMode){
+				e.preventDefault();
+
+				let rect = this.renderArea[0].getBoundingClientRect();
+				this.removeAnnotationAt(e.clientX - rect.left, e.clientY - rect.top);
+			}
+		});
+
+		$(this.renderer.domElement).keydown(e => {
+			if(e.key === 'Escape'){
+				this.setAnnotationMode(null);
+			}
+		});
+
+		$('#potree_profile_add_label').click(() => {
+			this.setAnnotationMode(this.annotationMode === 'label' ? null : 'label');
+		});
+
+		$('#potree_profile_add_dimension').click(() => {
+			this.setAnnotationMode(this.annotationMode === 'dimension' ? null : 'dimension');
+		});
+
+		let elScale = $('#potree_profile_drawing_scale');
+		elScale.on('input', () => {
+			const str = elScale.val().trim();
+			const value = parseFloat(str);
+
+			if(str === ''){
+				this.drawingOptions.scale = null;
+				elScale.css('background-color', '');
+			}else if(!isNaN(str) && value > 0){
+				this.drawingOptions.scale = value;
+				elScale.css('background-color', '');
+			}else{
+				elScale.css('background-color', '#ff9999');
+			}
+		});
+
+		let elExaggeration = $('#potree_profile_drawing_exaggeration');
+		elExaggeration.val(this.drawingOptions.verticalExaggeration);
+		elExaggeration.on('input', () => {
+			const str = elExaggeration.val();
+			const value = parseFloat(str);
+
+			if(!isNaN(str) && value > 0){
+				this.drawingOptions.verticalExaggeration = value;
+				elExaggeration.css('background-color', '');
+			}else{
+				elExaggeration.css('background-color', '#ff9999');
+			}
 		});
 
 		let viewerPickSphereSizeHandler = () => {
@@ -445,6 +542,10 @@ export class ProfileWindow extends EventDispatcher {
 			}
 
 			this.mouse.copy(newMouse);
+
+			if(this.pendingDimension){
+				this.updateAnnotations();
+			}
 		});
 
 		let onWheel = e => {
@@ -503,56 +604,284 @@ export class ProfileWindow extends EventDispatcher {
 						truePointPosition[3 * i + 2] += pointcloud.position.z;
 					}
 
+					// attributes larger than 32 bit are stored relative to their initial range
+					let originData = Object.assign({}, pointSet.data);
+					for(let attributeName of Object.keys(pointSet.data)){
+						let attribute = pointcloud.getAttribute(attributeName);
+
+						if(attribute && attribute.type.size > 4 && attribute.numElements === 1){
+							let range = attribute.initialRange;
+							let source = pointSet.data[attributeName];
+							let target = new Float64Array(source.length);
+
+							for(let i = 0; i < source.length; i++){
+								target[i] = range[0] + source[i] * (range[1] - range[0]);
+							}
+
+							pointSet.data[attributeName] = target;
+						}
+					}
+
 					pointSet.data.position = truePointPosition;
 					points.add(pointSet);
-					pointSet.data.position = originPos;
+					pointSet.data = originData;
 				}
 			}
 
 			return points;
 		};
 
-		$('#potree_download_dxf2D_icon').click(() => {
-			
-			const points = getProfilePoints();
+		// exports are written chunk by chunk, closing the progress message cancels them
+		let exportProfile = async (filename, type, write) => {
+			let controller = new AbortController();
+			let sink = new BlobSink(type);
+
+			let elProgress = $(`<span>Exporting ${filename}: <span name="progress">0</span>%</span>`);
+			let message = this.viewer.postMessage(elProgress);
+			message.elClose.click(() => controller.abort());
+
+			try{
+				let result = await write(sink, {
+					signal: controller.signal,
+					onProgress: ({progress}) => {
+						elProgress.find("span[name=progress]").text(Math.round(100 * progress));
+					},
+				});
+
+				downloadBlob(sink.toBlob(), filename);
+
+				if(result && result.projectionDropped){
+					this.viewer.postMessage(`The projection of the point cloud can't be stored in ${filename}`, {duration: 5000});
+				}
+			}catch(e){
+				if(e.name !== "AbortError"){
+					console.error(e);
+					this.viewer.postError(`Failed to export ${filename}`, {duration: 5000});
+				}
+			}finally{
+				message.elClose.click();
+			}
+		};
+
+		$('#potree_download_profile_dxf2D_link').click((e) => {
+			e.preventDefault();
 
-			const string = DXFProfileExporter.toString(points, true);
+			const points = getProfilePoints();
 
-			const blob = new Blob([string], {type: "text/string"});
-			$('#potree_download_profile_dxf2D_link').attr('href', URL.createObjectURL(blob));
+			exportProfile("profile_2D.dxf", "text/plain", (sink, options) => {
+				return DXFProfileExporter.write(points, sink, {...options, flatten: true});
+			});
 		});
 
-		$('#potree_download_dxf3D_icon').click(() => {
-			
-			const points = getProfilePoints(true);
+		$('#potree_download_profile_dxf3D_link').click((e) => {
+			e.preventDefault();
 
-			const string = DXFProfileExporter.toString(points);
+			const points = getProfilePoints(true);
 
-			const blob = new Blob([string], {type: "text/string"});
-			$('#potree_download_profile_dxf3D_link').attr('href', URL.createObjectURL(blob));
+			exportProfile("profile_3D.dxf", "text/plain", (sink, options) => {
+				return DXFProfileExporter.write(points, sink, options);
+			});
 		});
 
-		$('#potree_download_csv_icon').click(() => {
-			
-			let points = getProfilePoints(true);
+		$('#potree_download_profile_ortho_link').click((e) => {
+			e.preventDefault();
 
-			let string = CSVExporter.toString(points);
+			let points = getProfilePoints(true);
 
-			let blob = new Blob([string], {type: "text/string"});
-			$('#potree_download_profile_ortho_link').attr('href', URL.createObjectURL(blob));
+			exportProfile("profile.csv", "text/csv", (sink, options) => {
+				return CSVExporter.write(points, sink, options);
+			});
 		});
 
-		$('#potree_download_las_icon').click(() => {
+		$('#potree_download_profile_link').click((e) => {
+			e.preventDefault();
 
 			let points = getProfilePoints(true);
+			let projection = this.viewer.getProjection();
 
-			let buffer = LASExporter.toLAS(points);
+			exportProfile("profile.las", "application/octet-stream", (sink, options) => {
+				return LASExporter.write(points, sink, {...options, projection});
+			});
+		});
+
+		let exportDrawing = (filename, type, toString) => {
+			let points = getProfilePoints();
+
+			if(points.numPoints === 0){
+				this.viewer.postError("The profile contains no points", {duration: 5000});
+				return;
+			}
+
+			let drawing = ProfileDrawingExporter.layout(points, this.getDrawingOptions());
+
+			exportProfile(filename, type, (sink) => {
+				return sink.write(toString(drawing));
+			});
+		};
 
-			let blob = new Blob([buffer], {type: "application/octet-binary"});
-			$('#potree_download_profile_link').attr('href', URL.createObjectURL(blob));
+		$('#potree_download_profile_svg_link').click((e) => {
+			e.preventDefault();
+
+			exportDrawing("profile.svg", "image/svg+xml", drawing => ProfileDrawingExporter.toSVG(drawing));
+		});
+
+		$('#potree_download_profile_pdf_link').click((e) => {
+			e.preventDefault();
+
+			exportDrawing("profile.pdf", "application/pdf", drawing => ProfileDrawingExporter.toPDF(drawing));
 		});
 	}
 
+	getDrawingOptions () {
+		let controller = this.viewer.profileWindowController;
+		let profile = controller ? controller.profile : null;
+
+		let options = {
+			...this.drawingOptions,
+			title: profile ? profile.name : "Profile",
+			unit: this.viewer.lengthUnit.code,
+			labels: this.labels,
+			dimensions: this.dimensions,
+		};
+
+		// corridor sections are drawn over their offset from the alignment
+		let corridor = controller ? controller.corridor : null;
+		if(corridor){
+			options.xAxis = "offset";
+			options.startChainage = -corridor.width / 2;
+			options.station = corridor.sections[controller.sectionIndex].station;
+		}
+
+		return options;
+	}
+
+	setAnnotationMode (mode) {
+		this.annotationMode = mode;
+		this.pendingDimension = null;
+
+		$('#potree_profile_add_label').toggleClass('active', mode === 'label');
+		$('#potree_profile_add_dimension').toggleClass('active', mode === 'dimension');
+		this.renderArea.css('cursor', mode ? 'crosshair' : '');
+
+		this.updateAnnotations();
+	}
+
+	// x, y in pixels, relative to the render area
+	placeAnnotation (x, y) {
+		let mileage = this.scaleX.invert(x);
+		let elevation = this.scaleY.invert(y);
+
+		// snap to points within 10 pixels
+		let radius = Math.abs(this.scaleX.invert(0) - this.scaleX.invert(10));
+		let closest = this.selectPoint(mileage, elevation, radius);
+		if(closest){
+			mileage = closest.point.mileage;
+			elevation = closest.point.position[2] + closest.pointcloud.position.z;
+		}
+
+		if(this.annotationMode === 'label'){
+			let text = window.prompt('Label', '');
+
+			if(text){
+				this.labels.push({mileage, elevation, text});
+			}
+		}else if(this.annotationMode === 'dimension'){
+			if(!this.pendingDimension){
+				this.pendingDimension = {mileage, elevation};
+			}else{
+				this.dimensions.push({start: this.pendingDimension, end: {mileage, elevation}});
+				this.pendingDimension = null;
+			}
+		}
+
+		this.dispatchEvent({type: 'annotations_changed', profileWindow: this});
+		this.updateAnnotations();
+	}
+
+	// removes the label or dimension closest to x, y, if it is within 10 pixels
+	removeAnnotationAt (x, y) {
+		let mouse = new THREE.Vector2(x, y);
+		let toScreen = (p) => new THREE.Vector2(this.scaleX(p.mileage), this.scaleY(p.elevation));
+
+		let closest = null;
+		let closestDistance = 10;
+
+		for(let label of this.labels){
+			let distance = toScreen(label).distanceTo(mouse);
+
+			if(distance < closestDistance){
+				closest = {list: this.labels, item: label};
+				closestDistance = distance;
+			}
+		}
+
+		for(let dimension of this.dimensions){
+			let a = toScreen(dimension.start);
+			let b = toScreen(dimension.end);
+			let line = new THREE.Line3(new THREE.Vector3(a.x, a.y, 0), new THREE.Vector3(b.x, b.y, 0));
+			let point = line.closestPointToPoint(new THREE.Vector3(x, y, 0), true, new THREE.Vector3());
+			let distance = point.distanceTo(new THREE.Vector3(x, y, 0));
+
+			if(distance < closestDistance){
+				closest = {list: this.dimensions, item: dimension};
+				closestDistance = distance;
+			}
+		}
+
+		if(closest){
+			closest.list.splice(closest.list.indexOf(closest.item), 1);
+
+			this.dispatchEvent({type: 'annotations_changed', profileWindow: this});
+			this.updateAnnotations();
+		}
+	}
+
+	clearAnnotations () {
+		this.labels = [];
+		this.dimensions = [];
+		this.pendingDimension = null;
+
+		this.dispatchEvent({type: 'annotations_changed', profileWindow: this});
+		this.updateAnnotations();
+	}
+
+	updateAnnotations () {
+		let svg = this.annotationSVG;
+		let sx = p => this.scaleX(p.mileage);
+		let sy = p => this.scaleY(p.elevation);
+
+		svg.selectAll('*').remove();
+
+		for(let label of this.labels){
+			svg.append('circle')
+				.attr('cx', sx(label)).attr('cy', sy(label)).attr('r', 3)
+				.style('fill', 'none').style('stroke', '#ffffff');
+			svg.append('text')
+				.attr('x', sx(label) + 6).attr('y', sy(label) - 6)
+				.style('fill', '#ffffff')
+				.text(label.text);
+		}
+
+		let dimensions = this.dimensions.slice();
+		if(this.pendingDimension){
+			let end = {mileage: this.scaleX.invert(this.mouse.x), elevation: this.scaleY.invert(this.mouse.y)};
+			dimensions.push({start: this.pendingDimension, end: end});
+		}
+
+		for(let {start, end} of dimensions){
+			let length = Math.hypot(end.mileage - start.mileage, end.elevation - start.elevation);
+
+			svg.append('line')
+				.attr('x1', sx(start)).attr('y1', sy(start))
+				.attr('x2', sx(end)).attr('y2', sy(end))
+				.style('stroke', '#ffffff');
+			svg.append('text')
+				.attr('x', (sx(start) + sx(end)) / 2).attr('y', (sy(start) + sy(end)) / 2 - 6)
+				.style('fill', '#ffffff').style('text-anchor', 'middle')
+				.text(`${length.toFixed(2)} ${this.viewer.lengthUnit.code}`);
+		}
+	}
+
 	selectPoint (mileage, elevation, radius) {
 		let closest = {
 			distance: Infinity,
@@ -871,6 +1200,8 @@ export class ProfileWindow extends EventDispatcher {
 		this.elYAxis
 			.attr('transform', `translate(${marginLeft}, 0)`)
 			.call(this.yAxis);
+
+		this.updateAnnotations();
 	}
 
 	requestScaleUpdate(){
@@ -947,13 +1278,40 @@ export class ProfileWindowController {
 
 		this.requests = [];
 
+		// set while paging through the sections of a corridor, see showCorridorSection()
+		this.corridor = null;
+		this.sectionIndex = 0;
+
 		this._recompute = () => { this.recompute(); };
+		this._onSectionsChanged = () => { this.showCorridorSection(this.corridor, this.sectionIndex); };
+		this._onCorridorRemoved = (e) => {
+			if(e.corridor === this.corridor){
+				this.setCorridor(null);
+			}
+		};
 
 		this.viewer.addEventListener("scene_changed", e => {
 			e.oldScene.removeEventListener("pointcloud_added", this._recompute);
 			e.scene.addEventListener("pointcloud_added", this._recompute);
+			e.oldScene.removeEventListener("corridor_removed", this._onCorridorRemoved);
+			e.scene.addEventListener("corridor_removed", this._onCorridorRemoved);
+
+			this.setCorridor(null);
 		});
 		this.viewer.scene.addEventListener("pointcloud_added", this._recompute);
+		this.viewer.scene.addEventListener("corridor_removed", this._onCorridorRemoved);
+
+		$("#potree_profile_previous_section").click(() => {
+			if(this.corridor){
+				this.showCorridorSection(this.corridor, this.sectionIndex - 1);
+			}
+		});
+
+		$("#potree_profile_next_section").click(() => {
+			if(this.corridor){
+				this.showCorridorSection(this.corridor, this.sectionIndex + 1);
+			}
+		});
 
 		$("#potree_profile_rotate_amount").val(parseInt(this.rotateAmount));
 		$("#potree_profile_rotate_amount").on("input", (e) => {
@@ -1038,7 +1396,68 @@ export class ProfileWindowController {
 		});
 	}
 
+	/**
+	 * Shows the section with the given index of the corridor, clamped to the available sections.
+	 * The previous and next buttons of the profile window page through the other sections.
+	 */
+	showCorridorSection (corridor, index) {
+		if (corridor.sections.length === 0) {
+			this.setCorridor(null);
+			return;
+		}
+
+		index = THREE.MathUtils.clamp(index, 0, corridor.sections.length - 1);
+
+		this.setCorridor(corridor);
+		this.sectionIndex = index;
+		corridor.setActiveSection(index);
+
+		this.setProfile(corridor.sections[index].profile);
+		this.updateCorridorNavigation();
+	}
+
+	setCorridor (corridor) {
+		if (this.corridor === corridor) {
+			return;
+		}
+
+		if (this.corridor) {
+			this.corridor.removeEventListener('sections_changed', this._onSectionsChanged);
+			this.corridor.setActiveSection(null);
+		}
+
+		this.corridor = corridor;
+		this.sectionIndex = 0;
+
+		if (this.corridor) {
+			this.corridor.addEventListener('sections_changed', this._onSectionsChanged);
+		}
+
+		this.updateCorridorNavigation();
+	}
+
+	updateCorridorNavigation () {
+		let corridor = this.corridor;
+
+		$('#profile_corridor_navigation').css('display', corridor ? 'flex' : 'none');
+
+		if (corridor) {
+			let section = corridor.sections[this.sectionIndex];
+
+			$('#profile_corridor_station').text(`${section.label} (${this.sectionIndex + 1} / ${corridor.sections.length})`);
+		}
+	}
+
 	setProfile (profile) {
+		if (this.profile !== profile) {
+			this.profileWindow.clearAnnotations();
+		}
+
+		// leave the corridor when another profile is shown
+		if (this.corridor && !this.corridor.sections.some(s => s.profile === profile)) {
+			this.setCorridor(null);
+		}
+
 		if (this.profile !== null && this.profile !== profile) {
 			this.profile.removeEventListener('marker_moved', this._recompute);
 			this.profile.removeEventListener('marker_added', this._recompute);
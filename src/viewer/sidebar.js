@@ -2,8 +2,14 @@
 import * as THREE from "../../libs/three.js/build/three.module.js";
 import {GeoJSONExporter} from "../exporter/GeoJSONExporter.js"
 import {DXFExporter} from "../exporter/DXFExporter.js"
+import {GeoTIFFExporter} from "../exporter/GeoTIFFExporter.js"
+import {BlobSink, downloadBlob} from "../exporter/ExportSink.js"
+import {LASExporter} from "../exporter/LASExporter.js"
 import {Volume, SphereVolume} from "../utils/Volume.js"
 import {PolygonClipVolume} from "../utils/PolygonClipVolume.js"
+import {SelectionSet} from "../utils/SelectionSet.js"
+import {ChangeDetection} from "../utils/ChangeDetection.js"
+import {Epoch} from "../utils/Epoch.js"
 import {PropertiesPanel} from "./PropertyPanels/PropertiesPanel.js"
 import {PointCloudTree} from "../PointCloudTree.js"
 import {Profile} from "../utils/Profile.js"
@@ -16,6 +22,9 @@ import {CameraAnimation} from "../modules/CameraAnimation/CameraAnimation.js"
 import {HierarchicalSlider} from "./HierarchicalSlider.js"
 import {OrientedImage} from "../modules/OrientedImages/OrientedImages.js";
 import {Images360} from "../modules/Images360/Images360.js";
+import {VectorLayer} from "../loader/VectorLayer.js";
+import {Trajectory} from "../modules/Trajectory/Trajectory.js";
+import {Corridor} from "../modules/Corridor/Corridor.js";
 
 import JSON5 from "../../libs/json5-2.1.3/json5.mjs";
 
@@ -50,10 +59,17 @@ export class Sidebar{
 		this.initFileMenu();
 		this.initAppearance();
 		this.initToolbar();
+		this.initHistory();
 		this.initScene();
 		this.initNavigation();
 		this.initFilters();
 		this.initClippingTool();
+		this.initRasterExport();
+		this.initSelection();
+		this.initAttributeEdit();
+		this.initChangeDetection();
+		this.initCorridor();
+		this.initTimeline();
 		this.initSettings();
 		
 		$('#potree_version_number').html(Potree.version.major + "." + Potree.version.minor + Potree.version.suffix);
@@ -276,7 +292,9 @@ export class Sidebar{
 			Potree.resourcePath + '/icons/reset_tools.svg',
 			'[title]tt.remove_all_measurement',
 			() => {
+				this.viewer.history.beginGroup("Remove all measurements");
 				this.viewer.scene.removeAllMeasurements();
+				this.viewer.history.endGroup();
 			}
 		));
 
@@ -351,6 +369,45 @@ export class Sidebar{
 
 	}
 
+	initHistory(){
+		let history = this.viewer.history;
+
+		let elToolbar = $("#history_tools");
+		elToolbar.append(this.createToolIcon(
+			Potree.resourcePath + "/icons/arrow_ccw.svg",
+			"[title]tt.undo",
+			() => history.undo()
+		));
+		elToolbar.append(this.createToolIcon(
+			Potree.resourcePath + "/icons/arrow_cw.svg",
+			"[title]tt.redo",
+			() => history.redo()
+		));
+
+		// done entries first, clicking an entry undoes or redoes everything after or up to it
+		let elList = $("#history_list");
+		let update = () => {
+			elList.empty();
+
+			let entries = history.getEntries();
+			for(let i = 0; i < entries.length; i++){
+				let entry = entries[i];
+				let elEntry = $(`<li style="cursor: pointer"></li>`);
+				elEntry.text(entry.name);
+
+				if(!entry.done){
+					elEntry.css("opacity", 0.4);
+				}
+
+				elEntry.click(() => history.goTo(i + 1));
+				elList.append(elEntry);
+			}
+		};
+
+		history.addEventListener("history_changed", update);
+		update();
+	}
+
 	initScene(){
 
 		let elScene = $("#menu_scene");
@@ -480,6 +537,7 @@ export class Sidebar{
 			let object = data.node.data;
 			propertiesPanel.set(object);
 
+			this.viewer.setSelectedMeasurement(object instanceof Measure ? object : null);
 			this.viewer.inputHandler.deselectAll();
 
 			if(object instanceof Volume){
@@ -491,12 +549,39 @@ export class Sidebar{
 
 		tree.on("deselect_node.jstree", (e, data) => {
 			propertiesPanel.set(null);
+
+			if(data.node.data === this.viewer.getSelectedMeasurement()){
+				this.viewer.setSelectedMeasurement(null);
+			}
 		});
 
 		tree.on("delete_node.jstree", (e, data) => {
 			propertiesPanel.set(null);
+
+			if(data.node.data === this.viewer.getSelectedMeasurement()){
+				this.viewer.setSelectedMeasurement(null);
+			}
 		});
 
+		// e.g. a measurement selected by a shared link
+		let selectMeasurement = (measurement) => {
+			let measurementsRoot = tree.jstree().get_json("measurements");
+			let jsonNode = measurement
+				? measurementsRoot.children.find(child => child.data.uuid === measurement.uuid)
+				: null;
+
+			if(jsonNode){
+				if(!tree.jstree("is_selected", jsonNode.id)){
+					tree.jstree("deselect_all");
+					tree.jstree("select_node", jsonNode.id);
+				}
+			}else if(tree.jstree("get_selected", true).some(node => node.data instanceof Measure)){
+				tree.jstree("deselect_all");
+			}
+		};
+
+		this.viewer.addEventListener("selected_measurement_changed", (e) => selectMeasurement(e.measurement));
+
 		tree.on('dblclick','.jstree-anchor', (e) => {
 
 			let instance = $.jstree.reference(e.target);
@@ -556,6 +641,22 @@ export class Sidebar{
 				
 				this.viewer.scene.view.position.copy(object.camera.position);
 				this.viewer.scene.view.lookAt(target);
+			}else if(object instanceof Trajectory){
+				let node = new THREE.Object3D();
+				node.boundingBox = object.boundingBox.clone();
+				this.viewer.zoomTo(node, 1, 500);
+			}else if(object instanceof Corridor){
+				let node = new THREE.Object3D();
+				node.boundingBox = object.getBoundingBox();
+				this.viewer.zoomTo(node, 1, 500);
+			}else if(object instanceof VectorLayer){
+				let box = new THREE.Box3().setFromObject(object.node);
+
+				if(box.getSize(new THREE.Vector3()).length() > 0){
+					let node = new THREE.Object3D();
+					node.boundingBox = box;
+					this.viewer.zoomTo(node, 1, 500);
+				}
 			}else if(object.type === "SpotLight"){
 				let distance = (object.distance > 0) ? object.distance / 4 : 5 * 1000;
 				let position = object.position;
@@ -700,6 +801,114 @@ export class Sidebar{
 			});
 		};
 
+		let rasterLayerNodes = new Map();
+
+		let onRasterLayerAdded = (e) => {
+			const layer = e.layer;
+
+			const rasterIcon = `${Potree.resourcePath}/icons/picture.svg`;
+			const node = createNode(imagesID, layer.name, rasterIcon, layer);
+			rasterLayerNodes.set(layer, node);
+
+			layer.addEventListener("visibility_changed", () => {
+				if(layer.visible){
+					tree.jstree('check_node', node);
+				}else{
+					tree.jstree('uncheck_node', node);
+				}
+			});
+		};
+
+		let onRasterLayerRemoved = (e) => {
+			const node = rasterLayerNodes.get(e.layer);
+
+			if(node){
+				tree.jstree("delete_node", node);
+				rasterLayerNodes.delete(e.layer);
+			}
+		};
+
+		let vectorLayerNodes = new Map();
+
+		let onVectorLayerAdded = (e) => {
+			const layer = e.layer;
+
+			const vectorIcon = `${Potree.resourcePath}/icons/triangle.svg`;
+			const node = createNode(vectorsID, layer.name, vectorIcon, layer);
+			vectorLayerNodes.set(layer, node);
+
+			layer.addEventListener("visibility_changed", () => {
+				if(layer.visible){
+					tree.jstree('check_node', node);
+				}else{
+					tree.jstree('uncheck_node', node);
+				}
+			});
+		};
+
+		let onVectorLayerRemoved = (e) => {
+			const node = vectorLayerNodes.get(e.layer);
+
+			if(node){
+				tree.jstree("delete_node", node);
+				vectorLayerNodes.delete(e.layer);
+			}
+		};
+
+		let trajectoryNodes = new Map();
+
+		let onTrajectoryAdded = (e) => {
+			const trajectory = e.trajectory;
+
+			const trajectoryIcon = `${Potree.resourcePath}/icons/distance.svg`;
+			const node = createNode(vectorsID, trajectory.name, trajectoryIcon, trajectory);
+			trajectoryNodes.set(trajectory, node);
+
+			trajectory.addEventListener("visibility_changed", () => {
+				if(trajectory.visible){
+					tree.jstree('check_node', node);
+				}else{
+					tree.jstree('uncheck_node', node);
+				}
+			});
+		};
+
+		let onTrajectoryRemoved = (e) => {
+			const node = trajectoryNodes.get(e.trajectory);
+
+			if(node){
+				tree.jstree("delete_node", node);
+				trajectoryNodes.delete(e.trajectory);
+			}
+		};
+
+		let corridorNodes = new Map();
+
+		let onCorridorAdded = (e) => {
+			const corridor = e.corridor;
+
+			const corridorIcon = `${Potree.resourcePath}/icons/profile.svg`;
+			const node = createNode(measurementID, corridor.name, corridorIcon, corridor);
+			corridorNodes.set(corridor, node);
+
+			corridor.addEventListener("visibility_changed", () => {
+				if(corridor.visible){
+					tree.jstree('check_node', node);
+				}else{
+					tree.jstree('uncheck_node', node);
+				}
+			});
+		};
+
+		let onCorridorRemoved = (e) => {
+			const node = corridorNodes.get(e.corridor);
+
+			if(node){
+				tree.jstree("delete_node", node);
+				corridorNodes.delete(e.corridor);
+			}
+		};
+
 		const onGeopackageAdded = (e) => {
 			const geopackage = e.geopackage;
 
@@ -730,9 +939,28 @@ export class Sidebar{
 		this.viewer.scene.addEventListener("oriented_images_added", onOrientedImagesAdded);
 		this.viewer.scene.addEventListener("360_images_added", onImages360Added);
 		this.viewer.scene.addEventListener("geopackage_added", onGeopackageAdded);
+		this.viewer.scene.addEventListener("vector_layer_added", onVectorLayerAdded);
+		this.viewer.scene.addEventListener("vector_layer_removed", onVectorLayerRemoved);
+		this.viewer.scene.addEventListener("raster_layer_added", onRasterLayerAdded);
+		this.viewer.scene.addEventListener("raster_layer_removed", onRasterLayerRemoved);
+		this.viewer.scene.addEventListener("trajectory_added", onTrajectoryAdded);
+		this.viewer.scene.addEventListener("trajectory_removed", onTrajectoryRemoved);
+		this.viewer.scene.addEventListener("corridor_added", onCorridorAdded);
+		this.viewer.scene.addEventListener("corridor_removed", onCorridorRemoved);
 		this.viewer.scene.addEventListener("polygon_clip_volume_added", onVolumeAdded);
 		this.viewer.scene.annotations.addEventListener("annotation_added", onAnnotationAdded);
 
+		let onAnnotationRemoved = (e) => {
+			let annotationID = this.annotationMapping.get(e.annotation);
+
+			if(annotationID !== undefined){
+				tree.jstree("delete_node", annotationID);
+				this.annotationMapping.delete(e.annotation);
+			}
+		};
+
+		this.viewer.scene.annotations.addEventListener("annotation_removed", onAnnotationRemoved);
+
 		let onMeasurementRemoved = (e) => {
 			let measurementsRoot = $("#jstree_scene").jstree().get_json("measurements");
 			let jsonNode = measurementsRoot.children.find(child => child.data.uuid === e.measurement.uuid);
@@ -786,6 +1014,10 @@ export class Sidebar{
 			onMeasurementAdded({measurement: measurement});
 		}
 
+		if(this.viewer.getSelectedMeasurement()){
+			selectMeasurement(this.viewer.getSelectedMeasurement());
+		}
+
 		for(let volume of [...scene.volumes, ...scene.polygonClipVolumes]){
 			onVolumeAdded({volume: volume});
 		}
@@ -806,6 +1038,22 @@ export class Sidebar{
 			onGeopackageAdded({geopackage: geopackage});
 		}
 
+		for(let layer of scene.vectorLayers){
+			onVectorLayerAdded({layer: layer});
+		}
+
+		for(let layer of scene.rasterLayers){
+			onRasterLayerAdded({layer: layer});
+		}
+
+		for(let trajectory of scene.trajectories){
+			onTrajectoryAdded({trajectory: trajectory});
+		}
+
+		for(let corridor of scene.corridors){
+			onCorridorAdded({corridor: corridor});
+		}
+
 		for(let profile of scene.profiles){
 			onProfileAdded({profile: profile});
 		}
@@ -823,6 +1071,14 @@ export class Sidebar{
 			e.oldScene.removeEventListener("volume_added", onVolumeAdded);
 			e.oldScene.removeEventListener("polygon_clip_volume_added", onVolumeAdded);
 			e.oldScene.removeEventListener("measurement_removed", onMeasurementRemoved);
+			e.oldScene.removeEventListener("vector_layer_added", onVectorLayerAdded);
+			e.oldScene.removeEventListener("vector_layer_removed", onVectorLayerRemoved);
+			e.oldScene.removeEventListener("raster_layer_added", onRasterLayerAdded);
+			e.oldScene.removeEventListener("raster_layer_removed", onRasterLayerRemoved);
+			e.oldScene.removeEventListener("trajectory_added", onTrajectoryAdded);
+			e.oldScene.removeEventListener("trajectory_removed", onTrajectoryRemoved);
+			e.oldScene.removeEventListener("corridor_added", onCorridorAdded);
+			e.oldScene.removeEventListener("corridor_removed", onCorridorRemoved);
 
 			e.scene.addEventListener("pointcloud_added", onPointCloudAdded);
 			e.scene.addEventListener("measurement_added", onMeasurementAdded);
@@ -830,6 +1086,14 @@ export class Sidebar{
 			e.scene.addEventListener("volume_added", onVolumeAdded);
 			e.scene.addEventListener("polygon_clip_volume_added", onVolumeAdded);
 			e.scene.addEventListener("measurement_removed", onMeasurementRemoved);
+			e.scene.addEventListener("vector_layer_added", onVectorLayerAdded);
+			e.scene.addEventListener("vector_layer_removed", onVectorLayerRemoved);
+			e.scene.addEventListener("raster_layer_added", onRasterLayerAdded);
+			e.scene.addEventListener("raster_layer_removed", onRasterLayerRemoved);
+			e.scene.addEventListener("trajectory_added", onTrajectoryAdded);
+			e.scene.addEventListener("trajectory_removed", onTrajectoryRemoved);
+			e.scene.addEventListener("corridor_added", onCorridorAdded);
+			e.scene.addEventListener("corridor_removed", onCorridorRemoved);
 		});
 
 	}
@@ -929,14 +1193,873 @@ export class Sidebar{
 				Potree.resourcePath + "/icons/remove.svg",
 				"[title]tt.remove_all_clipping_volumes",
 				() => {
-
+					this.viewer.history.beginGroup("Remove all clipping volumes");
 					this.viewer.scene.removeAllClipVolumes();
+					this.viewer.history.endGroup();
 				}
 			));
 		}
 
 	}
 
+	// exports the area of the most recent clip polygon, or the visible extent if there is none
+	initRasterExport(){
+
+		let elAttribute = $("#raster_export_attribute");
+		elAttribute.selectgroup({title: "Attribute"});
+		elAttribute.find("input[value=elevation]").trigger("click");
+
+		$("#btnRasterExport").click(async () => {
+			let viewer = this.viewer;
+			let attribute = elAttribute.find("input:checked").val();
+			let gsd = parseFloat($("#txtRasterGSD").val());
+
+			let pointclouds = viewer.scene.pointclouds.filter(p => p.visible);
+			let polygons = viewer.scene.polygonClipVolumes.filter(v => v.initialized);
+			let area = polygons.length > 0
+				? polygons[polygons.length - 1]
+				: GeoTIFFExporter.getViewFrustum(viewer.scene.getActiveCamera());
+
+			let filename = `${attribute}.tif`;
+			let controller = new AbortController();
+
+			let elProgress = $(`<span>Exporting ${filename}: <span name="progress">0</span> points</span>`);
+			let message = viewer.postMessage(elProgress);
+			message.elClose.click(() => controller.abort());
+
+			try{
+				let buffer = await GeoTIFFExporter.toGeoTIFF(pointclouds, area, {
+					attribute: attribute,
+					gsd: gsd,
+					projection: viewer.getProjection(),
+					signal: controller.signal,
+					onProgress: ({numPoints}) => {
+						elProgress.find("span[name=progress]").text(numPoints.toLocaleString());
+					},
+				});
+
+				downloadBlob(new Blob([buffer], {type: "image/tiff"}), filename);
+			}catch(e){
+				if(e.name !== "AbortError"){
+					console.error(e);
+					viewer.postError($("<span>").text(`Failed to export ${filename}: ${e.message}`), {duration: 5000});
+				}
+			}finally{
+				message.elClose.click();
+			}
+		});
+	}
+
+	initSelection(){
+		let viewer = this.viewer;
+		let tool = viewer.selectionTool;
+
+		let elToolbar = $("#selection_tools");
+		let modes = [
+			["lasso", "clip-polygon.svg", "[title]tt.select_lasso"],
+			["polygon", "area.svg", "[title]tt.select_polygon"],
+		];
+
+		for(let [mode, icon, title] of modes){
+			let elIcon = this.createToolIcon(`${Potree.resourcePath}/icons/${icon}`, title, () => {
+				if(tool.mode === mode){
+					tool.stop();
+				}else{
+					tool.start(mode);
+				}
+			});
+			elIcon.attr("name", mode);
+			elToolbar.append(elIcon);
+		}
+
+		tool.addEventListener("mode_changed", () => {
+			elToolbar.find("img").css("background-color", "");
+			elToolbar.find(`img[name=${tool.mode}]`).css("background-color", "rgba(255, 255, 255, 0.3)");
+		});
+
+		elToolbar.append(this.createToolIcon(
+			Potree.resourcePath + "/icons/add.svg",
+			"[title]tt.select_new_set",
+			() => {
+				let selectionSet = new SelectionSet();
+				viewer.scene.addSelectionSet(selectionSet);
+				tool.setSelectionSet(selectionSet);
+			}
+		));
+
+		let elOperation = $("#selection_operation");
+		elOperation.selectgroup({title: "Combine"});
+		elOperation.find("input").click((e) => {
+			tool.operation = e.target.value;
+		});
+		elOperation.find(`input[value=${tool.operation}]`).trigger("click");
+
+		// one entry per set, clicking the name makes it the active set
+		let elList = $("#selection_set_list");
+		let numPoints = new Map();
+
+		let update = () => {
+			elList.empty();
+
+			for(let selectionSet of viewer.scene.selectionSets){
+				let count = numPoints.has(selectionSet) ? numPoints.get(selectionSet).toLocaleString() : "0";
+				let elEntry = $(`
+					<li style="display: flex; align-items: center">
+						<span name="name" style="flex-grow: 1; cursor: pointer"></span>
+						<span name="count" style="margin: 0 4px; opacity: 0.6">${count}</span>
+						<img name="visibility" src="${Potree.resourcePath}/icons/eye.svg" class="button-icon" style="width: 16px; height: 16px" />
+						<img name="export" src="${Potree.resourcePath}/icons/file_las_3d.svg" class="button-icon" style="width: 16px; height: 16px" />
+						<img name="remove" src="${Potree.resourcePath}/icons/remove.svg" class="button-icon" style="width: 16px; height: 16px" />
+					</li>`);
+
+				elEntry.find("span[name=name]").text(selectionSet.name)
+					.css("font-weight", selectionSet === tool.selectionSet ? "bold" : "normal")
+					.click(() => tool.setSelectionSet(selectionSet));
+
+				elEntry.find("img[name=visibility]")
+					.css("opacity", selectionSet.visible ? 1 : 0.4)
+					.click(() => {
+						selectionSet.visible = !selectionSet.visible;
+						update();
+					});
+
+				elEntry.find("img[name=export]").click(() => {
+					let pointclouds = viewer.scene.pointclouds.filter(p => p.visible);
+
+					this.exportLAS(`${selectionSet.name}.las`, pointclouds.map(p => p.extractPoints(selectionSet)));
+				});
+
+				elEntry.find("img[name=remove]").click(() => viewer.scene.removeSelectionSet(selectionSet));
+
+				elList.append(elEntry);
+			}
+		};
+
+		tool.addEventListener("highlight_updated", (e) => {
+			numPoints.set(e.selectionSet, e.numPoints);
+			elList.find("span[name=count]").eq(viewer.scene.selectionSets.indexOf(e.selectionSet)).text(e.numPoints.toLocaleString());
+		});
+		tool.addEventListener("active_set_changed", update);
+
+		let onSelectionSetRemoved = (e) => {
+			numPoints.delete(e.selectionSet);
+			update();
+		};
+
+		viewer.scene.addEventListener("selection_set_added", update);
+		viewer.scene.addEventListener("selection_set_removed", onSelectionSetRemoved);
+		viewer.addEventListener("scene_changed", (e) => {
+			if(e.oldScene){
+				e.oldScene.removeEventListener("selection_set_added", update);
+				e.oldScene.removeEventListener("selection_set_removed", onSelectionSetRemoved);
+			}
+
+			e.scene.addEventListener("selection_set_added", update);
+			e.scene.addEventListener("selection_set_removed", onSelectionSetRemoved);
+			update();
+		});
+		update();
+	}
+
+	initAttributeEdit(){
+		let viewer = this.viewer;
+		let tool = viewer.attributeEditTool;
+
+		let elToolbar = $("#attribute_edit_tools");
+		let modes = [
+			["brush", "circled_dot.svg", "[title]tt.edit_brush"],
+			["lasso", "clip-polygon.svg", "[title]tt.edit_lasso"],
+			["rectangle", "clip-screen.svg", "[title]tt.edit_rectangle"],
+		];
+
+		for(let [mode, icon, title] of modes){
+			let elIcon = this.createToolIcon(`${Potree.resourcePath}/icons/${icon}`, title, () => {
+				if(tool.mode === mode){
+					tool.stop();
+				}else{
+					tool.start(mode);
+				}
+			});
+			elIcon.attr("name", mode);
+			elToolbar.append(elIcon);
+		}
+
+		tool.addEventListener("mode_changed", () => {
+			elToolbar.find("img").css("background-color", "");
+			elToolbar.find(`img[name=${tool.mode}]`).css("background-color", "rgba(255, 255, 255, 0.3)");
+		});
+
+		// the clipping volumes, or the selected volumes
+		elToolbar.append(this.createToolIcon(
+			Potree.resourcePath + "/icons/clip_volume.svg",
+			"[title]tt.edit_volume",
+			() => {
+				let selected = viewer.inputHandler.selection.filter(o => o instanceof Volume);
+				let volumes = selected.length > 0
+					? selected
+					: [...viewer.scene.volumes.filter(v => v.clip), ...viewer.scene.polygonClipVolumes.filter(v => v.initialized)];
+
+				if(volumes.length === 0){
+					viewer.postMessage("Select or add a clipping volume first.", {duration: 2000});
+					return;
+				}
+
+				viewer.history.beginGroup("Volume edit");
+				for(let volume of volumes){
+					tool.applyToVolume(volume);
+				}
+				viewer.history.endGroup();
+			}
+		));
+
+		elToolbar.append(this.createToolIcon(
+			Potree.resourcePath + "/icons/area.svg",
+			"[title]tt.edit_selection",
+			() => {
+				let selectionSet = viewer.selectionTool.getSelectionSet();
+
+				if(!selectionSet || selectionSet.isEmpty()){
+					viewer.postMessage("Select points first.", {duration: 2000});
+					return;
+				}
+
+				tool.applyToSelection(selectionSet);
+			}
+		));
+
+		elToolbar.append(this.createToolIcon(
+			Potree.resourcePath + "/icons/assign.svg",
+			"[title]tt.edit_filter",
+			() => tool.applyToAll()
+		));
+
+		let elAttribute = $("#optAttributeEditAttribute");
+		let elFilterAttribute = $("#optAttributeEditFilterAttribute");
+		let elValue = $("#txtAttributeEditValue");
+		let elFilter = $("#chkAttributeEditFilter");
+		let elFilterMin = $("#txtAttributeEditFilterMin");
+		let elFilterMax = $("#txtAttributeEditFilterMax");
+
+		let updateTool = () => {
+			tool.attribute = elAttribute.val();
+			tool.value = parseFloat(elValue.val());
+			tool.filter = elFilter.is(":checked")
+				? {
+					attribute: elFilterAttribute.val(),
+					min: parseFloat(elFilterMin.val()),
+					max: parseFloat(elFilterMax.val()),
+				}
+				: null;
+		};
+
+		for(let el of [elAttribute, elValue, elFilter, elFilterAttribute, elFilterMin, elFilterMax]){
+			el.change(updateTool);
+		}
+
+		let updateAttributes = () => {
+			let names = new Set();
+			for(let pointcloud of viewer.scene.pointclouds){
+				for(let attribute of pointcloud.getAttributes().attributes){
+					if(attribute.numElements === 1){
+						names.add(attribute.name);
+					}
+				}
+			}
+
+			for(let [elSelect, selected] of [[elAttribute, tool.attribute], [elFilterAttribute, elFilterAttribute.val() || "classification"]]){
+				elSelect.empty();
+
+				for(let name of names){
+					elSelect.append(`<option value="${name}">${name}</option>`);
+				}
+
+				if(names.has(selected)){
+					elSelect.val(selected);
+				}
+			}
+
+			if(names.size > 0){
+				updateTool();
+			}
+		};
+
+
+		viewer.scene.addEventListener("pointcloud_added", updateAttributes);
+		viewer.addEventListener("scene_changed", (e) => {
+			if(e.oldScene){
+				e.oldScene.removeEventListener("pointcloud_added", updateAttributes);
+			}
+
+			e.scene.addEventListener("pointcloud_added", updateAttributes);
+			updateAttributes();
+		});
+		updateAttributes();
+
+		let elBrushSize = $("#sldAttributeEditBrushSize");
+		let lblBrushSize = $("#lblAttributeEditBrushSize");
+		elBrushSize.slider({
+			value: tool.brushSize,
+			min: 2, max: 100, step: 1,
+			slide: (event, ui) => {
+				tool.brushSize = ui.value;
+				lblBrushSize.html(`${ui.value}px`);
+			}
+		});
+		lblBrushSize.html(`${tool.brushSize}px`);
+
+		let getEditedPointClouds = () => viewer.scene.pointclouds.filter(p => p.editLayer && p.editLayer.operations.length > 0);
+
+		$("#btnAttributeEditExport").click(() => {
+			for(let pointcloud of getEditedPointClouds()){
+				let json = JSON.stringify(pointcloud.editLayer.toJSON(), null, "\t");
+
+				downloadBlob(new Blob([json], {type: "application/json"}), `${pointcloud.name}_edits.json`);
+			}
+		});
+
+		let elImport = $("#fileAttributeEditImport");
+		$("#btnAttributeEditImport").click(() => elImport.click());
+		elImport.change(async () => {
+			let file = elImport[0].files[0];
+			elImport.val("");
+
+			try{
+				let data = JSON.parse(await file.text());
+				let pointcloud = viewer.scene.pointclouds.find(p => p.name === data.pointcloud);
+
+				if(!pointcloud){
+					throw new Error(`there is no point cloud named ${data.pointcloud}`);
+				}
+
+				let layer = pointcloud.getEditLayer();
+				let before = layer.operations.slice();
+				layer.fromJSON(data);
+				let after = layer.operations.slice();
+
+				viewer.history.record({
+					name: "Import edits",
+					undo: () => layer.setOperations(before),
+					redo: () => layer.setOperations(after),
+				});
+			}catch(e){
+				console.error(e);
+				viewer.postError($("<span>").text(`Failed to import ${file.name}: ${e.message}`), {duration: 5000});
+			}
+		});
+
+		$("#btnAttributeEditExportLAS").click(async () => {
+			for(let pointcloud of getEditedPointClouds()){
+				await this.exportLAS(`${pointcloud.name}_edited.las`, [pointcloud.editLayer.extractPoints()]);
+			}
+		});
+	}
+
+	initChangeDetection(){
+		let viewer = this.viewer;
+		let detection = null;
+		let lastUpdate = 0;
+
+		let elSource = $("#optChangeSource");
+		let elTarget = $("#optChangeTarget");
+		let elMethod = $("#optChangeMethod");
+		let elMaxDistance = $("#txtChangeMaxDistance");
+		let elThreshold = $("#txtChangeThreshold");
+		let elNormalRadius = $("#txtChangeNormalRadius");
+		let elProjectionRadius = $("#txtChangeProjectionRadius");
+		let elCompute = $("#btnChangeCompute");
+		let elCancel = $("#btnChangeCancel");
+		let elProgress = $("#lblChangeProgress");
+		let elFilter = $("#chkChangeFilter");
+		let elFilterMin = $("#txtChangeFilterMin");
+		let elFilterMax = $("#txtChangeFilterMax");
+		let elReport = $("#change_report");
+		let elResultButtons = $("#btnChangeExportCSV, #btnChangeExportJSON, #btnChangeRemove");
+
+		let updatePointClouds = () => {
+			for(let [elSelect, index] of [[elSource, 0], [elTarget, 1]]){
+				let selected = elSelect.val();
+
+				elSelect.empty();
+				viewer.scene.pointclouds.forEach((pointcloud, i) => {
+					elSelect.append($(`<option value="${i}"></option>`).text(pointcloud.name));
+				});
+
+				elSelect.val(selected !== null && selected < viewer.scene.pointclouds.length ? selected : Math.min(index, viewer.scene.pointclouds.length - 1));
+			}
+		};
+
+		let getReport = () => detection.getReport(parseFloat(elThreshold.val()));
+
+		let showReport = () => {
+			let report = getReport();
+			let format = (value) => value === null ? "-" : value.toFixed(3);
+
+			let rows = [
+				["points", report.numPoints.toLocaleString()],
+				["without counterpart", report.numWithoutCounterpart.toLocaleString()],
+				[`changed (≥ ${report.threshold})`, report.numChanged.toLocaleString()],
+				["min", format(report.min)],
+				["max", format(report.max)],
+				["mean", format(report.mean)],
+				["mean absolute", format(report.meanAbsolute)],
+				["rms", format(report.rms)],
+			];
+
+			let elTable = $(`<table class="measurement_value_table"></table>`);
+			for(let [name, value] of rows){
+				let elRow = $(`<tr><th></th><td style="text-align: right"></td></tr>`);
+				elRow.find("th").text(name);
+				elRow.find("td").text(value);
+
+				elTable.append(elRow);
+			}
+
+			elReport.empty().append(elTable);
+		};
+
+		let updateFilter = () => {
+			if(!detection){
+				return;
+			}
+
+			let range = elFilter.is(":checked")
+				? [parseFloat(elFilterMin.val()), parseFloat(elFilterMax.val())]
+				: null;
+
+			detection.source.material.setFilterRange(detection.attributeName, range);
+		};
+
+		let remove = () => {
+			if(detection){
+				detection.dispose();
+				detection = null;
+			}
+
+			elReport.empty();
+			elProgress.text("");
+			elResultButtons.prop("disabled", true);
+			elCancel.prop("disabled", true);
+		};
+
+		elMethod.change(() => {
+			$("#change_m3c2_options").toggle(elMethod.val() === "m3c2");
+		});
+
+		elCompute.click(async () => {
+			let source = viewer.scene.pointclouds[parseInt(elSource.val())];
+			let target = viewer.scene.pointclouds[parseInt(elTarget.val())];
+
+			if(!source || !target || source === target){
+				viewer.postMessage("Select two different point clouds.", {duration: 2000});
+				return;
+			}
+
+			remove();
+
+			let maxDistance = parseFloat(elMaxDistance.val());
+			let method = elMethod.val();
+
+			detection = new ChangeDetection(source, target, {
+				method: method,
+				maxDistance: maxDistance,
+				normalRadius: parseFloat(elNormalRadius.val()),
+				projectionRadius: parseFloat(elProjectionRadius.val()),
+			});
+
+			detection.addEventListener("progress", (e) => {
+				elProgress.text(`${e.numNodesProcessed} nodes, ${e.numNodesPending} pending`);
+				showReport();
+			});
+
+			source.material.activeAttributeName = detection.attributeName;
+			source.material.setRange(detection.attributeName, detection.getHistogramRange());
+			updateFilter();
+
+			elCancel.prop("disabled", false);
+			elResultButtons.prop("disabled", false);
+			elProgress.text("computing...");
+
+			try{
+				await detection.update();
+			}catch(e){
+				console.error(e);
+				viewer.postError($("<span>").text(`Change detection failed: ${e.message}`), {duration: 5000});
+				remove();
+			}
+		});
+
+		// compare nodes as they are loaded, until canceled
+		viewer.addEventListener("update", () => {
+			let now = performance.now();
+
+			if(!detection || detection.canceled || detection.running || now - lastUpdate < 1000){
+				return;
+			}
+
+			lastUpdate = now;
+
+			if(detection.getPendingNodes().length > 0){
+				detection.update().catch(e => console.error(e));
+			}
+		});
+
+		elCancel.click(() => {
+			if(detection){
+				detection.cancel();
+				elProgress.text("canceled");
+			}
+			elCancel.prop("disabled", true);
+		});
+
+		for(let el of [elFilter, elFilterMin, elFilterMax]){
+			el.change(updateFilter);
+		}
+		elThreshold.change(() => {
+			if(detection){
+				showReport();
+			}
+		});
+
+		$("#btnChangeExportCSV").click(() => {
+			let csv = ChangeDetection.toCSV(getReport());
+
+			downloadBlob(new Blob([csv], {type: "text/csv"}), `${detection.source.name}_changes.csv`);
+		});
+
+		$("#btnChangeExportJSON").click(() => {
+			let json = JSON.stringify(getReport(), null, "\t");
+
+			downloadBlob(new Blob([json], {type: "application/json"}), `${detection.source.name}_changes.json`);
+		});
+
+		$("#btnChangeRemove").click(remove);
+
+		viewer.scene.addEventListener("pointcloud_added", updatePointClouds);
+		viewer.addEventListener("scene_changed", (e) => {
+			if(e.oldScene){
+				e.oldScene.removeEventListener("pointcloud_added", updatePointClouds);
+			}
+
+			remove();
+			e.scene.addEventListener("pointcloud_added", updatePointClouds);
+			updatePointClouds();
+		});
+		updatePointClouds();
+	}
+
+	initCorridor(){
+		let viewer = this.viewer;
+		let tool = viewer.corridorTool;
+		let candidates = [];
+
+		let elAlignment = $("#optCorridorAlignment");
+		let elInterval = $("#txtCorridorCreateInterval");
+		let elWidth = $("#txtCorridorCreateWidth");
+		let elDepth = $("#txtCorridorCreateDepth");
+
+		let updateCandidates = () => {
+			let selected = elAlignment.val();
+
+			candidates = tool.getAlignmentCandidates();
+
+			elAlignment.empty();
+			candidates.forEach((candidate, i) => {
+				elAlignment.append($(`<option value="${i}"></option>`).text(candidate.name));
+			});
+
+			if(selected !== null && selected < candidates.length){
+				elAlignment.val(selected);
+			}
+		};
+
+		elAlignment.on("focus", updateCandidates);
+
+		$("#btnCorridorDraw").click(() => {
+			$('#menu_measurements').next().slideDown();
+
+			let measurement = this.measuringTool.startInsertion({
+				showDistances: true,
+				showArea: false,
+				closed: false,
+				name: 'Alignment'});
+
+			measurement.addEventListener("marker_added", updateCandidates);
+			updateCandidates();
+		});
+
+		$("#btnCorridorCreate").click(() => {
+			updateCandidates();
+
+			let candidate = candidates[parseInt(elAlignment.val())];
+			let params = {
+				interval: parseFloat(elInterval.val()),
+				width: parseFloat(elWidth.val()),
+				depth: parseFloat(elDepth.val()),
+			};
+
+			if(!candidate){
+				viewer.postError("Draw or load a polyline to use as alignment", {duration: 5000});
+				return;
+			}else if(!Object.values(params).every(value => value > 0)){
+				viewer.postError("Interval, width and depth must be larger than 0", {duration: 5000});
+				return;
+			}
+
+			let corridor = null;
+			try{
+				corridor = tool.createCorridor(candidate.points, {
+					...params,
+					name: `Corridor ${candidate.name}`,
+				});
+			}catch(e){
+				viewer.postError($("<span>").text(e.message), {duration: 5000});
+				return;
+			}
+
+			if(corridor.sections.length > 0){
+				viewer.profileWindow.show();
+				viewer.profileWindowController.showCorridorSection(corridor, 0);
+			}
+		});
+
+		viewer.addEventListener("scene_changed", updateCandidates);
+		updateCandidates();
+	}
+
+	initTimeline(){
+		let viewer = this.viewer;
+		let timeline = viewer.timeline;
+
+		let elMode = $("#timeline_mode");
+		let elPlay = $("#btnTimelinePlay");
+		let elSlider = $("#sldTimeline");
+		let elLabel = $("#lblTimeline");
+		let elSpeed = $("#txtTimelineSpeed");
+		let elWindow = $("#txtTimelineWindow");
+		let elAccumulate = $("#chkTimelineAccumulate");
+		let elEpochDuration = $("#txtTimelineEpochDuration");
+		let elFadeDuration = $("#txtTimelineFadeDuration");
+		let elEpochList = $("#timeline_epoch_list");
+		let elEpochPointCloud = $("#optTimelineEpochPointCloud");
+		let elEpochDate = $("#txtTimelineEpochDate");
+		let elCameraAnimation = $("#optTimelineCameraAnimation");
+
+		elMode.selectgroup({title: "Mode"});
+		elMode.find("input").click((e) => {
+			timeline.setMode(e.target.value);
+
+			$("#timeline_gps_time_options").toggle(timeline.mode === "gps-time");
+			$("#timeline_epoch_options").toggle(timeline.mode === "epochs");
+		});
+		elMode.find(`input[value=${timeline.mode}]`).trigger("click");
+
+		// the slider works in thousandths of the duration, which changes as point clouds load
+		elSlider.slider({
+			min: 0, max: 1000, step: 1, value: 0,
+			slide: (event, ui) => {
+				timeline.seek(timeline.getDuration() * ui.value / 1000);
+			}
+		});
+
+		elPlay.click(() => {
+			if(timeline.playing){
+				timeline.pause();
+			}else{
+				timeline.play();
+			}
+		});
+		$("#btnTimelineStop").click(() => timeline.stop());
+		$("#chkTimelineLoop").change((e) => {
+			timeline.loop = e.target.checked;
+		});
+
+		let updateSettings = () => {
+			timeline.speed = parseFloat(elSpeed.val()) || 1;
+			timeline.windowSize = elAccumulate.is(":checked") ? Infinity : parseFloat(elWindow.val());
+			timeline.epochDuration = parseFloat(elEpochDuration.val()) || 0;
+			timeline.fadeDuration = parseFloat(elFadeDuration.val()) || 0;
+
+			if(timeline.savedState){
+				timeline.seek(timeline.time);
+			}
+		};
+
+		for(let el of [elSpeed, elWindow, elAccumulate, elEpochDuration, elFadeDuration]){
+			el.change(updateSettings);
+		}
+		updateSettings();
+
+		let onTimeChanged = (e) => {
+			elSlider.slider({value: Math.round(1000 * e.progress)});
+
+			if(e.gpsTime !== undefined){
+				elLabel.text(e.gpsTime === null ? "no GPS-time" : `GPS-time ${Utils.addCommas(e.gpsTime.toFixed(2))}`);
+			}else{
+				elLabel.text(e.epoch ? `${e.epoch.name} (${e.epoch.date.toISOString().slice(0, 10)})` : "no epochs");
+			}
+		};
+
+		timeline.addEventListener("time_changed", onTimeChanged);
+		timeline.addEventListener("play", () => elPlay.val("Pause"));
+		timeline.addEventListener("pause", () => elPlay.val("Play"));
+		timeline.addEventListener("stop", () => {
+			elPlay.val("Play");
+			elSlider.slider({value: 0});
+			elLabel.text("");
+		});
+
+		let updateEpochs = () => {
+			elEpochList.empty();
+
+			for(let epoch of timeline.getEpochs()){
+				let elEntry = $(`
+					<li style="display: flex; align-items: center">
+						<span name="date" style="margin-right: 4px; opacity: 0.6"></span>
+						<span name="name" style="flex-grow: 1; cursor: pointer"></span>
+						<img name="remove" src="${Potree.resourcePath}/icons/remove.svg" class="button-icon" style="width: 16px; height: 16px" />
+					</li>`);
+
+				elEntry.find("span[name=date]").text(epoch.date.toISOString().slice(0, 10));
+				elEntry.find("span[name=name]").text(`${epoch.name}: ${epoch.pointcloud.name}`)
+					.click(() => {
+						timeline.setMode("epochs");
+						timeline.seek(timeline.getEpochTime(epoch));
+					});
+				elEntry.find("img[name=remove]").click(() => {
+					timeline.stop();
+					viewer.scene.removeEpoch(epoch);
+				});
+
+				elEpochList.append(elEntry);
+			}
+		};
+
+		let updatePointClouds = () => {
+			elEpochPointCloud.empty();
+
+			viewer.scene.pointclouds.forEach((pointcloud, i) => {
+				elEpochPointCloud.append($(`<option value="${i}"></option>`).text(pointcloud.name));
+			});
+		};
+
+		$("#btnTimelineAddEpoch").click(() => {
+			let pointcloud = viewer.scene.pointclouds[parseInt(elEpochPointCloud.val())];
+			let date = elEpochDate.val();
+
+			if(!pointcloud || !date){
+				viewer.postMessage("Select a point cloud and a date.", {duration: 2000});
+				return;
+			}
+
+			timeline.stop();
+			viewer.scene.addEpoch(new Epoch(pointcloud, date));
+		});
+
+		let updateCameraAnimations = () => {
+			elCameraAnimation.empty();
+			elCameraAnimation.append(`<option value="-1">none</option>`);
+
+			viewer.scene.cameraAnimations.forEach((animation, i) => {
+				elCameraAnimation.append($(`<option value="${i}"></option>`).text(animation.name));
+			});
+
+			let index = viewer.scene.cameraAnimations.indexOf(timeline.cameraAnimation);
+			if(index < 0 && timeline.cameraAnimation){
+				timeline.setCameraAnimation(null);
+			}
+			elCameraAnimation.val(index);
+		};
+
+		elCameraAnimation.change(() => {
+			let index = parseInt(elCameraAnimation.val());
+
+			timeline.setCameraAnimation(index >= 0 ? viewer.scene.cameraAnimations[index] : null);
+		});
+
+		let sceneEvents = {
+			"epoch_added": updateEpochs,
+			"epoch_removed": updateEpochs,
+			"pointcloud_added": updatePointClouds,
+			"camera_animation_added": updateCameraAnimations,
+			"camera_animation_removed": updateCameraAnimations,
+		};
+
+		for(let [type, listener] of Object.entries(sceneEvents)){
+			viewer.scene.addEventListener(type, listener);
+		}
+		viewer.addEventListener("scene_changed", (e) => {
+			for(let [type, listener] of Object.entries(sceneEvents)){
+				if(e.oldScene){
+					e.oldScene.removeEventListener(type, listener);
+				}
+
+				e.scene.addEventListener(type, listener);
+			}
+
+			updateEpochs();
+			updatePointClouds();
+			updateCameraAnimations();
+		});
+
+		updateEpochs();
+		updatePointClouds();
+		updateCameraAnimations();
+	}
+
+	/**
+	 * Streams the points of the extractors, see PointExtractor, into a LAS file and downloads it.
+	 * Only one batch of points is held in memory at a time. Closing the progress message cancels the export.
+	 */
+	async exportLAS(filename, extractors){
+		let viewer = this.viewer;
+		let controller = new AbortController();
+
+		let elProgress = $(`<span>Exporting <span name="filename"></span>: <span name="progress">0</span> points</span>`);
+		elProgress.find("span[name=filename]").text(filename);
+		let message = viewer.postMessage(elProgress);
+		message.elClose.click(() => controller.abort());
+
+		// offset and scale of the LAS file must be known before the first points are written
+		let boundingBox = new THREE.Box3();
+		for(let {pointcloud} of extractors){
+			pointcloud.updateMatrixWorld(true);
+			boundingBox.union(pointcloud.boundingBox.clone().applyMatrix4(pointcloud.matrixWorld));
+		}
+
+		let batches = async function * (){
+			for(let extractor of extractors){
+				extractor.signal = controller.signal;
+
+				yield * extractor;
+			}
+		};
+
+		try{
+			let sink = new BlobSink();
+			let {projectionDropped} = await LASExporter.writeBatches(batches(), sink, {
+				projection: viewer.getProjection(),
+				boundingBox: boundingBox,
+				signal: controller.signal,
+				onProgress: ({numPoints}) => {
+					elProgress.find("span[name=progress]").text(numPoints.toLocaleString());
+				},
+			});
+
+			downloadBlob(sink.toBlob(), filename);
+
+			if(projectionDropped){
+				viewer.postMessage($("<span>").text(`The projection of the point cloud can't be stored in ${filename}`), {duration: 5000});
+			}
+		}catch(e){
+			if(e.name !== "AbortError"){
+				console.error(e);
+				viewer.postError($("<span>").text(`Failed to export ${filename}: ${e.message}`), {duration: 5000});
+			}
+		}finally{
+			message.elClose.click();
+		}
+	}
+
 	initFilters(){
 		this.initClassificationList();
 		this.initReturnFilters();
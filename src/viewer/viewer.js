@@ -20,10 +20,24 @@ import {AnnotationTool} from "../utils/AnnotationTool.js";
 import {MeasuringTool} from "../utils/MeasuringTool.js";
 import {ProfileTool} from "../utils/ProfileTool.js";
 import {VolumeTool} from "../utils/VolumeTool.js";
+import {AttributeEditTool} from "../utils/AttributeEditTool.js";
+import {SelectionTool} from "../utils/SelectionTool.js";
+import {Timeline} from "../utils/Timeline.js";
 
 import {InputHandler} from "../navigation/InputHandler.js";
 import {NavigationCube} from "./NavigationCube.js";
 import {Compass} from "../utils/Compass.js";
+import {LoadProgress} from "./LoadProgress.js";
+import {History} from "./History.js";
+import {HistoryRecorder} from "./HistoryRecorder.js";
+import {ViewStateURL} from "./ViewState.js";
+import {RasterLayer} from "../modules/RasterOverlay/RasterLayer.js";
+import {TrajectoryLoader} from "../modules/Trajectory/Trajectory.js";
+import {TrajectoryTool} from "../modules/Trajectory/TrajectoryTool.js";
+import {CorridorTool} from "../modules/Corridor/CorridorTool.js";
+import {GeoJSONLoader} from "../loader/GeoJSONLoader.js";
+import {KMLLoader} from "../loader/KMLLoader.js";
+import {DXFLoader} from "../loader/DXFLoader.js";
 import {OrbitControls} from "../navigation/OrbitControls.js";
 import {FirstPersonControls} from "../navigation/FirstPersonControls.js";
 import {EarthControls} from "../navigation/EarthControls.js";
@@ -128,9 +142,15 @@ export class Viewer extends EventDispatcher{
 		this.server = null;
 
 		this.numVisiblePoints = 0;
+		this.loadProgress = new LoadProgress(this);
+		this.history = new History();
+		this.historyRecorder = new HistoryRecorder(this);
+		this.viewStateURL = new ViewStateURL(this);
+		this.selectedMeasurement = null;
 		this.fov = 60;
 		this.isFlipYZ = false;
 		this.useDEMCollisions = false;
+		this.demCollisionOffset = 1.0;
 		this.generateDEM = false;
 		this.minNodeSize = 30;
 		this.edlStrength = 1.0;
@@ -311,6 +331,10 @@ export class Viewer extends EventDispatcher{
 			this.scaleFactor = 1;
 
 			this.loadSettingsFromURL();
+
+			if(args.viewStateURL === true){
+				this.viewStateURL.start();
+			}
 		}
 
 		// start rendering!
@@ -326,6 +350,11 @@ export class Viewer extends EventDispatcher{
 		this.measuringTool = new MeasuringTool(this);
 		this.profileTool = new ProfileTool(this);
 		this.volumeTool = new VolumeTool(this);
+		this.attributeEditTool = new AttributeEditTool(this);
+		this.selectionTool = new SelectionTool(this);
+		this.timeline = new Timeline(this);
+		this.trajectoryTool = new TrajectoryTool(this);
+		this.corridorTool = new CorridorTool(this);
 
 		}catch(e){
 			this.onCrash(e);
@@ -528,6 +557,21 @@ export class Viewer extends EventDispatcher{
 		return this.freeze;
 	};
 
+	getSelectedMeasurement(){
+		return this.selectedMeasurement;
+	}
+
+	setSelectedMeasurement(measurement){
+		if(this.selectedMeasurement !== measurement){
+			this.selectedMeasurement = measurement;
+
+			this.dispatchEvent({
+				type: "selected_measurement_changed",
+				viewer: this,
+				measurement: measurement});
+		}
+	}
+
 	getClipTask(){
 		return this.clipTask;
 	}
@@ -602,6 +646,27 @@ export class Viewer extends EventDispatcher{
 		return this.useDEMCollisions;
 	};
 
+	/**
+	 * Height of the point clouds at the given world coordinates, according to their DEMs.
+	 * Returns the highest of all visible point clouds, or null if none of them has data there.
+	 * DEMs are only built while generateDEM or useDEMCollisions is enabled.
+	 *
+	 * mode: "min", "max", "mean" or "ground", see DEM
+	 */
+	getHeightAt (x, y, mode = "mean") {
+		return this.scene.getHeightAt(x, y, mode);
+	}
+
+	/**
+	 * Resolves to true once all nodes that are visible from the current view are loaded and displayed,
+	 * e.g. before taking a screenshot, or to false if that takes longer than args.timeout milliseconds.
+	 * Resolves right away while the viewer is frozen, since the view isn't updated then.
+	 * See LoadProgress for the "load_progress" and "refined" events.
+	 */
+	whenRefined (args = {}) {
+		return this.loadProgress.whenRefined(args);
+	}
+
 	setEDLEnabled (value) {
 		value = Boolean(value) && Features.SHADER_EDL.isSupported();
 
@@ -1002,11 +1067,7 @@ export class Viewer extends EventDispatcher{
 		const json = JSON5.parse(text);
 		// const json = JSON.parse(text);
 
-		if(json.type === "Potree"){
-			Potree.loadProject(viewer, json);
-		}
-
-		//Potree.loadProject(this, url);
+		await Potree.loadProject(this, json);
 	}
 
 	saveProject(){
@@ -1366,6 +1427,13 @@ export class Viewer extends EventDispatcher{
 			e.preventDefault();
 		}
 
+		const vectorLoaders = {
+			".geojson": GeoJSONLoader,
+			".kml": KMLLoader,
+			".kmz": KMLLoader,
+			".dxf": DXFLoader,
+		};
+
 		let dropHandler = async (event) => {
 			console.log(event);
 			event.preventDefault();
@@ -1381,6 +1449,10 @@ export class Viewer extends EventDispatcher{
 
 				const isJson5 = file.name.toLowerCase().endsWith(".json5");
 				const isGeoPackage = file.name.toLowerCase().endsWith(".gpkg");
+				const isGeoTIFF = [".tif", ".tiff"].some(extension => file.name.toLowerCase().endsWith(extension));
+				const isTrajectory = [".sbet", ".out", ".csv"].some(extension => file.name.toLowerCase().endsWith(extension));
+				const vectorLoader = Object.entries(vectorLoaders)
+					.find(([extension]) => file.name.toLowerCase().endsWith(extension));
 
 				if(isJson5){
 					try{
@@ -1389,10 +1461,24 @@ export class Viewer extends EventDispatcher{
 						const json = JSON5.parse(text);
 
 						if(json.type === "Potree"){
-							Potree.loadProject(viewer, json);
+							await Potree.loadProject(viewer, json);
 						}
 					}catch(e){
-						console.error("failed to parse the dropped file as JSON");
+						if(e instanceof Potree.ProjectValidationError){
+							// the errors quote values of the file, they are shown as text and cut short
+							const elMessage = $("<span></span>").text(`Could not load ${file.name}:`);
+							for(const error of e.errors.slice(0, 10)){
+								const text = error.length > 200 ? `${error.slice(0, 200)}...` : error;
+								elMessage.append($("<br>"), $("<span></span>").text(text));
+							}
+							if(e.errors.length > 10){
+								elMessage.append($("<br>"), $("<span></span>").text(`and ${e.errors.length - 10} more`));
+							}
+
+							viewer.postError(elMessage, {duration: 10000});
+						}else{
+							console.error("failed to parse the dropped file as JSON");
+						}
 						console.error(e);
 					}
 				}else if(isGeoPackage){
@@ -1418,6 +1504,54 @@ export class Viewer extends EventDispatcher{
 						const geo = await Potree.GeoPackageLoader.loadBuffer(buffer, params);
 						viewer.scene.addGeopackage(geo);
 					}
+				}else if(vectorLoader){
+					try{
+						const hasPointcloud = viewer.scene.pointclouds.length > 0;
+						const params = {
+							projection: hasPointcloud ? this.getProjection() : null,
+						};
+
+						const layer = await vectorLoader[1].load(file, params);
+						viewer.scene.addVectorLayer(layer);
+					}catch(e){
+						console.error(e);
+						viewer.postError($("<span>").text(`Failed to load ${file.name}: ${e.message}`), {duration: 5000});
+					}
+				}else if(isGeoTIFF){
+					try{
+						const layer = await RasterLayer.load(file);
+						viewer.scene.addRasterLayer(layer);
+					}catch(e){
+						console.error(e);
+						viewer.postError($("<span>").text(`Failed to load ${file.name}: ${e.message}`), {duration: 5000});
+					}
+				}else if(isTrajectory){
+					try{
+						const hasPointcloud = viewer.scene.pointclouds.length > 0;
+						const params = {
+							projection: hasPointcloud ? this.getProjection() : null,
+						};
+
+						const trajectory = await TrajectoryLoader.load(file, params);
+						viewer.scene.addTrajectory(trajectory);
+					}catch(e){
+						console.error(e);
+						viewer.postError($("<span>").text(`Failed to load ${file.name}: ${e.message}`), {duration: 5000});
+					}
+				}else if(Potree.loaderRegistry.findByName(file)){
+					try{
+						const {pointcloud} = await Potree.loadPointCloud(file, file.name);
+
+						const isFirst = viewer.scene.pointclouds.length === 0;
+						viewer.scene.addPointCloud(pointcloud);
+
+						if(isFirst){
+							viewer.fitToScreen();
+						}
+					}catch(e){
+						console.error(e);
+						viewer.postError($("<span>").text(`Failed to load ${file.name}`), {duration: 5000});
+					}
 				}
 				
 			}
@@ -1476,24 +1610,7 @@ export class Viewer extends EventDispatcher{
 		});
 		//this.renderer.domElement.focus();
 
-		// NOTE: If extension errors occur, pass the string into this.renderer.extensions.get(x) before enabling
-		// enable frag_depth extension for the interpolation shader, if available
-		let gl = this.renderer.getContext();
-		gl.getExtension('EXT_frag_depth');
-		gl.getExtension('WEBGL_depth_texture');
-		gl.getExtension('WEBGL_color_buffer_float'); 	// Enable explicitly for more portability, EXT_color_buffer_float is the proper name in WebGL 2
-		
-		if(gl.createVertexArray == null){
-			let extVAO = gl.getExtension('OES_vertex_array_object');
-
-			if(!extVAO){
-				throw new Error("OES_vertex_array_object extension not supported");
-			}
-
-			gl.createVertexArray = extVAO.createVertexArrayOES.bind(extVAO);
-			gl.bindVertexArray = extVAO.bindVertexArrayOES.bind(extVAO);
-		}
-		
+		Utils.prepareWebGLContext(this.renderer.getContext());
 	}
 
 	updateAnnotations () {
@@ -1654,6 +1771,7 @@ export class Viewer extends EventDispatcher{
 		const scene = this.scene;
 		const camera = scene.getActiveCamera();
 		const visiblePointClouds = this.scene.pointclouds.filter(pc => pc.visible)
+		const drapesVectors = this.scene.vectorLayers.some(layer => layer.visible && layer.drape);
 		
 		Potree.pointLoadLimit = Potree.pointBudget * 2;
 
@@ -1665,7 +1783,7 @@ export class Viewer extends EventDispatcher{
 		for (let pointcloud of visiblePointClouds) {
 
 			pointcloud.showBoundingBox = this.showBoundingBox;
-			pointcloud.generateDEM = this.generateDEM;
+			pointcloud.generateDEM = this.generateDEM || this.useDEMCollisions || drapesVectors;
 			pointcloud.minimumNodePixelSize = this.minNodeSize;
 
 			let material = pointcloud.material;
@@ -1710,6 +1828,8 @@ export class Viewer extends EventDispatcher{
 				$( "#num_visible_points" ).text(this.numVisiblePoints.toString() || "0");	
 			}
 
+			this.loadProgress.update(result);
+
 
 			// DEBUG - ONLY DISPLAY NODES THAT INTERSECT MOUSE
 			//if(false){ 
@@ -1817,6 +1937,16 @@ export class Viewer extends EventDispatcher{
 			controls.setScene(scene);
 			controls.update(delta);
 
+			if (this.useDEMCollisions) {
+				// keep the camera above the highest surface
+				let position = scene.view.position;
+				let height = this.getHeightAt(position.x, position.y, "max");
+
+				if (height !== null && position.z < height + this.demCollisionOffset) {
+					position.z = height + this.demCollisionOffset;
+				}
+			}
+
 			if(typeof debugDisabled === "undefined" ){
 				this.scene.cameraP.position.copy(scene.view.position);
 				this.scene.cameraP.rotation.order = "ZXY";
@@ -1894,6 +2024,27 @@ export class Viewer extends EventDispatcher{
 			}
 		}
 
+		{
+			let vectorLayers = [
+				...this.scene.vectorLayers,
+				...this.scene.geopackages.flatMap(geopackage => geopackage.layers),
+			];
+
+			for(let layer of vectorLayers){
+				layer.update(this);
+			}
+		}
+
+		{
+			let rasterLayers = this.scene.rasterLayers
+				.filter(layer => layer.visible && layer.opacity > 0)
+				.slice(0, RasterLayer.maxLayers);
+
+			for(let pointcloud of visiblePointClouds){
+				pointcloud.material.setRasterLayers(rasterLayers);
+			}
+		}
+
 		{
 			for(let pointcloud of visiblePointClouds){
 				pointcloud.material.elevationGradientRepeat = this.elevationGradientRepeat;
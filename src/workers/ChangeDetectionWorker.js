@@ -0,0 +1,227 @@
+
+// Computes the distance of each core point to a target point cloud, see ChangeDetection.
+// All positions are xyz triplets relative to the same origin.
+//
+// message: {method, core, source, target, maxDistance, normalRadius, projectionRadius}
+//   method "c2c": distance to the nearest target point, NaN if there is none within maxDistance
+//   method "m3c2": distance along the local normal of the source points, between the mean positions of the
+//       source and target points within a cylinder of projectionRadius around the normal, up to maxDistance
+//       along it. Normals are oriented upwards. NaN if either cylinder is empty.
+// reply: {distances}, as Float32Array
+
+// a uniform grid of point indices, for queries within cellSize
+function createGrid(points, cellSize){
+	let cells = new Map();
+	let numPoints = points.length / 3;
+
+	for(let i = 0; i < numPoints; i++){
+		let key = cellKey(
+			Math.floor(points[3 * i + 0] / cellSize),
+			Math.floor(points[3 * i + 1] / cellSize),
+			Math.floor(points[3 * i + 2] / cellSize));
+
+		let cell = cells.get(key);
+		if(!cell){
+			cell = [];
+			cells.set(key, cell);
+		}
+
+		cell.push(i);
+	}
+
+	return {points, cellSize, cells};
+}
+
+function cellKey(ix, iy, iz){
+	return `${ix},${iy},${iz}`;
+}
+
+// calls callback(index, dx, dy, dz, distanceSquared) for each point within radius, radius <= cellSize
+function forEachNeighbour(grid, x, y, z, radius, callback){
+	let {points, cellSize, cells} = grid;
+	let ix = Math.floor(x / cellSize);
+	let iy = Math.floor(y / cellSize);
+	let iz = Math.floor(z / cellSize);
+	let radiusSquared = radius * radius;
+
+	for(let cx = ix - 1; cx <= ix + 1; cx++){
+		for(let cy = iy - 1; cy <= iy + 1; cy++){
+			for(let cz = iz - 1; cz <= iz + 1; cz++){
+				let cell = cells.get(cellKey(cx, cy, cz));
+
+				if(!cell){
+					continue;
+				}
+
+				for(let index of cell){
+					let dx = points[3 * index + 0] - x;
+					let dy = points[3 * index + 1] - y;
+					let dz = points[3 * index + 2] - z;
+					let distanceSquared = dx * dx + dy * dy + dz * dz;
+
+					if(distanceSquared <= radiusSquared){
+						callback(index, dx, dy, dz, distanceSquared);
+					}
+				}
+			}
+		}
+	}
+}
+
+// eigenvector of the smallest eigenvalue of a symmetric 3x3 matrix, with Jacobi rotations
+function smallestEigenvector(m){
+	let a = [
+		[m[0], m[1], m[2]],
+		[m[1], m[3], m[4]],
+		[m[2], m[4], m[5]],
+	];
+	let v = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+	for(let sweep = 0; sweep < 10; sweep++){
+		for(let [p, q] of [[0, 1], [0, 2], [1, 2]]){
+			if(Math.abs(a[p][q]) < 1e-12){
+				continue;
+			}
+
+			let theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+			let t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+			let c = 1 / Math.sqrt(t * t + 1);
+			let s = t * c;
+
+			for(let k = 0; k < 3; k++){
+				let akp = a[k][p];
+				let akq = a[k][q];
+				a[k][p] = c * akp - s * akq;
+				a[k][q] = s * akp + c * akq;
+			}
+
+			for(let k = 0; k < 3; k++){
+				let apk = a[p][k];
+				let aqk = a[q][k];
+				a[p][k] = c * apk - s * aqk;
+				a[q][k] = s * apk + c * aqk;
+			}
+
+			for(let k = 0; k < 3; k++){
+				let vkp = v[k][p];
+				let vkq = v[k][q];
+				v[k][p] = c * vkp - s * vkq;
+				v[k][q] = s * vkp + c * vkq;
+			}
+		}
+	}
+
+	let smallest = [0, 1, 2].reduce((min, i) => a[i][i] < a[min][min] ? i : min, 0);
+
+	return [v[0][smallest], v[1][smallest], v[2][smallest]];
+}
+
+function computeC2C(core, target, maxDistance){
+	let numPoints = core.length / 3;
+	let distances = new Float32Array(numPoints);
+	let grid = createGrid(target, maxDistance);
+
+	for(let i = 0; i < numPoints; i++){
+		let nearest = Infinity;
+
+		forEachNeighbour(grid, core[3 * i + 0], core[3 * i + 1], core[3 * i + 2], maxDistance, (index, dx, dy, dz, d2) => {
+			nearest = Math.min(nearest, d2);
+		});
+
+		distances[i] = nearest === Infinity ? NaN : Math.sqrt(nearest);
+	}
+
+	return distances;
+}
+
+function computeM3C2(core, source, target, maxDistance, normalRadius, projectionRadius){
+	let numPoints = core.length / 3;
+	let distances = new Float32Array(numPoints);
+
+	// points within the cylinder are within this distance of the core point
+	let reach = Math.sqrt(projectionRadius * projectionRadius + maxDistance * maxDistance);
+
+	let normalGrid = createGrid(source, normalRadius);
+	let sourceGrid = createGrid(source, reach);
+	let targetGrid = createGrid(target, reach);
+
+	// mean position along the normal of the points within the cylinder, NaN if there are none
+	let project = (grid, x, y, z, normal) => {
+		let sum = 0;
+		let count = 0;
+
+		forEachNeighbour(grid, x, y, z, reach, (index, dx, dy, dz, d2) => {
+			let along = dx * normal[0] + dy * normal[1] + dz * normal[2];
+			let acrossSquared = d2 - along * along;
+
+			if(Math.abs(along) <= maxDistance && acrossSquared <= projectionRadius * projectionRadius){
+				sum += along;
+				count++;
+			}
+		});
+
+		return count > 0 ? sum / count : NaN;
+	};
+
+	for(let i = 0; i < numPoints; i++){
+		let x = core[3 * i + 0];
+		let y = core[3 * i + 1];
+		let z = core[3 * i + 2];
+
+		// covariance of the source points around the core point
+		let n = 0;
+		let mean = [0, 0, 0];
+		let neighbours = [];
+
+		forEachNeighbour(normalGrid, x, y, z, normalRadius, (index, dx, dy, dz) => {
+			neighbours.push(dx, dy, dz);
+			mean[0] += dx;
+			mean[1] += dy;
+			mean[2] += dz;
+			n++;
+		});
+
+		if(n < 3){
+			distances[i] = NaN;
+			continue;
+		}
+
+		mean = mean.map(v => v / n);
+
+		let covariance = [0, 0, 0, 0, 0, 0];
+		for(let j = 0; j < n; j++){
+			let dx = neighbours[3 * j + 0] - mean[0];
+			let dy = neighbours[3 * j + 1] - mean[1];
+			let dz = neighbours[3 * j + 2] - mean[2];
+
+			covariance[0] += dx * dx;
+			covariance[1] += dx * dy;
+			covariance[2] += dx * dz;
+			covariance[3] += dy * dy;
+			covariance[4] += dy * dz;
+			covariance[5] += dz * dz;
+		}
+
+		let normal = smallestEigenvector(covariance);
+		if(normal[2] < 0){
+			normal = normal.map(v => -v);
+		}
+
+		let sourceMean = project(sourceGrid, x, y, z, normal);
+		let targetMean = project(targetGrid, x, y, z, normal);
+
+		distances[i] = targetMean - sourceMean;
+	}
+
+	return distances;
+}
+
+onmessage = function(event){
+	let {method, core, source, target, maxDistance, normalRadius, projectionRadius} = event.data;
+
+	let distances = method === "m3c2"
+		? computeM3C2(core, source, target, maxDistance, normalRadius, projectionRadius)
+		: computeC2C(core, target, maxDistance);
+
+	postMessage({distances}, [distances.buffer]);
+};
@@ -1,42 +1,55 @@
 /* global onmessage:true postMessage:false */
 /* exported onmessage */
+
+// Rasterizes the points of an octree node into a resolution x resolution grid
+// that covers the x/y extent of the node.
+//
+// For each cell, the following statistics are computed, stored as consecutive grids:
+// min z, max z, sum of z, number of points, sum of z of ground points, number of ground points.
+// The DEM derives min/max/mean/ground heights from them, see DEM.js
 onmessage = function (event) {
-	let boundingBox = event.data.boundingBox;
+	let {size, resolution, numPoints} = event.data;
 	let position = new Float32Array(event.data.position);
-	let width = 64;
-	let height = 64;
-	let numPoints = position.length / 3;
-
-	let boxSize = {
-		x: boundingBox.max[0] - boundingBox.min[0],
-		y: boundingBox.max[1] - boundingBox.min[1],
-		z: boundingBox.max[2] - boundingBox.min[2]
-	};
+	let classification = event.data.classification ? new Uint8Array(event.data.classification) : null;
+
+	let numCells = resolution * resolution;
+	let stats = new Float32Array(6 * numCells);
+
+	let min = stats.subarray(0 * numCells, 1 * numCells);
+	let max = stats.subarray(1 * numCells, 2 * numCells);
+	let sum = stats.subarray(2 * numCells, 3 * numCells);
+	let count = stats.subarray(3 * numCells, 4 * numCells);
+	let groundSum = stats.subarray(4 * numCells, 5 * numCells);
+	let groundCount = stats.subarray(5 * numCells, 6 * numCells);
+
+	min.fill(Infinity);
+	max.fill(-Infinity);
 
-	let dem = new Float32Array(width * height);
-	dem.fill(-Infinity);
 	for (let i = 0; i < numPoints; i++) {
 		let x = position[3 * i + 0];
 		let y = position[3 * i + 1];
 		let z = position[3 * i + 2];
 
-		let dx = x / boxSize.x;
-		let dy = y / boxSize.y;
+		let ix = Math.min(Math.max(Math.floor(resolution * x / size[0]), 0), resolution - 1);
+		let iy = Math.min(Math.max(Math.floor(resolution * y / size[1]), 0), resolution - 1);
+
+		let index = ix + resolution * iy;
 
-		let ix = parseInt(Math.min(width * dx, width - 1));
-		let iy = parseInt(Math.min(height * dy, height - 1));
+		min[index] = Math.min(min[index], z);
+		max[index] = Math.max(max[index], z);
+		sum[index] += z;
+		count[index]++;
 
-		let index = ix + width * iy;
-		dem[index] = z;
+		// ASPRS class 2: ground
+		if (classification && classification[i] === 2) {
+			groundSum[index] += z;
+			groundCount[index]++;
+		}
 	}
 
 	let message = {
-		dem: {
-			width: width,
-			height: height,
-			data: dem.buffer
-		}
+		stats: stats.buffer
 	};
 
-	postMessage(message, [message.dem.data]);
+	postMessage(message, [message.stats]);
 };
@@ -187,6 +187,11 @@ function readUsingDataView(event) {
 
 	let sourceView = new DataView(buffer);
 
+	// point formats 1 and 3 store the gps time at byte 20,
+	// colors follow the gps time in format 3 and the point source id in format 2
+	let hasGPSTime = pointFormatID === 1 || pointFormatID === 3;
+	let colorOffset = {2: 20, 3: 28}[pointFormatID];
+
 	let tightBoundingBox = {
 		min: [Number.MAX_VALUE, Number.MAX_VALUE, Number.MAX_VALUE],
 		max: [-Number.MAX_VALUE, -Number.MAX_VALUE, -Number.MAX_VALUE]
@@ -201,6 +206,7 @@ function readUsingDataView(event) {
 	let rnBuff = new ArrayBuffer(numPoints);
 	let nrBuff = new ArrayBuffer(numPoints);
 	let psBuff = new ArrayBuffer(numPoints * 2);
+	let gtBuff = new ArrayBuffer(hasGPSTime ? numPoints * 8 : 0);
 
 	let positions = new Float32Array(pBuff);
 	let colors = new Uint8Array(cBuff);
@@ -209,12 +215,14 @@ function readUsingDataView(event) {
 	let returnNumbers = new Uint8Array(rnBuff);
 	let numberOfReturns = new Uint8Array(nrBuff);
 	let pointSourceIDs = new Uint16Array(psBuff);
+	let gpsTimes = new Float64Array(gtBuff);
 	
 	const rangeIntensity = [Infinity, -Infinity];
 	const rangeClassification = [Infinity, -Infinity];
 	const rangeReturnNumber = [Infinity, -Infinity];
 	const rangeNumberOfReturns = [Infinity, -Infinity];
 	const rangeSourceID = [Infinity, -Infinity];
+	const rangeGPSTime = [Infinity, -Infinity];
 
 	for (let i = 0; i < numPoints; i++) {
 		// POSITION
@@ -272,11 +280,19 @@ function readUsingDataView(event) {
 		rangeSourceID[0] = Math.min(rangeSourceID[0], pointSourceID);
 		rangeSourceID[1] = Math.max(rangeSourceID[1], pointSourceID);
 
+		// GPS TIME, if available
+		if (hasGPSTime) {
+			let gpsTime = sourceView.getFloat64(i * sourcePointSize + 20, true);
+			gpsTimes[i] = gpsTime;
+			rangeGPSTime[0] = Math.min(rangeGPSTime[0], gpsTime);
+			rangeGPSTime[1] = Math.max(rangeGPSTime[1], gpsTime);
+		}
+
 		// COLOR, if available
-		if (pointFormatID === 2) {
-			let r = sourceView.getUint16(i * sourcePointSize + 20, true) / 256;
-			let g = sourceView.getUint16(i * sourcePointSize + 22, true) / 256;
-			let b = sourceView.getUint16(i * sourcePointSize + 24, true) / 256;
+		if (colorOffset !== undefined) {
+			let r = sourceView.getUint16(i * sourcePointSize + colorOffset + 0, true) / 256;
+			let g = sourceView.getUint16(i * sourcePointSize + colorOffset + 2, true) / 256;
+			let b = sourceView.getUint16(i * sourcePointSize + colorOffset + 4, true) / 256;
 
 			colors[4 * i + 0] = r;
 			colors[4 * i + 1] = g;
@@ -311,6 +327,10 @@ function readUsingDataView(event) {
 		"source id": rangeSourceID,
 	};
 
+	if (hasGPSTime) {
+		ranges["gps-time"] = rangeGPSTime;
+	}
+
 	let message = {
 		mean: mean,
 		position: pBuff,
@@ -320,6 +340,7 @@ function readUsingDataView(event) {
 		returnNumber: rnBuff,
 		numberOfReturns: nrBuff,
 		pointSourceID: psBuff,
+		gpsTime: gtBuff,
 		tightBoundingBox: tightBoundingBox,
 		indices: indices,
 		ranges: ranges,
@@ -333,6 +354,7 @@ function readUsingDataView(event) {
 		message.returnNumber,
 		message.numberOfReturns,
 		message.pointSourceID,
+		message.gpsTime,
 		message.indices];
 
 	postMessage(message, transferables);
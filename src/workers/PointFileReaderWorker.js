@@ -0,0 +1,90 @@
+
+import {readPly} from "../loader/PlyReader.js";
+import {readXyz} from "../loader/XyzReader.js";
+import {readE57} from "../loader/E57Reader.js";
+
+// Parses a point file and posts its points in batches, in the buffer layout
+// that InMemoryOctreeBuilder expects. See PointFileLoader.
+//
+// messages: "header", followed by any number of "batch", followed by "done" or "error"
+
+const readers = {
+	"ply": readPly,
+	"xyz": readXyz,
+	"e57": readE57,
+};
+
+function computeBoundingBox(position, numPoints){
+	let min = [Infinity, Infinity, Infinity];
+	let max = [-Infinity, -Infinity, -Infinity];
+
+	for(let i = 0; i < numPoints; i++){
+		for(let j = 0; j < 3; j++){
+			let value = position[3 * i + j];
+
+			min[j] = Math.min(min[j], value);
+			max[j] = Math.max(max[j], value);
+		}
+	}
+
+	return {min, max};
+}
+
+onmessage = function(event){
+	let {format, buffer, batchSize, options} = event.data;
+
+	try{
+		let reader = readers[format];
+
+		if(!reader){
+			throw new Error(`unsupported format: ${format}`);
+		}
+
+		let points = reader(buffer, options);
+		let numPoints = points.numPoints;
+		let boundingBox = computeBoundingBox(points.position, numPoints);
+
+		let attributes = [];
+		if(points.rgba){
+			attributes.push({name: "rgba", type: "uint8", numElements: 4});
+		}
+		if(points.intensity){
+			attributes.push({name: "intensity", type: "float", numElements: 1});
+		}
+		if(points.normal){
+			attributes.push({name: "normal", type: "float", numElements: 3});
+		}
+
+		postMessage({type: "header", numPoints, boundingBox, attributes});
+
+		for(let start = 0; start < numPoints; start += batchSize){
+			let n = Math.min(batchSize, numPoints - start);
+
+			// relative to the bounding box, computed in double precision
+			let position = new Float32Array(3 * n);
+			for(let i = 0; i < n; i++){
+				for(let j = 0; j < 3; j++){
+					position[3 * i + j] = points.position[3 * (start + i) + j] - boundingBox.min[j];
+				}
+			}
+
+			let buffers = {position: position.buffer};
+
+			if(points.rgba){
+				buffers.rgba = points.rgba.slice(4 * start, 4 * (start + n)).buffer;
+			}
+			if(points.intensity){
+				buffers.intensity = points.intensity.slice(start, start + n).buffer;
+			}
+			if(points.normal){
+				buffers.normal = points.normal.slice(3 * start, 3 * (start + n)).buffer;
+			}
+
+			postMessage({type: "batch", numPoints: n, buffers}, Object.values(buffers));
+		}
+
+		postMessage({type: "done"});
+	}catch(e){
+		postMessage({type: "error", message: `${e.message || e}`});
+	}
+};
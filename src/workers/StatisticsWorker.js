@@ -0,0 +1,34 @@
+
+import {StatisticsAccumulator} from "../utils/StatisticsAccumulator.js";
+
+// Accumulates statistics of points that are sent in batches. See PointStatistics.
+//
+// messages:
+//   {type: "init", options}: starts over, see StatisticsAccumulator for the options
+//   {type: "batch", batch}: adds points, replies with a "progress" summary at most every progressInterval ms
+//   {type: "finish"}: replies with the final "result" summary
+
+const progressInterval = 250;
+
+let accumulator = null;
+let lastProgress = 0;
+
+onmessage = function(event){
+	let message = event.data;
+
+	if(message.type === "init"){
+		accumulator = new StatisticsAccumulator(message.options);
+		lastProgress = 0;
+	}else if(message.type === "batch"){
+		accumulator.add(message.batch);
+
+		let now = Date.now();
+		if(now - lastProgress > progressInterval){
+			lastProgress = now;
+
+			postMessage({type: "progress", summary: accumulator.getSummary()});
+		}
+	}else if(message.type === "finish"){
+		postMessage({type: "result", summary: accumulator.getSummary()});
+	}
+};